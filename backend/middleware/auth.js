@@ -1,7 +1,27 @@
 // JWT Authentication Middleware
 const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
 
-const verifyToken = (req, res, next) => {
+const verifyAccessToken = (token) => jwt.verify(token, process.env.JWT_SECRET || "secret");
+
+// Access tokens issued at login carry the device session they belong to, so
+// revoking a session takes effect before the token itself expires. Tokens
+// minted before sessions existed have no sessionId and are honoured until
+// they expire.
+const isTokenSessionActive = async (decoded) => {
+  if (!decoded.sessionId) {
+    return true;
+  }
+
+  const session = await Session.exists({
+    _id: decoded.sessionId,
+    user: decoded.userId,
+    revokedAt: null,
+  });
+  return Boolean(session);
+};
+
+const verifyToken = async (req, res, next) => {
   try {
     // Get token from header
     const token = req.headers.authorization?.split(" ")[1] || req.headers["x-auth-token"];
@@ -11,16 +31,76 @@ const verifyToken = (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || "secret");
-    req.userId = decoded.userId;
+    const decoded = verifyAccessToken(token);
+    if (!(await isTokenSessionActive(decoded))) {
+      return res.status(401).json({ message: "Session revoked" });
+    }
+
+    req.userId = decoded.userId ? String(decoded.userId) : "";
+    req.sessionId = decoded.sessionId ? String(decoded.sessionId) : "";
     req.user = decoded;
     next();
   } catch (err) {
     if (err.name === "TokenExpiredError") {
       return res.status(401).json({ message: "Token expired" });
     }
-    return res.status(401).json({ message: "Invalid token" });
+    if (err.name === "JsonWebTokenError") {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+    next(err);
   }
 };
 
-module.exports = { verifyToken };
+// Socket.IO middleware: the socket's user comes from the verified token, never
+// from a client-supplied userId.
+const verifySocketToken = async (socket, next) => {
+  const authHeader = socket.handshake.headers?.authorization || "";
+  const token = socket.handshake.auth?.token || authHeader.split(" ")[1];
+
+  if (!token) {
+    return next(new Error("No token provided. Authorization required."));
+  }
+
+  try {
+    const decoded = verifyAccessToken(token);
+    if (!decoded.userId) {
+      return next(new Error("Invalid token"));
+    }
+
+    if (!(await isTokenSessionActive(decoded))) {
+      return next(new Error("Session revoked"));
+    }
+
+    socket.userId = String(decoded.userId);
+    socket.sessionId = decoded.sessionId ? String(decoded.sessionId) : "";
+    socket.user = decoded;
+    next();
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      return next(new Error("Token expired"));
+    }
+    if (err.name === "JsonWebTokenError") {
+      return next(new Error("Invalid token"));
+    }
+    console.error("[Socket] auth failed:", err.message);
+    next(new Error("Authentication failed"));
+  }
+};
+
+// Older clients still send their own id in bodies, queries and paths
+// (senderUserId, actorUserId, actorId, userId). Those fields are deprecated:
+// the actor always comes from the token, and a legacy id is only tolerated
+// when it matches it.
+const isActorMismatch = (req, ...legacyIds) =>
+  legacyIds.some((legacyId) => legacyId && String(legacyId) !== String(req.userId || ""));
+
+// Guards routes shaped like /:userId/... that act on the caller's own account.
+const requireSelf = (paramName = "userId") => (req, res, next) => {
+  if (String(req.params[paramName] || "") !== String(req.userId || "")) {
+    return res.status(403).json({ message: "You can only access your own account" });
+  }
+
+  next();
+};
+
+module.exports = { verifyAccessToken, verifyToken, verifySocketToken, isActorMismatch, requireSelf };
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// A file uploaded through /api/attachments. Messages only keep a reference to
+// it; the bytes live in the configured storage backend under `storageKey`.
+// Server-rendered thumbnail stored alongside the original
+const attachmentVariantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ["small", "medium"],
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  size: Number
+}, { _id: false });
+
+const attachmentSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  storage: {
+    type: String,
+    enum: ["local", "s3"],
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    default: "attachment"
+  },
+  mimeType: {
+    type: String,
+    default: "application/octet-stream"
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Hex-encoded SHA-256 of the stored bytes
+  checksum: {
+    type: String,
+    required: true
+  },
+  // Image uploads only: dimensions of the (metadata-stripped) original, a
+  // blurhash placeholder and thumbnails
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  placeholder: {
+    type: String,
+    default: ""
+  },
+  variants: [attachmentVariantSchema],
+  // Set on upload and cleared once a message references the file; uploads
+  // that are never sent are removed after this
+  unsentExpiresAt: {
+    type: Date,
+    default: null,
+    index: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model("Attachment", attachmentSchema);
@@ -5,6 +5,35 @@ const chatRoomSchema = new mongoose.Schema({
     type: String, 
     required: true 
   },
+  // public: listed in the directory, anyone can join
+  // private: listed in the directory, joining needs a moderator's approval
+  // invite_only: not listed, joined through members or invite links only
+  visibility: {
+    type: String,
+    enum: ["public", "private", "invite_only"],
+    default: "invite_only"
+  },
+  topic: {
+    type: String,
+    default: ""
+  },
+  description: {
+    type: String,
+    default: ""
+  },
+  // The room photo, an image uploaded through /api/attachments
+  avatarAttachmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Attachment",
+    default: null
+  },
+  // Shown pinned in the room info panel
+  rules: {
+    type: String,
+    default: ""
+  },
+  // The room's owner. Moves to another member when ownership is transferred,
+  // so this is not necessarily who created the room.
   createdBy: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: "User",
@@ -15,7 +44,61 @@ const chatRoomSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: "User"
     }
-  ]
+  ],
+  // When each member last joined. Replayed room events from before then are
+  // not theirs to see (see utils/syncEvents). Members from before this was
+  // recorded have no entry.
+  memberJoins: [
+    {
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+      },
+      joinedAt: {
+        type: Date,
+        required: true
+      }
+    }
+  ],
+  // Admins and moderators; members without an entry are plain members
+  // (see utils/roomRoles)
+  roles: [
+    {
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+      },
+      role: {
+        type: String,
+        enum: ["admin", "moderator"],
+        required: true
+      }
+    }
+  ],
+  // Once on, every message must be encrypted with a member's sender key
+  // (see models/RoomSenderKey). There is no way back to plaintext.
+  e2eeEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Bumped on every membership change of an encrypted room; sender keys
+  // from an older epoch can no longer be used to send.
+  keyEpoch: {
+    type: Number,
+    default: 0
+  },
+  // Set when the last member leaves. The room and its history are kept, but
+  // with no members left nobody can reach it.
+  archivedAt: {
+    type: Date,
+    default: null
+  }
 }, { timestamps: true });
 
+chatRoomSchema.index({ visibility: 1, archivedAt: 1 });
+
 module.exports = mongoose.model("ChatRoom", chatRoomSchema);
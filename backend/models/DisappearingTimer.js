@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Disappearing messages setting of one conversation. A conversation without
+// a document keeps its messages; the timer only applies to messages sent
+// after it was turned on.
+const disappearingTimerSchema = new mongoose.Schema({
+  // Same format as the socket channels: dm:<userA>:<userB> or room:<roomId>
+  conversation: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  durationSeconds: {
+    type: Number,
+    required: true
+  },
+  // "sent" counts down from the send time, "read" from the first time
+  // someone other than the sender reads the message.
+  startsOn: {
+    type: String,
+    enum: ["sent", "read"],
+    default: "sent"
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model("DisappearingTimer", disappearingTimerSchema);
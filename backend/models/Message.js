@@ -1,5 +1,50 @@
 const mongoose = require("mongoose");
 
+// Reference to an uploaded file (see models/Attachment). Older messages embed
+// the file as a data URL inside messageContent instead.
+const attachmentReferenceSchema = new mongoose.Schema({
+  attachmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Attachment",
+    required: true
+  },
+  fileName: {
+    type: String,
+    default: "attachment"
+  },
+  mimeType: {
+    type: String,
+    default: "application/octet-stream"
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  checksum: {
+    type: String,
+    default: ""
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  placeholder: {
+    type: String,
+    default: ""
+  },
+  // Thumbnail sizes available from the attachment content endpoint
+  variants: [{
+    _id: false,
+    name: String,
+    width: Number,
+    height: Number
+  }]
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
   senderUserId: { 
     type: mongoose.Schema.Types.ObjectId, 
@@ -10,15 +55,20 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     required: true 
   },
+  // Emptied when the message is deleted for everyone (see deletedAt)
   messageContent: { 
     type: String,
-    required: true 
+    required: function () {
+      return !this.deletedAt;
+    }
   },
   messageType: { 
     type: String, 
-    enum: ["text", "image", "file"], 
+    enum: ["text", "image", "file", "system"], 
     default: "text" 
   },
+  // Legacy DM-only flag, kept in step with the recipient's read cursor.
+  // Per-recipient delivered/read state lives in models/ReadCursor.
   readStatus: { 
     type: Boolean, 
     default: false 
@@ -29,9 +79,62 @@ const messageSchema = new mongoose.Schema({
   },
   encryptionMethod: { 
     type: String, 
-    enum: ["AES", "RSA", "E2EE-AES-GCM", "none"], 
+    enum: ["AES", "RSA", "E2EE-AES-GCM", "E2EE-SENDER-KEY", "none"], 
     default: "none" 
   },
+  attachment: {
+    type: attachmentReferenceSchema,
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the message was deleted for everyone; the document stays behind
+  // as a tombstone with its content, attachment and reactions removed.
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  // Users who deleted this message (or cleared the chat) for themselves only
+  hiddenFor: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    }],
+    select: false,
+    default: []
+  },
+  // Earlier versions of an edited message, oldest first. Not loaded with the
+  // message unless selected explicitly (see GET /:messageId/revisions).
+  revisions: {
+    type: [{
+      _id: false,
+      messageContent: String,
+      isEncrypted: Boolean,
+      encryptionMethod: String,
+      // When this version was written (the send time or a previous edit)
+      createdAt: Date
+    }],
+    select: false,
+    default: []
+  },
+  // Disappearing messages (see models/DisappearingTimer): the message is
+  // deleted for everyone once `expiresAt` passes. With a "read" timer,
+  // `expiresAt` stays empty until the message is first read.
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  disappearAfterReadSeconds: {
+    type: Number,
+    default: null
+  },
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Message",
@@ -52,4 +155,19 @@ const messageSchema = new mongoose.Schema({
   ]
 }, { timestamps: true });
 
+// History pages are read newest-first per conversation; `_id` breaks ties
+// between messages created in the same millisecond.
+messageSchema.index({ receiverUserIdOrRoomId: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ senderUserId: 1, receiverUserIdOrRoomId: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ "attachment.attachmentId": 1 }, { sparse: true });
+messageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: "date" } } });
+// Message search (GET /api/messages/search). Encrypted content is ciphertext
+// here, so it is left out and searched on the client instead. Only text
+// messages are indexed: legacy inline attachments hold base64 data, and
+// uploads are matched on their file name.
+messageSchema.index(
+  { messageContent: "text" },
+  { partialFilterExpression: { isEncrypted: false, messageType: "text" } },
+);
+
 module.exports = mongoose.model("Message", messageSchema);
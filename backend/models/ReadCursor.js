@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// How far one user has received and read one conversation. Receipts are
+// derived by comparing a message's createdAt with these timestamps, so a
+// single document per user and conversation covers every message in it.
+const readCursorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // Same format as the socket channels: dm:<userA>:<userB> or room:<roomId>
+  conversation: {
+    type: String,
+    required: true
+  },
+  deliveredUpTo: {
+    type: Date,
+    default: null
+  },
+  readUpTo: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+readCursorSchema.index({ user: 1, conversation: 1 }, { unique: true });
+readCursorSchema.index({ conversation: 1 });
+
+module.exports = mongoose.model("ReadCursor", readCursorSchema);
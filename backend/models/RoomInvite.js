@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// A shareable link into a room. Anyone holding the token can join (or ask to
+// join, with requiresApproval) until it expires, runs out of uses or is
+// revoked.
+const roomInviteSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ChatRoom",
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // null: never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // null: unlimited
+  maxUses: {
+    type: Number,
+    default: null
+  },
+  // Members who joined through this invite, plus requests still pending on it
+  uses: {
+    type: Number,
+    default: 0
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+roomInviteSchema.index({ room: 1, createdAt: -1 });
+
+module.exports = mongoose.model("RoomInvite", roomInviteSchema);
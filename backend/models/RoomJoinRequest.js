@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// A pending request to join a room, waiting for a moderator or admin.
+// Approving adds the user and deletes the request; rejecting only deletes it.
+const roomJoinRequestSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ChatRoom",
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // The invite the request came through. The request holds one of its uses
+  // and is deleted when the invite is revoked.
+  invite: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "RoomInvite",
+    default: null
+  }
+}, { timestamps: true });
+
+roomJoinRequestSchema.index({ room: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model("RoomJoinRequest", roomJoinRequestSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// One member's sender key for an encrypted room, wrapped for one recipient
+// with the pairwise DM encryption (an e2e_dm_v1 payload). The server only
+// stores and hands out these envelopes; it never sees the key itself.
+const roomSenderKeySchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ChatRoom",
+    required: true
+  },
+  epoch: {
+    type: Number,
+    required: true
+  },
+  // Random id chosen by the sender; room messages name the key they use
+  keyId: {
+    type: String,
+    required: true
+  },
+  senderUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  recipientUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  payload: {
+    type: String,
+    required: true
+  }
+}, { timestamps: true });
+
+roomSenderKeySchema.index({ room: 1, recipientUserId: 1, epoch: 1 });
+roomSenderKeySchema.index({ room: 1, keyId: 1, recipientUserId: 1 }, { unique: true });
+
+module.exports = mongoose.model("RoomSenderKey", roomSenderKeySchema);
@@ -0,0 +1,62 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Kept for a short grace period after rotation so that two tabs refreshing
+  // at the same time do not look like a stolen token being replayed.
+  previousRefreshTokenHash: {
+    type: String,
+    default: ""
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  deviceName: {
+    type: String,
+    default: ""
+  },
+  userAgent: {
+    type: String,
+    default: ""
+  },
+  ipAddress: {
+    type: String,
+    default: ""
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Let MongoDB drop sessions once their refresh token can no longer be used.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+};
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const SYNC_EVENT_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// A copy of every realtime event emitted to clients, kept for a week so that
+// a socket that reconnects can be replayed what it missed while offline.
+const syncEventSchema = new mongoose.Schema({
+  eventName: {
+    type: String,
+    required: true
+  },
+  // Socket.IO rooms the event was emitted to (user:<id>, room:<id>, ...)
+  rooms: [{
+    type: String
+  }],
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { timestamps: true });
+
+syncEventSchema.index({ rooms: 1, _id: 1 });
+syncEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: SYNC_EVENT_RETENTION_SECONDS });
+
+const SyncEvent = mongoose.model("SyncEvent", syncEventSchema);
+
+module.exports = SyncEvent;
+module.exports.SYNC_EVENT_RETENTION_SECONDS = SYNC_EVENT_RETENTION_SECONDS;
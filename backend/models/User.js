@@ -16,10 +16,20 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Maintained from live socket connections (see utils/presence.js)
   onlineStatus: {
     type: Boolean,
     default: false
   },
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
+  // When set, only followers can see lastSeenAt
+  hideLastSeen: {
+    type: Boolean,
+    default: false
+  },
   bio: {
     type: String,
     default: ""
@@ -32,10 +42,37 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ""
   },
+  // Single-key identity from before multi-device support. Still read so that
+  // users who have not signed in since can be messaged; no longer written.
   e2ePublicKey: {
     type: String,
     default: ""
   },
+  // One ECDH public key per browser that holds a private key. Direct
+  // messages are encrypted to every device of both participants.
+  e2eDevices: [{
+    _id: false,
+    deviceId: { type: String, required: true },
+    publicKey: { type: String, required: true },
+    label: { type: String, default: "" },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // The user's private keys encrypted with a key derived from a passphrase
+  // only they know, so a new device can read older messages
+  e2eKeyBackup: {
+    type: {
+      _id: false,
+      version: Number,
+      kdf: String,
+      iterations: Number,
+      salt: String,
+      iv: String,
+      ciphertext: String,
+      updatedAt: Date
+    },
+    default: null,
+    select: false
+  },
   followRequests: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: "User"
@@ -0,0 +1,348 @@
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Attachment = require("../models/Attachment");
+const { verifyToken } = require("../middleware/auth");
+const { getAttachmentStorage } = require("../storage");
+const { toAttachmentReference, canUserAccessAttachment } = require("../utils/attachments");
+const { isProcessableImage, processImageUpload } = require("../utils/imageProcessing");
+
+const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 25 * 1024 * 1024;
+const DOWNLOAD_LINK_TTL_SECONDS = 10 * 60;
+const UNSENT_ATTACHMENT_TTL_MS = 24 * 60 * 60 * 1000;
+// Download links travel in URLs (img/video src), so they are signed with a
+// key of their own and can never be replayed as an API access token.
+const DOWNLOAD_LINK_SECRET = `${process.env.JWT_SECRET || "secret"}:attachment-download`;
+// Types a browser may render in place; everything else (including SVG, which
+// can carry script) is always served as a download.
+const INLINE_MIME_PATTERN = /^(image\/(png|jpe?g|gif|webp|avif|bmp)|video\/[\w.+-]+|audio\/[\w.+-]+|application\/pdf)$/i;
+
+function isValidObjectId(value) {
+  return mongoose.Types.ObjectId.isValid(String(value || ""));
+}
+
+function isControlCharacter(character) {
+  const code = character.charCodeAt(0);
+  return code <= 0x1f || code === 0x7f;
+}
+
+function normalizeFileName(rawName) {
+  let decoded = String(rawName || "");
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch {
+    // keep the raw header value
+  }
+
+  const baseName = Array.from(path.basename(decoded.replace(/\\/g, "/")))
+    .filter((character) => !isControlCharacter(character))
+    .join("")
+    .trim();
+  return baseName.slice(0, 255) || "attachment";
+}
+
+function normalizeMimeType(rawType) {
+  const mimeType = String(rawType || "").split(";")[0].trim().toLowerCase();
+  return /^[\w.+-]+\/[\w.+-]+$/.test(mimeType) ? mimeType : "application/octet-stream";
+}
+
+function buildStorageKey(attachmentId) {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+  return `${now.getUTCFullYear()}/${month}/${attachmentId}`;
+}
+
+// Streams the request body to a staging file, hashing and counting bytes on
+// the way so the upload never has to fit in memory.
+async function stageUpload(req, stagingPath) {
+  const hash = crypto.createHash("sha256");
+  let size = 0;
+
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > MAX_ATTACHMENT_BYTES) {
+        const error = new Error("File is too large");
+        error.status = 413;
+        callback(error);
+        return;
+      }
+
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  await pipeline(req, meter, fs.createWriteStream(stagingPath));
+  return { size, checksum: hash.digest("hex") };
+}
+
+function createDownloadLink(attachment, userId) {
+  const token = jwt.sign(
+    { attachmentId: String(attachment._id), userId: String(userId) },
+    DOWNLOAD_LINK_SECRET,
+    { expiresIn: DOWNLOAD_LINK_TTL_SECONDS },
+  );
+  const downloadUrl = `/api/attachments/${attachment._id}/content?sig=${encodeURIComponent(token)}`;
+
+  const variantUrls = {};
+  (attachment.variants || []).forEach((variant) => {
+    variantUrls[variant.name] = `${downloadUrl}&variant=${variant.name}`;
+  });
+
+  return {
+    downloadUrl,
+    variantUrls,
+    expiresAt: new Date(Date.now() + DOWNLOAD_LINK_TTL_SECONDS * 1000),
+  };
+}
+
+// Accepts either a signed download link (?sig=) or the usual bearer token.
+function authorizeDownload(req, res, next) {
+  const signature = req.query.sig;
+  if (!signature) {
+    return verifyToken(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(String(signature), DOWNLOAD_LINK_SECRET);
+    if (String(decoded.attachmentId) !== String(req.params.attachmentId)) {
+      return res.status(403).json({ message: "Invalid download link" });
+    }
+
+    req.userId = String(decoded.userId || "");
+    next();
+  } catch (err) {
+    const message = err.name === "TokenExpiredError" ? "Download link expired" : "Invalid download link";
+    return res.status(401).json({ message });
+  }
+}
+
+// Parses a single `bytes=` range. Returns null to serve the whole file
+// (no header, or a form we do not support such as multiple ranges).
+function parseByteRange(rangeHeader, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(rangeHeader || "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === "") {
+    const suffixLength = Number(match[2]);
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+    if (suffixLength === 0) {
+      return { unsatisfiable: true };
+    }
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return { unsatisfiable: true };
+  }
+
+  return { start, end };
+}
+
+async function findAccessibleAttachment(attachmentId, userId) {
+  if (!isValidObjectId(attachmentId)) {
+    return { error: { status: 400, message: "Invalid attachment id" } };
+  }
+
+  const attachment = await Attachment.findById(attachmentId);
+  if (!attachment) {
+    return { error: { status: 404, message: "Attachment not found" } };
+  }
+
+  if (!(await canUserAccessAttachment(attachment, userId))) {
+    return { error: { status: 403, message: "You do not have access to this attachment" } };
+  }
+
+  return { attachment };
+}
+
+// Download the file (or one of its thumbnails with ?variant=), honouring
+// Range requests for seeking and resuming
+router.get("/:attachmentId/content", authorizeDownload, async (req, res) => {
+  try {
+    const result = await findAccessibleAttachment(req.params.attachmentId, req.userId);
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    const { attachment } = result;
+    const variantName = req.query.variant ? String(req.query.variant) : "";
+    const variant = variantName
+      ? (attachment.variants || []).find((candidate) => candidate.name === variantName)
+      : null;
+
+    if (variantName && !variant) {
+      return res.status(404).json({ message: "Attachment variant not found" });
+    }
+
+    const file = variant || attachment;
+    const etag = variant ? `"${attachment.checksum}-${variant.name}"` : `"${attachment.checksum}"`;
+    const disposition = INLINE_MIME_PATTERN.test(file.mimeType) ? "inline" : "attachment";
+
+    res.set({
+      "Accept-Ranges": "bytes",
+      "Cache-Control": "private, max-age=3600",
+      "Content-Type": file.mimeType,
+      "Content-Disposition": `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+      ETag: etag,
+      "X-Content-Type-Options": "nosniff",
+    });
+
+    if (req.headers["if-none-match"] === etag) {
+      return res.status(304).end();
+    }
+
+    const ifRange = req.headers["if-range"];
+    const range = !ifRange || ifRange === etag ? parseByteRange(req.headers.range, file.size) : null;
+
+    if (range?.unsatisfiable) {
+      res.set("Content-Range", `bytes */${file.size}`);
+      return res.status(416).end();
+    }
+
+    if (range) {
+      res.status(206).set({
+        "Content-Range": `bytes ${range.start}-${range.end}/${file.size}`,
+        "Content-Length": String(range.end - range.start + 1),
+      });
+    } else {
+      res.status(200).set("Content-Length", String(file.size));
+    }
+
+    if (req.method === "HEAD") {
+      return res.end();
+    }
+
+    const stream = await getAttachmentStorage().createReadStream(
+      file.storageKey,
+      range ? { start: range.start, end: range.end } : {},
+    );
+
+    await pipeline(stream, res).catch((error) => {
+      if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error("[Attachments] download failed:", error.message);
+      }
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.use(verifyToken);
+
+// Upload a file. The raw bytes are the request body; the original name and
+// type travel in X-File-Name (URI-encoded) and X-File-Type headers. Images are
+// stripped of metadata and get thumbnails and a placeholder before storing.
+router.post("/", async (req, res) => {
+  const declaredLength = Number(req.headers["content-length"]);
+  if (Number.isFinite(declaredLength) && declaredLength > MAX_ATTACHMENT_BYTES) {
+    return res.status(413).json({ message: "File is too large" });
+  }
+
+  const attachmentId = new mongoose.Types.ObjectId();
+  const stagingPath = path.join(os.tmpdir(), `chat-upload-${attachmentId}`);
+  const stagedPaths = [stagingPath];
+
+  try {
+    const fileName = normalizeFileName(req.headers["x-file-name"]);
+    let mimeType = normalizeMimeType(req.headers["x-file-type"]);
+    let { size, checksum } = await stageUpload(req, stagingPath);
+
+    if (size === 0) {
+      return res.status(400).json({ message: "File is empty" });
+    }
+
+    let imageDetails = null;
+    if (isProcessableImage(mimeType)) {
+      try {
+        imageDetails = await processImageUpload(stagingPath);
+      } catch {
+        return res.status(400).json({ message: "Image could not be processed" });
+      }
+
+      stagedPaths.push(...imageDetails.variants.map((variant) => variant.path));
+      ({ mimeType, size, checksum } = imageDetails);
+    }
+
+    const storage = getAttachmentStorage();
+    const storageKey = buildStorageKey(attachmentId);
+    await storage.save(storageKey, stagingPath, { size, mimeType });
+
+    const variants = [];
+    for (const variant of imageDetails?.variants || []) {
+      const variantKey = `${storageKey}_${variant.name}`;
+      await storage.save(variantKey, variant.path, { size: variant.size, mimeType: variant.mimeType });
+      variants.push({
+        name: variant.name,
+        storageKey: variantKey,
+        mimeType: variant.mimeType,
+        width: variant.width,
+        height: variant.height,
+        size: variant.size,
+      });
+    }
+
+    const attachment = await Attachment.create({
+      _id: attachmentId,
+      uploader: req.userId,
+      storage: storage.name,
+      storageKey,
+      fileName,
+      mimeType,
+      size,
+      checksum,
+      width: imageDetails?.width ?? null,
+      height: imageDetails?.height ?? null,
+      placeholder: imageDetails?.placeholder || "",
+      variants,
+      unsentExpiresAt: new Date(Date.now() + UNSENT_ATTACHMENT_TTL_MS),
+    });
+
+    res.status(201).json({ message: "File uploaded", attachment: toAttachmentReference(attachment) });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  } finally {
+    stagedPaths.forEach((stagedPath) => {
+      fs.promises.rm(stagedPath, { force: true }).catch(() => {});
+    });
+  }
+});
+
+// Attachment metadata plus a short-lived signed download link
+router.get("/:attachmentId", async (req, res) => {
+  try {
+    const result = await findAccessibleAttachment(req.params.attachmentId, req.userId);
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    res.json({
+      attachment: toAttachmentReference(result.attachment),
+      ...createDownloadLink(result.attachment, req.userId),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,47 @@
 const express = require("express");
 const router = express.Router();
+const crypto = require("crypto");
 const mongoose = require("mongoose");
+const Attachment = require("../models/Attachment");
 const ChatRoom = require("../models/ChatRoom");
+const DisappearingTimer = require("../models/DisappearingTimer");
+const Message = require("../models/Message");
+const ReadCursor = require("../models/ReadCursor");
+const RoomInvite = require("../models/RoomInvite");
+const RoomJoinRequest = require("../models/RoomJoinRequest");
+const RoomSenderKey = require("../models/RoomSenderKey");
+const SyncEvent = require("../models/SyncEvent");
 const User = require("../models/User");
+const { verifyToken, isActorMismatch } = require("../middleware/auth");
+const { removeUnreferencedAttachments } = require("../utils/attachments");
+const { emitToRooms } = require("../utils/messageEvents");
+const { postSystemMessage } = require("../utils/systemMessages");
+const {
+  getRoomRole,
+  getRoomRoleRank,
+  getSuccessorOwnerId,
+  hasRoomPermission,
+  setRoomRole,
+} = require("../utils/roomRoles");
+
+router.use(verifyToken);
+
+const MAX_SENDER_KEY_PAYLOAD_LENGTH = 4096;
+const ASSIGNABLE_ROOM_ROLES = ["admin", "moderator", "member"];
+const MAX_INVITE_LIFETIME_SECONDS = 30 * 24 * 60 * 60;
+const MAX_INVITE_USES = 1000;
+const ROOM_VISIBILITIES = ["public", "private", "invite_only"];
+const MAX_ROOM_TOPIC_LENGTH = 120;
+const MAX_ROOM_DESCRIPTION_LENGTH = 1000;
+const MAX_ROOM_RULES_LENGTH = 2000;
+const MAX_ROOM_AVATAR_BYTES = 2 * 1024 * 1024;
+const DIRECTORY_PAGE_SIZE = 50;
+// Editable through PUT /:roomId/profile, with how system messages name them
+const ROOM_PROFILE_FIELDS = [
+  { name: "topic", label: "the topic", maxLength: MAX_ROOM_TOPIC_LENGTH },
+  { name: "description", label: "the description", maxLength: MAX_ROOM_DESCRIPTION_LENGTH },
+  { name: "rules", label: "the rules", maxLength: MAX_ROOM_RULES_LENGTH },
+];
 
 function isValidObjectId(value) {
   return mongoose.Types.ObjectId.isValid(String(value || ""));
@@ -22,33 +61,43 @@ async function getPopulatedRoom(roomId) {
     .populate("members", "username email onlineStatus createdAt");
 }
 
-function isRoomCreator(room, userId) {
-  return toId(room.createdBy) === String(userId);
-}
-
 function isRoomMember(room, userId) {
   return room.members.some((member) => toId(member) === String(userId));
 }
 
+// Pass `null` to forget the entry once the user is no longer a member
+function setMemberJoinedAt(room, userId, joinedAt = new Date()) {
+  room.memberJoins = (room.memberJoins || []).filter((entry) => toId(entry.user) !== String(userId));
+  if (joinedAt) {
+    room.memberJoins.push({ user: userId, joinedAt });
+  }
+}
+
 function getRoomMemberIds(room) {
   return (room?.members || []).map((member) => toId(member)).filter(Boolean);
 }
 
+// Any membership change of an encrypted room retires every sender key: the
+// next message each member sends goes out under a fresh one, distributed to
+// the new member list only.
+function rotateRoomKeyEpoch(room) {
+  if (room.e2eeEnabled) {
+    room.keyEpoch = (room.keyEpoch || 0) + 1;
+  }
+}
+
 function emitRoomMembershipChanged(io, room, action = "updated") {
   if (!io || !room?._id) {
     return;
   }
 
-  const roomId = String(room._id);
-  const memberIds = getRoomMemberIds(room);
-
-  memberIds.forEach((memberId) => {
-    io.to(`user:${memberId}`).emit("room:membership_changed", {
-      action,
-      roomId,
-      room,
-    });
-  });
+  // Logged like message events so members that were offline replay it
+  emitToRooms(
+    io,
+    getRoomMemberIds(room).map((memberId) => `user:${memberId}`),
+    "room:membership_changed",
+    { action, roomId: String(room._id) },
+  );
 }
 
 function emitRoomRemoved(io, roomId, userIds = [], action = "removed") {
@@ -57,11 +106,15 @@ function emitRoomRemoved(io, roomId, userIds = [], action = "removed") {
   }
 
   const uniqueUserIds = [...new Set(userIds.map((userId) => String(userId)).filter(Boolean))];
+  emitToRooms(
+    io,
+    uniqueUserIds.map((userId) => `user:${userId}`),
+    "room:removed",
+    { action, roomId: String(roomId) },
+  );
+  // Sockets authorized on join must not keep receiving room traffic after removal.
   uniqueUserIds.forEach((userId) => {
-    io.to(`user:${userId}`).emit("room:removed", {
-      action,
-      roomId: String(roomId),
-    });
+    io.in(`user:${userId}`).socketsLeave([`room:${roomId}`, `conversation:${roomId}`]);
   });
 }
 
@@ -74,7 +127,7 @@ async function addMemberToRoom(roomId, userId, actorId) {
     return { error: { status: 400, message: "Invalid userId" } };
   }
 
-  if (actorId && !isValidObjectId(actorId)) {
+  if (!isValidObjectId(actorId)) {
     return { error: { status: 400, message: "Invalid actorId" } };
   }
 
@@ -88,8 +141,8 @@ async function addMemberToRoom(roomId, userId, actorId) {
     return { error: { status: 404, message: "User not found" } };
   }
 
-  if (actorId && !isRoomCreator(room, actorId)) {
-    return { error: { status: 403, message: "Only room creator can add members" } };
+  if (!hasRoomPermission(getRoomRole(room, actorId), "addMembers")) {
+    return { error: { status: 403, message: "Only room admins can add members" } };
   }
 
   if (isRoomMember(room, userId)) {
@@ -98,6 +151,8 @@ async function addMemberToRoom(roomId, userId, actorId) {
   }
 
   room.members.push(userId);
+  setMemberJoinedAt(room, userId);
+  rotateRoomKeyEpoch(room);
   await room.save();
 
   const populatedRoom = await getPopulatedRoom(roomId);
@@ -113,7 +168,7 @@ async function removeMemberFromRoom(roomId, memberId, actorId) {
     return { error: { status: 400, message: "Invalid memberId" } };
   }
 
-  if (actorId && !isValidObjectId(actorId)) {
+  if (!isValidObjectId(actorId)) {
     return { error: { status: 400, message: "Invalid actorId" } };
   }
 
@@ -122,32 +177,352 @@ async function removeMemberFromRoom(roomId, memberId, actorId) {
     return { error: { status: 404, message: "Room not found" } };
   }
 
-  if (actorId && !isRoomCreator(room, actorId)) {
-    return { error: { status: 403, message: "Only room creator can remove members" } };
+  const actorRole = getRoomRole(room, actorId);
+  if (!hasRoomPermission(actorRole, "removeMembers")) {
+    return { error: { status: 403, message: "Only room moderators and admins can remove members" } };
   }
 
-  if (isRoomCreator(room, memberId)) {
-    return { error: { status: 400, message: "Room creator cannot be removed" } };
+  const memberRole = getRoomRole(room, memberId);
+  if (memberRole === "owner") {
+    return { error: { status: 400, message: "Room owner cannot be removed" } };
   }
 
-  if (!isRoomMember(room, memberId)) {
+  if (!memberRole) {
     return { error: { status: 404, message: "Member not found in room" } };
   }
 
+  if (getRoomRoleRank(memberRole) >= getRoomRoleRank(actorRole)) {
+    return { error: { status: 403, message: "You can only remove members below your own role" } };
+  }
+
   room.members = room.members.filter((member) => toId(member) !== String(memberId));
+  setMemberJoinedAt(room, memberId, null);
+  setRoomRole(room, memberId, "member");
+  rotateRoomKeyEpoch(room);
+  await room.save();
+  await RoomSenderKey.deleteMany({ room: room._id, recipientUserId: memberId });
+
+  const populatedRoom = await getPopulatedRoom(roomId);
+  return { room: populatedRoom, changed: true };
+}
+
+// Admins can make members moderators and back; only the owner can make or
+// unmake admins.
+async function changeMemberRole(roomId, memberId, role, actorId) {
+  if (!isValidObjectId(roomId)) {
+    return { error: { status: 400, message: "Invalid roomId" } };
+  }
+
+  if (!isValidObjectId(memberId)) {
+    return { error: { status: 400, message: "Invalid memberId" } };
+  }
+
+  if (!ASSIGNABLE_ROOM_ROLES.includes(role)) {
+    return { error: { status: 400, message: "role must be admin, moderator or member" } };
+  }
+
+  const room = await ChatRoom.findById(roomId);
+  if (!room) {
+    return { error: { status: 404, message: "Room not found" } };
+  }
+
+  const actorRole = getRoomRole(room, actorId);
+  if (!hasRoomPermission(actorRole, "manageRoles")) {
+    return { error: { status: 403, message: "Only room admins can change roles" } };
+  }
+
+  const memberRole = getRoomRole(room, memberId);
+  if (!memberRole) {
+    return { error: { status: 404, message: "Member not found in room" } };
+  }
+
+  if (memberRole === "owner") {
+    return { error: { status: 400, message: "Transfer ownership to change the owner's role" } };
+  }
+
+  const actorRank = getRoomRoleRank(actorRole);
+  if (getRoomRoleRank(memberRole) >= actorRank || getRoomRoleRank(role) >= actorRank) {
+    return { error: { status: 403, message: "You can only assign roles below your own" } };
+  }
+
+  if (memberRole === role) {
+    const existingRoom = await getPopulatedRoom(roomId);
+    return { room: existingRoom, changed: false };
+  }
+
+  setRoomRole(room, memberId, role);
+  await room.save();
+
+  const populatedRoom = await getPopulatedRoom(roomId);
+  return { room: populatedRoom, changed: true };
+}
+
+// The previous owner stays on as an admin
+async function transferRoomOwnership(roomId, userId, actorId) {
+  if (!isValidObjectId(roomId)) {
+    return { error: { status: 400, message: "Invalid roomId" } };
+  }
+
+  if (!isValidObjectId(userId)) {
+    return { error: { status: 400, message: "Invalid userId" } };
+  }
+
+  const room = await ChatRoom.findById(roomId);
+  if (!room) {
+    return { error: { status: 404, message: "Room not found" } };
+  }
+
+  if (getRoomRole(room, actorId) !== "owner") {
+    return { error: { status: 403, message: "Only the room owner can transfer ownership" } };
+  }
+
+  const memberRole = getRoomRole(room, userId);
+  if (!memberRole) {
+    return { error: { status: 404, message: "Member not found in room" } };
+  }
+
+  if (memberRole === "owner") {
+    return { error: { status: 400, message: "You already own this room" } };
+  }
+
+  room.createdBy = userId;
+  setRoomRole(room, userId, "member");
+  setRoomRole(room, actorId, "admin");
   await room.save();
 
   const populatedRoom = await getPopulatedRoom(roomId);
   return { room: populatedRoom, changed: true };
 }
 
+// A member leaving on their own. When the owner leaves, ownership passes to
+// the next member in line; when the last member leaves, the room is archived.
+async function leaveRoom(roomId, userId) {
+  if (!isValidObjectId(roomId)) {
+    return { error: { status: 400, message: "Invalid roomId" } };
+  }
+
+  const room = await ChatRoom.findById(roomId);
+  if (!room) {
+    return { error: { status: 404, message: "Room not found" } };
+  }
+
+  const role = getRoomRole(room, userId);
+  if (!role) {
+    return { error: { status: 404, message: "You are not a member of this room" } };
+  }
+
+  let newOwnerId = "";
+  if (role === "owner") {
+    newOwnerId = getSuccessorOwnerId(room);
+    if (newOwnerId) {
+      room.createdBy = newOwnerId;
+      setRoomRole(room, newOwnerId, "member");
+    } else {
+      room.archivedAt = new Date();
+    }
+  }
+
+  room.members = room.members.filter((member) => toId(member) !== String(userId));
+  setMemberJoinedAt(room, userId, null);
+  setRoomRole(room, userId, "member");
+  rotateRoomKeyEpoch(room);
+  await room.save();
+  await RoomSenderKey.deleteMany({ room: room._id, recipientUserId: userId });
+
+  const populatedRoom = await getPopulatedRoom(roomId);
+  return { room: populatedRoom, newOwnerId, archived: Boolean(room.archivedAt) };
+}
+
+// Everything stored for a room besides the room itself, which is already gone
+async function deleteRoomData(room) {
+  const roomId = room._id;
+  const conversationKey = `room:${roomId}`;
+  const attachmentIds = await Message.distinct("attachment.attachmentId", { receiverUserIdOrRoomId: roomId });
+  if (room.avatarAttachmentId) {
+    attachmentIds.push(room.avatarAttachmentId);
+  }
+
+  await Promise.all([
+    Message.deleteMany({ receiverUserIdOrRoomId: roomId }),
+    RoomSenderKey.deleteMany({ room: roomId }),
+    RoomInvite.deleteMany({ room: roomId }),
+    RoomJoinRequest.deleteMany({ room: roomId }),
+    DisappearingTimer.deleteOne({ conversation: conversationKey }),
+    ReadCursor.deleteMany({ conversation: conversationKey }),
+    // Logged message events carry full payloads. Events sent to members'
+    // user rooms, such as room:removed, are kept for replay.
+    SyncEvent.deleteMany({ rooms: conversationKey }),
+  ]);
+  await removeUnreferencedAttachments(attachmentIds);
+}
+
+// The room, if `actorId` is allowed to do `permission` in it
+async function getRoomForPermission(roomId, actorId, permission, deniedMessage) {
+  if (!isValidObjectId(roomId)) {
+    return { error: { status: 400, message: "Invalid roomId" } };
+  }
+
+  const room = await ChatRoom.findById(roomId);
+  if (!room) {
+    return { error: { status: 404, message: "Room not found" } };
+  }
+
+  if (!hasRoomPermission(getRoomRole(room, actorId), permission)) {
+    return { error: { status: 403, message: deniedMessage } };
+  }
+
+  return { room };
+}
+
+// A positive whole number up to `max`, null when left out, undefined when invalid
+function parseOptionalLimit(value, max) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 && number <= max ? number : undefined;
+}
+
+function serializeInvite(invite) {
+  return {
+    _id: String(invite._id),
+    room: toId(invite.room),
+    token: invite.token,
+    createdBy: toId(invite.createdBy),
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    requiresApproval: invite.requiresApproval,
+    createdAt: invite.createdAt,
+  };
+}
+
+// Why an invite can no longer be used, or "" while it still works
+function getInviteUnavailableReason(invite) {
+  if (invite.revokedAt) {
+    return "This invite link has been revoked";
+  }
+
+  if (invite.expiresAt && invite.expiresAt <= new Date()) {
+    return "This invite link has expired";
+  }
+
+  if (invite.maxUses !== null && invite.uses >= invite.maxUses) {
+    return "This invite link has reached its usage limit";
+  }
+
+  return "";
+}
+
+async function findUsableInvite(token) {
+  const invite = await RoomInvite.findOne({ token: String(token || "") });
+  if (!invite) {
+    return { error: { status: 404, message: "Invite link not found" } };
+  }
+
+  const unavailableReason = getInviteUnavailableReason(invite);
+  if (unavailableReason) {
+    return { error: { status: 410, message: unavailableReason } };
+  }
+
+  const room = await ChatRoom.findById(invite.room);
+  if (!room || room.archivedAt) {
+    return { error: { status: 410, message: "This room no longer exists" } };
+  }
+
+  return { invite, room };
+}
+
+// Counts one use of an invite, unless it ran out in the meantime
+async function claimInviteUse(inviteId) {
+  return RoomInvite.findOneAndUpdate(
+    {
+      _id: inviteId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }] },
+      ],
+    },
+    { $inc: { uses: 1 } },
+  );
+}
+
+// Gives back a use claimed for a join that did not happen
+async function releaseInviteUse(inviteId) {
+  if (!inviteId) {
+    return;
+  }
+
+  await RoomInvite.updateOne({ _id: inviteId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+}
+
+// `joinedText` finishes the system message, as in "Alice joined the room".
+// The member is added atomically, so concurrent joins (or a join racing an
+// approval) add them once; resolves to null for the ones that lost the race.
+async function addJoinedMember(io, room, userId, joinedText) {
+  const update = {
+    $addToSet: { members: userId },
+    $push: { memberJoins: { user: userId, joinedAt: new Date() } },
+  };
+  if (room.e2eeEnabled) {
+    update.$inc = { keyEpoch: 1 };
+  }
+
+  const result = await ChatRoom.updateOne({ _id: room._id, members: { $ne: userId } }, update);
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+
+  const populatedRoom = await getPopulatedRoom(room._id);
+  emitRoomMembershipChanged(io, populatedRoom, "member_joined");
+
+  const user = await User.findById(userId).select("username").lean();
+  await postSystemMessage(io, {
+    actorUserId: userId,
+    receiverUserIdOrRoomId: room._id,
+    text: `${user?.username || "Someone"} ${joinedText}`,
+  });
+
+  return populatedRoom;
+}
+
+// "a", "a and b", "a, b and c"
+function joinWithAnd(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}` : items[0] || "";
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
 // Create a new chat room
 router.post("/create", async (req, res) => {
   try {
-    const { roomName, createdBy } = req.body;
+    const { roomName } = req.body;
+    const visibility = req.body.visibility || "invite_only";
+    const topic = String(req.body.topic || "").trim();
+    const description = String(req.body.description || "").trim();
+
+    if (isActorMismatch(req, req.body.createdBy)) {
+      return res.status(403).json({ message: "createdBy does not match the authenticated user" });
+    }
+
+    const createdBy = req.userId;
+
+    if (!roomName) {
+      return res.status(400).json({ message: "Room name required" });
+    }
 
-    if (!roomName || !createdBy) {
-      return res.status(400).json({ message: "Room name and creator required" });
+    if (!ROOM_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: "visibility must be public, private or invite_only" });
+    }
+
+    if (topic.length > MAX_ROOM_TOPIC_LENGTH || description.length > MAX_ROOM_DESCRIPTION_LENGTH) {
+      return res.status(400).json({
+        message: `Topic is limited to ${MAX_ROOM_TOPIC_LENGTH} and description to ${MAX_ROOM_DESCRIPTION_LENGTH} characters`,
+      });
     }
 
     const creator = await User.findById(createdBy).select("_id");
@@ -157,6 +532,9 @@ router.post("/create", async (req, res) => {
 
     const newRoom = new ChatRoom({
       roomName: String(roomName).trim(),
+      visibility,
+      topic,
+      description,
       createdBy,
       members: [createdBy],
     });
@@ -171,21 +549,14 @@ router.post("/create", async (req, res) => {
   }
 });
 
-// Get all chat rooms
+// Get the chat rooms the current user belongs to
 router.get("/", async (req, res) => {
   try {
-    const { memberId } = req.query;
-    const query = {};
-
-    if (memberId) {
-      if (!isValidObjectId(memberId)) {
-        return res.status(400).json({ message: "Invalid memberId" });
-      }
-
-      query.members = memberId;
+    if (isActorMismatch(req, req.query.memberId)) {
+      return res.status(403).json({ message: "memberId does not match the authenticated user" });
     }
 
-    const rooms = await ChatRoom.find(query)
+    const rooms = await ChatRoom.find({ members: req.userId })
       .populate("createdBy", "username email")
       .populate("members", "username email onlineStatus createdAt");
     res.json(rooms);
@@ -194,15 +565,84 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Public and private rooms, largest first. Optional `q` matches the name or
+// topic. Member lists are left out; only their size is shown.
+router.get("/directory", async (req, res) => {
+  try {
+    const query = String(req.query.q || "").trim();
+    const userObjectId = new mongoose.Types.ObjectId(req.userId);
+    const match = { visibility: { $in: ["public", "private"] }, archivedAt: null };
+    if (query) {
+      const pattern = new RegExp(escapeRegex(query), "i");
+      match.$or = [{ roomName: pattern }, { topic: pattern }];
+    }
+
+    const rooms = await ChatRoom.aggregate([
+      { $match: match },
+      {
+        $project: {
+          roomName: 1,
+          visibility: 1,
+          topic: 1,
+          description: 1,
+          avatarAttachmentId: 1,
+          memberCount: { $size: "$members" },
+          isMember: { $in: [userObjectId, "$members"] },
+        },
+      },
+      { $sort: { memberCount: -1, _id: 1 } },
+      { $limit: DIRECTORY_PAGE_SIZE },
+    ]);
+
+    const pendingRoomIds = new Set(
+      (await RoomJoinRequest.find({ user: req.userId, room: { $in: rooms.map((room) => room._id) } }).distinct("room"))
+        .map(String),
+    );
+
+    res.json({
+      rooms: rooms.map((room) => ({ ...room, hasPendingRequest: pendingRoomIds.has(String(room._id)) })),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// The caller's join requests: `received` for rooms they moderate, `sent` for
+// rooms they asked to join
+router.get("/join-requests", async (req, res) => {
+  try {
+    const memberRooms = await ChatRoom.find({ members: req.userId }).select("_id createdBy members roles");
+    const reviewableRoomIds = memberRooms
+      .filter((room) => hasRoomPermission(getRoomRole(room, req.userId), "reviewJoinRequests"))
+      .map((room) => room._id);
+
+    const [received, sent] = await Promise.all([
+      RoomJoinRequest.find({ room: { $in: reviewableRoomIds } })
+        .populate("user", "username email onlineStatus")
+        .populate("room", "roomName")
+        .sort({ createdAt: 1 }),
+      RoomJoinRequest.find({ user: req.userId }).populate("room", "roomName").sort({ createdAt: -1 }),
+    ]);
+
+    res.json({ received, sent });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Add member to room
 router.post("/:roomId/members", async (req, res) => {
   try {
-    const { userId, actorId } = req.body;
+    const { userId } = req.body;
     if (!userId) {
       return res.status(400).json({ message: "userId is required" });
     }
 
-    const result = await addMemberToRoom(req.params.roomId, userId, actorId);
+    if (isActorMismatch(req, req.body.actorId)) {
+      return res.status(403).json({ message: "actorId does not match the authenticated user" });
+    }
+
+    const result = await addMemberToRoom(req.params.roomId, userId, req.userId);
     if (result.error) {
       return res.status(result.error.status).json({ message: result.error.message });
     }
@@ -223,12 +663,16 @@ router.post("/:roomId/members", async (req, res) => {
 // Backward-compatible add member endpoint
 router.post("/:roomId/addMember", async (req, res) => {
   try {
-    const { userId, actorId } = req.body;
+    const { userId } = req.body;
     if (!userId) {
       return res.status(400).json({ message: "userId is required" });
     }
 
-    const result = await addMemberToRoom(req.params.roomId, userId, actorId);
+    if (isActorMismatch(req, req.body.actorId)) {
+      return res.status(403).json({ message: "actorId does not match the authenticated user" });
+    }
+
+    const result = await addMemberToRoom(req.params.roomId, userId, req.userId);
     if (result.error) {
       return res.status(result.error.status).json({ message: result.error.message });
     }
@@ -249,10 +693,13 @@ router.post("/:roomId/addMember", async (req, res) => {
 // Remove member from room
 router.delete("/:roomId/members/:memberId", async (req, res) => {
   try {
-    const actorId = req.body?.actorId || req.query.actorId;
     const { roomId, memberId } = req.params;
 
-    const result = await removeMemberFromRoom(roomId, memberId, actorId);
+    if (isActorMismatch(req, req.body?.actorId, req.query.actorId)) {
+      return res.status(403).json({ message: "actorId does not match the authenticated user" });
+    }
+
+    const result = await removeMemberFromRoom(roomId, memberId, req.userId);
     if (result.error) {
       return res.status(result.error.status).json({ message: result.error.message });
     }
@@ -268,40 +715,786 @@ router.delete("/:roomId/members/:memberId", async (req, res) => {
   }
 });
 
-// Get single chat room
-router.get("/:roomId", async (req, res) => {
+// Leave a room
+router.post("/:roomId/leave", async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    if (isActorMismatch(req, req.body?.actorId)) {
+      return res.status(403).json({ message: "actorId does not match the authenticated user" });
+    }
+
+    const result = await leaveRoom(roomId, req.userId);
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    const io = req.app.get("io");
+    emitRoomRemoved(io, roomId, [req.userId], "left");
+
+    if (!result.archived) {
+      emitRoomMembershipChanged(io, result.room, result.newOwnerId ? "ownership_transferred" : "member_left");
+
+      const [leaver, newOwner] = await Promise.all([
+        User.findById(req.userId).select("username").lean(),
+        result.newOwnerId ? User.findById(result.newOwnerId).select("username").lean() : null,
+      ]);
+      const leaverName = leaver?.username || "Someone";
+      await postSystemMessage(io, {
+        actorUserId: req.userId,
+        receiverUserIdOrRoomId: roomId,
+        text: result.newOwnerId
+          ? `${leaverName} left the room. ${newOwner?.username || "Another member"} is now the owner`
+          : `${leaverName} left the room`,
+      });
+    }
+
+    return res.json({ message: result.archived ? "Left and archived the room" : "Left the room" });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Join a public room, or ask to join a private one (status "pending")
+router.post("/:roomId/join", async (req, res) => {
   try {
     if (!isValidObjectId(req.params.roomId)) {
       return res.status(400).json({ message: "Invalid roomId" });
     }
 
-    const room = await ChatRoom.findById(req.params.roomId)
-      .populate("createdBy", "username email")
-      .populate("members", "username email onlineStatus createdAt");
-
-    if (!room) {
+    const room = await ChatRoom.findById(req.params.roomId);
+    if (!room || room.archivedAt) {
       return res.status(404).json({ message: "Room not found" });
     }
 
-    res.json(room);
+    if (isRoomMember(room, req.userId)) {
+      const existingRoom = await getPopulatedRoom(room._id);
+      return res.json({ status: "joined", message: "Already a member", room: existingRoom });
+    }
+
+    if (room.visibility === "invite_only") {
+      return res.status(403).json({ message: "This room can only be joined with an invite link" });
+    }
+
+    if (room.visibility === "private") {
+      await RoomJoinRequest.updateOne(
+        { room: room._id, user: req.userId },
+        { $setOnInsert: { invite: null } },
+        { upsert: true },
+      );
+      return res.status(202).json({ status: "pending", message: "Your request to join is waiting for approval" });
+    }
+
+    const populatedRoom = await addJoinedMember(req.app.get("io"), room, req.userId, "joined the room");
+    if (!populatedRoom) {
+      const existingRoom = await getPopulatedRoom(room._id);
+      return res.json({ status: "joined", message: "Already a member", room: existingRoom });
+    }
+
+    return res.json({ status: "joined", message: "Joined the room", room: populatedRoom });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    return res.status(500).json({ message: err.message });
   }
 });
 
-// Delete a chat room
-router.delete("/:roomId", async (req, res) => {
+// Withdraw the caller's own join request
+router.delete("/:roomId/join-request", async (req, res) => {
   try {
     if (!isValidObjectId(req.params.roomId)) {
       return res.status(400).json({ message: "Invalid roomId" });
     }
 
-    const room = await ChatRoom.findByIdAndDelete(req.params.roomId);
+    const joinRequest = await RoomJoinRequest.findOneAndDelete({ room: req.params.roomId, user: req.userId });
+    if (!joinRequest) {
+      return res.status(404).json({ message: "Join request not found" });
+    }
 
-    if (!room) {
-      return res.status(404).json({ message: "Room not found" });
+    await releaseInviteUse(joinRequest.invite);
+
+    return res.json({ message: "Join request withdrawn" });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Change who can find and join the room
+router.put("/:roomId/visibility", async (req, res) => {
+  try {
+    const visibility = String(req.body?.visibility || "");
+    if (!ROOM_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: "visibility must be public, private or invite_only" });
+    }
+
+    if (isActorMismatch(req, req.body?.actorId)) {
+      return res.status(403).json({ message: "actorId does not match the authenticated user" });
+    }
+
+    const roomResult = await getRoomForPermission(
+      req.params.roomId,
+      req.userId,
+      "changeVisibility",
+      "Only room admins can change visibility",
+    );
+    if (roomResult.error) {
+      return res.status(roomResult.error.status).json({ message: roomResult.error.message });
+    }
+
+    const { room } = roomResult;
+    if (room.visibility === visibility) {
+      const existingRoom = await getPopulatedRoom(room._id);
+      return res.json({ message: "Visibility unchanged", room: existingRoom });
+    }
+
+    room.visibility = visibility;
+    await room.save();
+
+    const populatedRoom = await getPopulatedRoom(room._id);
+    emitRoomMembershipChanged(req.app.get("io"), populatedRoom, "visibility_changed");
+
+    return res.json({ message: "Visibility updated", room: populatedRoom });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Update the room's topic, description, rules or photo (avatarAttachmentId,
+// an image uploaded through /api/attachments). Fields left out are kept; an
+// empty string clears one.
+router.put("/:roomId/profile", async (req, res) => {
+  try {
+    if (isActorMismatch(req, req.body?.actorId)) {
+      return res.status(403).json({ message: "actorId does not match the authenticated user" });
+    }
+
+    const updates = {};
+    for (const field of ROOM_PROFILE_FIELDS) {
+      const value = req.body?.[field.name];
+      if (value === undefined) {
+        continue;
+      }
+
+      if (typeof value !== "string") {
+        return res.status(400).json({ message: `${field.name} must be a string` });
+      }
+
+      const trimmedValue = value.trim();
+      if (trimmedValue.length > field.maxLength) {
+        return res.status(400).json({ message: `${field.name} cannot exceed ${field.maxLength} characters` });
+      }
+
+      updates[field.name] = trimmedValue;
+    }
+
+    // null works like "" for the photo
+    const avatarAttachmentId = req.body?.avatarAttachmentId;
+    let avatarAttachment = null;
+    if (avatarAttachmentId) {
+      if (!isValidObjectId(avatarAttachmentId)) {
+        return res.status(400).json({ message: "Invalid avatarAttachmentId" });
+      }
+
+      avatarAttachment = await Attachment.findById(avatarAttachmentId);
+      if (!avatarAttachment || String(avatarAttachment.uploader) !== String(req.userId)) {
+        return res.status(404).json({ message: "Room photo upload not found" });
+      }
+
+      if (!avatarAttachment.mimeType.startsWith("image/")) {
+        return res.status(400).json({ message: "The room photo must be an image" });
+      }
+
+      if (avatarAttachment.size > MAX_ROOM_AVATAR_BYTES) {
+        return res
+          .status(400)
+          .json({ message: `The room photo cannot exceed ${MAX_ROOM_AVATAR_BYTES / (1024 * 1024)} MB` });
+      }
+    }
+
+    const roomResult = await getRoomForPermission(
+      req.params.roomId,
+      req.userId,
+      "editProfile",
+      "Only room admins can edit the room profile",
+    );
+    if (roomResult.error) {
+      return res.status(roomResult.error.status).json({ message: roomResult.error.message });
+    }
+
+    const { room } = roomResult;
+    const previousAvatarId = room.avatarAttachmentId ? String(room.avatarAttachmentId) : "";
+    const nextAvatarId = avatarAttachment ? String(avatarAttachment._id) : "";
+    const changedPhoto = avatarAttachmentId !== undefined && nextAvatarId !== previousAvatarId;
+    const changedFields = ROOM_PROFILE_FIELDS.filter(
+      (field) => updates[field.name] !== undefined && updates[field.name] !== (room[field.name] || ""),
+    );
+    if (changedFields.length === 0 && !changedPhoto) {
+      const existingRoom = await getPopulatedRoom(room._id);
+      return res.json({ message: "Room profile unchanged", room: existingRoom });
+    }
+
+    changedFields.forEach((field) => {
+      room[field.name] = updates[field.name];
+    });
+    if (changedPhoto) {
+      room.avatarAttachmentId = avatarAttachment?._id || null;
+    }
+    await room.save();
+
+    if (changedPhoto) {
+      if (avatarAttachment) {
+        await Attachment.updateOne({ _id: avatarAttachment._id }, { $set: { unsentExpiresAt: null } });
+      }
+      if (previousAvatarId) {
+        await removeUnreferencedAttachments([previousAvatarId]);
+      }
+    }
+
+    const io = req.app.get("io");
+    const populatedRoom = await getPopulatedRoom(room._id);
+    emitRoomMembershipChanged(io, populatedRoom, "profile_updated");
+
+    const actor = await User.findById(req.userId).select("username").lean();
+    // "Alice changed the topic and the rules", "Alice removed the room photo"
+    const changedLabels = [
+      ...changedFields.map((field) => field.label),
+      ...(changedPhoto && avatarAttachment ? ["the room photo"] : []),
+    ];
+    const actions = [
+      ...(changedLabels.length > 0 ? [`changed ${joinWithAnd(changedLabels)}`] : []),
+      ...(changedPhoto && !avatarAttachment ? ["removed the room photo"] : []),
+    ];
+    await postSystemMessage(io, {
+      actorUserId: req.userId,
+      receiverUserIdOrRoomId: room._id,
+      text: `${actor?.username || "Someone"} ${actions.join(" and ")}`,
+    });
+
+    return res.json({ message: "Room profile updated", room: populatedRoom });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Promote or demote a member
+router.put("/:roomId/members/:memberId/role", async (req, res) => {
+  try {
+    const { roomId, memberId } = req.params;
+
+    if (isActorMismatch(req, req.body?.actorId)) {
+      return res.status(403).json({ message: "actorId does not match the authenticated user" });
+    }
+
+    const result = await changeMemberRole(roomId, memberId, String(req.body?.role || ""), req.userId);
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    if (result.changed && result.room) {
+      emitRoomMembershipChanged(req.app.get("io"), result.room, "role_changed");
+    }
+
+    return res.json({
+      message: result.changed ? "Role updated" : "Member already has this role",
+      room: result.room,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Hand the room over to another member
+router.post("/:roomId/transfer-ownership", async (req, res) => {
+  try {
+    const { userId } = req.body || {};
+    if (!userId) {
+      return res.status(400).json({ message: "userId is required" });
+    }
+
+    if (isActorMismatch(req, req.body.actorId)) {
+      return res.status(403).json({ message: "actorId does not match the authenticated user" });
+    }
+
+    const result = await transferRoomOwnership(req.params.roomId, userId, req.userId);
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    emitRoomMembershipChanged(req.app.get("io"), result.room, "ownership_transferred");
+
+    return res.json({ message: "Ownership transferred", room: result.room });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Create an invite link. Optional: expiresInSeconds, maxUses, requiresApproval.
+router.post("/:roomId/invites", async (req, res) => {
+  try {
+    if (isActorMismatch(req, req.body?.actorId)) {
+      return res.status(403).json({ message: "actorId does not match the authenticated user" });
+    }
+
+    const expiresInSeconds = parseOptionalLimit(req.body?.expiresInSeconds, MAX_INVITE_LIFETIME_SECONDS);
+    const maxUses = parseOptionalLimit(req.body?.maxUses, MAX_INVITE_USES);
+    if (expiresInSeconds === undefined) {
+      return res.status(400).json({ message: "expiresInSeconds must be a whole number of seconds up to 30 days" });
+    }
+
+    if (maxUses === undefined) {
+      return res.status(400).json({ message: `maxUses must be a whole number up to ${MAX_INVITE_USES}` });
+    }
+
+    const roomResult = await getRoomForPermission(
+      req.params.roomId,
+      req.userId,
+      "manageInvites",
+      "Only room admins can create invite links",
+    );
+    if (roomResult.error) {
+      return res.status(roomResult.error.status).json({ message: roomResult.error.message });
+    }
+
+    const invite = await RoomInvite.create({
+      room: roomResult.room._id,
+      token: crypto.randomBytes(18).toString("base64url"),
+      createdBy: req.userId,
+      expiresAt: expiresInSeconds ? new Date(Date.now() + expiresInSeconds * 1000) : null,
+      maxUses,
+      requiresApproval: req.body?.requiresApproval === true,
+    });
+
+    return res.status(201).json({ invite: serializeInvite(invite) });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Invite links that have not been revoked, newest first
+router.get("/:roomId/invites", async (req, res) => {
+  try {
+    const roomResult = await getRoomForPermission(
+      req.params.roomId,
+      req.userId,
+      "manageInvites",
+      "Only room admins can see invite links",
+    );
+    if (roomResult.error) {
+      return res.status(roomResult.error.status).json({ message: roomResult.error.message });
+    }
+
+    const invites = await RoomInvite.find({ room: roomResult.room._id, revokedAt: null }).sort({ createdAt: -1 });
+    return res.json({ invites: invites.map(serializeInvite) });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Revoke an invite link
+router.delete("/:roomId/invites/:inviteId", async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.inviteId)) {
+      return res.status(400).json({ message: "Invalid inviteId" });
+    }
+
+    const roomResult = await getRoomForPermission(
+      req.params.roomId,
+      req.userId,
+      "manageInvites",
+      "Only room admins can revoke invite links",
+    );
+    if (roomResult.error) {
+      return res.status(roomResult.error.status).json({ message: roomResult.error.message });
+    }
+
+    const invite = await RoomInvite.findOneAndUpdate(
+      { _id: req.params.inviteId, room: roomResult.room._id, revokedAt: null },
+      { revokedAt: new Date() },
+    );
+    if (!invite) {
+      return res.status(404).json({ message: "Invite link not found" });
+    }
+
+    // Requests that came through the link go with it
+    await RoomJoinRequest.deleteMany({ invite: invite._id });
+
+    return res.json({ message: "Invite link revoked" });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// What an invite link leads to, shown before joining
+router.get("/invites/:token", async (req, res) => {
+  try {
+    const inviteResult = await findUsableInvite(req.params.token);
+    if (inviteResult.error) {
+      return res.status(inviteResult.error.status).json({ message: inviteResult.error.message });
+    }
+
+    const { invite, room } = inviteResult;
+    return res.json({
+      room: {
+        _id: String(room._id),
+        roomName: room.roomName,
+        memberCount: room.members.length,
+      },
+      requiresApproval: invite.requiresApproval,
+      isMember: isRoomMember(room, req.userId),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Join through an invite link. Invites that require approval file a join
+// request instead and answer with status "pending"; the request holds one of
+// the invite's uses until it is approved, rejected or withdrawn.
+router.post("/invites/:token/join", async (req, res) => {
+  try {
+    const inviteResult = await findUsableInvite(req.params.token);
+    if (inviteResult.error) {
+      return res.status(inviteResult.error.status).json({ message: inviteResult.error.message });
+    }
+
+    const { invite, room } = inviteResult;
+    if (isRoomMember(room, req.userId)) {
+      const existingRoom = await getPopulatedRoom(room._id);
+      return res.json({ status: "joined", message: "Already a member", room: existingRoom });
+    }
+
+    const claimedInvite = await claimInviteUse(invite._id);
+    if (!claimedInvite) {
+      const latestInvite = await RoomInvite.findById(invite._id);
+      const reason = latestInvite ? getInviteUnavailableReason(latestInvite) : "";
+      return res.status(410).json({ message: reason || "This invite link is no longer valid" });
+    }
+
+    if (invite.requiresApproval) {
+      const result = await RoomJoinRequest.updateOne(
+        { room: room._id, user: req.userId },
+        { $setOnInsert: { invite: invite._id } },
+        { upsert: true },
+      );
+      if (result.upsertedCount === 0) {
+        // Already waiting on an earlier request
+        await releaseInviteUse(invite._id);
+      }
+      return res.status(202).json({ status: "pending", message: "Your request to join is waiting for approval" });
+    }
+
+    const populatedRoom = await addJoinedMember(req.app.get("io"), room, req.userId, "joined via an invite link");
+    if (!populatedRoom) {
+      // Joined by another request in the meantime; give the use back
+      await releaseInviteUse(invite._id);
+      const existingRoom = await getPopulatedRoom(room._id);
+      return res.json({ status: "joined", message: "Already a member", room: existingRoom });
+    }
+
+    return res.json({ status: "joined", message: "Joined the room", room: populatedRoom });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Pending join requests of one room, oldest first
+router.get("/:roomId/join-requests", async (req, res) => {
+  try {
+    const roomResult = await getRoomForPermission(
+      req.params.roomId,
+      req.userId,
+      "reviewJoinRequests",
+      "Only room moderators and admins can see join requests",
+    );
+    if (roomResult.error) {
+      return res.status(roomResult.error.status).json({ message: roomResult.error.message });
+    }
+
+    const joinRequests = await RoomJoinRequest.find({ room: roomResult.room._id })
+      .populate("user", "username email onlineStatus")
+      .sort({ createdAt: 1 });
+    return res.json({ joinRequests });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Approve a join request
+router.post("/:roomId/join-requests/:requestId/approve", async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.requestId)) {
+      return res.status(400).json({ message: "Invalid requestId" });
+    }
+
+    const roomResult = await getRoomForPermission(
+      req.params.roomId,
+      req.userId,
+      "reviewJoinRequests",
+      "Only room moderators and admins can approve join requests",
+    );
+    if (roomResult.error) {
+      return res.status(roomResult.error.status).json({ message: roomResult.error.message });
+    }
+
+    const { room } = roomResult;
+    const joinRequest = await RoomJoinRequest.findOneAndDelete({ _id: req.params.requestId, room: room._id });
+    if (!joinRequest) {
+      return res.status(404).json({ message: "Join request not found" });
+    }
+
+    if (isRoomMember(room, joinRequest.user)) {
+      await releaseInviteUse(joinRequest.invite);
+      const existingRoom = await getPopulatedRoom(room._id);
+      return res.json({ message: "Already a member", room: existingRoom });
+    }
+
+    const populatedRoom = await addJoinedMember(
+      req.app.get("io"),
+      room,
+      joinRequest.user,
+      joinRequest.invite ? "joined via an invite link" : "joined the room",
+    );
+    if (!populatedRoom) {
+      await releaseInviteUse(joinRequest.invite);
+      const existingRoom = await getPopulatedRoom(room._id);
+      return res.json({ message: "Already a member", room: existingRoom });
+    }
+
+    return res.json({ message: "Join request approved", room: populatedRoom });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Reject a join request
+router.delete("/:roomId/join-requests/:requestId", async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.requestId)) {
+      return res.status(400).json({ message: "Invalid requestId" });
+    }
+
+    const roomResult = await getRoomForPermission(
+      req.params.roomId,
+      req.userId,
+      "reviewJoinRequests",
+      "Only room moderators and admins can reject join requests",
+    );
+    if (roomResult.error) {
+      return res.status(roomResult.error.status).json({ message: roomResult.error.message });
+    }
+
+    const joinRequest = await RoomJoinRequest.findOneAndDelete({
+      _id: req.params.requestId,
+      room: roomResult.room._id,
+    });
+    if (!joinRequest) {
+      return res.status(404).json({ message: "Join request not found" });
+    }
+
+    await releaseInviteUse(joinRequest.invite);
+
+    return res.json({ message: "Join request rejected" });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Turn on end-to-end encryption for a room (admins only, cannot be undone)
+router.put("/:roomId/encryption", async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!isValidObjectId(roomId)) {
+      return res.status(400).json({ message: "Invalid roomId" });
+    }
+
+    if (isActorMismatch(req, req.body?.actorId)) {
+      return res.status(403).json({ message: "actorId does not match the authenticated user" });
+    }
+
+    if (req.body?.enabled !== true) {
+      return res.status(400).json({ message: "Encryption can only be turned on" });
+    }
+
+    const room = await ChatRoom.findById(roomId);
+    if (!room) {
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    if (!hasRoomPermission(getRoomRole(room, req.userId), "changeEncryption")) {
+      return res.status(403).json({ message: "Only room admins can change encryption" });
+    }
+
+    if (room.e2eeEnabled) {
+      const existingRoom = await getPopulatedRoom(roomId);
+      return res.json({ message: "Encryption already enabled", room: existingRoom });
+    }
+
+    room.e2eeEnabled = true;
+    room.keyEpoch = (room.keyEpoch || 0) + 1;
+    await room.save();
+
+    const populatedRoom = await getPopulatedRoom(roomId);
+    emitRoomMembershipChanged(req.app.get("io"), populatedRoom, "encryption_enabled");
+
+    return res.json({ message: "Encryption enabled", room: populatedRoom });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Publish the caller's sender key for the current epoch, wrapped once for
+// every member (the caller included)
+router.post("/:roomId/sender-keys", async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { keyId, envelopes } = req.body || {};
+    const epoch = Number(req.body?.epoch);
+
+    if (!isValidObjectId(roomId)) {
+      return res.status(400).json({ message: "Invalid roomId" });
+    }
+
+    const normalizedKeyId = String(keyId || "").trim();
+    if (!normalizedKeyId || !Array.isArray(envelopes) || envelopes.length === 0) {
+      return res.status(400).json({ message: "keyId and envelopes are required" });
+    }
+
+    const room = await ChatRoom.findById(roomId).select("_id members e2eeEnabled keyEpoch");
+    if (!room) {
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    if (!isRoomMember(room, req.userId)) {
+      return res.status(403).json({ message: "Only room members can share room keys" });
+    }
+
+    if (!room.e2eeEnabled) {
+      return res.status(400).json({ message: "This room is not end-to-end encrypted" });
+    }
+
+    if (epoch !== room.keyEpoch) {
+      return res.status(409).json({ message: "The room key has changed. Please try again.", keyEpoch: room.keyEpoch });
+    }
+
+    const memberIds = new Set(getRoomMemberIds(room));
+    const recipientIds = new Set();
+    for (const envelope of envelopes) {
+      const recipientId = String(envelope?.recipientUserId || "");
+      const payload = typeof envelope?.payload === "string" ? envelope.payload : "";
+      if (!memberIds.has(recipientId) || !payload || payload.length > MAX_SENDER_KEY_PAYLOAD_LENGTH) {
+        return res.status(400).json({ message: "Every envelope must carry a key for a room member" });
+      }
+      recipientIds.add(recipientId);
+    }
+
+    if (recipientIds.size !== memberIds.size) {
+      return res.status(400).json({ message: "The key must be shared with every room member" });
+    }
+
+    const existingKey = await RoomSenderKey.exists({ room: roomId, keyId: normalizedKeyId });
+    if (existingKey) {
+      return res.status(409).json({ message: "keyId already in use" });
+    }
+
+    await RoomSenderKey.insertMany(
+      envelopes.map((envelope) => ({
+        room: roomId,
+        epoch,
+        keyId: normalizedKeyId,
+        senderUserId: req.userId,
+        recipientUserId: envelope.recipientUserId,
+        payload: envelope.payload,
+      })),
+    );
+
+    return res.json({ message: "Sender key shared", keyId: normalizedKeyId, epoch });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Sender keys wrapped for the caller, optionally for one epoch only
+router.get("/:roomId/sender-keys", async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!isValidObjectId(roomId)) {
+      return res.status(400).json({ message: "Invalid roomId" });
+    }
+
+    const room = await ChatRoom.findById(roomId).select("_id members");
+    if (!room) {
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    if (!isRoomMember(room, req.userId)) {
+      return res.status(403).json({ message: "Only room members can read room keys" });
+    }
+
+    const query = { room: roomId, recipientUserId: req.userId };
+    if (req.query.epoch !== undefined) {
+      query.epoch = Number(req.query.epoch);
+      if (!Number.isInteger(query.epoch)) {
+        return res.status(400).json({ message: "Invalid epoch" });
+      }
+    }
+
+    const senderKeys = await RoomSenderKey.find(query)
+      .select("epoch keyId senderUserId payload createdAt")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return res.json({ senderKeys });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// Get single chat room
+router.get("/:roomId", async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.roomId)) {
+      return res.status(400).json({ message: "Invalid roomId" });
+    }
+
+    const room = await ChatRoom.findById(req.params.roomId)
+      .populate("createdBy", "username email")
+      .populate("members", "username email onlineStatus createdAt");
+
+    if (!room) {
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    if (!isRoomMember(room, req.userId)) {
+      return res.status(403).json({ message: "Only room members can view this room" });
+    }
+
+    res.json(room);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Delete a chat room and its history (owner only)
+router.delete("/:roomId", async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.roomId)) {
+      return res.status(400).json({ message: "Invalid roomId" });
+    }
+
+    if (isActorMismatch(req, req.body?.actorId, req.query.actorId)) {
+      return res.status(403).json({ message: "actorId does not match the authenticated user" });
+    }
+
+    const room = await ChatRoom.findById(req.params.roomId);
+
+    if (!room) {
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    if (getRoomRole(room, req.userId) !== "owner") {
+      return res.status(403).json({ message: "Only the room owner can delete this room" });
     }
 
+    await ChatRoom.deleteOne({ _id: room._id });
+    await deleteRoomData(room);
     emitRoomRemoved(req.app.get("io"), room._id, room.members || [], "deleted");
 
     res.json({ message: "Room deleted successfully", room });
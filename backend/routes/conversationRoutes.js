@@ -0,0 +1,219 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Message = require("../models/Message");
+const ChatRoom = require("../models/ChatRoom");
+const ReadCursor = require("../models/ReadCursor");
+const { verifyToken } = require("../middleware/auth");
+const { getConversationKey } = require("../utils/readCursors");
+
+router.use(verifyToken);
+
+const PREVIEW_MAX_LENGTH = 120;
+// Badges show "99+", so counting stops a little past that.
+const UNREAD_COUNT_LIMIT = 100;
+const INLINE_ATTACHMENT_KIND = "chat_attachment";
+
+function toObjectId(value) {
+  return new mongoose.Types.ObjectId(String(value));
+}
+
+function truncatePreview(text) {
+  const normalized = String(text || "").replace(/\s+/g, " ").trim();
+  return normalized.length > PREVIEW_MAX_LENGTH ? `${normalized.slice(0, PREVIEW_MAX_LENGTH - 3)}...` : normalized;
+}
+
+function describeAttachment(mimeType, fileName) {
+  const label = String(mimeType || "").startsWith("image/") ? "Image" : "File";
+  return fileName ? `${label}: ${fileName}` : label;
+}
+
+// Builds the sidebar preview for a message. Encrypted text is passed through
+// for the client to decrypt; encrypted files are only described, since their
+// inline payload can be several megabytes.
+function summarizeMessage(message) {
+  if (!message) {
+    return null;
+  }
+
+  const summary = {
+    _id: String(message._id),
+    senderUserId: String(message.senderUserId),
+    messageType: message.messageType || "text",
+    isEncrypted: Boolean(message.isEncrypted),
+    createdAt: message.createdAt,
+    preview: "",
+    messageContent: "",
+  };
+
+  // Checked before the attachment reference: an encrypted file's upload is
+  // ciphertext under a placeholder name.
+  if (message.isEncrypted) {
+    if (summary.messageType === "text") {
+      summary.messageContent = message.messageContent;
+    } else {
+      summary.preview = summary.messageType === "image" ? "Image" : "File";
+    }
+    return summary;
+  }
+
+  if (message.attachment?.attachmentId) {
+    summary.preview = describeAttachment(message.attachment.mimeType, message.attachment.fileName);
+    return summary;
+  }
+
+  if (summary.messageType !== "text") {
+    try {
+      const parsed = JSON.parse(message.messageContent);
+      if (parsed?.kind === INLINE_ATTACHMENT_KIND) {
+        summary.preview = describeAttachment(parsed.mimeType, parsed.name);
+        return summary;
+      }
+    } catch {
+      // not an inline attachment payload
+    }
+  }
+
+  summary.preview = truncatePreview(message.messageContent);
+  return summary;
+}
+
+// Latest message id per group. `sort` starts with the match's equality
+// fields and the group key so one of the Message indexes serves it; only ids
+// go through $group and the messages themselves are loaded afterwards.
+async function findLatestMessageIds(match, sort, groupBy) {
+  return Message.aggregate([
+    { $match: match },
+    { $sort: sort },
+    { $group: { _id: groupBy, messageId: { $first: "$_id" } } },
+  ]);
+}
+
+function pickNewerMessage(first, second) {
+  if (!first || !second) {
+    return first || second;
+  }
+
+  return new Date(second.createdAt).getTime() > new Date(first.createdAt).getTime() ? second : first;
+}
+
+// Every room the user belongs to and every DM they have exchanged messages in,
+// with the last message and an unread count derived from their read cursors.
+router.get("/", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const userObjectId = toObjectId(userId);
+
+    const rooms = await ChatRoom.find({ members: userId }).select("_id createdAt").lean();
+    const roomIds = rooms.map((room) => room._id);
+
+    // Messages the user deleted (or cleared) for themselves, messages deleted
+    // for everyone and expired disappearing messages do not count.
+    const visibleToUser = {
+      hiddenFor: { $ne: userObjectId },
+      deletedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    };
+
+    const [roomLatest, sentLatest, receivedLatest, cursors] = await Promise.all([
+      findLatestMessageIds(
+        { receiverUserIdOrRoomId: { $in: roomIds }, ...visibleToUser },
+        { receiverUserIdOrRoomId: 1, createdAt: -1, _id: -1 },
+        "$receiverUserIdOrRoomId",
+      ),
+      findLatestMessageIds(
+        { senderUserId: userObjectId, ...visibleToUser },
+        { senderUserId: 1, receiverUserIdOrRoomId: 1, createdAt: -1, _id: -1 },
+        "$receiverUserIdOrRoomId",
+      ),
+      findLatestMessageIds(
+        { receiverUserIdOrRoomId: userObjectId, ...visibleToUser },
+        { receiverUserIdOrRoomId: 1, createdAt: -1, _id: -1 },
+        "$senderUserId",
+      ),
+      ReadCursor.find({ user: userId }).select("conversation readUpTo").lean(),
+    ]);
+
+    const latestMessages = await Message.find({
+      _id: { $in: [...roomLatest, ...sentLatest, ...receivedLatest].map((entry) => entry.messageId) },
+    }).lean();
+    const messagesById = new Map(latestMessages.map((message) => [String(message._id), message]));
+    const getMessage = (entry) => messagesById.get(String(entry.messageId)) || null;
+
+    const readUpToByConversation = new Map(cursors.map((cursor) => [cursor.conversation, cursor.readUpTo]));
+    const roomLatestById = new Map(roomLatest.map((entry) => [String(entry._id), getMessage(entry)]));
+
+    // A DM's latest message is the newer of the last one sent and received
+    const dmLatestByPeer = new Map();
+    [...sentLatest, ...receivedLatest].forEach((entry) => {
+      const peerId = String(entry._id);
+      dmLatestByPeer.set(peerId, pickNewerMessage(dmLatestByPeer.get(peerId), getMessage(entry)));
+    });
+
+    // Messages the user sent to rooms show up among the sent messages too; any
+    // target that is (or was) a room is not a DM peer.
+    const roomTargets = await ChatRoom.find({ _id: { $in: sentLatest.map((entry) => entry._id) } }).distinct("_id");
+    const roomTargetIds = new Set(roomTargets.map(String));
+    const dmLatest = [...dmLatestByPeer]
+      .filter(([peerId, message]) => message && !roomTargetIds.has(peerId))
+      .map(([peerId, message]) => ({ peerId, message }));
+
+    // Room events such as a timer or topic change are not unread messages
+    const unreadBase = { messageType: { $ne: "system" }, ...visibleToUser };
+
+    const conversations = [
+      ...rooms.map((room) => ({
+        type: "room",
+        targetId: String(room._id),
+        conversationKey: getConversationKey({ type: "room", roomId: String(room._id) }),
+        lastMessage: roomLatestById.get(String(room._id)) || null,
+        fallbackActivityAt: room.createdAt,
+        unreadFilter: { receiverUserIdOrRoomId: room._id, senderUserId: { $ne: userObjectId }, ...unreadBase },
+      })),
+      ...dmLatest.map(({ peerId, message }) => ({
+        type: "dm",
+        targetId: peerId,
+        conversationKey: getConversationKey({ type: "dm", actorUserId: userId, peerUserId: peerId }),
+        lastMessage: message,
+        fallbackActivityAt: null,
+        unreadFilter: { senderUserId: toObjectId(peerId), receiverUserIdOrRoomId: userObjectId, ...unreadBase },
+      })),
+    ];
+
+    const summaries = await Promise.all(
+      conversations.map(async (conversation) => {
+        const readUpTo = readUpToByConversation.get(conversation.conversationKey);
+        const unreadFilter = readUpTo
+          ? { ...conversation.unreadFilter, createdAt: { $gt: readUpTo } }
+          : conversation.unreadFilter;
+        // Only conversations with activity past the read cursor are counted,
+        // so a sidebar load usually runs no counts at all.
+        const hasUnreadActivity =
+          conversation.lastMessage &&
+          (!readUpTo || new Date(conversation.lastMessage.createdAt).getTime() > new Date(readUpTo).getTime());
+        const unreadCount = hasUnreadActivity
+          ? await Message.countDocuments(unreadFilter, { limit: UNREAD_COUNT_LIMIT })
+          : 0;
+
+        return {
+          type: conversation.type,
+          targetId: conversation.targetId,
+          conversationKey: conversation.conversationKey,
+          lastMessage: summarizeMessage(conversation.lastMessage),
+          lastActivityAt: conversation.lastMessage?.createdAt || conversation.fallbackActivityAt || null,
+          unreadCount,
+        };
+      }),
+    );
+
+    summaries.sort(
+      (first, second) => new Date(second.lastActivityAt || 0).getTime() - new Date(first.lastActivityAt || 0).getTime(),
+    );
+
+    res.json({ conversations: summaries });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
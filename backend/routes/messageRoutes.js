@@ -2,34 +2,47 @@ const express = require("express");
 const mongoose = require("mongoose");
 const router = express.Router();
 const Message = require("../models/Message");
+const Attachment = require("../models/Attachment");
 const ChatRoom = require("../models/ChatRoom");
+const DisappearingTimer = require("../models/DisappearingTimer");
 const User = require("../models/User");
+const { verifyToken, isActorMismatch } = require("../middleware/auth");
+const {
+  toStringId,
+  getMessageRooms,
+  getConversationRooms,
+  emitToRooms,
+  emitNewMessage,
+  emitMessageDeleted,
+} = require("../utils/messageEvents");
+const { toAttachmentReference, removeUnreferencedAttachments } = require("../utils/attachments");
+const { getConversationKey, advanceReadCursor, getConversationReadCursors } = require("../utils/readCursors");
+const { ROOM_E2EE_ENCRYPTION_METHOD, checkRoomMessageEncryption } = require("../utils/roomEncryption");
+const {
+  isValidDisappearingTimer,
+  describeDisappearingTimer,
+  serializeDisappearingTimer,
+  getDisappearingTimer,
+  getMessageExpiry,
+  startReadTimers,
+} = require("../utils/disappearingMessages");
+const { postSystemMessage } = require("../utils/systemMessages");
+const { getRoomRole, hasRoomPermission } = require("../utils/roomRoles");
+
+router.use(verifyToken);
+
+const DEFAULT_MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+const MESSAGE_EDIT_WINDOW_MS = (Number(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const MAX_MESSAGE_REVISIONS = 20;
+const DEFAULT_SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const SEARCHABLE_MESSAGE_TYPES = ["text", "image", "file"];
 
 function isValidObjectId(value) {
   return mongoose.Types.ObjectId.isValid(String(value || ""));
 }
 
-function toStringId(value) {
-  if (!value) {
-    return "";
-  }
-
-  if (typeof value === "string") {
-    return value;
-  }
-
-  if (typeof value === "object" && value._id) {
-    return String(value._id);
-  }
-
-  if (typeof value.toString === "function") {
-    const serialized = value.toString();
-    return serialized === "[object Object]" ? "" : serialized;
-  }
-
-  return "";
-}
-
 function isRoomMember(room, userId) {
   return (room.members || []).some((member) => toStringId(member) === String(userId));
 }
@@ -43,13 +56,131 @@ async function populateMessageReferences(message) {
   await message.populate("reactions.user", "username");
   await message.populate({
     path: "replyTo",
-    select: "messageContent senderUserId createdAt receiverUserIdOrRoomId",
+    select: "messageContent messageType attachment senderUserId createdAt receiverUserIdOrRoomId deletedAt",
   });
   await message.populate("replyTo.senderUserId", "username email");
 
   return message;
 }
 
+function populateMessageQuery(query) {
+  return query
+    .populate("senderUserId", "username email")
+    .populate("reactions.user", "username")
+    .populate({
+      path: "replyTo",
+      select: "messageContent messageType attachment senderUserId createdAt receiverUserIdOrRoomId deletedAt",
+    })
+    .populate("replyTo.senderUserId", "username email");
+}
+
+function parsePageLimit(rawLimit) {
+  const limit = Number.parseInt(rawLimit, 10);
+  if (!Number.isFinite(limit) || limit <= 0) {
+    return DEFAULT_MESSAGE_PAGE_SIZE;
+  }
+
+  return Math.min(limit, MAX_MESSAGE_PAGE_SIZE);
+}
+
+// Expired messages stay hidden until the sweeper gets to them
+function getUnexpiredFilter() {
+  return { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+}
+
+// Loads one page of a conversation's history. `before`/`after` are message ids;
+// without either the newest page is returned. `around` returns the message
+// with up to half a page on each side of it, for jumping to a search hit.
+// Messages are always returned in ascending order so clients can append or
+// prepend pages directly.
+async function fetchMessagePage(conversationFilter, { before, after, around, limit: rawLimit } = {}) {
+  if ([before, after, around].filter(Boolean).length > 1) {
+    return { error: { status: 400, message: "Use only one of before, after or around" } };
+  }
+
+  if (around) {
+    return fetchMessagesAround(conversationFilter, around, parsePageLimit(rawLimit));
+  }
+
+  const cursorId = before || after;
+  if (cursorId && !isValidObjectId(cursorId)) {
+    return { error: { status: 400, message: "Invalid message cursor" } };
+  }
+
+  const limit = parsePageLimit(rawLimit);
+  const filter = { ...conversationFilter, $and: [getUnexpiredFilter()] };
+
+  if (cursorId) {
+    const cursorMessage = await Message.findById(cursorId).select("_id createdAt");
+    if (!cursorMessage) {
+      return { error: { status: 404, message: "Cursor message not found" } };
+    }
+
+    const comparator = before ? "$lt" : "$gt";
+    filter.$and.push({
+      $or: [
+        { createdAt: { [comparator]: cursorMessage.createdAt } },
+        { createdAt: cursorMessage.createdAt, _id: { [comparator]: cursorMessage._id } },
+      ],
+    });
+  }
+
+  const sortDirection = after ? 1 : -1;
+  const messages = await populateMessageQuery(
+    Message.find(filter)
+      .sort({ createdAt: sortDirection, _id: sortDirection })
+      .limit(limit + 1),
+  );
+
+  const hasMore = messages.length > limit;
+  const page = hasMore ? messages.slice(0, limit) : messages;
+  if (!after) {
+    page.reverse();
+  }
+
+  return {
+    messages: page,
+    pageInfo: {
+      limit,
+      hasMoreBefore: after ? true : hasMore,
+      hasMoreAfter: after ? hasMore : Boolean(before),
+      startCursor: page.length > 0 ? String(page[0]._id) : null,
+      endCursor: page.length > 0 ? String(page[page.length - 1]._id) : null,
+    },
+  };
+}
+
+async function fetchMessagesAround(conversationFilter, messageId, limit) {
+  if (!isValidObjectId(messageId)) {
+    return { error: { status: 400, message: "Invalid message cursor" } };
+  }
+
+  const message = await populateMessageQuery(
+    Message.findOne({ ...conversationFilter, _id: messageId, $and: [getUnexpiredFilter()] }),
+  );
+  if (!message) {
+    return { error: { status: 404, message: "Message not found in this conversation" } };
+  }
+
+  const sideLimit = Math.max(Math.floor((limit - 1) / 2), 1);
+  const [olderPage, newerPage] = await Promise.all([
+    fetchMessagePage(conversationFilter, { before: messageId, limit: sideLimit }),
+    fetchMessagePage(conversationFilter, { after: messageId, limit: sideLimit }),
+  ]);
+  const messages = [...olderPage.messages, message, ...newerPage.messages];
+
+  return {
+    messages,
+    pageInfo: {
+      limit,
+      hasMoreBefore: olderPage.pageInfo.hasMoreBefore,
+      hasMoreAfter: newerPage.pageInfo.hasMoreAfter,
+      startCursor: String(messages[0]._id),
+      endCursor: String(messages[messages.length - 1]._id),
+    },
+  };
+}
+
 async function ensureSendPermissions(senderUserId, receiverUserIdOrRoomId) {
   if (!isValidObjectId(senderUserId) || !isValidObjectId(receiverUserIdOrRoomId)) {
     return { error: { status: 400, message: "Invalid sender or receiver identifier" } };
@@ -57,7 +188,7 @@ async function ensureSendPermissions(senderUserId, receiverUserIdOrRoomId) {
 
   const [sender, room] = await Promise.all([
     User.findById(senderUserId).select("_id following"),
-    ChatRoom.findById(receiverUserIdOrRoomId).select("_id members"),
+    ChatRoom.findById(receiverUserIdOrRoomId).select("_id members e2eeEnabled keyEpoch"),
   ]);
 
   if (!sender) {
@@ -69,7 +200,7 @@ async function ensureSendPermissions(senderUserId, receiverUserIdOrRoomId) {
       return { error: { status: 403, message: "Only room members can send messages to this room" } };
     }
 
-    return { context: { type: "room", roomId: room._id.toString() } };
+    return { context: { type: "room", roomId: room._id.toString() }, room };
   }
 
   const receiverUser = await User.findById(receiverUserIdOrRoomId).select("_id");
@@ -98,13 +229,17 @@ async function ensureReplyMessageInConversation(replyToMessageId, context, sende
   }
 
   const replyMessage = await Message.findById(replyToMessageId).select(
-    "_id senderUserId receiverUserIdOrRoomId",
+    "_id senderUserId receiverUserIdOrRoomId messageType deletedAt",
   );
 
-  if (!replyMessage) {
+  if (!replyMessage || replyMessage.deletedAt) {
     return { error: { status: 404, message: "Reply target message not found" } };
   }
 
+  if (replyMessage.messageType === "system") {
+    return { error: { status: 400, message: "System messages cannot be replied to" } };
+  }
+
   if (context.type === "room") {
     const isSameRoom = String(replyMessage.receiverUserIdOrRoomId) === String(receiverUserIdOrRoomId);
     if (!isSameRoom) {
@@ -136,7 +271,7 @@ async function resolveConversationContext(actorUserId, receiverUserIdOrRoomId) {
 
   const [actorUser, room] = await Promise.all([
     User.findById(actorUserId).select("_id"),
-    ChatRoom.findById(receiverUserIdOrRoomId).select("_id createdBy members"),
+    ChatRoom.findById(receiverUserIdOrRoomId).select("_id createdBy members roles e2eeEnabled keyEpoch"),
   ]);
 
   if (!actorUser) {
@@ -154,8 +289,10 @@ async function resolveConversationContext(actorUserId, receiverUserIdOrRoomId) {
         type: "room",
         actorUserId: String(actorUser._id),
         roomId: String(room._id),
-        roomCreatedBy: toStringId(room.createdBy),
+        roomRole: getRoomRole(room, actorUserId),
         roomMemberIds: (room.members || []).map((member) => toStringId(member)).filter(Boolean),
+        roomE2eeEnabled: Boolean(room.e2eeEnabled),
+        roomKeyEpoch: room.keyEpoch || 0,
       },
     };
   }
@@ -174,107 +311,69 @@ async function resolveConversationContext(actorUserId, receiverUserIdOrRoomId) {
   };
 }
 
-function canActorDeleteMessage({ message, actorUserId, conversationContext }) {
+async function ensureMessageAccess(message, actorUserId) {
   const actorId = String(actorUserId || "");
   const senderId = toStringId(message?.senderUserId);
-  const receiverId = toStringId(message?.receiverUserIdOrRoomId);
+  const targetId = toStringId(message?.receiverUserIdOrRoomId);
 
-  if (!actorId || !senderId || !conversationContext) {
-    return false;
+  if (!actorId || !senderId || !targetId) {
+    return { error: { status: 403, message: "You do not have access to this message" } };
   }
 
-  if (conversationContext.type === "room") {
-    const roomCreatorId = String(conversationContext.roomCreatedBy || "");
-    return senderId === actorId || roomCreatorId === actorId;
+  if (senderId === actorId || targetId === actorId) {
+    return { ok: true };
   }
 
-  return senderId === actorId || receiverId === actorId;
-}
+  const room = await ChatRoom.findById(targetId).select("_id members");
+  if (!room || !isRoomMember(room, actorId)) {
+    return { error: { status: 403, message: "You do not have access to this message" } };
+  }
 
-function normalizeReactions(reactions) {
-  return reactions.map((reaction) => ({
-    user: reaction.user?._id?.toString?.() || reaction.user?.toString?.() || "",
-    emoji: reaction.emoji,
-  }));
+  return { ok: true };
 }
 
-function getMessageRooms(message) {
+function isMessageInConversation(message, context) {
   const senderId = toStringId(message.senderUserId);
-  const targetId = toStringId(message.receiverUserIdOrRoomId);
-  const rooms = new Set();
-
-  if (senderId) {
-    rooms.add(`user:${senderId}`);
-  }
+  const receiverId = toStringId(message.receiverUserIdOrRoomId);
 
-  if (targetId) {
-    rooms.add(`user:${targetId}`);
-    rooms.add(`room:${targetId}`);
-    rooms.add(`conversation:${targetId}`);
-
-    if (senderId) {
-      rooms.add(`dm:${[senderId, targetId].sort().join(":")}`);
-    }
+  if (context.type === "room") {
+    return receiverId === context.roomId;
   }
 
-  return Array.from(rooms);
+  return (
+    (senderId === context.actorUserId && receiverId === context.peerUserId) ||
+    (senderId === context.peerUserId && receiverId === context.actorUserId)
+  );
 }
 
-function getConversationRooms({
-  type,
-  actorUserId,
-  peerUserId,
-  roomId,
-  roomMemberIds = [],
-}) {
-  const rooms = new Set();
-
-  if (type === "dm") {
-    const actorId = String(actorUserId || "");
-    const targetId = String(peerUserId || "");
-
-    if (actorId) {
-      rooms.add(`user:${actorId}`);
-    }
-
-    if (targetId) {
-      rooms.add(`user:${targetId}`);
-    }
-
-    if (actorId && targetId) {
-      rooms.add(`dm:${[actorId, targetId].sort().join(":")}`);
-    }
+// Deleting for everyone: the sender, or a room moderator or above.
+// Anyone else in the conversation can only delete a message for themselves.
+function canActorDeleteMessage({ message, actorUserId, conversationContext }) {
+  const actorId = String(actorUserId || "");
+  const senderId = toStringId(message?.senderUserId);
 
-    return Array.from(rooms);
+  if (!actorId || !senderId || !conversationContext) {
+    return false;
   }
 
-  const normalizedRoomId = String(roomId || "");
-  if (normalizedRoomId) {
-    rooms.add(`room:${normalizedRoomId}`);
-    rooms.add(`conversation:${normalizedRoomId}`);
+  if (conversationContext.type === "room") {
+    return senderId === actorId || hasRoomPermission(conversationContext.roomRole, "deleteMessages");
   }
 
-  (roomMemberIds || []).forEach((memberId) => {
-    const normalizedMemberId = String(memberId || "");
-    if (normalizedMemberId) {
-      rooms.add(`user:${normalizedMemberId}`);
-    }
-  });
-
-  return Array.from(rooms);
+  return senderId === actorId;
 }
 
-function emitToRooms(io, rooms, eventName, payload) {
-  if (!io || !Array.isArray(rooms) || rooms.length === 0 || !eventName) {
-    return;
-  }
-
-  let emitter = io;
-  rooms.forEach((room) => {
-    emitter = emitter.to(room);
-  });
+// "me" or "everyone"; an empty string for anything else
+function parseDeleteScope(rawScope, defaultScope) {
+  const scope = String(rawScope || defaultScope).trim().toLowerCase();
+  return scope === "me" || scope === "everyone" ? scope : "";
+}
 
-  emitter.emit(eventName, payload);
+function normalizeReactions(reactions) {
+  return reactions.map((reaction) => ({
+    user: reaction.user?._id?.toString?.() || reaction.user?.toString?.() || "",
+    emoji: reaction.emoji,
+  }));
 }
 
 function emitReactionUpdate(io, message, action) {
@@ -291,28 +390,76 @@ function emitReactionUpdate(io, message, action) {
   emitToRooms(io, getMessageRooms(message), "message:reaction_updated", payload);
 }
 
-function emitNewMessage(io, message) {
-  if (!io) {
+// Only the actor's own devices hear about messages they hid for themselves
+function emitMessageHidden(io, message, actorUserId) {
+  if (!io || !message?._id) {
     return;
   }
 
-  emitToRooms(io, getMessageRooms(message), "message:new", {
-    data: message,
+  emitToRooms(io, [`user:${actorUserId}`], "message:hidden", {
+    messageId: message._id.toString(),
+    receiverUserIdOrRoomId: toStringId(message.receiverUserIdOrRoomId),
   });
 }
 
-function emitMessageDeleted(io, message, actorUserId) {
+function emitMessageEdited(io, message) {
   if (!io || !message?._id) {
     return;
   }
 
-  emitToRooms(io, getMessageRooms(message), "message:deleted", {
-    messageId: message._id.toString(),
-    receiverUserIdOrRoomId: toStringId(message.receiverUserIdOrRoomId),
-    actorUserId: String(actorUserId || ""),
+  emitToRooms(io, getMessageRooms(message), "message:edited", {
+    data: message,
   });
 }
 
+function emitReceipt(io, context, payload) {
+  if (!io || !context) {
+    return;
+  }
+
+  emitToRooms(io, getConversationRooms(context), "message:receipt", payload);
+}
+
+// Advances the actor's delivered/read cursor up to `message` and tells the
+// other participants. Read receipts also keep the legacy DM readStatus flag
+// in step.
+async function markConversationUpTo(io, context, message, status) {
+  const conversationKey = getConversationKey(context);
+  const { cursor, changed } = await advanceReadCursor(
+    context.actorUserId,
+    conversationKey,
+    status,
+    message.createdAt,
+  );
+
+  if (status === "read") {
+    await startReadTimers(context, message.createdAt);
+  }
+
+  if (status === "read" && context.type === "dm") {
+    await Message.updateMany(
+      {
+        senderUserId: context.peerUserId,
+        receiverUserIdOrRoomId: context.actorUserId,
+        createdAt: { $lte: message.createdAt },
+        readStatus: false,
+      },
+      { readStatus: true },
+    );
+  }
+
+  if (changed) {
+    emitReceipt(io, context, {
+      conversationKey,
+      status,
+      upToMessageId: String(message._id),
+      ...cursor,
+    });
+  }
+
+  return cursor;
+}
+
 function emitConversationCleared(io, context, payload) {
   if (!io || !context) {
     return;
@@ -326,7 +473,6 @@ function emitConversationCleared(io, context, payload) {
 router.post("/send", async (req, res) => {
   try {
     const {
-      senderUserId,
       receiverUserIdOrRoomId,
       messageContent,
       messageType,
@@ -334,12 +480,38 @@ router.post("/send", async (req, res) => {
       encryptionMethod,
       replyToMessageId,
       replyTo,
+      attachmentId,
     } = req.body;
 
-    if (!senderUserId || !receiverUserIdOrRoomId || !messageContent) {
+    if (isActorMismatch(req, req.body.senderUserId)) {
+      return res.status(403).json({ message: "senderUserId does not match the authenticated user" });
+    }
+
+    const senderUserId = req.userId;
+
+    // Uploaded files are sent by reference; only the uploader may attach them.
+    let attachment = null;
+    if (attachmentId) {
+      if (!isValidObjectId(attachmentId)) {
+        return res.status(400).json({ message: "Invalid attachmentId" });
+      }
+
+      attachment = await Attachment.findById(attachmentId);
+      if (!attachment || String(attachment.uploader) !== String(senderUserId)) {
+        return res.status(404).json({ message: "Attachment not found" });
+      }
+    }
+
+    const resolvedMessageContent = messageContent || attachment?.fileName;
+
+    if (!receiverUserIdOrRoomId || !resolvedMessageContent) {
       return res.status(400).json({ message: "All fields required" });
     }
 
+    if (messageType === "system") {
+      return res.status(400).json({ message: "System messages cannot be sent" });
+    }
+
     const permissionResult = await ensureSendPermissions(senderUserId, receiverUserIdOrRoomId);
     if (permissionResult.error) {
       return res.status(permissionResult.error.status).json({ message: permissionResult.error.message });
@@ -360,44 +532,86 @@ router.post("/send", async (req, res) => {
 
     const normalizedIsEncrypted = Boolean(isEncrypted);
     const requestedEncryptionMethod = String(encryptionMethod || "").trim();
-    const allowedEncryptionMethods = new Set(["AES", "RSA", "E2EE-AES-GCM", "none"]);
+    const allowedEncryptionMethods = new Set(["AES", "RSA", "E2EE-AES-GCM", ROOM_E2EE_ENCRYPTION_METHOD, "none"]);
     const normalizedEncryptionMethod = normalizedIsEncrypted
       ? (allowedEncryptionMethods.has(requestedEncryptionMethod) ? requestedEncryptionMethod : "AES")
       : "none";
 
+    if (permissionResult.room) {
+      const encryptionResult = checkRoomMessageEncryption(permissionResult.room, {
+        isEncrypted: normalizedIsEncrypted,
+        encryptionMethod: normalizedEncryptionMethod,
+        messageContent: resolvedMessageContent,
+      });
+      if (encryptionResult.error) {
+        return res
+          .status(encryptionResult.error.status)
+          .json({ message: encryptionResult.error.message, keyEpoch: encryptionResult.error.keyEpoch });
+      }
+    }
+
+    const conversationKey = getConversationKey({
+      type: permissionResult.context.type,
+      roomId: permissionResult.context.roomId,
+      actorUserId: String(senderUserId),
+      peerUserId: permissionResult.context.receiverUserId,
+    });
+    const disappearingTimer = await getDisappearingTimer(conversationKey);
+
     const newMessage = new Message({
       senderUserId,
       receiverUserIdOrRoomId,
-      messageContent,
-      messageType: messageType || "text",
+      messageContent: resolvedMessageContent,
+      // Encrypted uploads are opaque ciphertext, so only the sender knows
+      // whether they hold an image.
+      messageType: attachment && !normalizedIsEncrypted
+        ? (attachment.mimeType.startsWith("image/") ? "image" : "file")
+        : messageType || (attachment ? "file" : "text"),
+      attachment: attachment ? toAttachmentReference(attachment) : null,
       readStatus: false,
       isEncrypted: normalizedIsEncrypted,
       encryptionMethod: normalizedEncryptionMethod,
       replyTo: replyValidationResult.replyToMessageId,
       reactions: [],
+      ...getMessageExpiry(disappearingTimer, new Date()),
     });
 
     await newMessage.save();
+    if (attachment?.unsentExpiresAt) {
+      await Attachment.updateOne({ _id: attachment._id }, { $set: { unsentExpiresAt: null } });
+    }
     await populateMessageReferences(newMessage);
 
     const io = req.app.get("io");
     emitNewMessage(io, newMessage);
 
+    // Sending implies having read everything before it
+    await advanceReadCursor(senderUserId, conversationKey, "read", newMessage.createdAt);
+
     res.json({ message: "Message sent successfully", data: newMessage });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Clear all messages in a conversation (direct chat or room)
+// Clear a conversation. With scope "me" (the default) every current message
+// is hidden for the actor only; members with the clearHistory permission
+// (admins and the owner) can also clear a room for everyone with scope
+// "everyone".
 router.delete("/conversation/clear", async (req, res) => {
   try {
-    const actorUserId = req.body?.actorUserId || req.query.actorUserId;
     const receiverUserIdOrRoomId =
       req.body?.receiverUserIdOrRoomId || req.query.receiverUserIdOrRoomId;
+    const scope = parseDeleteScope(req.body?.scope || req.query.scope, "me");
+
+    if (isActorMismatch(req, req.body?.actorUserId, req.query.actorUserId)) {
+      return res.status(403).json({ message: "actorUserId does not match the authenticated user" });
+    }
+
+    const actorUserId = req.userId;
 
-    if (!actorUserId || !receiverUserIdOrRoomId) {
-      return res.status(400).json({ message: "actorUserId and receiverUserIdOrRoomId are required" });
+    if (!receiverUserIdOrRoomId) {
+      return res.status(400).json({ message: "receiverUserIdOrRoomId is required" });
     }
 
     const contextResult = await resolveConversationContext(actorUserId, receiverUserIdOrRoomId);
@@ -405,33 +619,60 @@ router.delete("/conversation/clear", async (req, res) => {
       return res.status(contextResult.error.status).json({ message: contextResult.error.message });
     }
 
-    const { context } = contextResult;
-    let deleteQuery;
-
-    if (context.type === "room") {
-      const roomCreatorId = String(context.roomCreatedBy || "");
-      if (roomCreatorId !== String(actorUserId)) {
-        return res.status(403).json({ message: "Only room creator can clear room chat" });
-      }
+    if (!scope) {
+      return res.status(400).json({ message: "scope must be \"me\" or \"everyone\"" });
+    }
 
-      deleteQuery = { receiverUserIdOrRoomId };
-    } else {
-      deleteQuery = {
+    const { context } = contextResult;
+    const conversationQuery = context.type === "room"
+      ? { receiverUserIdOrRoomId }
+      : {
         $or: [
           { senderUserId: actorUserId, receiverUserIdOrRoomId },
           { senderUserId: receiverUserIdOrRoomId, receiverUserIdOrRoomId: actorUserId },
         ],
       };
+    const io = req.app.get("io");
+
+    if (scope === "me") {
+      const hideResult = await Message.updateMany(
+        { ...conversationQuery, hiddenFor: { $ne: actorUserId } },
+        { $addToSet: { hiddenFor: actorUserId } },
+      );
+
+      emitToRooms(io, [`user:${actorUserId}`], "conversation:cleared", {
+        receiverUserIdOrRoomId: String(receiverUserIdOrRoomId),
+        actorUserId: String(actorUserId),
+        deletedCount: hideResult.modifiedCount || 0,
+        conversationType: context.type,
+        scope,
+      });
+
+      return res.json({
+        message: "Conversation cleared for you",
+        deletedCount: hideResult.modifiedCount || 0,
+      });
+    }
+
+    if (context.type !== "room") {
+      return res.status(403).json({ message: "Direct chats can only be cleared for yourself" });
+    }
+
+    if (!hasRoomPermission(context.roomRole, "clearHistory")) {
+      return res.status(403).json({ message: "Only room admins can clear room chat" });
     }
 
+    const deleteQuery = conversationQuery;
+    const attachmentIds = await Message.distinct("attachment.attachmentId", deleteQuery);
     const deleteResult = await Message.deleteMany(deleteQuery);
+    await removeUnreferencedAttachments(attachmentIds);
 
-    const io = req.app.get("io");
     emitConversationCleared(io, context, {
       receiverUserIdOrRoomId: String(receiverUserIdOrRoomId),
       actorUserId: String(actorUserId),
       deletedCount: deleteResult.deletedCount || 0,
       conversationType: context.type,
+      scope,
     });
 
     return res.json({
@@ -443,25 +684,169 @@ router.delete("/conversation/clear", async (req, res) => {
   }
 });
 
-// Delete a particular message
+// Mark a conversation delivered/read up to a message (inclusive)
+function createConversationReceiptHandler(status) {
+  return async (req, res) => {
+    try {
+      const { receiverUserIdOrRoomId, upToMessageId } = req.body || {};
+
+      const contextResult = await resolveConversationContext(req.userId, receiverUserIdOrRoomId);
+      if (contextResult.error) {
+        return res.status(contextResult.error.status).json({ message: contextResult.error.message });
+      }
+
+      if (!isValidObjectId(upToMessageId)) {
+        return res.status(400).json({ message: "Invalid upToMessageId" });
+      }
+
+      const message = await Message.findById(upToMessageId).select("_id senderUserId receiverUserIdOrRoomId createdAt");
+      if (!message || !isMessageInConversation(message, contextResult.context)) {
+        return res.status(404).json({ message: "Message not found in this conversation" });
+      }
+
+      const receipt = await markConversationUpTo(req.app.get("io"), contextResult.context, message, status);
+      return res.json({ message: `Conversation marked as ${status}`, receipt });
+    } catch (error) {
+      return res.status(500).json({ message: error.message });
+    }
+  };
+}
+
+router.put("/conversation/delivered", createConversationReceiptHandler("delivered"));
+router.put("/conversation/read", createConversationReceiptHandler("read"));
+
+// Disappearing messages timer of a conversation; `timer` is null when off
+router.get("/conversation/disappearing", async (req, res) => {
+  try {
+    const contextResult = await resolveConversationContext(req.userId, req.query.receiverUserIdOrRoomId);
+    if (contextResult.error) {
+      return res.status(contextResult.error.status).json({ message: contextResult.error.message });
+    }
+
+    const timer = await getDisappearingTimer(getConversationKey(contextResult.context));
+    return res.json({ timer: serializeDisappearingTimer(timer) });
+  } catch (error) {
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// Set or turn off (durationSeconds 0) the disappearing messages timer. Either
+// side of a DM may change it; in rooms it takes the changeDisappearingTimer
+// permission (admins and the owner). Messages already sent keep the timer
+// they were sent with.
+router.put("/conversation/disappearing", async (req, res) => {
+  try {
+    const { receiverUserIdOrRoomId, startsOn = "sent" } = req.body || {};
+    const durationSeconds = Number(req.body?.durationSeconds) || 0;
+
+    if (durationSeconds !== 0 && !isValidDisappearingTimer(durationSeconds, startsOn)) {
+      return res.status(400).json({ message: "Unsupported disappearing messages timer" });
+    }
+
+    const contextResult = await resolveConversationContext(req.userId, receiverUserIdOrRoomId);
+    if (contextResult.error) {
+      return res.status(contextResult.error.status).json({ message: contextResult.error.message });
+    }
+
+    const { context } = contextResult;
+    if (context.type === "room" && !hasRoomPermission(context.roomRole, "changeDisappearingTimer")) {
+      return res.status(403).json({ message: "Only room admins can change disappearing messages" });
+    }
+
+    // The change is announced in the chat, so it needs the right to send there.
+    if (context.type === "dm") {
+      const permissionResult = await ensureSendPermissions(req.userId, receiverUserIdOrRoomId);
+      if (permissionResult.error) {
+        return res.status(permissionResult.error.status).json({ message: permissionResult.error.message });
+      }
+    }
+
+    const conversationKey = getConversationKey(context);
+    const previousTimer = await getDisappearingTimer(conversationKey);
+    const requestedTimer = durationSeconds ? { durationSeconds, startsOn } : null;
+    if (describeDisappearingTimer(previousTimer) === describeDisappearingTimer(requestedTimer)) {
+      return res.json({ timer: serializeDisappearingTimer(previousTimer) });
+    }
+
+    const timer = durationSeconds
+      ? await DisappearingTimer.findOneAndUpdate(
+        { conversation: conversationKey },
+        { durationSeconds, startsOn, updatedBy: req.userId },
+        { upsert: true, returnDocument: "after", setDefaultsOnInsert: true },
+      ).lean()
+      : null;
+
+    if (!timer) {
+      await DisappearingTimer.deleteOne({ conversation: conversationKey });
+    }
+
+    const serializedTimer = serializeDisappearingTimer(timer);
+    const io = req.app.get("io");
+    const actor = await User.findById(req.userId).select("username").lean();
+    const description = describeDisappearingTimer(timer);
+    await postSystemMessage(io, {
+      actorUserId: req.userId,
+      receiverUserIdOrRoomId,
+      text: timer
+        ? `${actor?.username || "Someone"} set disappearing messages to ${description}`
+        : `${actor?.username || "Someone"} turned off disappearing messages`,
+    });
+
+    emitToRooms(io, getConversationRooms(context), "conversation:disappearing_timer_changed", {
+      conversationKey,
+      timer: serializedTimer,
+    });
+
+    return res.json({ timer: serializedTimer });
+  } catch (error) {
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete a message for the actor only (scope "me") or for everyone (the
+// default). Deleting for everyone leaves a tombstone in place of the message.
 router.delete("/:messageId", async (req, res) => {
   try {
-    const actorUserId = req.body?.actorUserId || req.query.actorUserId;
     const { messageId } = req.params;
+    const scope = parseDeleteScope(req.body?.scope || req.query.scope, "everyone");
 
-    if (!actorUserId) {
-      return res.status(400).json({ message: "actorUserId is required" });
+    if (isActorMismatch(req, req.body?.actorUserId, req.query.actorUserId)) {
+      return res.status(403).json({ message: "actorUserId does not match the authenticated user" });
     }
 
+    const actorUserId = req.userId;
+
     if (!isValidObjectId(messageId)) {
       return res.status(400).json({ message: "Invalid messageId" });
     }
 
+    if (!scope) {
+      return res.status(400).json({ message: "scope must be \"me\" or \"everyone\"" });
+    }
+
     const message = await Message.findById(messageId);
     if (!message) {
       return res.status(404).json({ message: "Message not found" });
     }
 
+    const io = req.app.get("io");
+
+    if (scope === "me") {
+      const accessResult = await ensureMessageAccess(message, actorUserId);
+      if (accessResult.error) {
+        return res.status(accessResult.error.status).json({ message: accessResult.error.message });
+      }
+
+      await Message.updateOne({ _id: messageId }, { $addToSet: { hiddenFor: actorUserId } });
+      emitMessageHidden(io, message, actorUserId);
+
+      return res.json({ message: "Message deleted for you", messageId, scope });
+    }
+
+    if (message.deletedAt) {
+      return res.json({ message: "Message already deleted", messageId, scope, data: message });
+    }
+
     const contextResult = await resolveConversationContext(
       actorUserId,
       message.receiverUserIdOrRoomId,
@@ -477,58 +862,422 @@ router.delete("/:messageId", async (req, res) => {
     });
 
     if (!isAllowed) {
-      return res.status(403).json({ message: "You can only delete your own message in this chat" });
+      return res.status(403).json({ message: "You can only delete your own message for everyone" });
     }
 
-    await Message.deleteOne({ _id: messageId });
+    const tombstone = await Message.findByIdAndUpdate(
+      messageId,
+      {
+        $set: {
+          messageContent: "",
+          messageType: "text",
+          attachment: null,
+          isEncrypted: false,
+          encryptionMethod: "none",
+          reactions: [],
+          revisions: [],
+          editedAt: null,
+          deletedAt: new Date(),
+          deletedBy: actorUserId,
+        },
+      },
+      { new: true },
+    );
+    await removeUnreferencedAttachments([message.attachment?.attachmentId]);
+    await populateMessageReferences(tombstone);
 
-    const io = req.app.get("io");
-    emitMessageDeleted(io, message, actorUserId);
+    emitMessageDeleted(io, tombstone, actorUserId);
 
-    return res.json({ message: "Message deleted successfully", messageId });
+    return res.json({ message: "Message deleted successfully", messageId, scope, data: tombstone });
   } catch (error) {
     return res.status(500).json({ message: error.message });
   }
 });
 
-// Get all messages between two users
+// Edit the text of a message. Only the sender may edit, within the edit
+// window; earlier versions are kept as revisions. Encrypted DMs must be
+// re-encrypted by the client, so the new text arrives already encrypted.
+router.patch("/:messageId", async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { messageContent, isEncrypted } = req.body;
+
+    if (!isValidObjectId(messageId)) {
+      return res.status(400).json({ message: "Invalid messageId" });
+    }
+
+    const nextContent = typeof messageContent === "string" ? messageContent : "";
+    if (!nextContent.trim()) {
+      return res.status(400).json({ message: "messageContent is required" });
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    if (toStringId(message.senderUserId) !== req.userId) {
+      return res.status(403).json({ message: "You can only edit your own messages" });
+    }
+
+    if (message.deletedAt) {
+      return res.status(400).json({ message: "Deleted messages cannot be edited" });
+    }
+
+    if (message.messageType !== "text" || message.attachment?.attachmentId) {
+      return res.status(400).json({ message: "Only text messages can be edited" });
+    }
+
+    if (Date.now() - message.createdAt.getTime() > MESSAGE_EDIT_WINDOW_MS) {
+      return res.status(403).json({ message: "This message can no longer be edited" });
+    }
+
+    // An encrypted message stays encrypted (and a plain one plain).
+    if (Boolean(isEncrypted) !== message.isEncrypted) {
+      return res.status(400).json({
+        message: message.isEncrypted
+          ? "Encrypted messages must be edited with encrypted content"
+          : "Plain messages cannot be edited into encrypted ones",
+      });
+    }
+
+    const contextResult = await resolveConversationContext(req.userId, message.receiverUserIdOrRoomId);
+    if (contextResult.error) {
+      return res.status(contextResult.error.status).json({ message: contextResult.error.message });
+    }
+
+    const { context } = contextResult;
+    if (context.type === "room") {
+      const encryptionResult = checkRoomMessageEncryption(
+        { _id: context.roomId, e2eeEnabled: context.roomE2eeEnabled, keyEpoch: context.roomKeyEpoch },
+        { isEncrypted: message.isEncrypted, encryptionMethod: message.encryptionMethod, messageContent: nextContent },
+      );
+      if (encryptionResult.error) {
+        return res
+          .status(encryptionResult.error.status)
+          .json({ message: encryptionResult.error.message, keyEpoch: encryptionResult.error.keyEpoch });
+      }
+    }
+
+    if (nextContent === message.messageContent) {
+      await populateMessageReferences(message);
+      return res.json({ message: "Message unchanged", data: message });
+    }
+
+    const editedAt = new Date();
+    const updatedMessage = await Message.findOneAndUpdate(
+      { _id: messageId, messageContent: message.messageContent },
+      {
+        $set: { messageContent: nextContent, editedAt },
+        $push: {
+          revisions: {
+            $each: [{
+              messageContent: message.messageContent,
+              isEncrypted: message.isEncrypted,
+              encryptionMethod: message.encryptionMethod,
+              createdAt: message.editedAt || message.createdAt,
+            }],
+            $slice: -MAX_MESSAGE_REVISIONS,
+          },
+        },
+      },
+      { new: true },
+    );
+
+    if (!updatedMessage) {
+      return res.status(409).json({ message: "Message was changed by another request; try again" });
+    }
+
+    await populateMessageReferences(updatedMessage);
+
+    const io = req.app.get("io");
+    emitMessageEdited(io, updatedMessage);
+
+    res.json({ message: "Message edited", data: updatedMessage });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Earlier versions of an edited message, oldest first
+router.get("/:messageId/revisions", async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    if (!isValidObjectId(messageId)) {
+      return res.status(400).json({ message: "Invalid messageId" });
+    }
+
+    const message = await Message.findById(messageId).select("+revisions");
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    const accessResult = await ensureMessageAccess(message, req.userId);
+    if (accessResult.error) {
+      return res.status(accessResult.error.status).json({ message: accessResult.error.message });
+    }
+
+    res.json({
+      messageId,
+      senderUserId: toStringId(message.senderUserId),
+      editedAt: message.editedAt,
+      revisions: message.revisions || [],
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function parseSearchDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(String(value));
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Search the caller's conversations, newest first. Optional filters:
+// senderUserId, receiverUserIdOrRoomId (one conversation), from/to (dates)
+// and type. Page with `before`, the id of the last result. Text messages go
+// through the text index and uploaded images and files match on their file
+// name. Encrypted messages are never matched; clients search those locally.
+router.get("/search", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const query = String(req.query.q || "").trim();
+    const { senderUserId, receiverUserIdOrRoomId, type, before } = req.query;
+    const from = parseSearchDate(req.query.from);
+    const to = parseSearchDate(req.query.to);
+
+    if (!query) {
+      return res.status(400).json({ message: "q is required" });
+    }
+
+    if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({ message: `q must be at most ${MAX_SEARCH_QUERY_LENGTH} characters` });
+    }
+
+    if (type && !SEARCHABLE_MESSAGE_TYPES.includes(type)) {
+      return res.status(400).json({ message: "type must be text, image or file" });
+    }
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ message: "from and to must be dates" });
+    }
+
+    if ((senderUserId && !isValidObjectId(senderUserId)) || (before && !isValidObjectId(before))) {
+      return res.status(400).json({ message: "Invalid senderUserId or before cursor" });
+    }
+
+    const filter = {
+      isEncrypted: false,
+      deletedAt: null,
+      hiddenFor: { $ne: userId },
+      $and: [getUnexpiredFilter()],
+    };
+
+    if (senderUserId) {
+      filter.senderUserId = senderUserId;
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = from;
+      }
+      if (to) {
+        filter.createdAt.$lte = to;
+      }
+    }
+
+    let memberRoomIds = new Set();
+    if (receiverUserIdOrRoomId) {
+      const contextResult = await resolveConversationContext(userId, receiverUserIdOrRoomId);
+      if (contextResult.error) {
+        return res.status(contextResult.error.status).json({ message: contextResult.error.message });
+      }
+
+      const { context } = contextResult;
+      if (context.type === "room") {
+        memberRoomIds = new Set([context.roomId]);
+        filter.receiverUserIdOrRoomId = context.roomId;
+      } else {
+        filter.$and.push({
+          $or: [
+            { senderUserId: userId, receiverUserIdOrRoomId: context.peerUserId },
+            { senderUserId: context.peerUserId, receiverUserIdOrRoomId: userId },
+          ],
+        });
+      }
+    } else {
+      const roomIds = await ChatRoom.find({ members: userId }).distinct("_id");
+      memberRoomIds = new Set(roomIds.map(String));
+
+      // What the caller sent outside their rooms only counts when it went to a
+      // DM peer; rooms they have since left are no longer theirs to search.
+      const sentTargetIds = await Message.distinct("receiverUserIdOrRoomId", { senderUserId: userId });
+      const sentRoomIds = new Set(
+        (await ChatRoom.find({ _id: { $in: sentTargetIds } }).distinct("_id")).map(String),
+      );
+      const dmPeerIds = sentTargetIds.filter((targetId) => !sentRoomIds.has(String(targetId)));
+
+      filter.$and.push({
+        $or: [
+          { receiverUserIdOrRoomId: { $in: roomIds } },
+          { receiverUserIdOrRoomId: userId },
+          { senderUserId: userId, receiverUserIdOrRoomId: { $in: dmPeerIds } },
+        ],
+      });
+    }
+
+    if (before) {
+      const cursorMessage = await Message.findById(before).select("_id createdAt");
+      if (!cursorMessage) {
+        return res.status(404).json({ message: "Cursor message not found" });
+      }
+
+      filter.$and.push({
+        $or: [
+          { createdAt: { $lt: cursorMessage.createdAt } },
+          { createdAt: cursorMessage.createdAt, _id: { $lt: cursorMessage._id } },
+        ],
+      });
+    }
+
+    const searchTypes = type ? [type] : SEARCHABLE_MESSAGE_TYPES;
+    const fileTypes = searchTypes.filter((searchType) => searchType !== "text");
+    const searches = [];
+    if (searchTypes.includes("text")) {
+      searches.push({ ...filter, $text: { $search: query }, messageType: "text" });
+    }
+    if (fileTypes.length > 0) {
+      const words = query.split(/\s+/).filter(Boolean);
+      searches.push({
+        ...filter,
+        messageType: { $in: fileTypes },
+        "attachment.attachmentId": { $exists: true },
+        $and: [
+          ...filter.$and,
+          ...words.map((word) => ({ "attachment.fileName": { $regex: escapeRegex(word), $options: "i" } })),
+        ],
+      });
+    }
+
+    // Each search is paged the same way, so the newest `limit + 1` of their
+    // combined results are the right page.
+    const limit = parsePageLimit(req.query.limit || DEFAULT_SEARCH_PAGE_SIZE);
+    const messages = (
+      await Promise.all(
+        searches.map((search) =>
+          Message.find(search)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .populate("senderUserId", "username email"),
+        ),
+      )
+    )
+      .flat()
+      .sort(
+        (first, second) =>
+          second.createdAt.getTime() - first.createdAt.getTime() || String(second._id).localeCompare(String(first._id)),
+      )
+      .slice(0, limit + 1);
+    const hasMore = messages.length > limit;
+    const page = hasMore ? messages.slice(0, limit) : messages;
+
+    const results = page.map((message) => {
+      const senderId = toStringId(message.senderUserId);
+      const targetId = toStringId(message.receiverUserIdOrRoomId);
+      const isRoomMessage = memberRoomIds.has(targetId);
+
+      return {
+        message,
+        conversation: {
+          type: isRoomMessage ? "room" : "dm",
+          targetId: isRoomMessage || senderId === userId ? targetId : senderId,
+        },
+      };
+    });
+
+    res.json({
+      results,
+      pageInfo: {
+        limit,
+        hasMore,
+        endCursor: page.length > 0 ? String(page[page.length - 1]._id) : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a page of messages between two users
 router.get("/between/:userId1/:userId2", async (req, res) => {
   try {
-    const messages = await Message.find({
-      $or: [
-        { senderUserId: req.params.userId1, receiverUserIdOrRoomId: req.params.userId2 },
-        { senderUserId: req.params.userId2, receiverUserIdOrRoomId: req.params.userId1 },
-      ],
-    })
-      .populate("senderUserId", "username email")
-      .populate("reactions.user", "username")
-      .populate({
-        path: "replyTo",
-        select: "messageContent senderUserId createdAt receiverUserIdOrRoomId",
-      })
-      .populate("replyTo.senderUserId", "username email")
-      .sort({ createdAt: 1 });
-
-    res.json(messages);
+    if (req.userId !== req.params.userId1 && req.userId !== req.params.userId2) {
+      return res.status(403).json({ message: "You can only read your own conversations" });
+    }
+
+    const result = await fetchMessagePage(
+      {
+        $or: [
+          { senderUserId: req.params.userId1, receiverUserIdOrRoomId: req.params.userId2 },
+          { senderUserId: req.params.userId2, receiverUserIdOrRoomId: req.params.userId1 },
+        ],
+        hiddenFor: { $ne: req.userId },
+      },
+      req.query,
+    );
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    const peerUserId = req.userId === req.params.userId1 ? req.params.userId2 : req.params.userId1;
+    const receipts = await getConversationReadCursors(
+      getConversationKey({ type: "dm", actorUserId: req.userId, peerUserId }),
+      req.userId,
+    );
+
+    res.json({ messages: result.messages, pageInfo: result.pageInfo, receipts });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get messages by room or receiver identifier
+// Get a page of messages by room or receiver identifier
 router.get("/:receiverId", async (req, res) => {
   try {
-    const messages = await Message.find({ receiverUserIdOrRoomId: req.params.receiverId })
-      .populate("senderUserId", "username email")
-      .populate("reactions.user", "username")
-      .populate({
-        path: "replyTo",
-        select: "messageContent senderUserId createdAt receiverUserIdOrRoomId",
-      })
-      .populate("replyTo.senderUserId", "username email")
-      .sort({ createdAt: 1 });
-
-    res.json(messages);
+    const { receiverId } = req.params;
+    if (!isValidObjectId(receiverId)) {
+      return res.status(400).json({ message: "Invalid receiverId" });
+    }
+
+    if (receiverId !== req.userId) {
+      const room = await ChatRoom.findById(receiverId).select("_id members");
+      if (!room || !isRoomMember(room, req.userId)) {
+        return res.status(403).json({ message: "Only room members can read room messages" });
+      }
+    }
+
+    const result = await fetchMessagePage(
+      { receiverUserIdOrRoomId: receiverId, hiddenFor: { $ne: req.userId } },
+      req.query,
+    );
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    const receipts = receiverId === req.userId
+      ? []
+      : await getConversationReadCursors(`room:${receiverId}`, req.userId);
+
+    res.json({ messages: result.messages, pageInfo: result.pageInfo, receipts });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -537,10 +1286,16 @@ router.get("/:receiverId", async (req, res) => {
 // Add/change/remove reaction (toggle if same emoji)
 router.put("/:messageId/reactions", async (req, res) => {
   try {
-    const { userId, emoji } = req.body;
+    const { emoji } = req.body;
+
+    if (isActorMismatch(req, req.body.userId)) {
+      return res.status(403).json({ message: "userId does not match the authenticated user" });
+    }
+
+    const userId = req.userId;
 
-    if (!userId || !emoji) {
-      return res.status(400).json({ message: "userId and emoji are required" });
+    if (!emoji) {
+      return res.status(400).json({ message: "emoji is required" });
     }
 
     const message = await Message.findById(req.params.messageId);
@@ -548,6 +1303,15 @@ router.put("/:messageId/reactions", async (req, res) => {
       return res.status(404).json({ message: "Message not found" });
     }
 
+    if (message.deletedAt) {
+      return res.status(400).json({ message: "Deleted messages cannot be reacted to" });
+    }
+
+    const accessResult = await ensureMessageAccess(message, userId);
+    if (accessResult.error) {
+      return res.status(accessResult.error.status).json({ message: accessResult.error.message });
+    }
+
     const existingIndex = message.reactions.findIndex(
       (reaction) => reaction.user.toString() === userId,
     );
@@ -581,17 +1345,22 @@ router.put("/:messageId/reactions", async (req, res) => {
 // Explicitly remove reaction by user
 router.delete("/:messageId/reactions", async (req, res) => {
   try {
-    const userId = req.body.userId || req.query.userId;
-
-    if (!userId) {
-      return res.status(400).json({ message: "userId is required" });
+    if (isActorMismatch(req, req.body?.userId, req.query.userId)) {
+      return res.status(403).json({ message: "userId does not match the authenticated user" });
     }
 
+    const userId = req.userId;
+
     const message = await Message.findById(req.params.messageId);
     if (!message) {
       return res.status(404).json({ message: "Message not found" });
     }
 
+    const accessResult = await ensureMessageAccess(message, userId);
+    if (accessResult.error) {
+      return res.status(accessResult.error.status).json({ message: accessResult.error.message });
+    }
+
     const originalLength = message.reactions.length;
     message.reactions = message.reactions.filter((reaction) => reaction.user.toString() !== userId);
 
@@ -611,20 +1380,36 @@ router.delete("/:messageId/reactions", async (req, res) => {
   }
 });
 
-// Mark message as read
+// Mark message as read. Deprecated: use PUT /conversation/read, which this
+// now delegates to for the caller.
 router.put("/:messageId/read", async (req, res) => {
   try {
-    const message = await Message.findByIdAndUpdate(
-      req.params.messageId,
-      { readStatus: true },
-      { new: true },
-    );
+    if (!isValidObjectId(req.params.messageId)) {
+      return res.status(400).json({ message: "Invalid messageId" });
+    }
 
+    const message = await Message.findById(req.params.messageId);
     if (!message) {
       return res.status(404).json({ message: "Message not found" });
     }
 
-    res.json({ message: "Message marked as read", data: message });
+    const accessResult = await ensureMessageAccess(message, req.userId);
+    if (accessResult.error) {
+      return res.status(accessResult.error.status).json({ message: accessResult.error.message });
+    }
+
+    const senderId = toStringId(message.senderUserId);
+    const receiverId = toStringId(message.receiverUserIdOrRoomId);
+    const conversationTargetId = receiverId === req.userId ? senderId : receiverId;
+    const contextResult = await resolveConversationContext(req.userId, conversationTargetId);
+    if (contextResult.error) {
+      return res.status(contextResult.error.status).json({ message: contextResult.error.message });
+    }
+
+    await markConversationUpTo(req.app.get("io"), contextResult.context, message, "read");
+    const updatedMessage = await Message.findById(message._id);
+
+    res.json({ message: "Message marked as read", data: updatedMessage });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -1,8 +1,133 @@
+const crypto = require("crypto");
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ChatRoom = require("../models/ChatRoom");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
+const { verifyToken, requireSelf } = require("../middleware/auth");
+const { applyLastSeenPrivacy } = require("../utils/presence");
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRE || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+const MAX_E2EE_DEVICES = 10;
+const E2EE_DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const MAX_E2EE_PUBLIC_KEY_LENGTH = 200;
+const MAX_E2EE_KEY_BACKUP_LENGTH = 256 * 1024;
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET || "secret",
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Refresh tokens are `<sessionId>.<random secret>`; only a hash of the full
+// value is stored server-side.
+function generateRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(48).toString("hex")}`;
+}
+
+function getRefreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function serializeSession(session, currentSessionId) {
+  return {
+    _id: session._id,
+    deviceName: session.deviceName,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId || "")
+  };
+}
+
+function revokeSessionSockets(io, sessionId) {
+  if (!io || !sessionId) {
+    return;
+  }
+
+  io.in(`session:${sessionId}`).disconnectSockets(true);
+}
+
+function serializeE2EEDevice(device) {
+  return {
+    deviceId: device.deviceId,
+    publicKey: device.publicKey,
+    label: device.label,
+    createdAt: device.createdAt
+  };
+}
+
+// Anyone who may message the user (followers, people they follow, room
+// co-members) and their own devices must encrypt to the new device list.
+async function emitE2EEDevicesChanged(io, user) {
+  if (!io || !user) {
+    return;
+  }
+
+  const coMemberIds = await ChatRoom.find({ members: user._id }).distinct("members");
+  const audienceIds = new Set(
+    [user._id, ...(user.followers || []), ...(user.following || []), ...coMemberIds].map(String)
+  );
+
+  io.to(Array.from(audienceIds, (id) => `user:${id}`)).emit("e2ee:devices_changed", {
+    userId: String(user._id),
+    devices: (user.e2eDevices || []).map(serializeE2EEDevice)
+  });
+}
+
+function parseKeyBackup(rawBackup) {
+  if (!rawBackup || typeof rawBackup !== "object") {
+    return null;
+  }
+
+  const backup = {
+    version: Number(rawBackup.version),
+    kdf: String(rawBackup.kdf || ""),
+    iterations: Number(rawBackup.iterations),
+    salt: String(rawBackup.salt || ""),
+    iv: String(rawBackup.iv || ""),
+    ciphertext: String(rawBackup.ciphertext || "")
+  };
+
+  if (!Number.isInteger(backup.version) || !Number.isInteger(backup.iterations) || backup.iterations <= 0) {
+    return null;
+  }
+
+  if (!backup.kdf || !backup.salt || !backup.iv || !backup.ciphertext) {
+    return null;
+  }
+
+  return backup.ciphertext.length > MAX_E2EE_KEY_BACKUP_LENGTH ? null : backup;
+}
+
+async function createSession(user, req) {
+  const session = new Session({
+    user: user._id,
+    deviceName: String(req.body?.deviceName || "").trim().slice(0, 100),
+    userAgent: String(req.get("user-agent") || "").slice(0, 300),
+    ipAddress: req.ip || "",
+    expiresAt: getRefreshExpiry()
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = Session.hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    refreshToken,
+    token: signAccessToken(user._id, session._id)
+  };
+}
 
 // Sign up
 router.post("/sign-up", async (req, res) => {
@@ -75,18 +200,13 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    user.onlineStatus = true;
-    await user.save();
-
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || "secret",
-      { expiresIn: "24h" }
-    );
+    const { session, token, refreshToken } = await createSession(user, req);
 
     res.json({
       message: "Login successful",
       token,
+      refreshToken,
+      sessionId: session._id,
       user: {
         _id: user._id,
         username: user.username,
@@ -101,48 +221,287 @@ router.post("/login", async (req, res) => {
   }
 });
 
-// Get all users
-router.get("/", async (req, res) => {
+// Exchange a refresh token for a new access token, rotating the refresh token
+router.post("/refresh", async (req, res) => {
   try {
-    const users = await User.find().select("-password");
-    res.json(users);
+    const presentedToken = String(req.body?.refreshToken || "");
+    const [sessionId] = presentedToken.split(".");
+
+    if (!presentedToken || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: "Session expired" });
+    }
+
+    const presentedHash = Session.hashToken(presentedToken);
+    const refreshToken = generateRefreshToken(session._id);
+    const now = new Date();
+
+    // Only the request that still holds the current token wins the rotation;
+    // a concurrent one with the same token falls through to the checks below.
+    const rotatedSession = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          previousRefreshTokenHash: presentedHash,
+          refreshTokenHash: Session.hashToken(refreshToken),
+          rotatedAt: now,
+          lastUsedAt: now,
+          expiresAt: getRefreshExpiry()
+        }
+      }
+    );
+
+    if (!rotatedSession) {
+      const latestSession = await Session.findById(session._id);
+      const isRecentlyRotatedToken =
+        latestSession?.isActive() &&
+        presentedHash === latestSession.previousRefreshTokenHash &&
+        latestSession.rotatedAt &&
+        Date.now() - latestSession.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+
+      if (!isRecentlyRotatedToken) {
+        if (!latestSession?.isActive()) {
+          return res.status(401).json({ message: "Session expired" });
+        }
+
+        // An old refresh token was replayed: assume it leaked and end the session.
+        await Session.updateOne({ _id: session._id }, { $set: { revokedAt: new Date() } });
+        revokeSessionSockets(req.app.get("io"), session._id);
+        return res.status(401).json({ message: "Refresh token reuse detected" });
+      }
+
+      // A retry racing the rotation (e.g. another tab) only gets an access
+      // token; rotating again would hand the session to whoever holds the
+      // old token.
+      await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+      return res.json({
+        message: "Token refreshed",
+        token: signAccessToken(session.user, session._id),
+        sessionId: session._id
+      });
+    }
+
+    res.json({
+      message: "Token refreshed",
+      token: signAccessToken(session.user, session._id),
+      refreshToken,
+      sessionId: session._id
+    });
+  } catch (error) {
+    console.error("[refresh error]", error.message);
+    res.status(500).json({ message: error.message || "Token refresh failed" });
+  }
+});
+
+// Everything below requires a valid access token
+router.use(verifyToken);
+
+// List the current user's active device sessions
+router.get("/me/sessions", async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({ sessions: sessions.map((session) => serializeSession(session, req.sessionId)) });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get single user
-router.get("/:userId", async (req, res) => {
+// Revoke one of the current user's sessions (signs that device out)
+router.delete("/me/sessions/:sessionId", async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId).select("-password");
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ message: "Invalid sessionId" });
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: req.userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    revokeSessionSockets(req.app.get("io"), session._id);
+
+    res.json({ message: "Session revoked", sessionId: session._id });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List the current user's encryption devices
+router.get("/me/e2ee/devices", async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("e2eDevices");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json({ devices: user.e2eDevices.map(serializeE2EEDevice) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Register (or update) the public key of one of the current user's devices
+router.put("/me/e2ee/devices/:deviceId", async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const publicKey = String(req.body?.publicKey || "").trim();
+    const label = String(req.body?.label || "").trim().slice(0, 100);
+
+    if (!E2EE_DEVICE_ID_PATTERN.test(deviceId)) {
+      return res.status(400).json({ message: "Invalid deviceId" });
+    }
+
+    if (!publicKey || publicKey.length > MAX_E2EE_PUBLIC_KEY_LENGTH) {
+      return res.status(400).json({ message: "Invalid publicKey" });
+    }
+
+    const user = await User.findById(req.userId).select("e2eDevices followers following");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const existingDevice = user.e2eDevices.find((device) => device.deviceId === deviceId);
+    if (existingDevice && existingDevice.publicKey === publicKey && existingDevice.label === label) {
+      return res.json({ message: "Device already registered", devices: user.e2eDevices.map(serializeE2EEDevice) });
+    }
+
+    if (existingDevice) {
+      existingDevice.publicKey = publicKey;
+      existingDevice.label = label;
+    } else {
+      if (user.e2eDevices.length >= MAX_E2EE_DEVICES) {
+        return res.status(400).json({ message: "Too many devices. Remove one you no longer use first." });
+      }
+      user.e2eDevices.push({ deviceId, publicKey, label });
+    }
+
+    await user.save();
+    await emitE2EEDevicesChanged(req.app.get("io"), user);
+
+    res.json({ message: "Device registered", devices: user.e2eDevices.map(serializeE2EEDevice) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Stop encrypting new messages to one of the current user's devices
+router.delete("/me/e2ee/devices/:deviceId", async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("e2eDevices followers following");
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
-    res.json(user);
+
+    const remainingDevices = user.e2eDevices.filter((device) => device.deviceId !== req.params.deviceId);
+    if (remainingDevices.length === user.e2eDevices.length) {
+      return res.status(404).json({ message: "Device not found" });
+    }
+
+    user.e2eDevices = remainingDevices;
+    await user.save();
+    await emitE2EEDevicesChanged(req.app.get("io"), user);
+
+    res.json({ message: "Device removed", devices: user.e2eDevices.map(serializeE2EEDevice) });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Update online status
-router.put("/:userId/status", async (req, res) => {
+// The current user's passphrase-encrypted key backup
+router.get("/me/e2ee/backup", async (req, res) => {
   try {
-    const { onlineStatus } = req.body;
+    const user = await User.findById(req.userId).select("+e2eKeyBackup");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.e2eKeyBackup?.ciphertext) {
+      return res.status(404).json({ message: "No key backup found" });
+    }
+
+    res.json({ backup: user.e2eKeyBackup });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Store (or replace) the key backup; it is encrypted before it leaves the
+// browser and the server cannot open it
+router.put("/me/e2ee/backup", async (req, res) => {
+  try {
+    const backup = parseKeyBackup(req.body?.backup);
+    if (!backup) {
+      return res.status(400).json({ message: "Invalid key backup" });
+    }
+
+    const updatedAt = new Date();
     const user = await User.findByIdAndUpdate(
-      req.params.userId,
-      { onlineStatus },
+      req.userId,
+      { $set: { e2eKeyBackup: { ...backup, updatedAt } } },
       { new: true }
-    ).select("-password");
-    res.json({ message: "Status updated", user });
+    ).select("_id");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json({ message: "Key backup saved", updatedAt });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.delete("/me/e2ee/backup", async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.userId }, { $set: { e2eKeyBackup: null } });
+    res.json({ message: "Key backup deleted" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get all users
+router.get("/", async (req, res) => {
+  try {
+    const users = await User.find().select("-password");
+    res.json(users.map((user) => applyLastSeenPrivacy(user, req.userId)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get single user
+router.get("/:userId", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select("-password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json(applyLastSeenPrivacy(user, req.userId));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Update user profile
-router.put("/:userId/update", async (req, res) => {
+router.put("/:userId/update", requireSelf("userId"), async (req, res) => {
   try {
-    const { bio, avatarUrl, username, phoneNumber, e2ePublicKey } = req.body;
+    const { bio, avatarUrl, username, phoneNumber, e2ePublicKey, hideLastSeen } = req.body;
     const userId = req.params.userId;
 
     // Optional: Check if username is taken if it's being changed
@@ -161,7 +520,8 @@ router.put("/:userId/update", async (req, res) => {
           ...(avatarUrl !== undefined && { avatarUrl }),
           ...(username !== undefined && { username }),
           ...(phoneNumber !== undefined && { phoneNumber }),
-          ...(e2ePublicKey !== undefined && { e2ePublicKey: String(e2ePublicKey || "") })
+          ...(e2ePublicKey !== undefined && { e2ePublicKey: String(e2ePublicKey || "") }),
+          ...(hideLastSeen !== undefined && { hideLastSeen: Boolean(hideLastSeen) })
         }
       },
       { new: true }
@@ -177,14 +537,20 @@ router.put("/:userId/update", async (req, res) => {
   }
 });
 
-// Logout
-router.post("/:userId/logout", async (req, res) => {
+// Logout (revokes the calling device's session)
+router.post("/:userId/logout", requireSelf("userId"), async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(
-      req.params.userId,
-      { onlineStatus: false },
-      { new: true }
-    );
+    if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, user: req.userId, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      revokeSessionSockets(req.app.get("io"), req.sessionId);
+    }
+
+    // Presence follows the revoked sockets; other signed-in devices keep
+    // the user online.
+    const user = await User.findById(req.params.userId).select("-password");
     res.json({ message: "Logout successful", user });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -192,7 +558,7 @@ router.post("/:userId/logout", async (req, res) => {
 });
 
 // Send follow request
-router.post("/:userId/follow-request/:targetId", async (req, res) => {
+router.post("/:userId/follow-request/:targetId", requireSelf("userId"), async (req, res) => {
   try {
     const { userId, targetId } = req.params;
 
@@ -226,7 +592,7 @@ router.post("/:userId/follow-request/:targetId", async (req, res) => {
 });
 
 // Accept follow request
-router.post("/:userId/accept-follow/:requesterId", async (req, res) => {
+router.post("/:userId/accept-follow/:requesterId", requireSelf("userId"), async (req, res) => {
   try {
     const { userId, requesterId } = req.params;
 
@@ -261,11 +627,15 @@ router.post("/:userId/accept-follow/:requesterId", async (req, res) => {
   }
 });
 
-// Reject follow request
+// Reject follow request (also used by the requester to cancel their own request)
 router.post("/:userId/reject-follow/:requesterId", async (req, res) => {
   try {
     const { userId, requesterId } = req.params;
 
+    if (req.userId !== userId && req.userId !== requesterId) {
+      return res.status(403).json({ message: "You can only manage your own follow requests" });
+    }
+
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
@@ -285,7 +655,7 @@ router.post("/:userId/reject-follow/:requesterId", async (req, res) => {
 });
 
 // Get follow requests for user
-router.get("/:userId/follow-requests", async (req, res) => {
+router.get("/:userId/follow-requests", requireSelf("userId"), async (req, res) => {
   try {
     const user = await User.findById(req.params.userId)
       .populate("followRequests", "username email");
@@ -333,7 +703,7 @@ router.get("/:userId/following", async (req, res) => {
 });
 
 // Unfollow user
-router.post("/:userId/unfollow/:targetId", async (req, res) => {
+router.post("/:userId/unfollow/:targetId", requireSelf("userId"), async (req, res) => {
   try {
     const { userId, targetId } = req.params;
 
@@ -373,12 +743,18 @@ router.get("/:userId/profile", async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    const isSelf = String(user._id) === req.userId;
+    const profile = applyLastSeenPrivacy(user, req.userId);
+    if (!isSelf) {
+      delete profile.followRequests;
+    }
+
     res.json({
-      user,
+      user: profile,
       stats: {
         followersCount: user.followers.length,
         followingCount: user.following.length,
-        followRequestsCount: user.followRequests.length
+        followRequestsCount: isSelf ? user.followRequests.length : 0
       }
     });
   } catch (error) {
@@ -387,7 +763,7 @@ router.get("/:userId/profile", async (req, res) => {
 });
 
 // Check follow status between two users
-router.get("/:userId/follow-status/:targetId", async (req, res) => {
+router.get("/:userId/follow-status/:targetId", requireSelf("userId"), async (req, res) => {
   try {
     const { userId, targetId } = req.params;
 
@@ -410,7 +786,7 @@ router.get("/:userId/follow-status/:targetId", async (req, res) => {
 });
 
 // Get sent follow requests (pending requests sent by current user)
-router.get("/:userId/sent-follow-requests", async (req, res) => {
+router.get("/:userId/sent-follow-requests", requireSelf("userId"), async (req, res) => {
   try {
     const userId = req.params.userId;
 
@@ -426,7 +802,7 @@ router.get("/:userId/sent-follow-requests", async (req, res) => {
 });
 
 // Get all follow status information (received requests, sent requests, following, followers)
-router.get("/:userId/follow-info", async (req, res) => {
+router.get("/:userId/follow-info", requireSelf("userId"), async (req, res) => {
   try {
     const userId = req.params.userId;
 
@@ -4,6 +4,12 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const { Server } = require("socket.io");
 require("dotenv").config();
+const ChatRoom = require("./models/ChatRoom");
+const { verifySocketToken } = require("./middleware/auth");
+const { getMissedEvents } = require("./utils/syncEvents");
+const { handlePresenceConnect, handlePresenceDisconnect, resetPresence } = require("./utils/presence");
+const { startDisappearingMessageSweeper } = require("./utils/disappearingMessages");
+const { startUnsentAttachmentSweeper } = require("./utils/attachments");
 
 const app = express();
 const server = http.createServer(app);
@@ -25,8 +31,11 @@ app.use(
   cors(corsOptions),
 );
 app.options("*", cors(corsOptions));
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ limit: "50mb", extended: true }));
+// Files are streamed through /api/attachments and never travel in JSON
+// (end-to-end encrypted ones are uploaded as ciphertext). The remaining
+// headroom is for older clients that still send encrypted files inline.
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "10mb" }));
+app.use(express.urlencoded({ limit: "1mb", extended: true }));
 
 const io = new Server(server, {
   cors: {
@@ -38,9 +47,35 @@ const io = new Server(server, {
 
 app.set("io", io);
 
+// Returns true when the user may subscribe to the given conversation channel:
+// `room:<roomId>` for room members, `dm:<userA>:<userB>` for either participant.
+async function canJoinConversation(userId, conversationId) {
+  if (conversationId.startsWith("room:")) {
+    const roomId = conversationId.slice(5);
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      return false;
+    }
+
+    const room = await ChatRoom.exists({ _id: roomId, members: userId });
+    return Boolean(room);
+  }
+
+  if (conversationId.startsWith("dm:")) {
+    const participants = conversationId.slice(3).split(":");
+    return participants.length === 2 && participants.includes(userId);
+  }
+
+  return false;
+}
+
+// A typing:start that is not refreshed (or followed by typing:stop) within
+// this window is cleared for everyone else in the conversation.
+const TYPING_EXPIRY_MS = 6000;
+
+io.use(verifySocketToken);
+
 io.on("connection", (socket) => {
-  const userId = socket.handshake.auth?.userId || socket.handshake.query?.userId;
-  const normalizedUserId = userId ? String(userId) : "";
+  const normalizedUserId = socket.userId;
 
   const emitToUser = (targetUserId, eventName, payload = {}) => {
     if (!targetUserId || !eventName) {
@@ -50,12 +85,37 @@ io.on("connection", (socket) => {
     io.to(`user:${String(targetUserId)}`).emit(eventName, payload);
   };
 
-  if (normalizedUserId) {
-    socket.join(`user:${normalizedUserId}`);
+  const typingTimers = new Map();
+
+  const stopTyping = (conversationId) => {
+    if (!typingTimers.has(conversationId)) {
+      return;
+    }
+
+    clearTimeout(typingTimers.get(conversationId));
+    typingTimers.delete(conversationId);
+    socket.to(conversationId).emit("typing:stop", { conversationId, userId: normalizedUserId });
+  };
+
+  socket.join(`user:${normalizedUserId}`);
+  if (socket.sessionId) {
+    socket.join(`session:${socket.sessionId}`);
   }
+  handlePresenceConnect(io, normalizedUserId);
+
+  socket.on("conversation:join", async ({ conversationId } = {}) => {
+    if (!conversationId || typeof conversationId !== "string") {
+      return;
+    }
 
-  socket.on("conversation:join", ({ conversationId }) => {
-    if (!conversationId) {
+    try {
+      const allowed = await canJoinConversation(normalizedUserId, conversationId);
+      if (!allowed) {
+        socket.emit("conversation:join_denied", { conversationId });
+        return;
+      }
+    } catch (error) {
+      console.error("[Socket] conversation:join failed:", error.message);
       return;
     }
 
@@ -68,11 +128,12 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("conversation:leave", ({ conversationId }) => {
-    if (!conversationId) {
+  socket.on("conversation:leave", ({ conversationId } = {}) => {
+    if (!conversationId || typeof conversationId !== "string") {
       return;
     }
 
+    stopTyping(conversationId);
     socket.leave(conversationId);
 
     if (conversationId.startsWith("room:")) {
@@ -82,6 +143,47 @@ io.on("connection", (socket) => {
     }
   });
 
+  // Gap recovery: a (re)connecting client sends the syncCursor of the last
+  // event it saw and gets back everything emitted to it since. Without a
+  // cursor it just receives a starting cursor for its next reconnect.
+  socket.on("sync:request", async ({ cursor } = {}, acknowledge) => {
+    if (typeof acknowledge !== "function") {
+      return;
+    }
+
+    try {
+      acknowledge(await getMissedEvents(normalizedUserId, cursor ? String(cursor) : ""));
+    } catch (error) {
+      console.error("[Socket] sync:request failed:", error.message);
+      acknowledge({ events: [], cursor: "", reset: true });
+    }
+  });
+
+  // Typing indicators are relayed to the conversation channel the socket has
+  // joined. They are ephemeral, so unlike message events they are not logged
+  // for sync replay.
+  socket.on("typing:start", ({ conversationId } = {}) => {
+    if (typeof conversationId !== "string" || !socket.rooms.has(conversationId)) {
+      return;
+    }
+
+    clearTimeout(typingTimers.get(conversationId));
+    typingTimers.set(conversationId, setTimeout(() => stopTyping(conversationId), TYPING_EXPIRY_MS));
+    socket.to(conversationId).emit("typing:start", {
+      conversationId,
+      userId: normalizedUserId,
+      expiresInMs: TYPING_EXPIRY_MS,
+    });
+  });
+
+  socket.on("typing:stop", ({ conversationId } = {}) => {
+    if (typeof conversationId !== "string") {
+      return;
+    }
+
+    stopTyping(conversationId);
+  });
+
   // WebRTC signaling for direct 1:1 calls (audio/video)
   socket.on("call:offer", (payload = {}) => {
     const toUserId = payload?.toUserId ? String(payload.toUserId) : "";
@@ -138,7 +240,9 @@ io.on("connection", (socket) => {
   });
 
   socket.on("disconnect", () => {
-    // no-op; socket.io handles cleanup
+    // socket.io handles room cleanup; typing state and presence are ours
+    Array.from(typingTimers.keys()).forEach(stopTyping);
+    handlePresenceDisconnect(io, normalizedUserId);
   });
 });
 
@@ -147,12 +251,19 @@ console.log("[MongoDB] Connecting to:", mongoUri);
 
 mongoose
   .connect(mongoUri, { serverSelectionTimeoutMS: 5000 })
-  .then(() => console.log("[MongoDB] Connected"))
+  .then(() => {
+    console.log("[MongoDB] Connected");
+    resetPresence().catch((error) => console.error("[Presence] reset failed:", error.message));
+    startDisappearingMessageSweeper(io);
+    startUnsentAttachmentSweeper();
+  })
   .catch((error) => console.error("[MongoDB] Failed:", error.message));
 
 app.use("/api/users", require("./routes/userRoutes"));
 app.use("/api/chatrooms", require("./routes/chatRoomRoutes"));
 app.use("/api/messages", require("./routes/messageRoutes"));
+app.use("/api/attachments", require("./routes/attachmentRoutes"));
+app.use("/api/conversations", require("./routes/conversationRoutes"));
 
 app.get("/", (req, res) => {
   res.json({
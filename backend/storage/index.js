@@ -0,0 +1,35 @@
+const { createLocalStorage } = require("./localStorage");
+const { createS3Storage } = require("./s3Storage");
+
+// Attachment storage backend, chosen with ATTACHMENT_STORAGE ("local" by
+// default, or "s3"). Every adapter exposes the same interface:
+//   save(key, sourcePath, { size, mimeType })  moves a staged file into the store
+//   createReadStream(key, { start, end })      resolves to a readable stream
+//   remove(key)
+let storage = null;
+
+function getAttachmentStorage() {
+  if (storage) {
+    return storage;
+  }
+
+  const driver = String(process.env.ATTACHMENT_STORAGE || "local").toLowerCase();
+
+  if (driver === "s3") {
+    storage = createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_KEY_PREFIX || "attachments/",
+    });
+  } else {
+    storage = createLocalStorage({ rootDir: process.env.ATTACHMENT_LOCAL_DIR });
+  }
+
+  return storage;
+}
+
+module.exports = { getAttachmentStorage };
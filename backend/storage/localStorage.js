@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+
+// Stores attachment objects as plain files under ATTACHMENT_LOCAL_DIR.
+function createLocalStorage(options = {}) {
+  const rootDir = path.resolve(options.rootDir || path.join(__dirname, "..", "uploads"));
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, String(key || ""));
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    async save(key, sourcePath) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      try {
+        await fs.promises.rename(sourcePath, filePath);
+      } catch (error) {
+        // The staging directory may live on another device.
+        if (error.code !== "EXDEV") {
+          throw error;
+        }
+        await fs.promises.copyFile(sourcePath, filePath);
+        await fs.promises.unlink(sourcePath);
+      }
+    },
+
+    async createReadStream(key, range = {}) {
+      return fs.createReadStream(resolveKey(key), range);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
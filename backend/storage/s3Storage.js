@@ -0,0 +1,61 @@
+const fs = require("fs");
+
+// S3-compatible object storage (AWS S3, MinIO, R2, ...). The AWS SDK is only
+// needed when this adapter is selected, so it is loaded lazily:
+//   npm install @aws-sdk/client-s3
+function createS3Storage(options = {}) {
+  let sdk;
+  try {
+    sdk = require("@aws-sdk/client-s3");
+  } catch {
+    throw new Error("ATTACHMENT_STORAGE=s3 requires the @aws-sdk/client-s3 package");
+  }
+
+  if (!options.bucket) {
+    throw new Error("S3_BUCKET is required when ATTACHMENT_STORAGE=s3");
+  }
+
+  const client = new sdk.S3Client({
+    region: options.region || "us-east-1",
+    endpoint: options.endpoint || undefined,
+    forcePathStyle: Boolean(options.forcePathStyle),
+    credentials: options.accessKeyId
+      ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey || "" }
+      : undefined,
+  });
+  const objectKey = (key) => `${options.prefix || ""}${key}`;
+
+  return {
+    name: "s3",
+
+    async save(key, sourcePath, { size, mimeType } = {}) {
+      await client.send(new sdk.PutObjectCommand({
+        Bucket: options.bucket,
+        Key: objectKey(key),
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: mimeType || "application/octet-stream",
+      }));
+      await fs.promises.unlink(sourcePath);
+    },
+
+    async createReadStream(key, range = {}) {
+      const hasRange = Number.isInteger(range.start) && Number.isInteger(range.end);
+      const response = await client.send(new sdk.GetObjectCommand({
+        Bucket: options.bucket,
+        Key: objectKey(key),
+        Range: hasRange ? `bytes=${range.start}-${range.end}` : undefined,
+      }));
+      return response.Body;
+    },
+
+    async remove(key) {
+      await client.send(new sdk.DeleteObjectCommand({
+        Bucket: options.bucket,
+        Key: objectKey(key),
+      }));
+    },
+  };
+}
+
+module.exports = { createS3Storage };
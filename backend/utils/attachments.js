@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+const Attachment = require("../models/Attachment");
+const ChatRoom = require("../models/ChatRoom");
+const Message = require("../models/Message");
+const { getAttachmentStorage } = require("../storage");
+
+function toAttachmentReference(attachment) {
+  return {
+    attachmentId: attachment._id,
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    checksum: attachment.checksum,
+    width: attachment.width ?? null,
+    height: attachment.height ?? null,
+    placeholder: attachment.placeholder || "",
+    variants: (attachment.variants || []).map((variant) => ({
+      name: variant.name,
+      width: variant.width,
+      height: variant.height,
+    })),
+  };
+}
+
+// The uploader can always read an attachment; anyone else needs access to a
+// message that references it (sender, DM recipient or room member). A room
+// photo is visible to the room's members, and to everyone when the room is
+// listed in the directory.
+async function canUserAccessAttachment(attachment, userId) {
+  if (String(attachment.uploader) === String(userId)) {
+    return true;
+  }
+
+  const isVisibleRoomPhoto = await ChatRoom.exists({
+    avatarAttachmentId: attachment._id,
+    $or: [{ members: userId }, { visibility: { $in: ["public", "private"] }, archivedAt: null }],
+  });
+  if (isVisibleRoomPhoto) {
+    return true;
+  }
+
+  const messages = await Message.find({ "attachment.attachmentId": attachment._id })
+    .select("senderUserId receiverUserIdOrRoomId")
+    .lean();
+
+  if (messages.length === 0) {
+    return false;
+  }
+
+  const isParticipant = messages.some(
+    (message) =>
+      String(message.senderUserId) === String(userId) ||
+      String(message.receiverUserIdOrRoomId) === String(userId),
+  );
+  if (isParticipant) {
+    return true;
+  }
+
+  const room = await ChatRoom.exists({
+    _id: { $in: messages.map((message) => message.receiverUserIdOrRoomId) },
+    members: userId,
+  });
+  return Boolean(room);
+}
+
+// Drops stored files once no message (or room photo) references them any
+// more. Called after messages are deleted; failures are logged rather than
+// failing the delete.
+async function removeUnreferencedAttachments(attachmentIds) {
+  const uniqueIds = Array.from(new Set((attachmentIds || []).filter(Boolean).map(String)))
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+  for (const attachmentId of uniqueIds) {
+    try {
+      const stillReferenced =
+        (await Message.exists({ "attachment.attachmentId": attachmentId })) ||
+        (await ChatRoom.exists({ avatarAttachmentId: attachmentId }));
+      if (stillReferenced) {
+        continue;
+      }
+
+      const attachment = await Attachment.findByIdAndDelete(attachmentId);
+      if (attachment) {
+        const storage = getAttachmentStorage();
+        await storage.remove(attachment.storageKey);
+        for (const variant of attachment.variants || []) {
+          await storage.remove(variant.storageKey);
+        }
+      }
+    } catch (error) {
+      console.error("[Attachments] cleanup failed:", error.message);
+    }
+  }
+}
+
+const UNSENT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const UNSENT_SWEEP_BATCH_SIZE = 100;
+
+// Removes one batch of uploads whose unsent grace period has passed. Returns
+// how many were looked at.
+async function sweepUnsentAttachments() {
+  const expired = await Attachment.find({ unsentExpiresAt: { $ne: null, $lte: new Date() } })
+    .select("_id")
+    .limit(UNSENT_SWEEP_BATCH_SIZE)
+    .lean();
+
+  const ids = expired.map((attachment) => attachment._id);
+  await removeUnreferencedAttachments(ids);
+  // Whatever is left was picked up by a message after all
+  await Attachment.updateMany({ _id: { $in: ids } }, { $set: { unsentExpiresAt: null } });
+
+  return expired.length;
+}
+
+function startUnsentAttachmentSweeper() {
+  let isSweeping = false;
+
+  const interval = setInterval(async () => {
+    if (isSweeping) {
+      return;
+    }
+
+    isSweeping = true;
+    try {
+      while ((await sweepUnsentAttachments()) === UNSENT_SWEEP_BATCH_SIZE) {
+        // keep going until the backlog is cleared
+      }
+    } catch (error) {
+      console.error("[Attachments] unsent sweep failed:", error.message);
+    } finally {
+      isSweeping = false;
+    }
+  }, UNSENT_SWEEP_INTERVAL_MS);
+
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  toAttachmentReference,
+  canUserAccessAttachment,
+  removeUnreferencedAttachments,
+  startUnsentAttachmentSweeper,
+};
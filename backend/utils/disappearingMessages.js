@@ -0,0 +1,138 @@
+const DisappearingTimer = require("../models/DisappearingTimer");
+const Message = require("../models/Message");
+const { removeUnreferencedAttachments } = require("./attachments");
+const { emitMessageDeleted } = require("./messageEvents");
+
+const DISAPPEARING_TIMER_LABELS = new Map([
+  [5 * 60, "5 minutes"],
+  [60 * 60, "1 hour"],
+  [24 * 60 * 60, "1 day"],
+  [7 * 24 * 60 * 60, "7 days"],
+]);
+const DISAPPEARING_TIMER_STARTS_ON = new Set(["sent", "read"]);
+// Expired messages can outlive their timer by up to one interval.
+const SWEEP_INTERVAL_MS = 15 * 1000;
+const SWEEP_BATCH_SIZE = 200;
+
+function isValidDisappearingTimer(durationSeconds, startsOn) {
+  return DISAPPEARING_TIMER_LABELS.has(durationSeconds) && DISAPPEARING_TIMER_STARTS_ON.has(startsOn);
+}
+
+function describeDisappearingTimer(timer) {
+  if (!timer) {
+    return "off";
+  }
+
+  const label = DISAPPEARING_TIMER_LABELS.get(timer.durationSeconds) || `${timer.durationSeconds} seconds`;
+  return timer.startsOn === "read" ? `${label} after reading` : `${label} after sending`;
+}
+
+function serializeDisappearingTimer(timer) {
+  if (!timer) {
+    return null;
+  }
+
+  return {
+    durationSeconds: timer.durationSeconds,
+    startsOn: timer.startsOn,
+    updatedBy: String(timer.updatedBy),
+    updatedAt: timer.updatedAt,
+  };
+}
+
+async function getDisappearingTimer(conversationKey) {
+  return DisappearingTimer.findOne({ conversation: conversationKey }).lean();
+}
+
+// Expiry fields for a message sent at `sentAt` under `timer`
+function getMessageExpiry(timer, sentAt) {
+  if (!timer) {
+    return { expiresAt: null, disappearAfterReadSeconds: null };
+  }
+
+  if (timer.startsOn === "read") {
+    return { expiresAt: null, disappearAfterReadSeconds: timer.durationSeconds };
+  }
+
+  return {
+    expiresAt: new Date(sentAt.getTime() + timer.durationSeconds * 1000),
+    disappearAfterReadSeconds: null,
+  };
+}
+
+// Starts the countdown of "read" timers on the messages the context's actor
+// has now read, up to `upTo`. In rooms the first member to read a message
+// starts it for everyone.
+async function startReadTimers(context, upTo) {
+  const conversationFilter = context.type === "room"
+    ? { receiverUserIdOrRoomId: context.roomId, senderUserId: { $ne: context.actorUserId } }
+    : { senderUserId: context.peerUserId, receiverUserIdOrRoomId: context.actorUserId };
+
+  await Message.updateMany(
+    {
+      ...conversationFilter,
+      createdAt: { $lte: upTo },
+      expiresAt: null,
+      disappearAfterReadSeconds: { $gt: 0 },
+    },
+    [{ $set: { expiresAt: { $add: ["$$NOW", { $multiply: ["$disappearAfterReadSeconds", 1000] }] } } }],
+    { updatePipeline: true },
+  );
+}
+
+// Deletes one batch of expired messages and tells their conversations.
+// Returns how many were removed.
+async function sweepExpiredMessages(io) {
+  const now = new Date();
+  const expired = await Message.find({ expiresAt: { $lte: now } })
+    .select("_id senderUserId receiverUserIdOrRoomId attachment")
+    .sort({ expiresAt: 1 })
+    .limit(SWEEP_BATCH_SIZE)
+    .lean();
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  await Message.deleteMany({ _id: { $in: expired.map((message) => message._id) }, expiresAt: { $lte: now } });
+  expired.forEach((message) => emitMessageDeleted(io, message, ""));
+  await removeUnreferencedAttachments(expired.map((message) => message.attachment?.attachmentId));
+
+  return expired.length;
+}
+
+// Timers are enforced here rather than with a TTL index, which would delete
+// messages without anyone hearing about it.
+function startDisappearingMessageSweeper(io) {
+  let isSweeping = false;
+
+  const interval = setInterval(async () => {
+    if (isSweeping) {
+      return;
+    }
+
+    isSweeping = true;
+    try {
+      while ((await sweepExpiredMessages(io)) === SWEEP_BATCH_SIZE) {
+        // keep going until the backlog is cleared
+      }
+    } catch (error) {
+      console.error("[Disappearing] sweep failed:", error.message);
+    } finally {
+      isSweeping = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  isValidDisappearingTimer,
+  describeDisappearingTimer,
+  serializeDisappearingTimer,
+  getDisappearingTimer,
+  getMessageExpiry,
+  startReadTimers,
+  startDisappearingMessageSweeper,
+};
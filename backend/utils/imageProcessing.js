@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const sharp = require("sharp");
+const { encode: encodeBlurhash } = require("blurhash");
+
+// Formats we re-encode. GIFs are left alone so animations survive.
+const PROCESSABLE_IMAGE_TYPES = new Set(["image/jpeg", "image/png", "image/webp", "image/avif", "image/heif", "image/tiff"]);
+const THUMBNAIL_SIZES = [
+  { name: "small", maxDimension: 160 },
+  { name: "medium", maxDimension: 640 },
+];
+const PLACEHOLDER_SAMPLE_SIZE = 32;
+// Output format for the cleaned original; formats without a widely supported
+// encoder are converted to JPEG.
+const OUTPUT_FORMATS = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  avif: "image/avif",
+};
+
+function isProcessableImage(mimeType) {
+  return PROCESSABLE_IMAGE_TYPES.has(String(mimeType || "").toLowerCase());
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+async function createPlaceholder(filePath) {
+  const { data, info } = await sharp(filePath)
+    .resize(PLACEHOLDER_SAMPLE_SIZE, PLACEHOLDER_SAMPLE_SIZE, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+}
+
+// Rewrites a staged image upload in place without its EXIF/XMP/ICC metadata
+// (GPS location, camera serials, ...) after applying its orientation, then
+// renders WebP thumbnails next to it. Returns the cleaned file's size and
+// checksum and type along with dimensions, a blurhash placeholder and the staged
+// thumbnail files for the caller to store.
+async function processImageUpload(stagingPath) {
+  const cleanPath = `${stagingPath}.clean`;
+  const { format } = await sharp(stagingPath).metadata();
+  const outputFormat = OUTPUT_FORMATS[format] ? format : "jpeg";
+  const { width, height, size } = await sharp(stagingPath).rotate().toFormat(outputFormat).toFile(cleanPath);
+  await fs.promises.rename(cleanPath, stagingPath);
+
+  const variants = [];
+  for (const { name, maxDimension } of THUMBNAIL_SIZES) {
+    if (width <= maxDimension && height <= maxDimension && variants.length > 0) {
+      continue;
+    }
+
+    const variantPath = `${stagingPath}.${name}`;
+    const output = await sharp(stagingPath)
+      .resize(maxDimension, maxDimension, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 78 })
+      .toFile(variantPath);
+
+    variants.push({
+      name,
+      path: variantPath,
+      mimeType: "image/webp",
+      width: output.width,
+      height: output.height,
+      size: output.size,
+    });
+  }
+
+  return {
+    mimeType: OUTPUT_FORMATS[outputFormat],
+    size,
+    checksum: await hashFile(stagingPath),
+    width,
+    height,
+    placeholder: await createPlaceholder(stagingPath),
+    variants,
+  };
+}
+
+module.exports = { isProcessableImage, processImageUpload };
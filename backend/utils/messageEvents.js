@@ -0,0 +1,144 @@
+const { recordSyncEvent } = require("./syncEvents");
+
+function toStringId(value) {
+  if (!value) {
+    return "";
+  }
+
+  if (typeof value === "string") {
+    return value;
+  }
+
+  if (typeof value === "object" && value._id) {
+    return String(value._id);
+  }
+
+  if (typeof value.toString === "function") {
+    const serialized = value.toString();
+    return serialized === "[object Object]" ? "" : serialized;
+  }
+
+  return "";
+}
+
+function getMessageRooms(message) {
+  const senderId = toStringId(message.senderUserId);
+  const targetId = toStringId(message.receiverUserIdOrRoomId);
+  const rooms = new Set();
+
+  if (senderId) {
+    rooms.add(`user:${senderId}`);
+  }
+
+  if (targetId) {
+    rooms.add(`user:${targetId}`);
+    rooms.add(`room:${targetId}`);
+    rooms.add(`conversation:${targetId}`);
+
+    if (senderId) {
+      rooms.add(`dm:${[senderId, targetId].sort().join(":")}`);
+    }
+  }
+
+  return Array.from(rooms);
+}
+
+function getConversationRooms({
+  type,
+  actorUserId,
+  peerUserId,
+  roomId,
+  roomMemberIds = [],
+}) {
+  const rooms = new Set();
+
+  if (type === "dm") {
+    const actorId = String(actorUserId || "");
+    const targetId = String(peerUserId || "");
+
+    if (actorId) {
+      rooms.add(`user:${actorId}`);
+    }
+
+    if (targetId) {
+      rooms.add(`user:${targetId}`);
+    }
+
+    if (actorId && targetId) {
+      rooms.add(`dm:${[actorId, targetId].sort().join(":")}`);
+    }
+
+    return Array.from(rooms);
+  }
+
+  const normalizedRoomId = String(roomId || "");
+  if (normalizedRoomId) {
+    rooms.add(`room:${normalizedRoomId}`);
+    rooms.add(`conversation:${normalizedRoomId}`);
+  }
+
+  (roomMemberIds || []).forEach((memberId) => {
+    const normalizedMemberId = String(memberId || "");
+    if (normalizedMemberId) {
+      rooms.add(`user:${normalizedMemberId}`);
+    }
+  });
+
+  return Array.from(rooms);
+}
+
+async function emitToRooms(io, rooms, eventName, payload) {
+  if (!io || !Array.isArray(rooms) || rooms.length === 0 || !eventName) {
+    return;
+  }
+
+  // Every message event is also logged so reconnecting clients can replay
+  // what they missed; the cursor lets them resume from this event. It only
+  // goes out once the event is stored, and an event that failed to store
+  // goes out without one so clients do not skip past it on replay.
+  let syncCursor = "";
+  try {
+    syncCursor = await recordSyncEvent(rooms, eventName, payload);
+  } catch (error) {
+    console.error("[Sync] Failed to record event:", error.message);
+  }
+
+  let emitter = io;
+  rooms.forEach((room) => {
+    emitter = emitter.to(room);
+  });
+
+  emitter.emit(eventName, syncCursor ? { ...payload, syncCursor } : payload);
+}
+
+function emitNewMessage(io, message) {
+  if (!io) {
+    return;
+  }
+
+  emitToRooms(io, getMessageRooms(message), "message:new", {
+    data: message,
+  });
+}
+
+function emitMessageDeleted(io, message, actorUserId) {
+  if (!io || !message?._id) {
+    return;
+  }
+
+  emitToRooms(io, getMessageRooms(message), "message:deleted", {
+    messageId: message._id.toString(),
+    receiverUserIdOrRoomId: toStringId(message.receiverUserIdOrRoomId),
+    actorUserId: String(actorUserId || ""),
+    tombstone: message.deletedAt ? message : null,
+  });
+}
+
+module.exports = {
+  toStringId,
+  getMessageRooms,
+  getConversationRooms,
+  emitToRooms,
+  emitNewMessage,
+  emitMessageDeleted,
+};
@@ -0,0 +1,117 @@
+const User = require("../models/User");
+const ChatRoom = require("../models/ChatRoom");
+
+// A user whose last socket closes stays online this long, so reloads and
+// brief network drops do not flap their presence.
+const PRESENCE_GRACE_MS = Number(process.env.PRESENCE_GRACE_MS) || 15 * 1000;
+
+// Live socket count per user across all of their devices (this process only)
+const connectionCounts = new Map();
+const offlineTimers = new Map();
+
+function canSeeLastSeen(user, viewerUserId) {
+  if (!user.hideLastSeen || String(user._id) === String(viewerUserId)) {
+    return true;
+  }
+
+  return (user.followers || []).some((follower) => String(follower?._id || follower) === String(viewerUserId));
+}
+
+// Blanks lastSeenAt on a user document (or plain object) when the owner has
+// hidden it and the viewer is not one of their followers.
+function applyLastSeenPrivacy(user, viewerUserId) {
+  const plainUser = typeof user.toObject === "function" ? user.toObject() : { ...user };
+  if (!canSeeLastSeen(plainUser, viewerUserId)) {
+    plainUser.lastSeenAt = null;
+  }
+
+  return plainUser;
+}
+
+// Followers get the full update; room co-members who do not follow the user
+// only see the last-seen time if it is not hidden.
+async function broadcastPresence(io, userId) {
+  const user = await User.findById(userId).select("onlineStatus lastSeenAt hideLastSeen followers").lean();
+  if (!user) {
+    return;
+  }
+
+  const fullAudienceIds = new Set([...(user.followers || []).map(String), String(userId)]);
+  const coMemberIds = await ChatRoom.find({ members: userId }).distinct("members");
+  const otherIds = coMemberIds.map(String).filter((memberId) => !fullAudienceIds.has(memberId));
+
+  const payload = {
+    userId: String(userId),
+    onlineStatus: Boolean(user.onlineStatus),
+    lastSeenAt: user.lastSeenAt || null,
+  };
+  const toRooms = (ids) => ids.map((id) => `user:${id}`);
+
+  io.to(toRooms([...fullAudienceIds])).emit("presence:update", payload);
+  if (otherIds.length > 0) {
+    io.to(toRooms(otherIds)).emit("presence:update", user.hideLastSeen ? { ...payload, lastSeenAt: null } : payload);
+  }
+}
+
+async function setPresence(io, userId, onlineStatus) {
+  const update = onlineStatus ? { onlineStatus: true } : { onlineStatus: false, lastSeenAt: new Date() };
+  await User.updateOne({ _id: userId }, { $set: update });
+  await broadcastPresence(io, userId);
+}
+
+function handlePresenceConnect(io, userId) {
+  const previousCount = connectionCounts.get(userId) || 0;
+  connectionCounts.set(userId, previousCount + 1);
+
+  if (offlineTimers.has(userId)) {
+    // Came back within the grace period; they never went offline.
+    clearTimeout(offlineTimers.get(userId));
+    offlineTimers.delete(userId);
+    return;
+  }
+
+  if (previousCount === 0) {
+    setPresence(io, userId, true).catch((error) => {
+      console.error("[Presence] online update failed:", error.message);
+    });
+  }
+}
+
+function handlePresenceDisconnect(io, userId) {
+  const remainingCount = Math.max((connectionCounts.get(userId) || 0) - 1, 0);
+  if (remainingCount > 0) {
+    connectionCounts.set(userId, remainingCount);
+    return;
+  }
+
+  connectionCounts.delete(userId);
+  offlineTimers.set(
+    userId,
+    setTimeout(() => {
+      offlineTimers.delete(userId);
+      if (connectionCounts.has(userId)) {
+        return;
+      }
+
+      setPresence(io, userId, false).catch((error) => {
+        console.error("[Presence] offline update failed:", error.message);
+      });
+    }, PRESENCE_GRACE_MS),
+  );
+}
+
+// Presence flags left behind by a previous process are stale: anyone still
+// connected comes back online as their sockets reconnect.
+async function resetPresence() {
+  await User.updateMany(
+    { onlineStatus: true, _id: { $nin: Array.from(connectionCounts.keys()) } },
+    { $set: { onlineStatus: false, lastSeenAt: new Date() } },
+  );
+}
+
+module.exports = {
+  applyLastSeenPrivacy,
+  handlePresenceConnect,
+  handlePresenceDisconnect,
+  resetPresence,
+};
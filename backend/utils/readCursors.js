@@ -0,0 +1,56 @@
+const ReadCursor = require("../models/ReadCursor");
+
+function getConversationKey(context) {
+  if (context.type === "room") {
+    return `room:${context.roomId}`;
+  }
+
+  return `dm:${[String(context.actorUserId), String(context.peerUserId)].sort().join(":")}`;
+}
+
+function serializeReadCursor(cursor) {
+  return {
+    userId: String(cursor.user),
+    deliveredUpTo: cursor.deliveredUpTo || null,
+    readUpTo: cursor.readUpTo || null,
+  };
+}
+
+// Moves a user's cursor forward to `upTo` (never backwards). Reading implies
+// delivery. Returns the updated cursor and whether anything changed.
+async function advanceReadCursor(userId, conversationKey, status, upTo) {
+  const fields = status === "read" ? ["deliveredUpTo", "readUpTo"] : ["deliveredUpTo"];
+  const update = {};
+  fields.forEach((field) => {
+    update[field] = upTo;
+  });
+
+  const previous = await ReadCursor.findOneAndUpdate(
+    { user: userId, conversation: conversationKey },
+    { $max: update },
+    { upsert: true, returnDocument: "before", setDefaultsOnInsert: true },
+  ).lean();
+
+  const changed = fields.some((field) => !previous?.[field] || previous[field] < upTo);
+  const cursor = {
+    user: userId,
+    deliveredUpTo: previous?.deliveredUpTo && previous.deliveredUpTo > upTo ? previous.deliveredUpTo : upTo,
+    readUpTo: status === "read"
+      ? (previous?.readUpTo && previous.readUpTo > upTo ? previous.readUpTo : upTo)
+      : previous?.readUpTo || null,
+  };
+
+  return { cursor: serializeReadCursor(cursor), changed };
+}
+
+// Cursors of everyone in the conversation except `excludeUserId`
+async function getConversationReadCursors(conversationKey, excludeUserId) {
+  const cursors = await ReadCursor.find({
+    conversation: conversationKey,
+    user: { $ne: excludeUserId },
+  }).lean();
+
+  return cursors.map(serializeReadCursor);
+}
+
+module.exports = { getConversationKey, advanceReadCursor, getConversationReadCursors };
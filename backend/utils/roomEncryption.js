@@ -0,0 +1,57 @@
+// Encrypted rooms: messages are e2e_room_v1 payloads encrypted with the
+// sender's key for the room's current epoch. The server cannot read them
+// but checks the clear header so that nobody keeps writing with a key that
+// a removed member still holds.
+const ROOM_E2EE_PAYLOAD_KIND = "e2e_room_v1";
+const ROOM_E2EE_ENCRYPTION_METHOD = "E2EE-SENDER-KEY";
+
+function parseRoomPayloadHeader(payloadText) {
+  try {
+    const parsed = JSON.parse(String(payloadText || ""));
+    if (!parsed || parsed.kind !== ROOM_E2EE_PAYLOAD_KIND) {
+      return null;
+    }
+
+    const epoch = Number(parsed.epoch);
+    const keyId = String(parsed.keyId || "").trim();
+    if (!Number.isInteger(epoch) || !keyId) {
+      return null;
+    }
+
+    return { roomId: String(parsed.roomId || ""), epoch, keyId };
+  } catch {
+    return null;
+  }
+}
+
+// `room` needs _id, e2eeEnabled and keyEpoch
+function checkRoomMessageEncryption(room, { isEncrypted, encryptionMethod, messageContent }) {
+  if (!room?.e2eeEnabled) {
+    if (encryptionMethod === ROOM_E2EE_ENCRYPTION_METHOD) {
+      return { error: { status: 400, message: "This room is not end-to-end encrypted" } };
+    }
+    return { ok: true };
+  }
+
+  if (!isEncrypted || encryptionMethod !== ROOM_E2EE_ENCRYPTION_METHOD) {
+    return { error: { status: 400, message: "Messages in this room must be end-to-end encrypted" } };
+  }
+
+  const header = parseRoomPayloadHeader(messageContent);
+  if (!header || header.roomId !== String(room._id)) {
+    return { error: { status: 400, message: "Invalid encrypted room payload" } };
+  }
+
+  if (header.epoch !== room.keyEpoch) {
+    return {
+      error: { status: 409, message: "The room key has changed. Please try again.", keyEpoch: room.keyEpoch },
+    };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  ROOM_E2EE_ENCRYPTION_METHOD,
+  checkRoomMessageEncryption,
+};
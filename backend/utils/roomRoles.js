@@ -0,0 +1,85 @@
+// Room roles from lowest to highest. The owner is ChatRoom.createdBy, admins
+// and moderators are listed in ChatRoom.roles and everyone else is a member.
+const ROOM_ROLES = ["member", "moderator", "admin", "owner"];
+
+// The lowest role allowed to do each action. Mirrored on the client in
+// src/utils/roomRoles.js.
+const ROOM_PERMISSIONS = {
+  addMembers: "admin",
+  removeMembers: "moderator",
+  manageRoles: "admin",
+  deleteMessages: "moderator",
+  clearHistory: "admin",
+  changeEncryption: "admin",
+  changeDisappearingTimer: "admin",
+  manageInvites: "admin",
+  changeVisibility: "admin",
+  editProfile: "admin",
+  reviewJoinRequests: "moderator",
+};
+
+function toId(value) {
+  if (!value) {
+    return "";
+  }
+
+  return value._id?.toString?.() || value.toString();
+}
+
+// "owner", "admin", "moderator" or "member"; an empty string for non-members
+function getRoomRole(room, userId) {
+  const id = String(userId || "");
+  if (!room || !id || !(room.members || []).some((member) => toId(member) === id)) {
+    return "";
+  }
+
+  if (toId(room.createdBy) === id) {
+    return "owner";
+  }
+
+  const entry = (room.roles || []).find((roleEntry) => toId(roleEntry.user) === id);
+  return entry?.role || "member";
+}
+
+function getRoomRoleRank(role) {
+  return ROOM_ROLES.indexOf(role);
+}
+
+function hasRoomPermission(role, permission) {
+  const minimumRole = ROOM_PERMISSIONS[permission];
+  return Boolean(role && minimumRole) && getRoomRoleRank(role) >= getRoomRoleRank(minimumRole);
+}
+
+// Sets a member's role in room.roles; "member" drops the entry
+function setRoomRole(room, userId, role) {
+  const id = String(userId);
+  const roles = (room.roles || []).filter((roleEntry) => toId(roleEntry.user) !== id);
+  room.roles = role === "member" ? roles : [...roles, { user: userId, role }];
+}
+
+// Who takes over when the owner leaves: the highest-ranked remaining member,
+// the longest-standing one among equals. Empty when nobody is left.
+function getSuccessorOwnerId(room) {
+  let successorId = "";
+  let successorRank = -1;
+
+  (room.members || []).forEach((member) => {
+    const memberId = toId(member);
+    const rank = getRoomRoleRank(getRoomRole(room, memberId));
+    if (memberId !== toId(room.createdBy) && rank > successorRank) {
+      successorId = memberId;
+      successorRank = rank;
+    }
+  });
+
+  return successorId;
+}
+
+module.exports = {
+  ROOM_ROLES,
+  getRoomRole,
+  getRoomRoleRank,
+  getSuccessorOwnerId,
+  hasRoomPermission,
+  setRoomRole,
+};
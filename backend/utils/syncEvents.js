@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const ChatRoom = require("../models/ChatRoom");
+const SyncEvent = require("../models/SyncEvent");
+
+const { SYNC_EVENT_RETENTION_SECONDS } = SyncEvent;
+const MAX_REPLAY_EVENTS = 500;
+
+function toPlainPayload(payload) {
+  return JSON.parse(JSON.stringify(payload ?? {}));
+}
+
+// ObjectIds generated by one process increase monotonically, so a fresh id is
+// a cursor that sorts after every event recorded so far.
+function createCursor() {
+  return String(new mongoose.Types.ObjectId());
+}
+
+let pendingWrite = Promise.resolve();
+
+// Stores an event for later replay and resolves with the cursor to stamp on
+// the payload once the write has committed. Writes are chained so events
+// commit in cursor order: a client holding a cursor can never miss an earlier
+// event that only became visible later.
+function recordSyncEvent(rooms, eventName, payload) {
+  const write = pendingWrite.then(async () => {
+    const eventId = new mongoose.Types.ObjectId();
+    await SyncEvent.create({
+      _id: eventId,
+      eventName,
+      rooms,
+      payload: toPlainPayload(payload),
+    });
+    return String(eventId);
+  });
+
+  pendingWrite = write.catch(() => {});
+  return write;
+}
+
+// Returns the events a user missed after `cursor`. `reset: true` means the gap
+// cannot be replayed (unknown or expired cursor, too many events) and the
+// client should refetch state over REST instead.
+async function getMissedEvents(userId, cursor) {
+  if (!cursor) {
+    return { events: [], cursor: createCursor(), reset: false };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(String(cursor))) {
+    return { events: [], cursor: createCursor(), reset: true };
+  }
+
+  const cursorId = new mongoose.Types.ObjectId(String(cursor));
+  const oldestReplayableTime = Date.now() - SYNC_EVENT_RETENTION_SECONDS * 1000;
+  if (cursorId.getTimestamp().getTime() < oldestReplayableTime) {
+    return { events: [], cursor: createCursor(), reset: true };
+  }
+
+  // Rooms joined since the cursor only replay what happened after the join;
+  // their earlier history was never the user's to receive.
+  const rooms = await ChatRoom.find({ members: userId }).select("_id memberJoins").lean();
+  const cursorTime = cursorId.getTimestamp();
+  const audience = [`user:${userId}`];
+  const joinedSinceCursor = [];
+  rooms.forEach((room) => {
+    const joinedAt = (room.memberJoins || []).find((entry) => String(entry.user) === String(userId))?.joinedAt;
+    if (joinedAt && joinedAt >= cursorTime) {
+      joinedSinceCursor.push({ rooms: `room:${room._id}`, createdAt: { $gt: joinedAt } });
+    } else {
+      audience.push(`room:${room._id}`);
+    }
+  });
+
+  const events = await SyncEvent.find({
+    _id: { $gt: cursorId },
+    $or: [{ rooms: { $in: audience } }, ...joinedSinceCursor],
+  })
+    .sort({ _id: 1 })
+    .limit(MAX_REPLAY_EVENTS + 1)
+    .lean();
+
+  if (events.length > MAX_REPLAY_EVENTS) {
+    return { events: [], cursor: createCursor(), reset: true };
+  }
+
+  return {
+    events: events.map((event) => ({
+      eventName: event.eventName,
+      payload: { ...event.payload, syncCursor: String(event._id) },
+    })),
+    cursor: events.length > 0 ? String(events[events.length - 1]._id) : String(cursor),
+    reset: false,
+  };
+}
+
+module.exports = { recordSyncEvent, getMissedEvents };
@@ -0,0 +1,20 @@
+const Message = require("../models/Message");
+const { emitNewMessage } = require("./messageEvents");
+
+// Notices such as "Alice turned on disappearing messages" are stored as
+// messages of type "system" so they keep their place in the history. They
+// are never encrypted, edited or subject to a disappearing timer.
+async function postSystemMessage(io, { actorUserId, receiverUserIdOrRoomId, text }) {
+  const message = await Message.create({
+    senderUserId: actorUserId,
+    receiverUserIdOrRoomId,
+    messageContent: text,
+    messageType: "system",
+  });
+
+  await message.populate("senderUserId", "username email");
+  emitNewMessage(io, message);
+  return message;
+}
+
+module.exports = { postSystemMessage };
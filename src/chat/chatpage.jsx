@@ -1,24 +1,79 @@
-import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import { io } from "socket.io-client";
 import axios from "axios";
 import FriendRequests from "../components/FriendRequests";
+import RoomJoinRequests from "../components/RoomJoinRequests";
 import ProfileEditModal from "../components/ProfileEditModal";
 import ProfileViewModal from "../components/ProfileViewModal";
 import EmojiPickerPanel from "../components/chat/EmojiPickerPanel";
 import MessageItem from "../components/chat/MessageItem";
-import { clearAuthSession, getAuthSession, saveAuthSession } from "../utils/authSession";
+import MessageHistoryModal from "../components/chat/MessageHistoryModal";
+import DisappearingTimerSelect from "../components/chat/DisappearingTimerSelect";
+import MessageSearchModal from "../components/chat/MessageSearchModal";
+import RoomInvitesPanel from "../components/chat/RoomInvitesPanel";
+import RoomDirectoryModal from "../components/chat/RoomDirectoryModal";
+import RoomProfileEditModal from "../components/chat/RoomProfileEditModal";
+import RoomAvatar from "../components/chat/RoomAvatar";
+import { refreshAuthSession } from "../utils/authClient";
+import { getImageDimensions, stripImageMetadata, uploadAttachment } from "../utils/attachments";
+import useAttachmentLinks from "../utils/useAttachmentLinks";
+import { formatPresence } from "../utils/presence";
+import { formatDisappearingTimer } from "../utils/disappearingMessages";
 import {
+  ROOM_ROLE_LABELS,
+  getAssignableRoomRoles,
+  getRoomRole,
+  getRoomRoleRank,
+  hasRoomPermission,
+} from "../utils/roomRoles";
+import { indexLocalMessage, removeLocalConversation, removeLocalMessage } from "../utils/localMessageIndex";
+import { ROOM_INVITE_QUERY_PARAM } from "../utils/roomInvites";
+import { ROOM_VISIBILITY_OPTIONS, getRoomVisibilityLabel } from "../utils/roomVisibility";
+import {
+  AUTH_SESSION_CHANGED_EVENT,
+  clearAuthSession,
+  getAuthSession,
+  updateAuthSession,
+} from "../utils/authSession";
+import {
+  ROOM_E2EE_ENCRYPTION_METHOD,
+  clearCachedPlaintexts,
+  computeE2EEKeyFingerprint,
+  decodeRoomSenderKey,
   decryptDirectMessagePayload,
+  decryptRoomMessagePayload,
+  encodeRoomSenderKey,
+  encryptAttachmentFile,
   encryptDirectMessagePayload,
+  encryptRatchetDirectMessagePayload,
+  encryptRoomMessagePayload,
   ensureLocalE2EEIdentity,
+  generateRoomSenderKey,
+  getRoomPayloadHeader,
   isE2EEncryptedPayload,
   isWebCryptoSupported,
+  loadE2EEKeyring,
+  loadVerifiedContacts,
+  removeCachedConversation,
+  removeCachedPlaintext,
+  setContactVerification,
 } from "../utils/e2ee";
+import { describeUserAgent } from "../utils/devices";
 import "./chatpage.css";
 
 const API_BASE_URL =
   (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
 const MESSAGE_POLL_INTERVAL_MS = 2500;
+const MESSAGE_PAGE_SIZE = 50;
+const LOAD_OLDER_SCROLL_THRESHOLD_PX = 80;
+const SEARCH_HIT_HIGHLIGHT_MS = 2500;
+// Delivery acknowledgements arriving in a burst (e.g. a reconnect replay) are
+// coalesced into one request per conversation.
+const DELIVERY_ACK_DELAY_MS = 400;
+// While the user keeps typing, typing:start is re-sent at most this often
+// (the server expires it after 6s); typing:stop follows a pause this long.
+const TYPING_THROTTLE_MS = 3000;
+const TYPING_IDLE_MS = 4000;
 const DEFAULT_WEBRTC_ICE_SERVERS = [
   {
     urls: ["stun:stun.l.google.com:19302", "stun:stun1.l.google.com:19302"],
@@ -92,8 +147,13 @@ const CALL_STATUS_LABELS = {
   connecting: "Connecting...",
   connected: "In call",
 };
-const MAX_ATTACHMENT_SIZE_BYTES = 5 * 1024 * 1024;
+// Encrypted DMs still carry files inline, so they keep the smaller limit;
+// room files go through the upload store.
+const MAX_UPLOAD_SIZE_BYTES = 25 * 1024 * 1024;
 const ATTACHMENT_PAYLOAD_KIND = "chat_attachment";
+const ENCRYPTED_ATTACHMENT_PAYLOAD_KIND = "chat_encrypted_attachment";
+// Encrypted uploads go under a placeholder name, so the server never sees it
+const ENCRYPTED_ATTACHMENT_UPLOAD_NAME = "encrypted-attachment";
 const E2EE_DECRYPTION_FALLBACK = "[Unable to decrypt message]";
 
 function normalizeCallType(callType) {
@@ -173,6 +233,13 @@ function toId(value) {
   return "";
 }
 
+// The room a message was sent to, or for a DM the other user
+function getMessageConversationId(message, currentUserId) {
+  const senderId = toId(message?.senderUserId);
+  const targetId = toId(message?.receiverUserIdOrRoomId);
+  return targetId === String(currentUserId) ? senderId : targetId;
+}
+
 function buildDmChannel(userId1, userId2) {
   return `dm:${[userId1, userId2].sort().join(":")}`;
 }
@@ -193,11 +260,9 @@ function parseAttachmentPayload(rawText) {
 
   try {
     const parsed = JSON.parse(text);
-    if (
-      !parsed ||
-      parsed.kind !== ATTACHMENT_PAYLOAD_KIND ||
-      typeof parsed.dataUrl !== "string"
-    ) {
+    const isEmbedded = parsed?.kind === ATTACHMENT_PAYLOAD_KIND && typeof parsed.dataUrl === "string";
+    const isEncryptedUpload = parsed?.kind === ENCRYPTED_ATTACHMENT_PAYLOAD_KIND && Boolean(parsed.attachmentId);
+    if (!isEmbedded && !isEncryptedUpload) {
       return null;
     }
 
@@ -205,20 +270,76 @@ function parseAttachmentPayload(rawText) {
       name: String(parsed.name || "attachment"),
       mimeType: String(parsed.mimeType || ""),
       size: Number(parsed.size) || 0,
-      dataUrl: parsed.dataUrl,
+      dataUrl: isEmbedded ? parsed.dataUrl : "",
     };
   } catch {
     return null;
   }
 }
 
-function getNotificationPreview(rawText) {
+function indexReadCursors(receipts) {
+  const byUserId = {};
+  (receipts || []).forEach((receipt) => {
+    if (receipt?.userId) {
+      byUserId[String(receipt.userId)] = {
+        deliveredUpTo: receipt.deliveredUpTo || null,
+        readUpTo: receipt.readUpTo || null,
+      };
+    }
+  });
+  return byUserId;
+}
+
+function getLaterTimestamp(first, second) {
+  if (!first) {
+    return second || null;
+  }
+
+  if (!second) {
+    return first;
+  }
+
+  return new Date(second).getTime() > new Date(first).getTime() ? second : first;
+}
+
+function withoutTypingUser(typingByConversation, conversationId, userId) {
+  const typingUserIds = typingByConversation[conversationId] || [];
+  if (!typingUserIds.includes(userId)) {
+    return typingByConversation;
+  }
+
+  return {
+    ...typingByConversation,
+    [conversationId]: typingUserIds.filter((typingUserId) => typingUserId !== userId),
+  };
+}
+
+function getActivityTime(activity) {
+  const time = new Date(activity?.lastActivityAt || 0).getTime();
+  return Number.isFinite(time) ? time : 0;
+}
+
+function sortByRecentActivity(items, getNotificationKey, activityByKey) {
+  return [...items].sort(
+    (first, second) =>
+      getActivityTime(activityByKey[getNotificationKey(second)]) -
+      getActivityTime(activityByKey[getNotificationKey(first)]),
+  );
+}
+
+function getNotificationPreview(rawText, attachmentReference = null) {
+  // Encrypted uploads also carry a reference, but only to their ciphertext
   const attachment = parseAttachmentPayload(rawText);
   if (attachment) {
     const prefix = attachment.mimeType.startsWith("image/") ? "Image" : "File";
     return `${prefix}: ${attachment.name}`;
   }
 
+  if (attachmentReference?.attachmentId) {
+    const prefix = String(attachmentReference.mimeType || "").startsWith("image/") ? "Image" : "File";
+    return `${prefix}: ${attachmentReference.fileName || "attachment"}`;
+  }
+
   const text = String(rawText || "").trim();
   if (!text) {
     return "New message";
@@ -245,21 +366,6 @@ function formatFileSize(bytes) {
   return `${size.toFixed(precision)} ${units[unitIndex]}`;
 }
 
-function readFileAsDataUrl(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-
-    reader.onload = () => {
-      resolve(String(reader.result || ""));
-    };
-
-    reader.onerror = () => {
-      reject(reader.error || new Error("Failed to read file"));
-    };
-
-    reader.readAsDataURL(file);
-  });
-}
 
 function getUserDisplayName(user) {
   if (!user) {
@@ -319,6 +425,15 @@ function getUserAvatarUrl(user) {
   return "";
 }
 
+function getE2EEDevices(user) {
+  if (Array.isArray(user?.e2eDevices) && user.e2eDevices.length > 0) {
+    return user.e2eDevices;
+  }
+
+  const legacyPublicKey = String(user?.e2ePublicKey || "").trim();
+  return legacyPublicKey ? [{ deviceId: "", publicKey: legacyPublicKey }] : [];
+}
+
 function normalizeUserForUi(user) {
   return {
     ...user,
@@ -348,6 +463,7 @@ function normalizeReplyPreview(replyToMessage) {
     senderUserId: replyToMessage.senderUserId || null,
     messageContent: String(replyToMessage.messageContent || ""),
     createdAt: replyToMessage.createdAt || "",
+    deletedAt: replyToMessage.deletedAt || null,
   };
 }
 
@@ -423,6 +539,40 @@ function reconcileMessages(previousMessages, incomingMessages) {
   });
 }
 
+// Applies a fresh newest page on top of what is already loaded. Older pages
+// fetched by scrolling up are kept as long as the new page still overlaps the
+// loaded history; otherwise (another conversation, or a large gap) the page
+// replaces the list.
+function mergeLatestMessagePage(previousMessages, latestPage) {
+  if (latestPage.length === 0) {
+    return reconcileMessages(previousMessages, []);
+  }
+
+  const latestIds = new Set(latestPage.map((message) => String(message._id)));
+  const overlaps = previousMessages.some((message) => latestIds.has(String(message._id)));
+  if (!overlaps) {
+    return reconcileMessages(previousMessages, latestPage);
+  }
+
+  const oldestLatestTime = new Date(latestPage[0].createdAt).getTime();
+  const olderLoadedMessages = previousMessages.filter(
+    (message) =>
+      !latestIds.has(String(message._id)) && new Date(message.createdAt).getTime() < oldestLatestTime,
+  );
+
+  return reconcileMessages(previousMessages, [...olderLoadedMessages, ...latestPage]);
+}
+
+function prependOlderMessages(previousMessages, olderPage) {
+  const knownIds = new Set(previousMessages.map((message) => String(message._id)));
+  const unseenOlderMessages = olderPage.filter((message) => !knownIds.has(String(message._id)));
+  if (unseenOlderMessages.length === 0) {
+    return previousMessages;
+  }
+
+  return [...reconcileMessages([], unseenOlderMessages), ...previousMessages];
+}
+
 function ThemeIcon({ theme }) {
   if (theme === "light") {
     return (
@@ -507,6 +657,15 @@ function AttachmentIcon() {
   );
 }
 
+function SearchIcon() {
+  return (
+    <svg className="header-icon" viewBox="0 0 24 24" aria-hidden="true">
+      <circle cx="11" cy="11" r="6.5" fill="none" stroke="currentColor" strokeWidth="1.6" />
+      <path d="m16 16 4.5 4.5" fill="none" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round" />
+    </svg>
+  );
+}
+
 function PhoneIcon() {
   return (
     <svg className="header-icon" viewBox="0 0 24 24" aria-hidden="true">
@@ -559,16 +718,29 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
   const [selectedRoom, setSelectedRoom] = useState(null);
   const [selectedUser, setSelectedUser] = useState(null);
   const [messages, setMessages] = useState([]);
+  const [olderMessagesState, setOlderMessagesState] = useState({ conversationKey: "", hasMore: false });
+  // After jumping to a search hit the list can stop short of the newest message
+  const [newerMessagesState, setNewerMessagesState] = useState({ conversationKey: "", hasMore: false });
+  const [highlightedMessageId, setHighlightedMessageId] = useState("");
+  const [messageSearch, setMessageSearch] = useState(null);
+  const [isLoadingOlderMessages, setIsLoadingOlderMessages] = useState(false);
+  const [isSocketConnected, setIsSocketConnected] = useState(false);
+  const [conversationReceipts, setConversationReceipts] = useState({ conversationKey: "", byUserId: {} });
+  const [disappearingTimer, setDisappearingTimer] = useState({ conversationKey: "", timer: null });
+  const [isDocumentVisible, setIsDocumentVisible] = useState(() => document.visibilityState === "visible");
   const [newMessage, setNewMessage] = useState("");
   const [replyToMessage, setReplyToMessage] = useState(null);
   const [newRoomName, setNewRoomName] = useState("");
   const [showCreateRoom, setShowCreateRoom] = useState(false);
+  const [newRoomVisibility, setNewRoomVisibility] = useState("invite_only");
+  const [showRoomDirectory, setShowRoomDirectory] = useState(false);
   const [activeTab, setActiveTab] = useState("chats");
   const [sidebarSearch, setSidebarSearch] = useState("");
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [isSendingAttachment, setIsSendingAttachment] = useState(false);
   const [userFollowStatus, setUserFollowStatus] = useState({});
   const [showRoomInfo, setShowRoomInfo] = useState(false);
+  const [showRoomProfileEdit, setShowRoomProfileEdit] = useState(false);
   const [roomError, setRoomError] = useState("");
   const [roomMemberError, setRoomMemberError] = useState("");
   const [roomMemberAction, setRoomMemberAction] = useState({ type: "", userId: "" });
@@ -578,6 +750,10 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
   const [showProfileView, setShowProfileView] = useState(false);
   const [viewedUser, setViewedUser] = useState(null);
   const [unreadCounts, setUnreadCounts] = useState({});
+  const [conversationActivity, setConversationActivity] = useState({});
+  const [typingByConversation, setTypingByConversation] = useState({});
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [messageHistory, setMessageHistory] = useState(null);
   const [callState, setCallState] = useState(INITIAL_CALL_STATE);
   const [localStream, setLocalStream] = useState(null);
   const [remoteStream, setRemoteStream] = useState(null);
@@ -598,14 +774,29 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
       avatarUrl: "",
     });
   });
+  // Undefined until the profile has been loaded from the server
+  const registeredE2EEDevices = currentUserProfile?.e2eDevices;
+  const [verifiedContacts, setVerifiedContacts] = useState(() => loadVerifiedContacts(getAuthSession().userId));
+  // Key fingerprint of the open DM's peer, compared against the verified one
+  const [peerKeyFingerprint, setPeerKeyFingerprint] = useState({ peerUserId: "", fingerprint: "" });
 
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const pendingScrollRestoreRef = useRef(null);
+  const isLoadingOlderMessagesRef = useRef(false);
+  // Search hit the next fetch of its conversation should load around
+  const pendingJumpRef = useRef(null);
   const messageInputRef = useRef(null);
   const emojiTriggerWrapRef = useRef(null);
   const emojiToggleButtonRef = useRef(null);
   const fileInputRef = useRef(null);
   const socketRef = useRef(null);
   const joinedConversationRef = useRef(null);
+  const syncCursorRef = useRef("");
+  const fetchMessagesRef = useRef(null);
+  const fetchConversationsRef = useRef(null);
+  const lastReadReceiptMessageIdRef = useRef("");
+  const typingSignalRef = useRef({ conversationId: "", lastSentAt: 0, idleTimerId: 0 });
   const wasEmojiOpenRef = useRef(false);
   const localVideoRef = useRef(null);
   const remoteVideoRef = useRef(null);
@@ -623,9 +814,14 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
   const processedRealtimeMessageIdsRef = useRef(new Set());
   const notificationPermissionRequestedRef = useRef(false);
   const notificationAudioContextRef = useRef(null);
-  const e2eePrivateKeyRef = useRef("");
-  const e2eePublicKeyRef = useRef("");
+  // This browser's device identity, and every identity it can decrypt with
+  // (the device identity first, then any restored from a key backup)
+  const e2eeIdentityRef = useRef(null);
+  const e2eeKeyringRef = useRef([]);
   const e2eeInitializationWarningShownRef = useRef(false);
+  // Unwrapped room sender keys by keyId, and in-flight key fetches by room
+  const roomSenderKeysRef = useRef(new Map());
+  const roomSenderKeyLoadsRef = useRef(new Map());
 
   const [localTheme, setLocalTheme] = useState(() => localStorage.getItem("theme") || "light");
   const theme = propsTheme !== undefined ? propsTheme : localTheme;
@@ -657,8 +853,10 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     };
 
     window.addEventListener("storage", syncAuthSession);
+    window.addEventListener(AUTH_SESSION_CHANGED_EVENT, syncAuthSession);
     return () => {
       window.removeEventListener("storage", syncAuthSession);
+      window.removeEventListener(AUTH_SESSION_CHANGED_EVENT, syncAuthSession);
     };
   }, []);
 
@@ -691,6 +889,9 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
 
     return "";
   }, [selectedRoom?._id, selectedUser?._id]);
+  // An edit in progress belongs to the conversation it was started in.
+  const activeEditingMessage =
+    editingMessage && editingMessage.conversationKey === activeNotificationKey ? editingMessage : null;
 
   const clearUnreadForKey = useCallback((notificationKey) => {
     if (!notificationKey) {
@@ -713,6 +914,24 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     clearUnreadForKey(activeNotificationKey);
   }, [activeNotificationKey, clearUnreadForKey]);
 
+  const recordConversationActivity = useCallback(
+    (notificationKey, message, previewText) => {
+      if (!notificationKey || !message) {
+        return;
+      }
+
+      const isOwnMessage = toId(message.senderUserId) === String(currentUserId || "");
+      setConversationActivity((previous) => ({
+        ...previous,
+        [notificationKey]: {
+          lastActivityAt: message.createdAt || new Date().toISOString(),
+          preview: isOwnMessage ? `You: ${previewText}` : previewText,
+        },
+      }));
+    },
+    [currentUserId],
+  );
+
   const getMessageNotificationKey = useCallback(
     (message) => {
       const senderId = toId(message?.senderUserId);
@@ -823,18 +1042,161 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     });
   }, []);
 
+  // Swaps in a new version of a loaded message (after an edit) and refreshes
+  // the quoted text of replies to it.
+  const replaceMessageInUi = useCallback((message) => {
+    const messageId = message?._id ? String(message._id) : "";
+    if (!messageId) {
+      return;
+    }
+
+    setMessages((previous) => {
+      let changed = false;
+      const next = previous.map((existing) => {
+        if (String(existing._id) === messageId) {
+          changed = true;
+          return {
+            ...message,
+            reactions: Array.isArray(message.reactions) ? message.reactions : [],
+            replyTo: normalizeReplyPreview(message.replyTo),
+          };
+        }
+
+        if (existing.replyTo && toId(existing.replyTo) === messageId) {
+          changed = true;
+          return {
+            ...existing,
+            replyTo: {
+              ...existing.replyTo,
+              messageContent: message.messageContent,
+              deletedAt: message.deletedAt || null,
+            },
+          };
+        }
+
+        return existing;
+      });
+
+      return changed ? next : previous;
+    });
+  }, []);
+
+  // Drops a message from the loaded list (deleted or hidden for this user)
+  // along with the reply quotes that pointed at it.
+  const removeMessageFromUi = useCallback((messageId) => {
+    setMessages((previous) => {
+      let changed = false;
+      const next = previous
+        .filter((message) => {
+          const shouldKeep = String(message._id) !== messageId;
+          if (!shouldKeep) {
+            changed = true;
+          }
+          return shouldKeep;
+        })
+        .map((message) => {
+          const replyId = toId(message.replyTo);
+          if (replyId && String(replyId) === messageId) {
+            changed = true;
+            return { ...message, replyTo: null };
+          }
+
+          return message;
+        });
+
+      return changed ? next : previous;
+    });
+
+    setReplyToMessage((previous) => (previous && String(previous._id) === messageId ? null : previous));
+  }, []);
+
+  // Fetches the sender keys other members (and this user's other sessions)
+  // wrapped for us and unwraps any not seen yet.
+  const loadRoomSenderKeys = useCallback(
+    (roomId) => {
+      const pendingLoad = roomSenderKeyLoadsRef.current.get(roomId);
+      if (pendingLoad) {
+        return pendingLoad;
+      }
+
+      const load = (async () => {
+        const response = await axios.get(`${API_BASE_URL}/api/chatrooms/${roomId}/sender-keys`);
+        for (const envelope of response.data?.senderKeys || []) {
+          if (roomSenderKeysRef.current.has(envelope.keyId)) {
+            continue;
+          }
+
+          try {
+            const senderKey = decodeRoomSenderKey(
+              await decryptDirectMessagePayload({
+                payloadText: envelope.payload,
+                currentUserId,
+                senderUserId: String(envelope.senderUserId),
+                keyring: e2eeKeyringRef.current,
+              }),
+            );
+            if (senderKey?.roomId === roomId && senderKey.keyId === envelope.keyId && senderKey.epoch === envelope.epoch) {
+              roomSenderKeysRef.current.set(envelope.keyId, { ...senderKey, senderUserId: String(envelope.senderUserId) });
+            }
+          } catch (error) {
+            console.error("Failed to unwrap room sender key:", error);
+          }
+        }
+      })().finally(() => {
+        roomSenderKeyLoadsRef.current.delete(roomId);
+      });
+
+      roomSenderKeyLoadsRef.current.set(roomId, load);
+      return load;
+    },
+    [currentUserId],
+  );
+
+  const decryptRoomMessageForUi = useCallback(
+    async (rawMessageContent, senderUserId, roomHeader) => {
+      let senderKey = roomSenderKeysRef.current.get(roomHeader.keyId);
+      if (!senderKey) {
+        await loadRoomSenderKeys(roomHeader.roomId);
+        senderKey = roomSenderKeysRef.current.get(roomHeader.keyId);
+      }
+
+      // Every member holds every sender key, so also check whose key it is.
+      if (!senderKey || senderKey.senderUserId !== String(toId(senderUserId)) || senderKey.roomId !== roomHeader.roomId) {
+        return E2EE_DECRYPTION_FALLBACK;
+      }
+
+      return decryptRoomMessagePayload({ payloadText: rawMessageContent, senderKeyBase64: senderKey.key });
+    },
+    [loadRoomSenderKeys],
+  );
+
+  // `conversationId` and `messageId` file the plaintexts of forward-secret DMs
   const decryptMessageContentForUi = useCallback(
-    async (messageContent, senderUserId, isEncrypted) => {
+    async (messageContent, senderUserId, isEncrypted, { conversationId, messageId } = {}) => {
       const rawMessageContent = String(messageContent || "");
       if (!rawMessageContent) {
         return "";
       }
 
+      const roomHeader = isEncrypted ? getRoomPayloadHeader(rawMessageContent) : null;
+      if (roomHeader) {
+        if (!currentUserId || e2eeKeyringRef.current.length === 0) {
+          return E2EE_DECRYPTION_FALLBACK;
+        }
+
+        try {
+          return await decryptRoomMessageForUi(rawMessageContent, senderUserId, roomHeader);
+        } catch (error) {
+          console.error("Failed to decrypt room message payload:", error);
+          return E2EE_DECRYPTION_FALLBACK;
+        }
+      }
+
       if (!isEncrypted || !isE2EEncryptedPayload(rawMessageContent)) {
         return rawMessageContent;
       }
 
-      if (!currentUserId || !e2eePrivateKeyRef.current) {
+      if (!currentUserId || e2eeKeyringRef.current.length === 0) {
         return E2EE_DECRYPTION_FALLBACK;
       }
 
@@ -843,14 +1205,16 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
           payloadText: rawMessageContent,
           currentUserId,
           senderUserId: toId(senderUserId),
-          privateKeyBase64: e2eePrivateKeyRef.current,
+          conversationId,
+          messageId,
+          keyring: e2eeKeyringRef.current,
         });
       } catch (error) {
         console.error("Failed to decrypt message payload:", error);
         return E2EE_DECRYPTION_FALLBACK;
       }
     },
-    [currentUserId],
+    [currentUserId, decryptRoomMessageForUi],
   );
 
   const hydrateMessageForUi = useCallback(
@@ -859,18 +1223,36 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
         return null;
       }
 
+      const conversationId = getMessageConversationId(message, currentUserId);
       const decryptedMessageContent = await decryptMessageContentForUi(
         message.messageContent,
         message.senderUserId,
         message.isEncrypted,
+        { conversationId, messageId: toId(message) },
       );
 
+      // The server cannot search encrypted text, so this device indexes it.
+      if (message.isEncrypted && !message.deletedAt && decryptedMessageContent !== E2EE_DECRYPTION_FALLBACK) {
+        const attachment = message.messageType === "text" ? null : parseAttachmentPayload(decryptedMessageContent);
+        indexLocalMessage(currentUserId, {
+          messageId: message._id,
+          conversationId,
+          senderUserId: String(toId(message.senderUserId)),
+          messageType: message.messageType,
+          text: attachment ? attachment.name : decryptedMessageContent,
+          createdAt: message.createdAt,
+        }).catch((error) => {
+          console.error("Failed to index message for search:", error);
+        });
+      }
+
       let normalizedReply = normalizeReplyPreview(message.replyTo);
       if (message.replyTo && typeof message.replyTo === "object") {
         const decryptedReplyContent = await decryptMessageContentForUi(
           message.replyTo.messageContent,
           message.replyTo.senderUserId,
           message.replyTo.isEncrypted ?? message.isEncrypted,
+          { conversationId, messageId: toId(message.replyTo) },
         );
 
         normalizedReply = {
@@ -878,6 +1260,7 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
           senderUserId: message.replyTo.senderUserId || null,
           messageContent: String(decryptedReplyContent ?? ""),
           createdAt: message.replyTo.createdAt || "",
+          deletedAt: message.replyTo.deletedAt || null,
         };
       }
 
@@ -888,7 +1271,7 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
         replyTo: normalizedReply,
       };
     },
-    [decryptMessageContentForUi],
+    [currentUserId, decryptMessageContentForUi],
   );
 
   const hydrateMessageListForUi = useCallback(
@@ -900,10 +1283,74 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     [hydrateMessageForUi],
   );
 
+  // Sidebar previews and unread counts come from the server so they survive
+  // reloads and agree across devices; socket events only adjust them locally.
+  const fetchConversations = useCallback(async () => {
+    if (!currentUserId) {
+      return;
+    }
+
+    const response = await axios.get(`${API_BASE_URL}/api/conversations`);
+    const conversations = Array.isArray(response.data?.conversations) ? response.data.conversations : [];
+    const nextActivity = {};
+    const nextUnreadCounts = {};
+
+    await Promise.all(
+      conversations.map(async (conversation) => {
+        const notificationKey =
+          conversation.type === "room"
+            ? buildRoomNotificationKey(conversation.targetId)
+            : buildDmNotificationKey(conversation.targetId);
+        const lastMessage = conversation.lastMessage;
+
+        let previewText = lastMessage?.preview || "";
+        if (lastMessage?.messageContent) {
+          const decryptedContent = await decryptMessageContentForUi(
+            lastMessage.messageContent,
+            lastMessage.senderUserId,
+            lastMessage.isEncrypted,
+            { conversationId: conversation.targetId, messageId: lastMessage._id },
+          );
+          previewText =
+            decryptedContent === E2EE_DECRYPTION_FALLBACK
+              ? "Encrypted message"
+              : getNotificationPreview(decryptedContent);
+        }
+
+        if (lastMessage && String(lastMessage.senderUserId) === String(currentUserId)) {
+          previewText = `You: ${previewText}`;
+        }
+
+        nextActivity[notificationKey] = {
+          lastActivityAt: conversation.lastActivityAt,
+          preview: previewText,
+        };
+
+        if (conversation.unreadCount > 0 && notificationKey !== activeNotificationKeyRef.current) {
+          nextUnreadCounts[notificationKey] = conversation.unreadCount;
+        }
+      }),
+    );
+
+    setConversationActivity(nextActivity);
+    setUnreadCounts(nextUnreadCounts);
+  }, [currentUserId, decryptMessageContentForUi]);
+
+  useEffect(() => {
+    fetchConversationsRef.current = fetchConversations;
+  }, [fetchConversations]);
+
+  useEffect(() => {
+    fetchConversations().catch((error) => {
+      console.error("Failed to fetch conversations:", error);
+    });
+  }, [fetchConversations]);
+
   useEffect(() => {
     if (!currentUserId || !token) {
-      e2eePrivateKeyRef.current = "";
-      e2eePublicKeyRef.current = "";
+      e2eeIdentityRef.current = null;
+      e2eeKeyringRef.current = [];
+      roomSenderKeysRef.current.clear();
       return;
     }
 
@@ -912,8 +1359,8 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
         console.warn("Web Crypto is not available. Direct-message E2EE is disabled.");
         e2eeInitializationWarningShownRef.current = true;
       }
-      e2eePrivateKeyRef.current = "";
-      e2eePublicKeyRef.current = "";
+      e2eeIdentityRef.current = null;
+      e2eeKeyringRef.current = [];
       return;
     }
 
@@ -926,31 +1373,45 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
           return;
         }
 
-        e2eePrivateKeyRef.current = localIdentity.privateKey;
-        e2eePublicKeyRef.current = localIdentity.publicKey;
+        e2eeIdentityRef.current = localIdentity;
+        e2eeKeyringRef.current = [localIdentity, ...loadE2EEKeyring(currentUserId)];
 
-        const profilePublicKey = String(currentUserProfile?.e2ePublicKey || "").trim();
-        if (localIdentity.publicKey && localIdentity.publicKey !== profilePublicKey) {
-          await axios.put(`${API_BASE_URL}/api/users/${currentUserId}/update`, {
-            e2ePublicKey: localIdentity.publicKey,
-          });
+        // Wait for the profile before registering, so that an already
+        // registered device is not sent again on every load.
+        if (!Array.isArray(registeredE2EEDevices)) {
+          return;
+        }
 
-          if (isCancelled) {
-            return;
-          }
+        const isRegistered = registeredE2EEDevices.some(
+          (device) => device.deviceId === localIdentity.deviceId && device.publicKey === localIdentity.publicKey,
+        );
+        if (isRegistered) {
+          return;
+        }
 
-          setCurrentUserProfile((previous) =>
-            normalizeUserForUi({
-              ...(previous || {}),
-              _id: currentUserId,
-              e2ePublicKey: localIdentity.publicKey,
-            }),
-          );
+        const response = await axios.put(
+          `${API_BASE_URL}/api/users/me/e2ee/devices/${localIdentity.deviceId}`,
+          {
+            publicKey: localIdentity.publicKey,
+            label: describeUserAgent(navigator.userAgent),
+          },
+        );
+
+        if (isCancelled) {
+          return;
         }
+
+        setCurrentUserProfile((previous) =>
+          normalizeUserForUi({
+            ...(previous || {}),
+            _id: currentUserId,
+            e2eDevices: response.data?.devices || [],
+          }),
+        );
       } catch (error) {
         console.error("Failed to initialize E2EE identity:", error);
-        e2eePrivateKeyRef.current = "";
-        e2eePublicKeyRef.current = "";
+        e2eeIdentityRef.current = null;
+        e2eeKeyringRef.current = [];
       }
     };
 
@@ -959,7 +1420,7 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     return () => {
       isCancelled = true;
     };
-  }, [currentUserId, currentUserProfile?.e2ePublicKey, token]);
+  }, [currentUserId, registeredE2EEDevices, token]);
 
   const resetCallSession = useCallback((errorMessage = "", options = {}) => {
     const { skipStateUpdate = false } = options;
@@ -1381,31 +1842,100 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     }
   }, [token, currentUserId]);
 
-  useEffect(() => {
-    if (!token) {
-      delete axios.defaults.headers.common.Authorization;
-      delete axios.defaults.headers.common["x-auth-token"];
-      return;
-    }
-
-    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
-    axios.defaults.headers.common["x-auth-token"] = token;
-  }, [token]);
+  const hasSessionToken = Boolean(token);
 
   useEffect(() => {
-    if (!currentUserId) {
+    if (!currentUserId || !hasSessionToken) {
       return;
     }
 
+    // Read the token on every (re)connect so a refreshed access token is used
+    // without tearing down the socket.
     const socket = io(API_BASE_URL, {
-      auth: { userId: currentUserId },
-      query: { userId: currentUserId },
+      auth: (callback) => callback({ token: getAuthSession().token }),
       transports: ["websocket", "polling"],
     });
 
     socketRef.current = socket;
     const processedRealtimeMessageIds = processedRealtimeMessageIdsRef.current;
 
+    // Every message event carries the cursor of its server-side log entry;
+    // remembering the newest one lets a reconnect replay only what was missed.
+    const advanceSyncCursor = (cursor) => {
+      const nextCursor = cursor ? String(cursor) : "";
+      if (nextCursor && nextCursor > syncCursorRef.current) {
+        syncCursorRef.current = nextCursor;
+      }
+    };
+
+    const trackSyncCursor = (eventName, payload) => {
+      advanceSyncCursor(payload?.syncCursor);
+    };
+
+    const pendingDeliveryAcks = new Map();
+    let deliveryAckTimerId = null;
+
+    const queueDeliveryAck = (message) => {
+      const senderId = toId(message?.senderUserId);
+      const targetId = toId(message?.receiverUserIdOrRoomId);
+      const conversationTargetId = targetId === String(currentUserId) ? senderId : targetId;
+      if (!conversationTargetId || !message?._id) {
+        return;
+      }
+
+      pendingDeliveryAcks.set(conversationTargetId, String(message._id));
+      if (deliveryAckTimerId) {
+        return;
+      }
+
+      deliveryAckTimerId = window.setTimeout(() => {
+        deliveryAckTimerId = null;
+        pendingDeliveryAcks.forEach((upToMessageId, receiverUserIdOrRoomId) => {
+          axios
+            .put(`${API_BASE_URL}/api/messages/conversation/delivered`, { receiverUserIdOrRoomId, upToMessageId })
+            .catch((error) => {
+              console.error("Failed to acknowledge delivery:", error);
+            });
+        });
+        pendingDeliveryAcks.clear();
+      }, DELIVERY_ACK_DELAY_MS);
+    };
+
+    const onConnectError = (error) => {
+      if (error?.message === "Token expired") {
+        refreshAuthSession()
+          .then(() => socket.connect())
+          .catch((refreshError) => {
+            console.error("Failed to refresh session for socket:", refreshError);
+          });
+        return;
+      }
+
+      if (error?.message === "Session revoked") {
+        clearAuthSession();
+        return;
+      }
+
+      console.error("Socket connection refused:", error?.message || error);
+    };
+
+    const onDisconnect = (reason) => {
+      setIsSocketConnected(false);
+      setTypingByConversation({});
+
+      if (reason !== "io server disconnect") {
+        return;
+      }
+
+      // The server drops sockets of revoked sessions; a failed refresh clears
+      // the local session, which sends this tab back to the login screen.
+      refreshAuthSession()
+        .then(() => socket.connect())
+        .catch((refreshError) => {
+          console.error("Socket disconnected by server:", refreshError);
+        });
+    };
+
     const onReactionUpdated = (payload) => {
       if (!payload?.messageId || !Array.isArray(payload.reactions)) {
         return;
@@ -1426,38 +1956,47 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
       });
     };
 
-    const onMessageDeleted = (payload = {}) => {
+    const onMessageDeleted = async (payload = {}) => {
       const deletedMessageId = payload?.messageId ? String(payload.messageId) : "";
       if (!deletedMessageId) {
         return;
       }
 
-      setMessages((previous) => {
-        let changed = false;
-        const next = previous
-          .filter((message) => {
-            const shouldKeep = String(message._id) !== deletedMessageId;
-            if (!shouldKeep) {
-              changed = true;
-            }
-            return shouldKeep;
-          })
-          .map((message) => {
-            const replyId = toId(message.replyTo);
-            if (replyId && String(replyId) === deletedMessageId) {
-              changed = true;
-              return { ...message, replyTo: null };
-            }
+      removeLocalMessage(currentUserId, deletedMessageId).catch((error) => {
+        console.error("Failed to remove message from search index:", error);
+      });
+      removeCachedPlaintext(currentUserId, deletedMessageId).catch((error) => {
+        console.error("Failed to remove decrypted message:", error);
+      });
 
-            return message;
-          });
+      // Deleted for everyone: the message stays in place as a tombstone.
+      if (payload.tombstone) {
+        setReplyToMessage((previous) =>
+          previous && String(previous._id) === deletedMessageId ? null : previous,
+        );
+        const tombstone = await hydrateMessageForUi(payload.tombstone);
+        if (tombstone?._id) {
+          replaceMessageInUi(tombstone);
+        }
+        return;
+      }
 
-        return changed ? next : previous;
-      });
+      removeMessageFromUi(deletedMessageId);
+    };
 
-      setReplyToMessage((previous) =>
-        previous && String(previous._id) === deletedMessageId ? null : previous,
-      );
+    const onMessageHidden = (payload = {}) => {
+      const hiddenMessageId = payload?.messageId ? String(payload.messageId) : "";
+      if (!hiddenMessageId) {
+        return;
+      }
+
+      removeMessageFromUi(hiddenMessageId);
+      removeLocalMessage(currentUserId, hiddenMessageId).catch((error) => {
+        console.error("Failed to remove message from search index:", error);
+      });
+      removeCachedPlaintext(currentUserId, hiddenMessageId).catch((error) => {
+        console.error("Failed to remove decrypted message:", error);
+      });
     };
 
     const onConversationCleared = (payload = {}) => {
@@ -1473,6 +2012,12 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
 
       clearUnreadForKey(dmNotificationKey);
       clearUnreadForKey(roomNotificationKey);
+      removeLocalConversation(currentUserId, conversationTargetId).catch((error) => {
+        console.error("Failed to clear conversation from search index:", error);
+      });
+      removeCachedConversation(currentUserId, conversationTargetId).catch((error) => {
+        console.error("Failed to clear decrypted messages:", error);
+      });
 
       const isActiveConversation =
         activeNotificationKeyRef.current === dmNotificationKey ||
@@ -1512,9 +2057,18 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
         return;
       }
 
+      queueDeliveryAck(hydratedMessage);
+
+      const senderId = toId(hydratedMessage.senderUserId);
+      const messageChannel = notificationKey.startsWith("room:")
+        ? notificationKey
+        : buildDmChannel(String(currentUserId), senderId);
+      setTypingByConversation((previous) => withoutTypingUser(previous, messageChannel, senderId));
+
       const senderName = getUserDisplayName(hydratedMessage.senderUserId);
-      const previewText = getNotificationPreview(hydratedMessage.messageContent);
+      const previewText = getNotificationPreview(hydratedMessage.messageContent, hydratedMessage.attachment);
       const isActiveConversation = notificationKey === activeNotificationKeyRef.current;
+      recordConversationActivity(notificationKey, hydratedMessage, previewText);
       const isPageFocused = document.visibilityState === "visible" && document.hasFocus();
 
       if (isActiveConversation) {
@@ -1527,6 +2081,11 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
         return;
       }
 
+      // Room events such as a timer or topic change are not unread messages
+      if (hydratedMessage.messageType === "system") {
+        return;
+      }
+
       setUnreadCounts((previous) => ({
         ...previous,
         [notificationKey]: (previous[notificationKey] || 0) + 1,
@@ -1561,14 +2120,28 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
       });
     };
 
-    const onRoomMembershipChanged = (payload = {}) => {
-      const updatedRoom = payload?.room;
-      if (!updatedRoom?._id) {
+    // The event only names the room; its current state is fetched so that a
+    // replayed event never shows members or details from before it.
+    const onRoomMembershipChanged = async (payload = {}) => {
+      const roomId = payload?.roomId ? String(payload.roomId) : "";
+      if (!roomId) {
         return;
       }
 
-      if (!isRoomMember(updatedRoom, currentUserId)) {
-        removeRoomFromUi(updatedRoom._id);
+      let updatedRoom;
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/chatrooms/${roomId}`);
+        updatedRoom = response.data;
+      } catch (error) {
+        if (error.response?.status === 403 || error.response?.status === 404) {
+          removeRoomFromUi(roomId);
+          return;
+        }
+        throw error;
+      }
+
+      if (!updatedRoom?._id || !isRoomMember(updatedRoom, currentUserId)) {
+        removeRoomFromUi(roomId);
         return;
       }
 
@@ -1588,19 +2161,55 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
       );
     };
 
-    const onRoomRemoved = (payload = {}) => {
-      const roomId = payload?.roomId || payload?.room?._id;
-      removeRoomFromUi(roomId);
+    const onPresenceUpdate = (payload = {}) => {
+      const presenceUserId = payload?.userId ? String(payload.userId) : "";
+      if (!presenceUserId) {
+        return;
+      }
+
+      const presence = {
+        onlineStatus: Boolean(payload.onlineStatus),
+        lastSeenAt: payload.lastSeenAt || null,
+      };
+      const withPresence = (user) =>
+        user && String(user._id) === presenceUserId ? { ...user, ...presence } : user;
+
+      setUsers((previous) => previous.map(withPresence));
+      setSelectedUser(withPresence);
+      setViewedUser(withPresence);
     };
 
-    const onCallOffer = (payload = {}) => {
-      const fromUserId = payload?.fromUserId ? String(payload.fromUserId) : "";
-      const normalizedOffer = normalizeSessionDescription(payload?.offer);
-      if (!fromUserId || !normalizedOffer) {
+    const onE2EEDevicesChanged = (payload = {}) => {
+      const deviceOwnerId = payload?.userId ? String(payload.userId) : "";
+      if (!deviceOwnerId || !Array.isArray(payload.devices)) {
         return;
       }
 
-      const incomingCallType = normalizeCallType(payload?.callType);
+      const withDevices = (user) =>
+        user && String(user._id) === deviceOwnerId ? { ...user, e2eDevices: payload.devices } : user;
+
+      setUsers((previous) => previous.map(withDevices));
+      setSelectedUser(withDevices);
+      setViewedUser(withDevices);
+      setCurrentUserProfile(withDevices);
+    };
+
+    const onRoomRemoved = (payload = {}) => {
+      const roomId = payload?.roomId || payload?.room?._id;
+      removeRoomFromUi(roomId);
+      if (roomId) {
+        removeLocalConversation(currentUserId, roomId);
+      }
+    };
+
+    const onCallOffer = (payload = {}) => {
+      const fromUserId = payload?.fromUserId ? String(payload.fromUserId) : "";
+      const normalizedOffer = normalizeSessionDescription(payload?.offer);
+      if (!fromUserId || !normalizedOffer) {
+        return;
+      }
+
+      const incomingCallType = normalizeCallType(payload?.callType);
       const incomingCallId = payload?.callId || buildCallId(fromUserId);
       const peerName = resolvePeerName(fromUserId, payload?.fromUserName || "");
       const hasActiveCall = Boolean(
@@ -1706,33 +2315,210 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
       endActiveCall({ notifyPeer: false });
     };
 
+    const onMessageReceipt = (payload) => {
+      if (!payload?.conversationKey || !payload.userId) {
+        return;
+      }
+
+      // Reading on another device clears the badge here too.
+      if (String(payload.userId) === String(currentUserId) && payload.status === "read") {
+        const [scope, ...ids] = String(payload.conversationKey).split(":");
+        clearUnreadForKey(
+          scope === "room"
+            ? buildRoomNotificationKey(ids[0])
+            : buildDmNotificationKey(ids.find((id) => id !== String(currentUserId)) || ids[0]),
+        );
+      }
+
+      setConversationReceipts((previous) => {
+        if (previous.conversationKey !== payload.conversationKey) {
+          return previous;
+        }
+
+        const userId = String(payload.userId);
+        const current = previous.byUserId[userId] || {};
+        return {
+          ...previous,
+          byUserId: {
+            ...previous.byUserId,
+            [userId]: {
+              deliveredUpTo: getLaterTimestamp(current.deliveredUpTo, payload.deliveredUpTo),
+              readUpTo: getLaterTimestamp(current.readUpTo, payload.readUpTo),
+            },
+          },
+        };
+      });
+    };
+
+    const onMessageEdited = async (payload = {}) => {
+      const editedMessage = await hydrateMessageForUi(payload?.data);
+      if (!editedMessage?._id) {
+        return;
+      }
+
+      replaceMessageInUi(editedMessage);
+    };
+
+    const onTypingStart = ({ conversationId, userId } = {}) => {
+      const typingUserId = userId ? String(userId) : "";
+      if (!conversationId || !typingUserId || typingUserId === String(currentUserId)) {
+        return;
+      }
+
+      setTypingByConversation((previous) => {
+        const typingUserIds = previous[conversationId] || [];
+        if (typingUserIds.includes(typingUserId)) {
+          return previous;
+        }
+
+        return { ...previous, [conversationId]: [...typingUserIds, typingUserId] };
+      });
+    };
+
+    const onTypingStop = ({ conversationId, userId } = {}) => {
+      if (!conversationId || !userId) {
+        return;
+      }
+
+      setTypingByConversation((previous) => withoutTypingUser(previous, conversationId, String(userId)));
+    };
+
+    const onDisappearingTimerChanged = (payload = {}) => {
+      if (!payload?.conversationKey) {
+        return;
+      }
+
+      setDisappearingTimer((previous) =>
+        previous.conversationKey === payload.conversationKey ? { ...previous, timer: payload.timer || null } : previous,
+      );
+    };
+
+    const replayHandlers = {
+      "message:new": onNewMessage,
+      "message:deleted": onMessageDeleted,
+      "message:hidden": onMessageHidden,
+      "message:edited": onMessageEdited,
+      "message:reaction_updated": onReactionUpdated,
+      "conversation:cleared": onConversationCleared,
+      "message:receipt": onMessageReceipt,
+      "conversation:disappearing_timer_changed": onDisappearingTimerChanged,
+      "room:membership_changed": onRoomMembershipChanged,
+      "room:removed": onRoomRemoved,
+    };
+
+    const onConnect = () => {
+      setIsSocketConnected(true);
+
+      // A new connection starts with no conversation channels joined.
+      if (joinedConversationRef.current) {
+        socket.emit("conversation:join", { conversationId: joinedConversationRef.current });
+      }
+
+      const previousCursor = syncCursorRef.current;
+      socket.emit("sync:request", { cursor: previousCursor }, async (response) => {
+        // Events are applied in order and the cursor only moves past the ones
+        // that were handled, so a failed replay resumes from there next time.
+        let replayFailed = false;
+        for (const event of response?.events || []) {
+          try {
+            await replayHandlers[event.eventName]?.(event.payload);
+          } catch (error) {
+            console.error("Failed to replay missed event:", error);
+            replayFailed = true;
+            break;
+          }
+          advanceSyncCursor(event.payload?.syncCursor);
+        }
+
+        if (response?.reset) {
+          syncCursorRef.current = response.cursor || "";
+        } else if (!replayFailed) {
+          advanceSyncCursor(response?.cursor);
+        }
+
+        // Without a replayable cursor the gap is closed by refetching the
+        // open conversation instead.
+        if (response?.reset || !previousCursor) {
+          fetchMessagesRef.current?.().catch((error) => {
+            console.error("Failed to resync messages:", error);
+          });
+        }
+
+        // Counts and presence may have moved while offline; neither is
+        // replayed from the sync log.
+        if (previousCursor) {
+          fetchConversationsRef.current?.().catch((error) => {
+            console.error("Failed to refresh conversations:", error);
+          });
+          axios
+            .get(`${API_BASE_URL}/api/users`)
+            .then((response) => {
+              (response.data || []).forEach((user) => {
+                onPresenceUpdate({ userId: user._id, onlineStatus: user.onlineStatus, lastSeenAt: user.lastSeenAt });
+              });
+            })
+            .catch((error) => {
+              console.error("Failed to refresh presence:", error);
+            });
+        }
+      });
+    };
+
+    socket.on("connect", onConnect);
+    socket.on("connect_error", onConnectError);
+    socket.on("disconnect", onDisconnect);
+    socket.onAny(trackSyncCursor);
     socket.on("message:reaction_updated", onReactionUpdated);
     socket.on("message:new", onNewMessage);
     socket.on("message:deleted", onMessageDeleted);
+    socket.on("message:hidden", onMessageHidden);
+    socket.on("message:edited", onMessageEdited);
     socket.on("conversation:cleared", onConversationCleared);
+    socket.on("message:receipt", onMessageReceipt);
+    socket.on("conversation:disappearing_timer_changed", onDisappearingTimerChanged);
+    socket.on("typing:start", onTypingStart);
+    socket.on("typing:stop", onTypingStop);
     socket.on("room:membership_changed", onRoomMembershipChanged);
     socket.on("room:removed", onRoomRemoved);
+    socket.on("presence:update", onPresenceUpdate);
+    socket.on("e2ee:devices_changed", onE2EEDevicesChanged);
     socket.on("call:offer", onCallOffer);
     socket.on("call:answer", onCallAnswer);
     socket.on("call:ice-candidate", onCallIceCandidate);
     socket.on("call:end", onCallEnd);
 
     return () => {
+      socket.off("connect", onConnect);
+      socket.off("connect_error", onConnectError);
+      socket.off("disconnect", onDisconnect);
+      socket.offAny(trackSyncCursor);
       socket.off("message:reaction_updated", onReactionUpdated);
       socket.off("message:new", onNewMessage);
       socket.off("message:deleted", onMessageDeleted);
+      socket.off("message:hidden", onMessageHidden);
+      socket.off("message:edited", onMessageEdited);
       socket.off("conversation:cleared", onConversationCleared);
+      socket.off("message:receipt", onMessageReceipt);
+      socket.off("conversation:disappearing_timer_changed", onDisappearingTimerChanged);
+      socket.off("typing:start", onTypingStart);
+      socket.off("typing:stop", onTypingStop);
       socket.off("room:membership_changed", onRoomMembershipChanged);
       socket.off("room:removed", onRoomRemoved);
+      socket.off("presence:update", onPresenceUpdate);
+      socket.off("e2ee:devices_changed", onE2EEDevicesChanged);
       socket.off("call:offer", onCallOffer);
       socket.off("call:answer", onCallAnswer);
       socket.off("call:ice-candidate", onCallIceCandidate);
       socket.off("call:end", onCallEnd);
+      window.clearTimeout(deliveryAckTimerId);
       endActiveCall({ notifyPeer: false, skipStateUpdate: true });
       socket.disconnect();
       socketRef.current = null;
       joinedConversationRef.current = null;
+      syncCursorRef.current = "";
       processedRealtimeMessageIds.clear();
+      setIsSocketConnected(false);
+      setTypingByConversation({});
     };
   }, [
     appendRealtimeMessage,
@@ -1743,6 +2529,10 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     getMessageNotificationKey,
     hydrateMessageForUi,
     playNotificationSound,
+    hasSessionToken,
+    recordConversationActivity,
+    removeMessageFromUi,
+    replaceMessageInUi,
     resolvePeerName,
     showBrowserNotification,
   ]);
@@ -1786,22 +2576,207 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     }
   }, [conversationChannel]);
 
+  const stopTypingSignal = useCallback(() => {
+    const typingSignal = typingSignalRef.current;
+    window.clearTimeout(typingSignal.idleTimerId);
+
+    if (typingSignal.conversationId) {
+      socketRef.current?.emit("typing:stop", { conversationId: typingSignal.conversationId });
+    }
+
+    typingSignalRef.current = { conversationId: "", lastSentAt: 0, idleTimerId: 0 };
+  }, []);
+
+  const signalTyping = useCallback(() => {
+    const socket = socketRef.current;
+    if (!socket?.connected || !conversationChannel) {
+      return;
+    }
+
+    if (typingSignalRef.current.conversationId !== conversationChannel) {
+      stopTypingSignal();
+    }
+
+    const typingSignal = typingSignalRef.current;
+    const now = Date.now();
+    if (!typingSignal.conversationId || now - typingSignal.lastSentAt >= TYPING_THROTTLE_MS) {
+      socket.emit("typing:start", { conversationId: conversationChannel });
+      typingSignal.conversationId = conversationChannel;
+      typingSignal.lastSentAt = now;
+    }
+
+    window.clearTimeout(typingSignal.idleTimerId);
+    typingSignal.idleTimerId = window.setTimeout(stopTypingSignal, TYPING_IDLE_MS);
+  }, [conversationChannel, stopTypingSignal]);
+
+  // Leaving a conversation (or the page) ends any typing signal sent to it.
+  useEffect(() => stopTypingSignal, [conversationChannel, stopTypingSignal]);
+
+  const selectedRoomId = selectedRoom?._id ? String(selectedRoom._id) : "";
+  const selectedUserId = selectedUser?._id ? String(selectedUser._id) : "";
+
+  const messageHistoryUrl = useMemo(() => {
+    if (selectedRoomId) {
+      return `${API_BASE_URL}/api/messages/${selectedRoomId}`;
+    }
+
+    if (selectedUserId && currentUserId) {
+      return `${API_BASE_URL}/api/messages/between/${currentUserId}/${selectedUserId}`;
+    }
+
+    return "";
+  }, [currentUserId, selectedRoomId, selectedUserId]);
+
   const fetchMessages = useCallback(async () => {
-    if (selectedRoom?._id) {
-      const response = await axios.get(`${API_BASE_URL}/api/messages/${selectedRoom._id}`);
-      const hydratedMessages = await hydrateMessageListForUi(response.data || []);
-      setMessages((previous) => reconcileMessages(previous, hydratedMessages));
+    if (!messageHistoryUrl) {
       return;
     }
 
-    if (selectedUser?._id && currentUserId) {
-      const response = await axios.get(
-        `${API_BASE_URL}/api/messages/between/${currentUserId}/${selectedUser._id}`,
+    const conversationKey = activeNotificationKey;
+    const jump = pendingJumpRef.current?.conversationKey === conversationKey ? pendingJumpRef.current : null;
+    pendingJumpRef.current = null;
+
+    const response = await axios.get(messageHistoryUrl, {
+      params: jump ? { around: jump.messageId, limit: MESSAGE_PAGE_SIZE } : { limit: MESSAGE_PAGE_SIZE },
+    });
+    const hydratedMessages = await hydrateMessageListForUi(response.data?.messages || []);
+    const hasMoreBefore = Boolean(response.data?.pageInfo?.hasMoreBefore);
+
+    if (jump) {
+      setMessages(hydratedMessages);
+      setOlderMessagesState({ conversationKey, hasMore: hasMoreBefore });
+      setNewerMessagesState({ conversationKey, hasMore: Boolean(response.data?.pageInfo?.hasMoreAfter) });
+      setHighlightedMessageId(jump.messageId);
+    } else {
+      setMessages((previous) => mergeLatestMessagePage(previous, hydratedMessages));
+      setOlderMessagesState((previous) =>
+        previous.conversationKey === conversationKey ? previous : { conversationKey, hasMore: hasMoreBefore },
       );
-      const hydratedMessages = await hydrateMessageListForUi(response.data || []);
-      setMessages((previous) => reconcileMessages(previous, hydratedMessages));
+      setNewerMessagesState((previous) => (previous.hasMore ? { conversationKey, hasMore: false } : previous));
+    }
+    setConversationReceipts({
+      conversationKey: conversationChannel || "",
+      byUserId: indexReadCursors(response.data?.receipts),
+    });
+  }, [activeNotificationKey, conversationChannel, hydrateMessageListForUi, messageHistoryUrl]);
+
+  useEffect(() => {
+    fetchMessagesRef.current = fetchMessages;
+  }, [fetchMessages]);
+
+  useEffect(() => {
+    const onVisibilityChange = () => {
+      setIsDocumentVisible(document.visibilityState === "visible");
+    };
+
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    return () => {
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+    };
+  }, []);
+
+  const newestIncomingMessageId = useMemo(() => {
+    for (let index = messages.length - 1; index >= 0; index -= 1) {
+      if (getMessageNotificationKey(messages[index]) === activeNotificationKey) {
+        return String(messages[index]._id);
+      }
     }
-  }, [currentUserId, hydrateMessageListForUi, selectedRoom, selectedUser]);
+
+    return "";
+  }, [activeNotificationKey, getMessageNotificationKey, messages]);
+
+  // Reading happens while the conversation is open and the tab is visible.
+  useEffect(() => {
+    const conversationTargetId = selectedRoomId || selectedUserId;
+    if (
+      !isDocumentVisible ||
+      !conversationTargetId ||
+      !newestIncomingMessageId ||
+      lastReadReceiptMessageIdRef.current === newestIncomingMessageId
+    ) {
+      return;
+    }
+
+    lastReadReceiptMessageIdRef.current = newestIncomingMessageId;
+    axios
+      .put(`${API_BASE_URL}/api/messages/conversation/read`, {
+        receiverUserIdOrRoomId: conversationTargetId,
+        upToMessageId: newestIncomingMessageId,
+      })
+      .catch((error) => {
+        console.error("Failed to mark conversation as read:", error);
+      });
+  }, [isDocumentVisible, newestIncomingMessageId, selectedRoomId, selectedUserId]);
+
+  const hasOlderMessages =
+    olderMessagesState.conversationKey === activeNotificationKey && olderMessagesState.hasMore;
+  const hasNewerMessages =
+    newerMessagesState.conversationKey === activeNotificationKey && newerMessagesState.hasMore;
+  const oldestLoadedMessageId = messages.length > 0 ? String(messages[0]._id) : "";
+  const newestLoadedMessageId = messages.length > 0 ? String(messages[messages.length - 1]._id) : "";
+
+  const loadOlderMessages = useCallback(async () => {
+    if (!messageHistoryUrl || !hasOlderMessages || !oldestLoadedMessageId || isLoadingOlderMessagesRef.current) {
+      return;
+    }
+
+    const conversationKey = activeNotificationKey;
+    isLoadingOlderMessagesRef.current = true;
+    setIsLoadingOlderMessages(true);
+
+    try {
+      const response = await axios.get(messageHistoryUrl, {
+        params: { before: oldestLoadedMessageId, limit: MESSAGE_PAGE_SIZE },
+      });
+      const olderMessages = await hydrateMessageListForUi(response.data?.messages || []);
+      if (activeNotificationKeyRef.current !== conversationKey) {
+        return;
+      }
+
+      const container = messagesContainerRef.current;
+      pendingScrollRestoreRef.current = container
+        ? { scrollHeight: container.scrollHeight, scrollTop: container.scrollTop }
+        : null;
+
+      setMessages((previous) => prependOlderMessages(previous, olderMessages));
+      setOlderMessagesState({
+        conversationKey,
+        hasMore: Boolean(response.data?.pageInfo?.hasMoreBefore),
+      });
+    } catch (error) {
+      console.error("Failed to load older messages:", error);
+    } finally {
+      isLoadingOlderMessagesRef.current = false;
+      setIsLoadingOlderMessages(false);
+    }
+  }, [activeNotificationKey, hasOlderMessages, hydrateMessageListForUi, messageHistoryUrl, oldestLoadedMessageId]);
+
+  const handleMessagesScroll = useCallback(
+    (event) => {
+      if (event.currentTarget.scrollTop <= LOAD_OLDER_SCROLL_THRESHOLD_PX) {
+        loadOlderMessages();
+      }
+    },
+    [loadOlderMessages],
+  );
+
+  // Keep the viewport anchored on the message the user was reading when an
+  // older page is prepended above it.
+  useLayoutEffect(() => {
+    const pendingScrollRestore = pendingScrollRestoreRef.current;
+    const container = messagesContainerRef.current;
+    if (!pendingScrollRestore || !container) {
+      return;
+    }
+
+    pendingScrollRestoreRef.current = null;
+    // The container scrolls smoothly by default; the restore must be instant.
+    const previousScrollBehavior = container.style.scrollBehavior;
+    container.style.scrollBehavior = "auto";
+    container.scrollTop =
+      container.scrollHeight - pendingScrollRestore.scrollHeight + pendingScrollRestore.scrollTop;
+    container.style.scrollBehavior = previousScrollBehavior;
+  }, [messages]);
 
   useEffect(() => {
     if (!selectedRoom && !selectedUser) {
@@ -1812,6 +2787,14 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     fetchMessages().catch((error) => {
       console.error("Failed to fetch messages:", error);
     });
+  }, [fetchMessages, selectedRoom, selectedUser]);
+
+  // Realtime events keep the open conversation current; polling only covers
+  // the time the socket is down.
+  useEffect(() => {
+    if (isSocketConnected || !messageHistoryUrl) {
+      return undefined;
+    }
 
     const intervalId = window.setInterval(() => {
       fetchMessages().catch((error) => {
@@ -1822,15 +2805,35 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     return () => {
       window.clearInterval(intervalId);
     };
-  }, [fetchMessages, selectedRoom, selectedUser]);
+  }, [fetchMessages, isSocketConnected, messageHistoryUrl]);
 
   useEffect(() => {
     setReplyToMessage(null);
   }, [selectedRoom?._id, selectedUser?._id]);
 
   useEffect(() => {
+    if (!newestLoadedMessageId) {
+      return;
+    }
+
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth", block: "nearest" });
-  }, [messages.length]);
+  }, [newestLoadedMessageId]);
+
+  // Declared after the scroll-to-bottom effect so a search hit wins
+  useEffect(() => {
+    if (!highlightedMessageId) {
+      return undefined;
+    }
+
+    messagesContainerRef.current
+      ?.querySelector(`[data-message-id="${highlightedMessageId}"]`)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+
+    const timeoutId = window.setTimeout(() => setHighlightedMessageId(""), SEARCH_HIT_HIGHLIGHT_MS);
+    return () => {
+      window.clearTimeout(timeoutId);
+    };
+  }, [highlightedMessageId]);
 
   useEffect(() => {
     const textArea = messageInputRef.current;
@@ -1980,6 +2983,57 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     setRoomMemberAction({ type: "", userId: "" });
   }, [rooms, selectedRoom?._id]);
 
+  // Opening an invite link (?roomInvite=<token>) offers to join its room
+  useEffect(() => {
+    if (!currentUserId) {
+      return;
+    }
+
+    const url = new URL(window.location.href);
+    const inviteToken = url.searchParams.get(ROOM_INVITE_QUERY_PARAM);
+    if (!inviteToken) {
+      return;
+    }
+
+    url.searchParams.delete(ROOM_INVITE_QUERY_PARAM);
+    window.history.replaceState(window.history.state, "", url.toString());
+
+    const joinThroughInvite = async () => {
+      const inviteUrl = `${API_BASE_URL}/api/chatrooms/invites/${encodeURIComponent(inviteToken)}`;
+      try {
+        const preview = await axios.get(inviteUrl);
+        const { room, requiresApproval, isMember } = preview.data || {};
+        if (!isMember) {
+          const shouldJoin = window.confirm(
+            requiresApproval
+              ? `Ask to join ${room.roomName} (${room.memberCount} members)? An admin has to approve the request.`
+              : `Join ${room.roomName} (${room.memberCount} members)?`,
+          );
+          if (!shouldJoin) {
+            return;
+          }
+        }
+
+        const response = await axios.post(`${inviteUrl}/join`);
+        if (response.data?.status === "pending") {
+          alert(response.data.message);
+          return;
+        }
+
+        if (response.data?.room) {
+          applyUpdatedRoom(response.data.room);
+          setSelectedRoom(response.data.room);
+          setSelectedUser(null);
+          setActiveTab("chats");
+        }
+      } catch (error) {
+        alert(error.response?.data?.message || "Failed to open invite link");
+      }
+    };
+
+    joinThroughInvite();
+  }, [applyUpdatedRoom, currentUserId]);
+
   useEffect(() => {
     if (!showRoomInfo || !selectedRoom?._id) {
       return;
@@ -2038,46 +3092,170 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     });
   }, []);
 
-  const ensurePeerE2EEPublicKey = useCallback(async (peerUser) => {
+  // Every device the peer can read messages on. Falls back to the single
+  // key of users who have not signed in since devices were introduced.
+  const ensurePeerE2EEDevices = useCallback(async (peerUser) => {
     const peerUserId = toId(peerUser);
     if (!peerUserId) {
-      return "";
+      return [];
     }
 
-    const inlinePublicKey = String(peerUser?.e2ePublicKey || "").trim();
-    if (inlinePublicKey) {
-      return inlinePublicKey;
+    const inlineDevices = getE2EEDevices(peerUser);
+    if (inlineDevices.length > 0) {
+      return inlineDevices;
     }
 
     try {
       const response = await axios.get(`${API_BASE_URL}/api/users/${peerUserId}`);
-      const fetchedPublicKey = String(response.data?.e2ePublicKey || "").trim();
-      if (!fetchedPublicKey) {
-        return "";
+      const fetchedDevices = getE2EEDevices(response.data);
+      if (fetchedDevices.length === 0) {
+        return [];
       }
 
-      setUsers((previous) =>
-        previous.map((user) =>
-          String(user._id) === String(peerUserId)
-            ? normalizeUserForUi({ ...user, e2ePublicKey: fetchedPublicKey })
-            : user,
-        ),
-      );
-      setSelectedUser((previous) =>
-        previous && String(previous._id) === String(peerUserId)
-          ? normalizeUserForUi({ ...previous, e2ePublicKey: fetchedPublicKey })
-          : previous,
-      );
+      const withKeys = (user) =>
+        user && String(user._id) === String(peerUserId)
+          ? normalizeUserForUi({
+            ...user,
+            e2eDevices: response.data.e2eDevices || [],
+            e2ePublicKey: response.data.e2ePublicKey || "",
+          })
+          : user;
+      setUsers((previous) => previous.map(withKeys));
+      setSelectedUser(withKeys);
 
-      return fetchedPublicKey;
+      return fetchedDevices;
     } catch (error) {
-      console.error("Failed to fetch peer E2EE key:", error);
-      return "";
+      console.error("Failed to fetch peer E2EE devices:", error);
+      return [];
     }
   }, []);
 
+  // Encrypts to all of the peer's devices and all of our own, so the message
+  // stays readable on every device either of us uses.
+  // Direct messages go through the forward-secret ratchet, and are refused
+  // while a verified peer's keys differ from the ones the user verified.
+  // Room sender keys keep the static-key payload, since every member device
+  // re-reads them from the server on each load.
+  const encryptForPeer = useCallback(
+    async (peerUser, plainText, { directMessage = false } = {}) => {
+      if (!isWebCryptoSupported()) {
+        throw new Error("This browser does not support end-to-end encryption.");
+      }
+
+      const senderIdentity = e2eeIdentityRef.current;
+      const peerUserId = String(toId(peerUser));
+      const isSelf = peerUserId === String(currentUserId);
+      const peerDevices = isSelf ? [] : await ensurePeerE2EEDevices(peerUser);
+
+      if (!senderIdentity || (!isSelf && peerDevices.length === 0)) {
+        throw new Error("Encryption keys are not ready. Ask both users to refresh and try again.");
+      }
+
+      const verification = directMessage && !isSelf ? loadVerifiedContacts(currentUserId)[peerUserId] : null;
+      if (verification) {
+        const fingerprint = await computeE2EEKeyFingerprint({
+          userId: peerUserId,
+          publicKeys: peerDevices.map((device) => device.publicKey),
+        });
+        if (fingerprint !== verification.fingerprint) {
+          setPeerKeyFingerprint({ peerUserId, fingerprint });
+          throw new Error(
+            `${getUserDisplayName(peerUser)}'s encryption keys changed since you verified them. Review the safety number before sending.`,
+          );
+        }
+      }
+
+      const recipientDevices = [...peerDevices, senderIdentity, ...(registeredE2EEDevices || [])];
+      return directMessage
+        ? encryptRatchetDirectMessagePayload({
+          plainText,
+          userId: currentUserId,
+          conversationId: peerUserId,
+          senderIdentity,
+          recipientDevices,
+        })
+        : encryptDirectMessagePayload({ plainText, senderIdentity, recipientDevices });
+    },
+    [currentUserId, ensurePeerE2EEDevices, registeredE2EEDevices],
+  );
+
+  // This user's sender key for the room's current epoch: an earlier one if
+  // it was shared already, otherwise a new key wrapped for every member.
+  const getOwnRoomSenderKey = useCallback(
+    async (room) => {
+      const roomId = String(room._id);
+      const epoch = Number(room.keyEpoch) || 0;
+      const findOwnKey = () =>
+        Array.from(roomSenderKeysRef.current.values()).find(
+          (senderKey) =>
+            senderKey.roomId === roomId && senderKey.epoch === epoch && senderKey.senderUserId === String(currentUserId),
+        );
+
+      let ownKey = findOwnKey();
+      if (!ownKey) {
+        await loadRoomSenderKeys(roomId);
+        ownKey = findOwnKey();
+      }
+      if (ownKey) {
+        return ownKey;
+      }
+
+      const { keyId, key } = await generateRoomSenderKey();
+      const wrappedKeyText = encodeRoomSenderKey({ roomId, epoch, keyId, key });
+      const envelopes = await Promise.all(
+        (room.members || []).map(async (member) => {
+          const memberId = String(toId(member));
+          const recipient = users.find((user) => String(user._id) === memberId) || member;
+
+          return { recipientUserId: memberId, payload: await encryptForPeer(recipient, wrappedKeyText) };
+        }),
+      );
+
+      await axios.post(`${API_BASE_URL}/api/chatrooms/${roomId}/sender-keys`, { epoch, keyId, envelopes });
+
+      ownKey = { roomId, epoch, keyId, key, senderUserId: String(currentUserId) };
+      roomSenderKeysRef.current.set(keyId, ownKey);
+      return ownKey;
+    },
+    [currentUserId, encryptForPeer, loadRoomSenderKeys, users],
+  );
+
+  const encryptForRoom = useCallback(
+    async (room, plainText) => {
+      const senderKey = await getOwnRoomSenderKey(room);
+      return encryptRoomMessagePayload({
+        plainText,
+        roomId: senderKey.roomId,
+        epoch: senderKey.epoch,
+        keyId: senderKey.keyId,
+        senderKeyBase64: senderKey.key,
+      });
+    },
+    [getOwnRoomSenderKey],
+  );
+
+  // Runs an encrypted room request, and if the server reports that the room
+  // key rotated under us (a missed membership change), reloads the room and
+  // tries once more with a key for the current members.
+  const withCurrentRoomKey = useCallback(
+    async (room, sendWithRoom) => {
+      try {
+        return await sendWithRoom(room);
+      } catch (error) {
+        if (error.response?.status !== 409 || !Number.isInteger(error.response.data?.keyEpoch)) {
+          throw error;
+        }
+
+        const response = await axios.get(`${API_BASE_URL}/api/chatrooms/${room._id}`);
+        applyUpdatedRoom(response.data);
+        return sendWithRoom(response.data);
+      }
+    },
+    [applyUpdatedRoom],
+  );
+
   const sendMessagePayload = useCallback(
-    async ({ messageContent, messageType = "text" }) => {
+    async ({ messageContent, messageType = "text", attachmentId = null }) => {
       const isDirectMessageLocked =
         Boolean(selectedUser?._id) &&
         (userFollowStatus[selectedUser._id] || "not_following") !== "following";
@@ -2089,46 +3267,42 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
         return false;
       }
 
-      let outgoingMessageContent = rawMessageContent;
-      let outgoingIsEncrypted = false;
-      let outgoingEncryptionMethod = "none";
+      const postMessage = (outgoingMessageContent, outgoingEncryptionMethod) =>
+        axios.post(`${API_BASE_URL}/api/messages/send`, {
+          senderUserId: currentUserId,
+          receiverUserIdOrRoomId: targetConversationId,
+          messageContent: outgoingMessageContent,
+          messageType,
+          attachmentId,
+          replyToMessageId: replyToMessage?._id || null,
+          isEncrypted: outgoingEncryptionMethod !== "none",
+          encryptionMethod: outgoingEncryptionMethod,
+        });
 
+      let response;
       if (isDirectConversation) {
-        if (!isWebCryptoSupported()) {
-          throw new Error("This browser does not support end-to-end encryption.");
-        }
-
-        const senderPrivateKey = e2eePrivateKeyRef.current;
-        const senderPublicKey = e2eePublicKeyRef.current;
-        const recipientPublicKey = await ensurePeerE2EEPublicKey(selectedUser);
-
-        if (!senderPrivateKey || !senderPublicKey || !recipientPublicKey) {
-          throw new Error("Encryption keys are not ready. Ask both users to refresh and try again.");
-        }
-
-        outgoingMessageContent = await encryptDirectMessagePayload({
-          plainText: rawMessageContent,
-          senderPrivateKeyBase64: senderPrivateKey,
-          senderPublicKeyBase64: senderPublicKey,
-          recipientPublicKeyBase64: recipientPublicKey,
-        });
-        outgoingIsEncrypted = true;
-        outgoingEncryptionMethod = "E2EE-AES-GCM";
-      }
-
-      const response = await axios.post(`${API_BASE_URL}/api/messages/send`, {
-        senderUserId: currentUserId,
-        receiverUserIdOrRoomId: targetConversationId,
-        messageContent: outgoingMessageContent,
-        messageType,
-        replyToMessageId: replyToMessage?._id || null,
-        isEncrypted: outgoingIsEncrypted,
-        encryptionMethod: outgoingEncryptionMethod,
-      });
+        response = await postMessage(
+          await encryptForPeer(selectedUser, rawMessageContent, { directMessage: true }),
+          "E2EE-AES-GCM",
+        );
+      } else if (selectedRoom?.e2eeEnabled) {
+        response = await withCurrentRoomKey(selectedRoom, async (room) =>
+          postMessage(await encryptForRoom(room, rawMessageContent), ROOM_E2EE_ENCRYPTION_METHOD),
+        );
+      } else {
+        response = await postMessage(rawMessageContent, "none");
+      }
 
       const createdMessage = await hydrateMessageForUi(response.data?.data);
       if (createdMessage?._id) {
         appendRealtimeMessage(createdMessage);
+        recordConversationActivity(
+          selectedRoom?._id
+            ? buildRoomNotificationKey(String(targetConversationId))
+            : buildDmNotificationKey(String(targetConversationId)),
+          createdMessage,
+          getNotificationPreview(createdMessage.messageContent, createdMessage.attachment),
+        );
       }
 
       setShowEmojiPicker(false);
@@ -2138,12 +3312,52 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     [
       appendRealtimeMessage,
       currentUserId,
-      ensurePeerE2EEPublicKey,
+      encryptForPeer,
+      encryptForRoom,
       hydrateMessageForUi,
+      recordConversationActivity,
       replyToMessage?._id,
       selectedRoom,
       selectedUser,
       userFollowStatus,
+      withCurrentRoomKey,
+    ],
+  );
+
+  // Encrypted messages are re-encrypted (for the peer, or with the current
+  // room key); the server never sees the new text.
+  const submitMessageEdit = useCallback(
+    async (message, nextText) => {
+      const patchMessage = (messageContent) =>
+        axios.patch(`${API_BASE_URL}/api/messages/${message._id}`, {
+          messageContent,
+          isEncrypted: Boolean(message.isEncrypted),
+        });
+
+      let response;
+      if (message.encryptionMethod === ROOM_E2EE_ENCRYPTION_METHOD && selectedRoom) {
+        response = await withCurrentRoomKey(selectedRoom, async (room) =>
+          patchMessage(await encryptForRoom(room, nextText)),
+        );
+      } else if (message.isEncrypted) {
+        response = await patchMessage(await encryptForPeer(selectedUser, nextText, { directMessage: true }));
+      } else {
+        response = await patchMessage(nextText);
+      }
+
+      const editedMessage = await hydrateMessageForUi(response.data?.data);
+      if (editedMessage?._id) {
+        replaceMessageInUi(editedMessage);
+      }
+    },
+    [
+      encryptForPeer,
+      encryptForRoom,
+      hydrateMessageForUi,
+      replaceMessageInUi,
+      selectedRoom,
+      selectedUser,
+      withCurrentRoomKey,
     ],
   );
 
@@ -2154,15 +3368,23 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     }
 
     try {
-      const sent = await sendMessagePayload({
-        messageContent: trimmedMessage,
-        messageType: "text",
-      });
-      if (!sent) {
-        return;
+      if (activeEditingMessage) {
+        if (trimmedMessage !== activeEditingMessage.messageContent) {
+          await submitMessageEdit(activeEditingMessage, trimmedMessage);
+        }
+        setEditingMessage(null);
+      } else {
+        const sent = await sendMessagePayload({
+          messageContent: trimmedMessage,
+          messageType: "text",
+        });
+        if (!sent) {
+          return;
+        }
       }
 
       setNewMessage("");
+      stopTypingSignal();
 
       if (messageInputRef.current) {
         messageInputRef.current.style.height = "auto";
@@ -2171,7 +3393,7 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
       console.error("Failed to send message:", error);
       alert(error.response?.data?.message || error.message || "Failed to send message");
     }
-  }, [newMessage, sendMessagePayload]);
+  }, [activeEditingMessage, newMessage, sendMessagePayload, stopTypingSignal, submitMessageEdit]);
 
   const openFilePicker = useCallback(() => {
     fileInputRef.current?.click();
@@ -2186,30 +3408,54 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
         return;
       }
 
-      if (selectedFile.size > MAX_ATTACHMENT_SIZE_BYTES) {
-        alert(`File is too large. Maximum allowed size is ${formatFileSize(MAX_ATTACHMENT_SIZE_BYTES)}.`);
+      const isDirectConversation = Boolean(selectedUser?._id) && !selectedRoom?._id;
+      const isEncryptedConversation = isDirectConversation || Boolean(selectedRoom?.e2eeEnabled);
+
+      if (selectedFile.size > MAX_UPLOAD_SIZE_BYTES) {
+        alert(`File is too large. Maximum allowed size is ${formatFileSize(MAX_UPLOAD_SIZE_BYTES)}.`);
         return;
       }
 
       try {
         setIsSendingAttachment(true);
 
-        const dataUrl = await readFileAsDataUrl(selectedFile);
-        if (!dataUrl) {
-          throw new Error("File payload unavailable");
+        if (!isEncryptedConversation) {
+          const attachment = await uploadAttachment(selectedFile);
+          await sendMessagePayload({
+            messageContent: attachment.fileName,
+            attachmentId: attachment.attachmentId,
+          });
+          return;
         }
 
+        // The server only ever stores ciphertext, so image metadata is removed
+        // and dimensions are measured here instead of by its image processing.
+        const plainFile = await stripImageMetadata(selectedFile);
+        const [dimensions, encrypted] = await Promise.all([
+          getImageDimensions(plainFile),
+          encryptAttachmentFile(plainFile),
+        ]);
+        const upload = await uploadAttachment(
+          new File([encrypted.encryptedFile], ENCRYPTED_ATTACHMENT_UPLOAD_NAME, { type: "application/octet-stream" }),
+        );
+
         const attachmentPayload = JSON.stringify({
-          kind: ATTACHMENT_PAYLOAD_KIND,
+          kind: ENCRYPTED_ATTACHMENT_PAYLOAD_KIND,
+          attachmentId: upload.attachmentId,
           name: selectedFile.name || "attachment",
           mimeType: selectedFile.type || "application/octet-stream",
-          size: selectedFile.size || 0,
-          dataUrl,
+          size: plainFile.size || 0,
+          width: dimensions?.width || null,
+          height: dimensions?.height || null,
+          key: encrypted.key,
+          iv: encrypted.iv,
+          digest: encrypted.digest,
         });
 
         await sendMessagePayload({
           messageContent: attachmentPayload,
           messageType: selectedFile.type.startsWith("image/") ? "image" : "file",
+          attachmentId: upload.attachmentId,
         });
       } catch (error) {
         console.error("Failed to send file:", error);
@@ -2218,7 +3464,7 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
         setIsSendingAttachment(false);
       }
     },
-    [sendMessagePayload],
+    [selectedRoom?._id, selectedRoom?.e2eeEnabled, selectedUser?._id, sendMessagePayload],
   );
 
   const handleReactToMessage = useCallback(
@@ -2263,52 +3509,158 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     messageInputRef.current?.focus();
   }, []);
 
-  const handleDeleteMessage = useCallback(
+  const handleEditMessage = useCallback(
+    (message) => {
+      if (!message?._id) {
+        return;
+      }
+
+      setEditingMessage({
+        _id: String(message._id),
+        conversationKey: activeNotificationKey,
+        messageContent: String(message.messageContent || ""),
+        isEncrypted: Boolean(message.isEncrypted),
+      });
+      setReplyToMessage(null);
+      setNewMessage(String(message.messageContent || ""));
+      messageInputRef.current?.focus();
+    },
+    [activeNotificationKey],
+  );
+
+  const cancelMessageEdit = useCallback(() => {
+    setEditingMessage(null);
+    setNewMessage("");
+  }, []);
+
+  const handleShowMessageHistory = useCallback(
     async (message) => {
+      const messageId = message?._id ? String(message._id) : "";
+      if (!messageId) {
+        return;
+      }
+
+      setMessageHistory({ messageId, current: message, revisions: [], isLoading: true, error: "" });
+
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/messages/${messageId}/revisions`);
+        const revisions = await Promise.all(
+          (response.data?.revisions || []).map(async (revision) => ({
+            createdAt: revision.createdAt,
+            messageContent: await decryptMessageContentForUi(
+              revision.messageContent,
+              response.data.senderUserId,
+              revision.isEncrypted,
+              { conversationId: getMessageConversationId(message, currentUserId), messageId },
+            ),
+          })),
+        );
+
+        setMessageHistory((previous) =>
+          previous?.messageId === messageId ? { ...previous, revisions, isLoading: false } : previous,
+        );
+      } catch (error) {
+        const errorMessage = error.response?.data?.message || "Failed to load edit history";
+        setMessageHistory((previous) =>
+          previous?.messageId === messageId ? { ...previous, isLoading: false, error: errorMessage } : previous,
+        );
+      }
+    },
+    [currentUserId, decryptMessageContentForUi],
+  );
+
+  const handleDeleteMessage = useCallback(
+    async (message, scope = "everyone") => {
       const messageId = message?._id ? String(message._id) : "";
       if (!messageId || !currentUserId) {
         return;
       }
 
-      const shouldDelete = window.confirm("Delete this message?");
+      const confirmText = scope === "me"
+        ? "Delete this message for you? Others in the chat will still see it."
+        : "Delete this message for everyone?";
+      const shouldDelete = window.confirm(confirmText);
       if (!shouldDelete) {
         return;
       }
 
       try {
-        await axios.delete(`${API_BASE_URL}/api/messages/${messageId}`, {
-          data: { actorUserId: currentUserId },
+        const response = await axios.delete(`${API_BASE_URL}/api/messages/${messageId}`, {
+          data: { actorUserId: currentUserId, scope },
         });
 
-        setMessages((previous) =>
-          previous
-            .filter((existingMessage) => String(existingMessage._id) !== messageId)
-            .map((existingMessage) => {
-              if (toId(existingMessage.replyTo) === messageId) {
-                return { ...existingMessage, replyTo: null };
-              }
-              return existingMessage;
-            }),
-        );
+        if (scope === "me") {
+          removeMessageFromUi(messageId);
+          return;
+        }
+
         setReplyToMessage((previous) =>
           previous && String(previous._id) === messageId ? null : previous,
         );
+        const tombstone = await hydrateMessageForUi(response.data?.data);
+        if (tombstone?._id) {
+          replaceMessageInUi(tombstone);
+        } else {
+          removeMessageFromUi(messageId);
+        }
       } catch (error) {
         alert(error.response?.data?.message || "Failed to delete message");
       }
     },
-    [currentUserId],
+    [currentUserId, hydrateMessageForUi, removeMessageFromUi, replaceMessageInUi],
+  );
+
+  const searchConversations = useMemo(
+    () => [
+      ...rooms.map((room) => ({ type: "room", targetId: String(room._id), name: room.roomName })),
+      ...users
+        .filter((user) => String(user._id) !== String(currentUserId))
+        .map((user) => ({ type: "dm", targetId: String(user._id), name: getUserDisplayName(user) })),
+    ],
+    [currentUserId, rooms, users],
+  );
+
+  // Opens the hit's conversation with the messages around it loaded
+  const handleJumpToSearchResult = useCallback(
+    (result) => {
+      const room = rooms.find((candidate) => String(candidate._id) === result.conversationId) || null;
+      const user = room ? null : users.find((candidate) => String(candidate._id) === result.conversationId) || null;
+      if (!room && !user) {
+        alert("This conversation is no longer available.");
+        return;
+      }
+
+      const conversationKey = room
+        ? buildRoomNotificationKey(result.conversationId)
+        : buildDmNotificationKey(result.conversationId);
+      pendingJumpRef.current = { conversationKey, messageId: result.messageId };
+      setMessageSearch(null);
+
+      if (conversationKey === activeNotificationKey) {
+        fetchMessages().catch((error) => {
+          console.error("Failed to load search result:", error);
+        });
+        return;
+      }
+
+      clearUnreadForKey(conversationKey);
+      setSelectedRoom(room);
+      setSelectedUser(user);
+      setShowEmojiPicker(false);
+      setShowRoomInfo(false);
+    },
+    [activeNotificationKey, clearUnreadForKey, fetchMessages, rooms, users],
   );
 
-  const handleClearActiveConversation = useCallback(async () => {
+  const handleClearActiveConversation = useCallback(async (scope = "me") => {
     const conversationTargetId = selectedRoom?._id || selectedUser?._id;
     if (!conversationTargetId || !currentUserId || isClearingConversation) {
       return;
     }
 
-    const confirmText = selectedRoom
+    const confirmText = scope === "everyone"
       ? "Delete all messages in this room chat? This will affect all room members."
-      : "Delete all messages in this direct chat?";
+      : "Clear this chat for you? Other members will still see its messages.";
     const shouldClear = window.confirm(confirmText);
     if (!shouldClear) {
       return;
@@ -2320,6 +3672,7 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
         data: {
           actorUserId: currentUserId,
           receiverUserIdOrRoomId: conversationTargetId,
+          scope,
         },
       });
 
@@ -2348,10 +3701,12 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     try {
       await axios.post(`${API_BASE_URL}/api/chatrooms/create`, {
         roomName: newRoomName.trim(),
+        visibility: newRoomVisibility,
         createdBy: currentUserId,
       });
 
       setNewRoomName("");
+      setNewRoomVisibility("invite_only");
       setShowCreateRoom(false);
       setRoomError("");
 
@@ -2363,7 +3718,17 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     } catch (error) {
       setRoomError(error.response?.data?.message || "Failed to create room");
     }
-  }, [currentUserId, newRoomName]);
+  }, [currentUserId, newRoomName, newRoomVisibility]);
+
+  const handleJoinedRoom = useCallback(
+    (room) => {
+      applyUpdatedRoom(room);
+      setSelectedRoom(room);
+      setSelectedUser(null);
+      setShowRoomDirectory(false);
+    },
+    [applyUpdatedRoom],
+  );
 
   const handleAddRoomMember = useCallback(
     async (userId) => {
@@ -2395,28 +3760,185 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     [applyUpdatedRoom, currentUserId, selectedRoom],
   );
 
-  const handleRemoveRoomMember = useCallback(
-    async (memberId) => {
-      if (!selectedRoom?._id || !memberId) {
+  const handleRemoveRoomMember = useCallback(
+    async (memberId) => {
+      if (!selectedRoom?._id || !memberId) {
+        return;
+      }
+
+      try {
+        setRoomMemberError("");
+        setRoomMemberAction({ type: "remove", userId: String(memberId) });
+
+        const response = await axios.delete(
+          `${API_BASE_URL}/api/chatrooms/${selectedRoom._id}/members/${memberId}`,
+          {
+            data: { actorId: currentUserId },
+          },
+        );
+
+        if (response.data?.room) {
+          applyUpdatedRoom(response.data.room);
+        }
+      } catch (error) {
+        setRoomMemberError(error.response?.data?.message || "Failed to remove member");
+      } finally {
+        setRoomMemberAction({ type: "", userId: "" });
+      }
+    },
+    [applyUpdatedRoom, currentUserId, selectedRoom],
+  );
+
+  const handleChangeRoomMemberRole = useCallback(
+    async (memberId, role) => {
+      if (!selectedRoom?._id || !memberId) {
+        return;
+      }
+
+      try {
+        setRoomMemberError("");
+        setRoomMemberAction({ type: "role", userId: String(memberId) });
+
+        const response = await axios.put(
+          `${API_BASE_URL}/api/chatrooms/${selectedRoom._id}/members/${memberId}/role`,
+          {
+            role,
+            actorId: currentUserId,
+          },
+        );
+
+        if (response.data?.room) {
+          applyUpdatedRoom(response.data.room);
+        }
+      } catch (error) {
+        setRoomMemberError(error.response?.data?.message || "Failed to change role");
+      } finally {
+        setRoomMemberAction({ type: "", userId: "" });
+      }
+    },
+    [applyUpdatedRoom, currentUserId, selectedRoom],
+  );
+
+  const handleTransferRoomOwnership = useCallback(
+    async (memberId, memberName) => {
+      if (!selectedRoom?._id || !memberId) {
+        return;
+      }
+
+      const shouldTransfer = window.confirm(
+        `Make ${memberName} the owner of ${selectedRoom.roomName}? You will stay on as an admin.`,
+      );
+      if (!shouldTransfer) {
+        return;
+      }
+
+      try {
+        setRoomMemberError("");
+        setRoomMemberAction({ type: "transfer", userId: String(memberId) });
+
+        const response = await axios.post(
+          `${API_BASE_URL}/api/chatrooms/${selectedRoom._id}/transfer-ownership`,
+          {
+            userId: memberId,
+            actorId: currentUserId,
+          },
+        );
+
+        if (response.data?.room) {
+          applyUpdatedRoom(response.data.room);
+        }
+      } catch (error) {
+        setRoomMemberError(error.response?.data?.message || "Failed to transfer ownership");
+      } finally {
+        setRoomMemberAction({ type: "", userId: "" });
+      }
+    },
+    [applyUpdatedRoom, currentUserId, selectedRoom],
+  );
+
+  const handleLeaveRoom = useCallback(async () => {
+    if (!selectedRoom?._id) {
+      return;
+    }
+
+    const isOwner = getRoomRole(selectedRoom, currentUserId) === "owner";
+    const shouldLeave = window.confirm(
+      isOwner
+        ? `Leave ${selectedRoom.roomName}? Ownership will pass to another member.`
+        : `Leave ${selectedRoom.roomName}?`,
+    );
+    if (!shouldLeave) {
+      return;
+    }
+
+    const roomId = String(selectedRoom._id);
+    try {
+      setRoomMemberError("");
+      setRoomMemberAction({ type: "leave", userId: "" });
+
+      await axios.post(`${API_BASE_URL}/api/chatrooms/${roomId}/leave`, { actorId: currentUserId });
+
+      setShowRoomInfo(false);
+      removeRoomById(roomId);
+      removeLocalConversation(currentUserId, roomId);
+    } catch (error) {
+      setRoomMemberError(error.response?.data?.message || "Failed to leave room");
+    } finally {
+      setRoomMemberAction({ type: "", userId: "" });
+    }
+  }, [currentUserId, removeRoomById, selectedRoom]);
+
+  const handleDeleteRoom = useCallback(async () => {
+    if (!selectedRoom?._id) {
+      return;
+    }
+
+    const shouldDelete = window.confirm(
+      `Delete ${selectedRoom.roomName} and all of its messages for every member? This cannot be undone.`,
+    );
+    if (!shouldDelete) {
+      return;
+    }
+
+    const roomId = String(selectedRoom._id);
+    try {
+      setRoomMemberError("");
+      setRoomMemberAction({ type: "delete", userId: "" });
+
+      await axios.delete(`${API_BASE_URL}/api/chatrooms/${roomId}`, {
+        data: { actorId: currentUserId },
+      });
+
+      setShowRoomInfo(false);
+      removeRoomById(roomId);
+      removeLocalConversation(currentUserId, roomId);
+    } catch (error) {
+      setRoomMemberError(error.response?.data?.message || "Failed to delete room");
+    } finally {
+      setRoomMemberAction({ type: "", userId: "" });
+    }
+  }, [currentUserId, removeRoomById, selectedRoom]);
+
+  const handleChangeRoomVisibility = useCallback(
+    async (visibility) => {
+      if (!selectedRoom?._id || selectedRoom.visibility === visibility) {
         return;
       }
 
       try {
         setRoomMemberError("");
-        setRoomMemberAction({ type: "remove", userId: String(memberId) });
+        setRoomMemberAction({ type: "visibility", userId: "" });
 
-        const response = await axios.delete(
-          `${API_BASE_URL}/api/chatrooms/${selectedRoom._id}/members/${memberId}`,
-          {
-            data: { actorId: currentUserId },
-          },
-        );
+        const response = await axios.put(`${API_BASE_URL}/api/chatrooms/${selectedRoom._id}/visibility`, {
+          actorId: currentUserId,
+          visibility,
+        });
 
         if (response.data?.room) {
           applyUpdatedRoom(response.data.room);
         }
       } catch (error) {
-        setRoomMemberError(error.response?.data?.message || "Failed to remove member");
+        setRoomMemberError(error.response?.data?.message || "Failed to change visibility");
       } finally {
         setRoomMemberAction({ type: "", userId: "" });
       }
@@ -2424,6 +3946,42 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     [applyUpdatedRoom, currentUserId, selectedRoom],
   );
 
+  const handleEnableRoomEncryption = useCallback(async () => {
+    if (!selectedRoom?._id || selectedRoom.e2eeEnabled) {
+      return;
+    }
+
+    if (!isWebCryptoSupported()) {
+      setRoomMemberError("This browser does not support end-to-end encryption.");
+      return;
+    }
+
+    const shouldEnable = window.confirm(
+      "Turn on end-to-end encryption for this room? New messages can only be read by members, and this cannot be turned off.",
+    );
+    if (!shouldEnable) {
+      return;
+    }
+
+    try {
+      setRoomMemberError("");
+      setRoomMemberAction({ type: "encryption", userId: "" });
+
+      const response = await axios.put(`${API_BASE_URL}/api/chatrooms/${selectedRoom._id}/encryption`, {
+        actorId: currentUserId,
+        enabled: true,
+      });
+
+      if (response.data?.room) {
+        applyUpdatedRoom(response.data.room);
+      }
+    } catch (error) {
+      setRoomMemberError(error.response?.data?.message || "Failed to turn on encryption");
+    } finally {
+      setRoomMemberAction({ type: "", userId: "" });
+    }
+  }, [applyUpdatedRoom, currentUserId, selectedRoom]);
+
   const handleToggleTheme = useCallback(() => {
     if (propsSetTheme) {
       propsSetTheme((previous) => (previous === "light" ? "dark" : "light"));
@@ -2442,10 +4000,118 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
       console.error("Logout call failed:", error);
     }
 
+    // Opened forward-secret DMs cannot be decrypted again, so this is their
+    // only copy on the device; it does not outlive the session.
+    await clearCachedPlaintexts(currentUserId).catch((error) => {
+      console.error("Failed to clear decrypted messages:", error);
+    });
     clearAuthSession();
     window.location.href = "/";
   }, [currentUserId, endActiveCall]);
 
+  // Restored keys can open messages (and room sender keys) that were sent to
+  // an older device, so everything already on screen is fetched again.
+  const handleE2EEKeysRestored = useCallback(() => {
+    e2eeKeyringRef.current = [e2eeIdentityRef.current, ...loadE2EEKeyring(currentUserId)].filter(Boolean);
+    roomSenderKeysRef.current.clear();
+    fetchMessagesRef.current?.().catch((error) => {
+      console.error("Failed to refetch messages:", error);
+    });
+    fetchConversationsRef.current?.().catch((error) => {
+      console.error("Failed to refresh conversations:", error);
+    });
+  }, [currentUserId]);
+
+  const handleContactVerificationChange = useCallback(
+    (peerUserId, fingerprint) => {
+      setVerifiedContacts({ ...setContactVerification(currentUserId, peerUserId, fingerprint) });
+    },
+    [currentUserId],
+  );
+
+  const selectedPeerUserId = !selectedRoom?._id && selectedUser?._id ? String(selectedUser._id) : "";
+  const selectedPeerVerification = selectedPeerUserId ? verifiedContacts[selectedPeerUserId] : null;
+
+  // Only verified peers are watched; anyone else has nothing to compare to.
+  useEffect(() => {
+    const peerPublicKeys = getE2EEDevices(selectedUser).map((device) => device.publicKey);
+    if (!selectedPeerUserId || !selectedPeerVerification || peerPublicKeys.length === 0 || !isWebCryptoSupported()) {
+      return;
+    }
+
+    let isCancelled = false;
+    computeE2EEKeyFingerprint({ userId: selectedPeerUserId, publicKeys: peerPublicKeys })
+      .then((fingerprint) => {
+        if (!isCancelled) {
+          setPeerKeyFingerprint({ peerUserId: selectedPeerUserId, fingerprint });
+        }
+      })
+      .catch((error) => {
+        console.error("Failed to fingerprint peer keys:", error);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [selectedPeerUserId, selectedPeerVerification, selectedUser]);
+
+  const hasPeerKeyChanged =
+    Boolean(selectedPeerVerification) &&
+    peerKeyFingerprint.peerUserId === selectedPeerUserId &&
+    Boolean(peerKeyFingerprint.fingerprint) &&
+    peerKeyFingerprint.fingerprint !== selectedPeerVerification.fingerprint;
+
+  const activeConversationTargetId = String(selectedRoom?._id || selectedUser?._id || "");
+
+  // Disappearing messages timer of the open conversation; later changes
+  // arrive over the socket.
+  useEffect(() => {
+    if (!conversationChannel || !activeConversationTargetId) {
+      return;
+    }
+
+    let isCancelled = false;
+    axios
+      .get(`${API_BASE_URL}/api/messages/conversation/disappearing`, {
+        params: { receiverUserIdOrRoomId: activeConversationTargetId },
+      })
+      .then((response) => {
+        if (!isCancelled) {
+          setDisappearingTimer({ conversationKey: conversationChannel, timer: response.data?.timer || null });
+        }
+      })
+      .catch((error) => {
+        console.error("Failed to load disappearing messages timer:", error);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [activeConversationTargetId, conversationChannel]);
+
+  const activeDisappearingTimer =
+    disappearingTimer.conversationKey === conversationChannel ? disappearingTimer.timer : null;
+
+  const handleDisappearingTimerChange = useCallback(
+    async (durationSeconds, startsOn) => {
+      if (!activeConversationTargetId) {
+        return;
+      }
+
+      try {
+        const response = await axios.put(`${API_BASE_URL}/api/messages/conversation/disappearing`, {
+          receiverUserIdOrRoomId: activeConversationTargetId,
+          durationSeconds,
+          startsOn,
+        });
+        setDisappearingTimer({ conversationKey: conversationChannel, timer: response.data?.timer || null });
+      } catch (error) {
+        alert(error.response?.data?.message || "Failed to change disappearing messages");
+      }
+    },
+    [activeConversationTargetId, conversationChannel],
+  );
+
   const handleProfileUpdate = useCallback(
     (updatedUser) => {
       const normalizedUpdatedUser = normalizeUserForUi(updatedUser || {});
@@ -2481,11 +4147,7 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
         return;
       }
 
-      saveAuthSession({
-        userId: currentUserId,
-        username: nextUserName,
-        token,
-      });
+      updateAuthSession({ username: nextUserName });
     },
     [currentUserId, token],
   );
@@ -2514,6 +4176,63 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
   }, []);
 
   const selectedRoomMembers = useMemo(() => selectedRoom?.members || [], [selectedRoom]);
+  // Room members are populated once; live presence lives on `users`.
+  const usersById = useMemo(() => new Map(users.map((user) => [String(user._id), user])), [users]);
+
+  // Delivery state of my messages in the open conversation, derived from the
+  // other participants' read cursors. Rooms also list who has seen each one.
+  const messageReceipts = useMemo(() => {
+    const receiptsByMessageId = new Map();
+    if (!conversationChannel || conversationReceipts.conversationKey !== conversationChannel) {
+      return receiptsByMessageId;
+    }
+
+    const recipients = selectedRoomId
+      ? selectedRoomMembers
+          .filter((member) => toId(member) !== String(currentUserId))
+          .map((member) => ({ id: toId(member), name: getUserDisplayName(member) }))
+      : [{ id: selectedUserId, name: getUserDisplayName(selectedUser) }];
+    if (recipients.length === 0 || !recipients[0].id) {
+      return receiptsByMessageId;
+    }
+
+    messages.forEach((message) => {
+      if (toId(message.senderUserId) !== String(currentUserId)) {
+        return;
+      }
+
+      const sentAt = new Date(message.createdAt).getTime();
+      const hasReached = (recipient, field) => {
+        const value = conversationReceipts.byUserId[recipient.id]?.[field];
+        return Boolean(value) && new Date(value).getTime() >= sentAt;
+      };
+      const readers = recipients.filter((recipient) => hasReached(recipient, "readUpTo"));
+      const deliveredCount = recipients.filter((recipient) => hasReached(recipient, "deliveredUpTo")).length;
+
+      let status = "sent";
+      if (readers.length === recipients.length) {
+        status = "read";
+      } else if (deliveredCount === recipients.length) {
+        status = "delivered";
+      }
+
+      receiptsByMessageId.set(String(message._id), {
+        status,
+        seenBy: selectedRoomId ? readers.map((reader) => reader.name) : [],
+      });
+    });
+
+    return receiptsByMessageId;
+  }, [
+    conversationChannel,
+    conversationReceipts,
+    currentUserId,
+    messages,
+    selectedRoomId,
+    selectedRoomMembers,
+    selectedUser,
+    selectedUserId,
+  ]);
   const selectedRoomCreatorId = selectedRoom ? toId(selectedRoom.createdBy) : "";
   const selectedRoomCreatorName = selectedRoom ? getUserDisplayName(selectedRoom.createdBy) : "";
   const isSelectedRoomCreatorById =
@@ -2521,7 +4240,9 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
   const isSelectedRoomCreatorByName =
     Boolean(selectedRoom?._id) &&
     normalizeIdentityText(selectedRoomCreatorName) === normalizeIdentityText(userName);
-  const canManageSelectedRoomMembers = isSelectedRoomCreatorById || isSelectedRoomCreatorByName;
+  const selectedRoomRole =
+    isSelectedRoomCreatorById || isSelectedRoomCreatorByName ? "owner" : getRoomRole(selectedRoom, currentUserId);
+  const assignableSelectedRoomRoles = getAssignableRoomRoles(selectedRoomRole);
   const selectedRoomMemberIdentityKeys = useMemo(
     () =>
       new Set(
@@ -2554,15 +4275,45 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
   );
 
   const activeChatName = selectedRoom?.roomName || selectedUser?.displayName || "";
-  const activeChatSubtitle = selectedRoom
-    ? `${selectedRoom.members?.length || 0} members`
-    : selectedUser?.onlineStatus
-      ? "Online"
-      : "Offline";
+  const activeChatSubtitle = [
+    selectedRoom
+      ? `${selectedRoom.members?.length || 0} members${selectedRoom.e2eeEnabled ? " · End-to-end encrypted" : ""}`
+      : formatPresence(selectedUser),
+    selectedRoom?.topic,
+    formatDisappearingTimer(activeDisappearingTimer),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const typingIndicatorText = useMemo(() => {
+    const typingUserIds = (conversationChannel && typingByConversation[conversationChannel]) || [];
+    const getTypingName = (typingUserId) => {
+      const typingUser = users.find((user) => String(user._id) === typingUserId);
+      return typingUser ? getUserDisplayName(typingUser) : "Someone";
+    };
+
+    if (typingUserIds.length === 0) {
+      return "";
+    }
+
+    if (typingUserIds.length === 1) {
+      return `${getTypingName(typingUserIds[0])} is typing…`;
+    }
+
+    if (typingUserIds.length === 2) {
+      return `${getTypingName(typingUserIds[0])} and ${getTypingName(typingUserIds[1])} are typing…`;
+    }
+
+    return `${typingUserIds.length} people are typing…`;
+  }, [conversationChannel, typingByConversation, users]);
   const activeChatInitial = activeChatName ? activeChatName.charAt(0).toUpperCase() : "#";
   const hasActiveConversation = Boolean(selectedRoom || selectedUser);
   const currentUserAvatarUrl = getUserAvatarUrl(currentUserProfile);
-  const activeChatAvatarUrl = selectedRoom ? "" : getUserAvatarUrl(selectedUser);
+  const selectedRoomAvatarLinks = useAttachmentLinks(
+    selectedRoom?.avatarAttachmentId ? String(selectedRoom.avatarAttachmentId) : "",
+  );
+  const activeChatAvatarUrl = selectedRoom
+    ? selectedRoomAvatarLinks?.variantUrls?.small || selectedRoomAvatarLinks?.downloadUrl || ""
+    : getUserAvatarUrl(selectedUser);
   const totalUnreadCount = useMemo(
     () => Object.values(unreadCounts).reduce((sum, count) => sum + count, 0),
     [unreadCounts],
@@ -2582,6 +4333,14 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
 
     return rooms.filter((room) => String(room.roomName || "").toLowerCase().includes(normalizedSidebarSearch));
   }, [normalizedSidebarSearch, rooms]);
+  const recentRooms = useMemo(
+    () => sortByRecentActivity(filteredRooms, (room) => buildRoomNotificationKey(String(room._id)), conversationActivity),
+    [conversationActivity, filteredRooms],
+  );
+  const recentUsers = useMemo(
+    () => sortByRecentActivity(filteredUsers, (user) => buildDmNotificationKey(String(user._id)), conversationActivity),
+    [conversationActivity, filteredUsers],
+  );
   const sidebarSearchPlaceholder = activeTab === "people" ? "Search users" : "Search rooms or users";
   const isCallIdle = callState.status === "idle";
   const callPeerName =
@@ -2601,7 +4360,6 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
   const callStatusLabel = CALL_STATUS_LABELS[callState.status] || "";
   const callHasLocalVideoTrack = Boolean(localStream?.getVideoTracks?.().length);
   const callButtonDisabled = !selectedUser?._id || !isCallIdle;
-  const canClearActiveConversation = selectedRoom ? canManageSelectedRoomMembers : Boolean(selectedUser);
   const selectedUserFollowState = selectedUser?._id
     ? userFollowStatus[selectedUser._id] || "not_following"
     : "not_following";
@@ -2634,11 +4392,19 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
     const matchedUser = users.find((user) => String(user._id) === String(replySenderId));
     return matchedUser?.displayName || replyToMessage?.senderUserId?.username || "Unknown";
   }, [currentUserId, replyToMessage, selectedUser, users]);
-  const replyTargetPreview = getNotificationPreview(replyToMessage?.messageContent || "Message unavailable");
+  const replyTargetPreview = getNotificationPreview(
+    replyToMessage?.messageContent || "Message unavailable",
+    replyToMessage?.attachment,
+  );
 
   const renderSidebarContent = () => {
     if (activeTab === "requests") {
-      return <FriendRequests currentUserId={currentUserId} onRequestStatusChange={fetchFollowStatus} />;
+      return (
+        <>
+          <FriendRequests currentUserId={currentUserId} onRequestStatusChange={fetchFollowStatus} />
+          <RoomJoinRequests currentUserId={currentUserId} onRoomUpdated={applyUpdatedRoom} />
+        </>
+      );
     }
 
     if (activeTab === "people") {
@@ -2695,6 +4461,18 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
               value={newRoomName}
               onChange={(event) => setNewRoomName(event.target.value)}
             />
+            <select
+              className="text-input"
+              value={newRoomVisibility}
+              onChange={(event) => setNewRoomVisibility(event.target.value)}
+              aria-label="Room visibility"
+            >
+              {ROOM_VISIBILITY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}: {option.description}
+                </option>
+              ))}
+            </select>
             {roomError && <p className="room-error">{roomError}</p>}
             <button className="primary-btn" onClick={handleCreateRoom}>
               Create
@@ -2702,14 +4480,20 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
           </div>
         )}
 
-        <div className="list-header">Rooms</div>
-        {filteredRooms.length === 0 ? (
+        <div className="list-header list-header-with-action">
+          Rooms
+          <button type="button" className="list-header-action" onClick={() => setShowRoomDirectory(true)}>
+            Browse
+          </button>
+        </div>
+        {recentRooms.length === 0 ? (
           <div className="empty-state">No rooms found.</div>
         ) : (
-          filteredRooms.map((room) => (
+          recentRooms.map((room) => (
             (() => {
               const roomNotificationKey = buildRoomNotificationKey(String(room._id));
               const roomUnreadCount = unreadCounts[roomNotificationKey] || 0;
+              const roomPreview = conversationActivity[roomNotificationKey]?.preview || "";
 
               return (
                 <div
@@ -2724,9 +4508,10 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                     setRoomMemberAction({ type: "", userId: "" });
                   }}
                 >
-                  <div className="item-avatar">#</div>
+                  <RoomAvatar room={room} className="item-avatar" />
                   <div className="item-info">
                     <div className="item-name">{room.roomName}</div>
+                    {roomPreview && <div className="item-preview">{roomPreview}</div>}
                     <div className="item-status-row">
                       <div className="item-status">{room.members?.length || 0} members</div>
                       {roomUnreadCount > 0 && (
@@ -2743,13 +4528,14 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
         <div className="list-header" style={{ marginTop: "1rem" }}>
           Direct Messages
         </div>
-        {filteredUsers.length === 0 ? (
+        {recentUsers.length === 0 ? (
           <div className="empty-state">No users found.</div>
         ) : (
-          filteredUsers.map((user) => (
+          recentUsers.map((user) => (
             (() => {
               const userNotificationKey = buildDmNotificationKey(String(user._id));
               const userUnreadCount = unreadCounts[userNotificationKey] || 0;
+              const userPreview = conversationActivity[userNotificationKey]?.preview || "";
               const userAvatarUrl = getUserAvatarUrl(user);
 
               return (
@@ -2780,9 +4566,10 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                     </button>
                     <div className="item-copy">
                       <div className="item-name">{user.displayName}</div>
+                      {userPreview && <div className="item-preview">{userPreview}</div>}
                       <div className="item-status item-status--dm">
                         <span className={`item-status-dot ${user.onlineStatus ? "online" : "offline"}`} />
-                        {user.onlineStatus ? "Online" : "Offline"}
+                        {formatPresence(user)}
                       </div>
                     </div>
                   </div>
@@ -2886,6 +4673,15 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                 X
               </button>
             )}
+            <button
+              type="button"
+              className="icon-btn sidebar-message-search-btn"
+              onClick={() => setMessageSearch({ conversationId: "" })}
+              title="Search messages"
+              aria-label="Search messages"
+            >
+              <SearchIcon />
+            </button>
           </div>
         )}
 
@@ -2936,10 +4732,29 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
               </div>
               <div className="chat-user-meta">
                 <h2>{activeChatName}</h2>
-                <p>{activeChatSubtitle}</p>
+                {typingIndicatorText ? (
+                  <p className="chat-typing-indicator" aria-live="polite">
+                    {typingIndicatorText}
+                  </p>
+                ) : (
+                  <p>{activeChatSubtitle}</p>
+                )}
               </div>
             </div>
             <div className="chat-actions">
+              {(selectedRoom || selectedUser) && (
+                <button
+                  className="icon-btn call-action-btn"
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    setMessageSearch({ conversationId: activeConversationTargetId });
+                  }}
+                  title="Search this chat"
+                  aria-label="Search this chat"
+                >
+                  <SearchIcon />
+                </button>
+              )}
               {(selectedRoom || selectedUser) && (
                 <button
                   className="icon-btn danger"
@@ -2947,19 +4762,16 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                     event.stopPropagation();
                     handleClearActiveConversation();
                   }}
-                  title={
-                    selectedRoom && !canClearActiveConversation
-                      ? "Only room creator can clear this chat"
-                      : "Delete all messages in this chat"
-                  }
-                  aria-label="Delete all messages in this chat"
-                  disabled={isClearingConversation || !canClearActiveConversation}
+                  title="Clear this chat for you"
+                  aria-label="Clear this chat for you"
+                  disabled={isClearingConversation}
                 >
                   {isClearingConversation ? "..." : "Clear"}
                 </button>
               )}
               {selectedUser && (
                 <>
+                  <DisappearingTimerSelect timer={activeDisappearingTimer} onChange={handleDisappearingTimerChange} />
                   <button
                     className="icon-btn call-action-btn"
                     onClick={(event) => {
@@ -3002,22 +4814,70 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
             </div>
           </div>
 
-          <div className="messages-container whatsapp-scroll">
+          <div
+            ref={messagesContainerRef}
+            className="messages-container whatsapp-scroll"
+            onScroll={handleMessagesScroll}
+          >
+            {hasOlderMessages && (
+              <button
+                type="button"
+                className="messages-load-older"
+                onClick={loadOlderMessages}
+                disabled={isLoadingOlderMessages}
+              >
+                {isLoadingOlderMessages ? "Loading earlier messages..." : "Load earlier messages"}
+              </button>
+            )}
             {messages.map((message) => (
               <MessageItem
                 key={message._id}
                 message={message}
                 currentUserId={currentUserId}
+                receipt={messageReceipts.get(String(message._id))}
                 onReact={handleReactToMessage}
                 onOpenSenderProfile={openSenderProfile}
                 onReply={handleReplyToMessage}
+                onEdit={handleEditMessage}
+                onShowHistory={handleShowMessageHistory}
+                canModerate={Boolean(selectedRoom) && hasRoomPermission(selectedRoomRole, "deleteMessages")}
                 onDelete={handleDeleteMessage}
+                isHighlighted={String(message._id) === highlightedMessageId}
               />
             ))}
+            {hasNewerMessages && (
+              <button
+                type="button"
+                className="messages-load-older"
+                onClick={() => {
+                  fetchMessages().catch((error) => {
+                    console.error("Failed to load latest messages:", error);
+                  });
+                }}
+              >
+                Jump to latest messages
+              </button>
+            )}
             <div ref={messagesEndRef} />
           </div>
 
           <div className="chat-input-area">
+            {activeEditingMessage && (
+              <div className="reply-composer-banner" role="status" aria-live="polite">
+                <div className="reply-composer-copy">
+                  <span className="reply-composer-label">Editing message</span>
+                  <span className="reply-composer-text">{getNotificationPreview(activeEditingMessage.messageContent)}</span>
+                </div>
+                <button
+                  type="button"
+                  className="reply-composer-cancel"
+                  onClick={cancelMessageEdit}
+                  aria-label="Cancel edit"
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
             {replyToMessage && (
               <div className="reply-composer-banner" role="status" aria-live="polite">
                 <div className="reply-composer-copy">
@@ -3085,7 +4945,14 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                 value={newMessage}
                 rows={1}
                 disabled={messageInputDisabled}
-                onChange={(event) => setNewMessage(event.target.value)}
+                onChange={(event) => {
+                  setNewMessage(event.target.value);
+                  if (event.target.value.trim()) {
+                    signalTyping();
+                  } else {
+                    stopTypingSignal();
+                  }
+                }}
                 onKeyDown={(event) => {
                   if (event.key === "Enter" && !event.shiftKey) {
                     event.preventDefault();
@@ -3099,9 +4966,36 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                 onClick={handleSendMessage}
                 disabled={!newMessage.trim() || messageInputDisabled || isSendingAttachment}
               >
-                Send
+                {activeEditingMessage ? "Save" : "Send"}
               </button>
             </div>
+            {hasPeerKeyChanged && (
+              <div className="e2ee-key-warning" role="alert">
+                <span>
+                  {selectedUser?.displayName || "This user"}&apos;s encryption keys changed since you verified them.
+                  Someone may be intercepting this chat, or they may have added a device.
+                </span>
+                <div className="e2ee-key-warning-actions">
+                  <button
+                    type="button"
+                    className="reply-composer-cancel"
+                    onClick={() => {
+                      setViewedUser(selectedUser);
+                      setShowProfileView(true);
+                    }}
+                  >
+                    Review safety number
+                  </button>
+                  <button
+                    type="button"
+                    className="reply-composer-cancel"
+                    onClick={() => handleContactVerificationChange(selectedPeerUserId, null)}
+                  >
+                    Continue unverified
+                  </button>
+                </div>
+              </div>
+            )}
             {directMessageRestrictionText && <p className="chat-input-note">{directMessageRestrictionText}</p>}
           </div>
         </div>
@@ -3210,16 +5104,39 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
             </div>
             <div className="modal-body room-info-modal-body">
               <div className="room-info-hero">
-                <div className="room-info-avatar">{selectedRoom.roomName?.charAt(0)?.toUpperCase() || "#"}</div>
+                <RoomAvatar
+                  room={selectedRoom}
+                  className="room-info-avatar"
+                  fallback={selectedRoom.roomName?.charAt(0)?.toUpperCase() || "#"}
+                  variant="medium"
+                />
                 <div className="room-info-hero-copy">
                   <p className="room-info-kicker">Room</p>
                   <h4>{selectedRoom.roomName}</h4>
+                  {selectedRoom.topic && <p className="room-info-topic">{selectedRoom.topic}</p>}
                   <p>
-                    {selectedRoomMembers.length} members - Created by {selectedRoomCreatorName}
+                    {selectedRoomMembers.length} members - Owned by {selectedRoomCreatorName}
                   </p>
                 </div>
+                {hasRoomPermission(selectedRoomRole, "editProfile") && (
+                  <button className="icon-btn room-member-transfer-btn" onClick={() => setShowRoomProfileEdit(true)}>
+                    Edit
+                  </button>
+                )}
               </div>
 
+              {selectedRoom.description && <p className="room-info-description">{selectedRoom.description}</p>}
+
+              {selectedRoom.rules && (
+                <div className="room-members-section room-info-rules">
+                  <div className="room-members-head">
+                    <h4>Rules</h4>
+                    <span className="room-member-note">Pinned</span>
+                  </div>
+                  <p className="room-info-rules-text">{selectedRoom.rules}</p>
+                </div>
+              )}
+
               <div className="room-info-stats">
                 <div className="room-info-stat">
                   <span>Total Members</span>
@@ -3227,8 +5144,61 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                 </div>
                 <div className="room-info-stat">
                   <span>Your Role</span>
-                  <strong>{canManageSelectedRoomMembers ? "Creator" : "Member"}</strong>
+                  <strong>{ROOM_ROLE_LABELS[selectedRoomRole] || "Member"}</strong>
+                </div>
+                <div className="room-info-stat">
+                  <span>Encryption</span>
+                  <strong>{selectedRoom.e2eeEnabled ? "End-to-end" : "Off"}</strong>
+                </div>
+                <div className="room-info-stat">
+                  <span>Visibility</span>
+                  <strong>{getRoomVisibilityLabel(selectedRoom.visibility)}</strong>
+                </div>
+              </div>
+
+              {hasRoomPermission(selectedRoomRole, "changeEncryption") && !selectedRoom.e2eeEnabled && (
+                <button
+                  className="primary-btn room-encryption-btn"
+                  onClick={handleEnableRoomEncryption}
+                  disabled={roomMemberAction.type === "encryption"}
+                >
+                  {roomMemberAction.type === "encryption" ? "Turning on..." : "Turn on end-to-end encryption"}
+                </button>
+              )}
+
+              {hasRoomPermission(selectedRoomRole, "changeVisibility") && (
+                <div className="room-members-section">
+                  <div className="room-members-head">
+                    <h4>Visibility</h4>
+                  </div>
+                  <select
+                    className="text-input"
+                    value={selectedRoom.visibility || "invite_only"}
+                    onChange={(event) => handleChangeRoomVisibility(event.target.value)}
+                    disabled={roomMemberAction.type === "visibility"}
+                    aria-label="Room visibility"
+                  >
+                    {ROOM_VISIBILITY_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}: {option.description}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="room-members-section">
+                <div className="room-members-head">
+                  <h4>Disappearing Messages</h4>
+                  {!hasRoomPermission(selectedRoomRole, "changeDisappearingTimer") && (
+                    <span className="room-member-note">Only admins can change this</span>
+                  )}
                 </div>
+                <DisappearingTimerSelect
+                  timer={activeDisappearingTimer}
+                  disabled={!hasRoomPermission(selectedRoomRole, "changeDisappearingTimer")}
+                  onChange={handleDisappearingTimerChange}
+                />
               </div>
 
               {roomMemberError && <p className="room-error">{roomMemberError}</p>}
@@ -3238,8 +5208,8 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                   <h4>
                     Current Members <span className="room-count-pill">{selectedRoomMembers.length}</span>
                   </h4>
-                  {!canManageSelectedRoomMembers && (
-                    <span className="room-member-note">Only creator can manage members</span>
+                  {!hasRoomPermission(selectedRoomRole, "removeMembers") && (
+                    <span className="room-member-note">Only moderators and admins can manage members</span>
                   )}
                 </div>
 
@@ -3252,10 +5222,17 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                         Boolean(selectedRoomCreatorId) &&
                         String(memberId) === String(selectedRoomCreatorId)) ||
                       normalizeIdentityText(memberName) === normalizeIdentityText(selectedRoomCreatorName);
+                    const memberRole = isCreator ? "owner" : getRoomRole(selectedRoom, memberId) || "member";
+                    const isBelowSelectedRoomRole =
+                      Boolean(memberId) && getRoomRoleRank(memberRole) < getRoomRoleRank(selectedRoomRole);
                     const isRemoving =
                       roomMemberAction.type === "remove" && roomMemberAction.userId === memberId;
+                    const isChangingRole =
+                      ["role", "transfer"].includes(roomMemberAction.type) && roomMemberAction.userId === memberId;
                     const canRemoveMember =
-                      canManageSelectedRoomMembers && !isCreator && Boolean(memberId);
+                      hasRoomPermission(selectedRoomRole, "removeMembers") && isBelowSelectedRoomRole;
+                    const canChangeMemberRole = assignableSelectedRoomRoles.length > 0 && isBelowSelectedRoomRole;
+                    const canTransferOwnership = selectedRoomRole === "owner" && !isCreator && Boolean(memberId);
 
                     return (
                       <div
@@ -3269,27 +5246,55 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                           <div className="room-member-copy">
                             <div className="room-member-name">{memberName}</div>
                             <div className="room-member-status">
-                              {isCreator ? "Creator" : member.onlineStatus ? "Online" : "Offline"}
+                              {formatPresence(usersById.get(memberId) || member)}
                             </div>
                           </div>
+                          {memberRole !== "member" && (
+                            <span className={`room-member-badge role-${memberRole}`}>
+                              {ROOM_ROLE_LABELS[memberRole]}
+                            </span>
+                          )}
                         </div>
 
-                        {isCreator ? (
-                          <span className="room-member-badge">Creator</span>
-                        ) : canManageSelectedRoomMembers ? (
-                          <button
-                            className="icon-btn room-member-remove-btn"
-                            onClick={() => {
-                              if (canRemoveMember) {
-                                handleRemoveRoomMember(memberId);
-                              }
-                            }}
-                            disabled={isRemoving || !canRemoveMember}
-                            title={!memberId ? "Unable to remove this member." : "Remove member"}
-                          >
-                            {isRemoving ? "Removing..." : "Remove"}
-                          </button>
-                        ) : null}
+                        {(canChangeMemberRole || canTransferOwnership || canRemoveMember) && (
+                          <div className="room-member-actions">
+                            {canChangeMemberRole && (
+                              <select
+                                className="text-input room-member-role-select"
+                                value={memberRole}
+                                onChange={(event) => handleChangeRoomMemberRole(memberId, event.target.value)}
+                                disabled={isChangingRole}
+                                aria-label={`Role for ${memberName}`}
+                              >
+                                {assignableSelectedRoomRoles.map((role) => (
+                                  <option key={role} value={role}>
+                                    {ROOM_ROLE_LABELS[role]}
+                                  </option>
+                                ))}
+                              </select>
+                            )}
+                            {canTransferOwnership && (
+                              <button
+                                className="icon-btn room-member-transfer-btn"
+                                onClick={() => handleTransferRoomOwnership(memberId, memberName)}
+                                disabled={isChangingRole}
+                                title="Transfer ownership"
+                              >
+                                Make owner
+                              </button>
+                            )}
+                            {canRemoveMember && (
+                              <button
+                                className="icon-btn room-member-remove-btn"
+                                onClick={() => handleRemoveRoomMember(memberId)}
+                                disabled={isRemoving}
+                                title="Remove member"
+                              >
+                                {isRemoving ? "Removing..." : "Remove"}
+                              </button>
+                            )}
+                          </div>
+                        )}
                       </div>
                     );
                   })}
@@ -3299,8 +5304,8 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
               <div className="room-members-section">
                 <div className="room-members-head">
                   <h4>Add Existing Members</h4>
-                  {!canManageSelectedRoomMembers && (
-                    <span className="room-member-note">Only creator can manage members</span>
+                  {!hasRoomPermission(selectedRoomRole, "addMembers") && (
+                    <span className="room-member-note">Only admins can add members</span>
                   )}
                 </div>
 
@@ -3313,7 +5318,7 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                       const userNameValue = getUserDisplayName(user);
                       const isAdding =
                         roomMemberAction.type === "add" && roomMemberAction.userId === userId;
-                      const canAddMember = canManageSelectedRoomMembers && Boolean(userId);
+                      const canAddMember = hasRoomPermission(selectedRoomRole, "addMembers") && Boolean(userId);
 
                       return (
                         <div
@@ -3327,7 +5332,7 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                             <div className="room-member-copy">
                               <div className="room-member-name">{userNameValue}</div>
                               <div className="room-member-status">
-                                {user.onlineStatus ? "Online" : "Offline"}
+                                {formatPresence(user)}
                               </div>
                             </div>
                           </div>
@@ -3349,6 +5354,57 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
                   </div>
                 )}
               </div>
+
+              <RoomInvitesPanel
+                key={selectedRoom._id}
+                roomId={selectedRoom._id}
+                canManageInvites={hasRoomPermission(selectedRoomRole, "manageInvites")}
+                canReviewJoinRequests={hasRoomPermission(selectedRoomRole, "reviewJoinRequests")}
+                onRoomUpdated={applyUpdatedRoom}
+              />
+
+              {hasRoomPermission(selectedRoomRole, "clearHistory") && (
+                <div className="room-members-section">
+                  <div className="room-members-head">
+                    <h4>Chat History</h4>
+                    <span className="room-member-note">Removes every message for all members</span>
+                  </div>
+                  <button
+                    className="icon-btn room-member-remove-btn"
+                    onClick={() => handleClearActiveConversation("everyone")}
+                    disabled={isClearingConversation}
+                  >
+                    {isClearingConversation ? "Clearing..." : "Clear history for everyone"}
+                  </button>
+                </div>
+              )}
+
+              <div className="room-members-section">
+                <div className="room-members-head">
+                  <h4>{selectedRoomRole === "owner" ? "Leave or Delete" : "Leave Room"}</h4>
+                  {selectedRoomRole === "owner" && (
+                    <span className="room-member-note">Leaving hands the room to another member</span>
+                  )}
+                </div>
+                <div className="room-danger-actions">
+                  <button
+                    className="icon-btn room-member-remove-btn"
+                    onClick={handleLeaveRoom}
+                    disabled={Boolean(roomMemberAction.type)}
+                  >
+                    {roomMemberAction.type === "leave" ? "Leaving..." : "Leave room"}
+                  </button>
+                  {selectedRoomRole === "owner" && (
+                    <button
+                      className="icon-btn room-member-remove-btn"
+                      onClick={handleDeleteRoom}
+                      disabled={Boolean(roomMemberAction.type)}
+                    >
+                      {roomMemberAction.type === "delete" ? "Deleting..." : "Delete room"}
+                    </button>
+                  )}
+                </div>
+              </div>
             </div>
           </div>
         </div>
@@ -3363,21 +5419,55 @@ function ChatPage({ theme: propsTheme, setTheme: propsSetTheme }) {
             avatarUrl: currentUserAvatarUrl,
             phoneNumber: currentUserProfile?.phoneNumber || "",
             email: currentUserProfile?.email || "",
+            hideLastSeen: Boolean(currentUserProfile?.hideLastSeen),
           }}
           onClose={() => setShowProfileEdit(false)}
           onUpdate={handleProfileUpdate}
+          onE2EEKeysRestored={handleE2EEKeysRestored}
         />
       )}
 
       {showProfileView && viewedUser && (
         <ProfileViewModal
           user={viewedUser}
+          currentUserId={currentUserId}
+          currentUserDevices={registeredE2EEDevices}
+          verification={verifiedContacts[String(viewedUser._id)] || null}
+          onVerificationChange={handleContactVerificationChange}
           onClose={() => {
             setShowProfileView(false);
             setViewedUser(null);
           }}
         />
       )}
+
+      {messageHistory && (
+        <MessageHistoryModal history={messageHistory} onClose={() => setMessageHistory(null)} />
+      )}
+
+      {messageSearch && (
+        <MessageSearchModal
+          currentUserId={currentUserId}
+          conversations={searchConversations}
+          users={users}
+          initialConversationId={messageSearch.conversationId}
+          onJump={handleJumpToSearchResult}
+          onClose={() => setMessageSearch(null)}
+        />
+      )}
+
+      {showRoomProfileEdit && selectedRoom && (
+        <RoomProfileEditModal
+          room={selectedRoom}
+          currentUserId={currentUserId}
+          onClose={() => setShowRoomProfileEdit(false)}
+          onUpdate={applyUpdatedRoom}
+        />
+      )}
+
+      {showRoomDirectory && (
+        <RoomDirectoryModal onJoined={handleJoinedRoom} onClose={() => setShowRoomDirectory(false)} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,108 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { describeUserAgent } from "../utils/devices";
+
+const API_BASE_URL =
+  (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
+
+function describeDevice(session) {
+  return session.deviceName || describeUserAgent(session.userAgent);
+}
+
+function formatLastUsed(value) {
+  if (!value) {
+    return "";
+  }
+
+  return new Date(value).toLocaleString([], {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+function ActiveSessions() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [revokingId, setRevokingId] = useState("");
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    axios
+      .get(`${API_BASE_URL}/api/users/me/sessions`)
+      .then((response) => {
+        if (!isCancelled) {
+          setSessions(response.data?.sessions || []);
+        }
+      })
+      .catch((err) => {
+        if (!isCancelled) {
+          setError(err.response?.data?.message || "Failed to load sessions");
+        }
+      })
+      .finally(() => {
+        if (!isCancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      setRevokingId(sessionId);
+      await axios.delete(`${API_BASE_URL}/api/users/me/sessions/${sessionId}`);
+      setSessions((previous) => previous.filter((session) => session._id !== sessionId));
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to sign out device");
+    } finally {
+      setRevokingId("");
+    }
+  };
+
+  return (
+    <div className="room-members-section active-sessions">
+      <div className="room-members-head">
+        <h4>
+          Active Sessions <span className="room-count-pill">{sessions.length}</span>
+        </h4>
+      </div>
+
+      {error && <p className="room-error">{error}</p>}
+
+      {loading ? (
+        <p className="empty-state room-empty-state">Loading sessions...</p>
+      ) : (
+        <div className="room-members-list">
+          {sessions.map((session) => (
+            <div key={session._id} className="room-member-row">
+              <div className="room-member-copy">
+                <div className="room-member-name">{describeDevice(session)}</div>
+                <div className="room-member-status">
+                  {session.current ? "This device" : `Last active ${formatLastUsed(session.lastUsedAt)}`}
+                </div>
+              </div>
+
+              {!session.current && (
+                <button
+                  type="button"
+                  className="icon-btn room-member-remove-btn"
+                  onClick={() => handleRevoke(session._id)}
+                  disabled={revokingId === session._id}
+                >
+                  {revokingId === session._id ? "Signing out..." : "Sign out"}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ActiveSessions;
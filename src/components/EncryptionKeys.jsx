@@ -0,0 +1,254 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import {
+  addToE2EEKeyring,
+  createE2EEKeyBackup,
+  ensureLocalE2EEIdentity,
+  isWebCryptoSupported,
+  loadE2EEKeyring,
+  openE2EEKeyBackup,
+} from "../utils/e2ee";
+
+const API_BASE_URL =
+  (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function formatDate(value) {
+  if (!value) {
+    return "";
+  }
+
+  return new Date(value).toLocaleString([], {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+async function fetchKeyBackup() {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/api/users/me/e2ee/backup`);
+    return response.data?.backup || null;
+  } catch (err) {
+    if (err.response?.status === 404) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+// Devices that hold an encryption key, plus the passphrase-protected backup
+// that lets a new device read messages sent to the old ones. Forward-secret
+// DMs cannot be restored this way; only their sending and receiving devices
+// ever hold their keys.
+function EncryptionKeys({ userId, onKeysRestored }) {
+  const [devices, setDevices] = useState([]);
+  const [localDeviceId, setLocalDeviceId] = useState("");
+  const [backupUpdatedAt, setBackupUpdatedAt] = useState(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busyAction, setBusyAction] = useState("");
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    Promise.all([
+      axios.get(`${API_BASE_URL}/api/users/me/e2ee/devices`),
+      fetchKeyBackup(),
+      isWebCryptoSupported() ? ensureLocalE2EEIdentity(userId) : null,
+    ])
+      .then(([devicesResponse, backup, localIdentity]) => {
+        if (!isCancelled) {
+          setDevices(devicesResponse.data?.devices || []);
+          setBackupUpdatedAt(backup?.updatedAt || null);
+          setLocalDeviceId(localIdentity?.deviceId || "");
+        }
+      })
+      .catch((err) => {
+        if (!isCancelled) {
+          setError(err.response?.data?.message || "Failed to load encryption keys");
+        }
+      })
+      .finally(() => {
+        if (!isCancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [userId]);
+
+  const runAction = async (action, task) => {
+    try {
+      setBusyAction(action);
+      setError("");
+      setNotice("");
+      await task();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || "Something went wrong");
+    } finally {
+      setBusyAction("");
+    }
+  };
+
+  const handleRemoveDevice = (deviceId) =>
+    runAction(`remove:${deviceId}`, async () => {
+      const response = await axios.delete(`${API_BASE_URL}/api/users/me/e2ee/devices/${deviceId}`);
+      setDevices(response.data?.devices || []);
+    });
+
+  const handleBackup = () =>
+    runAction("backup", async () => {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      }
+
+      const localIdentity = await ensureLocalE2EEIdentity(userId);
+      let identities = [localIdentity, ...loadE2EEKeyring(userId)];
+
+      // Keep the keys other devices already put in the backup.
+      const existingBackup = await fetchKeyBackup();
+      if (existingBackup) {
+        try {
+          identities = [...identities, ...(await openE2EEKeyBackup({ backup: existingBackup, passphrase }))];
+        } catch {
+          const shouldReplace = window.confirm(
+            "The existing backup uses a different passphrase. Replace it? Keys that are only in the old backup will be lost.",
+          );
+          if (!shouldReplace) {
+            return;
+          }
+        }
+      }
+
+      const backup = await createE2EEKeyBackup({ identities, passphrase });
+      const response = await axios.put(`${API_BASE_URL}/api/users/me/e2ee/backup`, { backup });
+      setBackupUpdatedAt(response.data?.updatedAt || new Date().toISOString());
+      setPassphrase("");
+      setNotice("Keys backed up.");
+    });
+
+  const handleRestore = () =>
+    runAction("restore", async () => {
+      const backup = await fetchKeyBackup();
+      if (!backup) {
+        throw new Error("There is no key backup to restore.");
+      }
+
+      const identities = await openE2EEKeyBackup({ backup, passphrase });
+      const addedCount = addToE2EEKeyring(userId, identities);
+      setPassphrase("");
+      setNotice(addedCount > 0 ? `Restored ${addedCount} key${addedCount === 1 ? "" : "s"}.` : "This device already has every backed up key.");
+      if (addedCount > 0) {
+        onKeysRestored?.();
+      }
+    });
+
+  const handleDeleteBackup = () =>
+    runAction("delete-backup", async () => {
+      if (!window.confirm("Delete your key backup? New devices will not be able to read older messages.")) {
+        return;
+      }
+
+      await axios.delete(`${API_BASE_URL}/api/users/me/e2ee/backup`);
+      setBackupUpdatedAt(null);
+    });
+
+  return (
+    <div className="room-members-section encryption-keys">
+      <div className="room-members-head">
+        <h4>
+          Encryption Keys <span className="room-count-pill">{devices.length}</span>
+        </h4>
+      </div>
+
+      {error && <p className="room-error">{error}</p>}
+      {notice && <p className="room-member-note">{notice}</p>}
+
+      {loading ? (
+        <p className="empty-state room-empty-state">Loading keys...</p>
+      ) : (
+        <>
+          <div className="room-members-list">
+            {devices.map((device) => (
+              <div key={device.deviceId} className="room-member-row">
+                <div className="room-member-copy">
+                  <div className="room-member-name">{device.label || "Unknown device"}</div>
+                  <div className="room-member-status">
+                    {device.deviceId === localDeviceId ? "This device" : `Added ${formatDate(device.createdAt)}`}
+                  </div>
+                </div>
+
+                {device.deviceId !== localDeviceId && (
+                  <button
+                    type="button"
+                    className="icon-btn room-member-remove-btn"
+                    onClick={() => handleRemoveDevice(device.deviceId)}
+                    disabled={busyAction === `remove:${device.deviceId}`}
+                    title="Stop encrypting new messages to this device"
+                  >
+                    {busyAction === `remove:${device.deviceId}` ? "Removing..." : "Remove"}
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="encryption-keys-backup">
+            <p className="room-member-status">
+              {backupUpdatedAt ? `Backed up ${formatDate(backupUpdatedAt)}` : "Your keys are not backed up."}
+            </p>
+            <p className="room-member-note">
+              A restored device can read encrypted rooms and older direct messages. Direct messages sent with forward
+              secrecy stay readable only on the devices that received them.
+            </p>
+            <input
+              type="password"
+              className="text-input"
+              value={passphrase}
+              onChange={(event) => setPassphrase(event.target.value)}
+              placeholder="Backup passphrase"
+              autoComplete="new-password"
+              aria-label="Backup passphrase"
+            />
+            <div className="encryption-keys-actions">
+              <button
+                type="button"
+                className="primary-btn"
+                onClick={handleBackup}
+                disabled={Boolean(busyAction) || !passphrase}
+              >
+                {busyAction === "backup" ? "Backing up..." : "Back up keys"}
+              </button>
+              {backupUpdatedAt && (
+                <>
+                  <button
+                    type="button"
+                    className="primary-btn"
+                    onClick={handleRestore}
+                    disabled={Boolean(busyAction) || !passphrase}
+                  >
+                    {busyAction === "restore" ? "Restoring..." : "Restore"}
+                  </button>
+                  <button
+                    type="button"
+                    className="icon-btn room-member-remove-btn"
+                    onClick={handleDeleteBackup}
+                    disabled={Boolean(busyAction)}
+                  >
+                    Delete backup
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default EncryptionKeys;
@@ -50,6 +50,8 @@ function Login({ onLoginSuccess, onSwitchToSignup }) {
         userId: response.data?.user?._id,
         username: response.data?.user?.username || "",
         token: response.data?.token,
+        refreshToken: response.data?.refreshToken || "",
+        sessionId: response.data?.sessionId || "",
       });
 
       if (onLoginSuccess) {
@@ -1,17 +1,20 @@
 import { useRef, useState } from "react";
 import axios from "axios";
+import ActiveSessions from "./ActiveSessions";
+import EncryptionKeys from "./EncryptionKeys";
 import PhotoCropper from "./PhotoCropper";
 import "../chat/chatpage.css";
 
 const API_BASE_URL =
   (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
 
-function ProfileEditModal({ user, onClose, onUpdate }) {
+function ProfileEditModal({ user, onClose, onUpdate, onE2EEKeysRestored }) {
   const [formData, setFormData] = useState({
     username: user.username || "",
     bio: user.bio || "",
     avatarUrl: user.avatarUrl || "",
     phoneNumber: user.phoneNumber || "",
+    hideLastSeen: Boolean(user.hideLastSeen),
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
@@ -20,8 +23,8 @@ function ProfileEditModal({ user, onClose, onUpdate }) {
   const fileInputRef = useRef(null);
 
   function handleChange(event) {
-    const { name, value } = event.target;
-    setFormData((previous) => ({ ...previous, [name]: value }));
+    const { name, value, type, checked } = event.target;
+    setFormData((previous) => ({ ...previous, [name]: type === "checkbox" ? checked : value }));
   }
 
   function handleFileChange(event) {
@@ -180,10 +183,24 @@ function ProfileEditModal({ user, onClose, onUpdate }) {
                 />
               </div>
 
+              <label className="profile-edit-toggle" htmlFor="edit-hide-last-seen">
+                <input
+                  id="edit-hide-last-seen"
+                  type="checkbox"
+                  name="hideLastSeen"
+                  checked={formData.hideLastSeen}
+                  onChange={handleChange}
+                />
+                Hide my last seen time from people who don&apos;t follow me
+              </label>
+
               <button type="submit" className="primary-btn profile-edit-submit" disabled={loading}>
                 {loading ? "Saving..." : "Save Changes"}
               </button>
             </form>
+
+            <ActiveSessions />
+            <EncryptionKeys userId={user._id} onKeysRestored={onE2EEKeysRestored} />
           </div>
         </div>
       )}
@@ -1,11 +1,14 @@
+import { formatPresence } from "../utils/presence";
+import SafetyNumber from "./SafetyNumber";
 import "../chat/chatpage.css";
 
-function ProfileViewModal({ user, onClose }) {
+function ProfileViewModal({ user, currentUserId, currentUserDevices, verification, onVerificationChange, onClose }) {
   if (!user) {
     return null;
   }
 
   const isOnline = Boolean(user.onlineStatus);
+  const canVerify = Boolean(onVerificationChange) && String(user._id) !== String(currentUserId);
 
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -43,7 +46,7 @@ function ProfileViewModal({ user, onClose }) {
 
             <h2 className="profile-view-name">{user.username || "Unknown User"}</h2>
             <p className={`profile-view-status ${isOnline ? "online" : "offline"}`}>
-              {isOnline ? "Online" : "Offline"}
+              {formatPresence(user)}
             </p>
           </div>
 
@@ -62,6 +65,16 @@ function ProfileViewModal({ user, onClose }) {
               <span className="profile-view-field-label">Email</span>
               <p className="profile-view-field-value">{user.email || "Not provided"}</p>
             </div>
+
+            {canVerify && (
+              <SafetyNumber
+                localUserId={currentUserId}
+                localDevices={currentUserDevices}
+                peerUser={user}
+                verification={verification}
+                onVerificationChange={onVerificationChange}
+              />
+            )}
           </div>
 
           <button className="primary-btn profile-view-close" onClick={onClose}>
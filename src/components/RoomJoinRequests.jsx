@@ -0,0 +1,157 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import "./FriendRequests.css";
+
+const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(
+  /\/$/,
+  "",
+);
+const POLL_INTERVAL_MS = 5000;
+
+// Requests to join rooms: ones the user can approve as a moderator or admin,
+// and ones they sent themselves. Works like FriendRequests.
+function RoomJoinRequests({ currentUserId, onRoomUpdated }) {
+  const [receivedRequests, setReceivedRequests] = useState([]);
+  const [sentRequests, setSentRequests] = useState([]);
+  const [activeTab, setActiveTab] = useState("received");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!currentUserId) {
+      return undefined;
+    }
+
+    const loadRequests = () =>
+      axios
+        .get(`${API_BASE_URL}/api/chatrooms/join-requests`, { timeout: 8000 })
+        .then((response) => {
+          setReceivedRequests(response.data?.received || []);
+          setSentRequests(response.data?.sent || []);
+          setError("");
+        })
+        .catch((err) => {
+          console.error("Error fetching room join requests:", err);
+          setError(err.response?.data?.message || "Failed to load room requests");
+        });
+
+    loadRequests();
+    const interval = setInterval(loadRequests, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [currentUserId]);
+
+  const handleApprove = async (request) => {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/api/chatrooms/${request.room?._id}/join-requests/${request._id}/approve`,
+      );
+
+      setReceivedRequests((previous) => previous.filter((entry) => entry._id !== request._id));
+      if (response.data?.room) {
+        onRoomUpdated?.(response.data.room);
+      }
+    } catch (err) {
+      console.error("Error approving room join request:", err);
+      alert(err.response?.data?.message || "Failed to approve request");
+    }
+  };
+
+  const handleReject = async (request) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/chatrooms/${request.room?._id}/join-requests/${request._id}`);
+      setReceivedRequests((previous) => previous.filter((entry) => entry._id !== request._id));
+    } catch (err) {
+      console.error("Error rejecting room join request:", err);
+      alert(err.response?.data?.message || "Failed to reject request");
+    }
+  };
+
+  const handleWithdraw = async (request) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/chatrooms/${request.room?._id}/join-request`);
+      setSentRequests((previous) => previous.filter((entry) => entry._id !== request._id));
+    } catch (err) {
+      console.error("Error withdrawing room join request:", err);
+      alert(err.response?.data?.message || "Failed to withdraw request");
+    }
+  };
+
+  return (
+    <div className="friend-requests-container room-join-requests">
+      <div className="list-header">Room Requests</div>
+      <div className="tabs">
+        <button
+          className={`tab-btn ${activeTab === "received" ? "active" : ""}`}
+          onClick={() => setActiveTab("received")}
+        >
+          To review ({receivedRequests.length})
+        </button>
+        <button
+          className={`tab-btn ${activeTab === "sent" ? "active" : ""}`}
+          onClick={() => setActiveTab("sent")}
+        >
+          Sent ({sentRequests.length})
+        </button>
+      </div>
+
+      {error && <div className="error-banner">{error}</div>}
+
+      {activeTab === "received" ? (
+        <div className="requests-list">
+          {receivedRequests.length === 0 ? (
+            <div className="empty-state">
+              <p>No pending room requests</p>
+              <small>Requests to join rooms you moderate will appear here</small>
+            </div>
+          ) : (
+            receivedRequests.map((request) => (
+              <div key={request._id} className="request-item received">
+                <div className="requester-info">
+                  <span className={`status ${request.user?.onlineStatus ? "online" : "offline"}`}></span>
+                  <div className="user-details">
+                    <span className="username">{request.user?.username || "Unknown user"}</span>
+                    <span className="email">wants to join {request.room?.roomName || "a room"}</span>
+                  </div>
+                </div>
+                <div className="request-actions">
+                  <button className="accept-btn" onClick={() => handleApprove(request)} title="Approve join request">
+                    Approve
+                  </button>
+                  <button className="reject-btn" onClick={() => handleReject(request)} title="Reject join request">
+                    Reject
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      ) : (
+        <div className="requests-list">
+          {sentRequests.length === 0 ? (
+            <div className="empty-state">
+              <p>No pending sent requests</p>
+              <small>Rooms you ask to join will appear here until a moderator responds</small>
+            </div>
+          ) : (
+            sentRequests.map((request) => (
+              <div key={request._id} className="request-item sent">
+                <div className="requester-info">
+                  <div className="user-details">
+                    <span className="username">{request.room?.roomName || "Unknown room"}</span>
+                    <span className="email">Waiting for approval</span>
+                  </div>
+                </div>
+                <div className="request-actions">
+                  <button className="cancel-btn" onClick={() => handleWithdraw(request)} title="Withdraw join request">
+                    Withdraw
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RoomJoinRequests;
@@ -0,0 +1,159 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { computeE2EEKeyFingerprint, computeSafetyNumber, isWebCryptoSupported } from "../utils/e2ee";
+
+const API_BASE_URL =
+  (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
+const SAFETY_NUMBER_GROUP_LENGTH = 5;
+
+function getPublicKeys(user) {
+  const devices = Array.isArray(user?.e2eDevices) && user.e2eDevices.length > 0 ? user.e2eDevices : [];
+  const legacyPublicKey = String(user?.e2ePublicKey || "").trim();
+  const publicKeys = devices.map((device) => device.publicKey);
+  return publicKeys.length > 0 ? publicKeys : [legacyPublicKey].filter(Boolean);
+}
+
+function groupDigits(digits) {
+  return digits.match(new RegExp(`.{1,${SAFETY_NUMBER_GROUP_LENGTH}}`, "g")) || [];
+}
+
+// Safety number for the conversation with `peerUser`. Both users see the
+// same number; comparing it (in person, or over another channel) proves no
+// one swapped a key on the server.
+function SafetyNumber({ localUserId, localDevices, peerUser, verification, onVerificationChange }) {
+  const peerUserId = String(peerUser?._id || "");
+  const [keys, setKeys] = useState({ safetyNumber: "", fingerprint: "" });
+  const [error, setError] = useState("");
+  const [comparison, setComparison] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!peerUserId || !Array.isArray(localDevices) || !isWebCryptoSupported()) {
+      return;
+    }
+
+    let isCancelled = false;
+
+    // The peer's keys are read fresh from the server rather than from the
+    // (possibly stale) user list.
+    axios
+      .get(`${API_BASE_URL}/api/users/${peerUserId}`)
+      .then(async (response) => {
+        const peerPublicKeys = getPublicKeys(response.data);
+        if (peerPublicKeys.length === 0) {
+          throw new Error(`${peerUser?.username || "This user"} has not set up encryption yet.`);
+        }
+
+        const [safetyNumber, fingerprint] = await Promise.all([
+          computeSafetyNumber({
+            localUserId,
+            localPublicKeys: localDevices.map((device) => device.publicKey),
+            peerUserId,
+            peerPublicKeys,
+          }),
+          computeE2EEKeyFingerprint({ userId: peerUserId, publicKeys: peerPublicKeys }),
+        ]);
+
+        if (!isCancelled) {
+          setKeys({ safetyNumber, fingerprint });
+        }
+      })
+      .catch((err) => {
+        if (!isCancelled) {
+          setError(err.response?.data?.message || err.message || "Failed to load encryption keys");
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [localDevices, localUserId, peerUser?.username, peerUserId]);
+
+  const isVerified = Boolean(verification) && verification.fingerprint === keys.fingerprint;
+  const hasKeyChanged = Boolean(verification) && Boolean(keys.fingerprint) && !isVerified;
+  const comparedDigits = comparison.replace(/\D/g, "");
+  const comparisonResult =
+    comparedDigits.length === keys.safetyNumber.length && keys.safetyNumber
+      ? comparedDigits === keys.safetyNumber
+        ? "match"
+        : "mismatch"
+      : "";
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(groupDigits(keys.safetyNumber).join(" "));
+      setCopied(true);
+    } catch {
+      setError("Copy failed. Select the number and copy it instead.");
+    }
+  };
+
+  if (!isWebCryptoSupported()) {
+    return null;
+  }
+
+  return (
+    <div className="profile-view-field safety-number">
+      <span className="profile-view-field-label">Safety Number</span>
+
+      {error && <p className="room-error">{error}</p>}
+
+      {!error && !keys.safetyNumber && <p className="profile-view-field-value">Loading...</p>}
+
+      {keys.safetyNumber && (
+        <>
+          <p className={`safety-number-status ${isVerified ? "verified" : hasKeyChanged ? "changed" : ""}`}>
+            {isVerified
+              ? `Verified ${new Date(verification.verifiedAt).toLocaleDateString()}`
+              : hasKeyChanged
+                ? "Keys changed since you verified them. Compare the new number before trusting this chat."
+                : "Not verified. Compare this number with the one on their screen."}
+          </p>
+
+          <div className="safety-number-digits" aria-label="Safety number">
+            {groupDigits(keys.safetyNumber).map((group, index) => (
+              <span key={index}>{group}</span>
+            ))}
+          </div>
+
+          <input
+            type="text"
+            className="text-input"
+            inputMode="numeric"
+            value={comparison}
+            onChange={(event) => setComparison(event.target.value)}
+            placeholder="Paste the number they sent you to compare"
+            aria-label="Safety number to compare"
+          />
+          {comparisonResult === "match" && <p className="safety-number-status verified">The numbers match.</p>}
+          {comparisonResult === "mismatch" && (
+            <p className="safety-number-status changed">The numbers do not match. Do not mark this contact verified.</p>
+          )}
+
+          <div className="safety-number-actions">
+            <button type="button" className="reply-composer-cancel" onClick={handleCopy}>
+              {copied ? "Copied" : "Copy"}
+            </button>
+            {!isVerified && (
+              <button
+                type="button"
+                className="primary-btn"
+                onClick={() => onVerificationChange(peerUserId, keys.fingerprint)}
+                disabled={comparisonResult === "mismatch"}
+              >
+                Mark as verified
+              </button>
+            )}
+            {verification && (
+              <button type="button" className="reply-composer-cancel" onClick={() => onVerificationChange(peerUserId, null)}>
+                Clear verification
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SafetyNumber;
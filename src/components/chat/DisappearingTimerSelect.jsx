@@ -0,0 +1,40 @@
+import { DISAPPEARING_TIMER_OPTIONS } from "../../utils/disappearingMessages";
+
+// Picks how long new messages in a conversation last and whether the
+// countdown starts when they are sent or when they are read.
+function DisappearingTimerSelect({ timer, disabled, onChange }) {
+  const durationSeconds = timer?.durationSeconds || 0;
+  const startsOn = timer?.startsOn || "sent";
+
+  return (
+    <div className="disappearing-timer-select" onClick={(event) => event.stopPropagation()}>
+      <select
+        className="text-input"
+        value={durationSeconds}
+        onChange={(event) => onChange(Number(event.target.value), startsOn)}
+        disabled={disabled}
+        aria-label="Disappearing messages"
+        title="Disappearing messages"
+      >
+        <option value={0}>Messages stay</option>
+        {DISAPPEARING_TIMER_OPTIONS.map((option) => (
+          <option key={option.durationSeconds} value={option.durationSeconds}>
+            Disappear after {option.label}
+          </option>
+        ))}
+      </select>
+      <select
+        className="text-input"
+        value={startsOn}
+        onChange={(event) => onChange(durationSeconds, event.target.value)}
+        disabled={disabled || !durationSeconds}
+        aria-label="Start the timer"
+      >
+        <option value="sent">once sent</option>
+        <option value="read">once read</option>
+      </select>
+    </div>
+  );
+}
+
+export default DisappearingTimerSelect;
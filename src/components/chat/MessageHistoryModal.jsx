@@ -0,0 +1,52 @@
+function formatVersionTime(value) {
+  if (!value) {
+    return "";
+  }
+
+  return new Date(value).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Earlier versions of an edited message, newest first, under the current text
+function MessageHistoryModal({ history, onClose }) {
+  const current = history.current;
+  const earlierVersions = [...history.revisions].reverse();
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal message-history-modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Edit History</h3>
+          <button className="icon-btn profile-modal-close" onClick={onClose} aria-label="Close edit history">
+            <svg viewBox="0 0 24 24" role="presentation" aria-hidden="true">
+              <path d="M6 6l12 12M18 6L6 18" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <ol className="message-history-list">
+            <li className="message-history-entry current">
+              <span className="message-history-time">Current · edited {formatVersionTime(current?.editedAt)}</span>
+              <p className="message-history-text">{current?.messageContent}</p>
+            </li>
+            {earlierVersions.map((revision, index) => (
+              <li key={`${revision.createdAt}-${index}`} className="message-history-entry">
+                <span className="message-history-time">{formatVersionTime(revision.createdAt)}</span>
+                <p className="message-history-text">{revision.messageContent}</p>
+              </li>
+            ))}
+          </ol>
+          {history.isLoading && <div className="empty-state">Loading...</div>}
+          {history.error && <div className="error-banner">{history.error}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MessageHistoryModal;
@@ -1,8 +1,27 @@
 import { memo, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { decode as decodeBlurhash } from "blurhash";
 import ReactionBar from "./ReactionBar";
+import { fetchDecryptedAttachment } from "../../utils/attachments";
+import useAttachmentLinks from "../../utils/useAttachmentLinks";
 
 const LONG_PRESS_MS = 420;
+const IMAGE_MAX_DISPLAY_WIDTH = 320;
+const IMAGE_MAX_DISPLAY_HEIGHT = 260;
+const PLACEHOLDER_RENDER_SIZE = 32;
+// Mirrors the server's default MESSAGE_EDIT_WINDOW_MINUTES; the server still
+// has the final say.
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+const RECEIPT_LABELS = {
+  sent: "Sent",
+  delivered: "Delivered",
+  read: "Read",
+};
+
+const placeholderDataUrlCache = new Map();
 const ATTACHMENT_PAYLOAD_KIND = "chat_attachment";
+const ENCRYPTED_ATTACHMENT_PAYLOAD_KIND = "chat_encrypted_attachment";
+const DELETED_MESSAGE_TEXT = "This message was deleted";
 
 function getUserId(user) {
   if (!user) {
@@ -59,6 +78,138 @@ function parseAttachmentPayload(rawContent) {
   }
 }
 
+// Files in encrypted chats: the upload is ciphertext, and the (decrypted)
+// message holds its real name and type plus the key to open it.
+function parseEncryptedAttachmentPayload(rawContent) {
+  try {
+    const parsed = JSON.parse(String(rawContent || ""));
+    if (parsed?.kind !== ENCRYPTED_ATTACHMENT_PAYLOAD_KIND || !parsed.attachmentId || !parsed.key) {
+      return null;
+    }
+
+    return {
+      name: String(parsed.name || "attachment"),
+      mimeType: String(parsed.mimeType || ""),
+      size: Number(parsed.size) || 0,
+      attachmentId: String(parsed.attachmentId),
+      width: Number(parsed.width) || 0,
+      height: Number(parsed.height) || 0,
+      placeholder: "",
+      dataUrl: "",
+      encryption: { key: String(parsed.key), iv: String(parsed.iv || ""), digest: String(parsed.digest || "") },
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Messages sent through the upload store carry an attachment reference;
+// older ones embed the file as a data URL in messageContent. An encrypted
+// message's reference is only usable with the key inside it, so one that
+// could not be decrypted shows its fallback text instead.
+function getMessageAttachment(message) {
+  const encryptedAttachment = parseEncryptedAttachmentPayload(message?.messageContent);
+  if (encryptedAttachment) {
+    return encryptedAttachment;
+  }
+
+  if (message?.attachment?.attachmentId && !message.isEncrypted) {
+    return {
+      name: String(message.attachment.fileName || "attachment"),
+      mimeType: String(message.attachment.mimeType || ""),
+      size: Number(message.attachment.size) || 0,
+      attachmentId: String(message.attachment.attachmentId),
+      width: Number(message.attachment.width) || 0,
+      height: Number(message.attachment.height) || 0,
+      placeholder: String(message.attachment.placeholder || ""),
+      dataUrl: "",
+    };
+  }
+
+  return parseAttachmentPayload(message?.messageContent);
+}
+
+// Blurhash placeholders are decoded once into a tiny image and stretched to
+// fill the frame while the thumbnail loads.
+function getPlaceholderDataUrl(hash) {
+  if (!hash || typeof document === "undefined") {
+    return "";
+  }
+
+  if (placeholderDataUrlCache.has(hash)) {
+    return placeholderDataUrlCache.get(hash);
+  }
+
+  let dataUrl = "";
+  try {
+    const pixels = decodeBlurhash(hash, PLACEHOLDER_RENDER_SIZE, PLACEHOLDER_RENDER_SIZE);
+    const canvas = document.createElement("canvas");
+    canvas.width = PLACEHOLDER_RENDER_SIZE;
+    canvas.height = PLACEHOLDER_RENDER_SIZE;
+    const context = canvas.getContext("2d");
+    const imageData = context.createImageData(PLACEHOLDER_RENDER_SIZE, PLACEHOLDER_RENDER_SIZE);
+    imageData.data.set(pixels);
+    context.putImageData(imageData, 0, 0);
+    dataUrl = canvas.toDataURL();
+  } catch {
+    dataUrl = "";
+  }
+
+  placeholderDataUrlCache.set(hash, dataUrl);
+  return dataUrl;
+}
+
+// Scales the original dimensions into the bubble's image box so the frame can
+// be laid out before any image bytes arrive.
+function getImageFrameSize(width, height) {
+  if (!width || !height) {
+    return null;
+  }
+
+  const scale = Math.min(1, IMAGE_MAX_DISPLAY_WIDTH / width, IMAGE_MAX_DISPLAY_HEIGHT / height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// Object URL of a decrypted upload, revoked when the message goes away
+function useDecryptedAttachmentUrl(attachment) {
+  const [resolved, setResolved] = useState({ attachmentId: "", url: "", error: "" });
+  const attachmentId = attachment?.encryption ? attachment.attachmentId : "";
+  const mimeType = attachment?.mimeType || "";
+  const { key = "", iv = "", digest = "" } = attachment?.encryption || {};
+
+  useEffect(() => {
+    if (!attachmentId) {
+      return undefined;
+    }
+
+    let isCancelled = false;
+    let objectUrl = "";
+
+    fetchDecryptedAttachment({ attachmentId, mimeType, key, iv, digest })
+      .then((blob) => {
+        if (!isCancelled) {
+          objectUrl = URL.createObjectURL(blob);
+          setResolved({ attachmentId, url: objectUrl, error: "" });
+        }
+      })
+      .catch((error) => {
+        console.error("Failed to decrypt attachment:", error);
+        if (!isCancelled) {
+          setResolved({ attachmentId, url: "", error: error.message || "Could not open this file" });
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [attachmentId, digest, iv, key, mimeType]);
+
+  return resolved.attachmentId === attachmentId ? resolved : null;
+}
+
 function formatFileSize(bytes) {
   if (!Number.isFinite(bytes) || bytes <= 0) {
     return "";
@@ -90,13 +241,43 @@ function getMessageTextPreview(content, maxLength = 120) {
   return `${text.slice(0, maxLength - 3)}...`;
 }
 
-function MessageItem({ message, currentUserId, onReact, onOpenSenderProfile, onReply, onDelete }) {
+function isEditableMessage(message) {
+  if (message.deletedAt || message.messageType !== "text" || message.attachment?.attachmentId) {
+    return false;
+  }
+
+  return Date.now() - new Date(message.createdAt).getTime() < MESSAGE_EDIT_WINDOW_MS;
+}
+
+function isSameReceipt(first, second) {
+  return (
+    first?.status === second?.status &&
+    (first?.seenBy || []).join("\n") === (second?.seenBy || []).join("\n")
+  );
+}
+
+function MessageItem({
+  message,
+  currentUserId,
+  receipt,
+  onReact,
+  onOpenSenderProfile,
+  onReply,
+  onEdit,
+  onShowHistory,
+  canModerate,
+  onDelete,
+  isHighlighted,
+}) {
   const [showReactionBar, setShowReactionBar] = useState(false);
   const longPressTimerRef = useRef(null);
   const messageRef = useRef(null);
 
   const senderId = getUserId(message.senderUserId);
   const isMine = senderId === currentUserId || senderId === "";
+  const isDeleted = Boolean(message.deletedAt);
+  // Room moderators may remove anyone's message; otherwise only your own
+  const canDeleteForEveryone = !isDeleted && (isMine || Boolean(canModerate));
   const senderName = message.senderUserId?.username || "Unknown";
   const replyMessage = message.replyTo && typeof message.replyTo === "object" ? message.replyTo : null;
   const replySenderId = getUserId(replyMessage?.senderUserId);
@@ -106,22 +287,58 @@ function MessageItem({ message, currentUserId, onReact, onOpenSenderProfile, onR
       return null;
     }
 
-    return parseAttachmentPayload(message.messageContent);
-  }, [message.messageContent, message.messageType]);
+    return getMessageAttachment(message);
+  }, [message]);
   const isImageAttachment = Boolean(attachmentPayload?.mimeType?.startsWith("image/"));
+  const isEncryptedAttachment = Boolean(attachmentPayload?.encryption);
+  const attachmentLinks = useAttachmentLinks(isEncryptedAttachment ? "" : attachmentPayload?.attachmentId || "");
+  // Encrypted images are decrypted for the preview straight away; other
+  // encrypted files only when downloaded.
+  const [isDecryptRequested, setIsDecryptRequested] = useState(false);
+  const decryptedAttachment = useDecryptedAttachmentUrl(
+    isEncryptedAttachment && (isImageAttachment || isDecryptRequested) ? attachmentPayload : null,
+  );
+  // The bubble shows the medium thumbnail; the original is only fetched when
+  // the user opens or downloads it.
+  const attachmentUrl =
+    attachmentPayload?.dataUrl || decryptedAttachment?.url || attachmentLinks?.downloadUrl || "";
+  const imagePreviewUrl =
+    attachmentPayload?.dataUrl ||
+    decryptedAttachment?.url ||
+    attachmentLinks?.variantUrls?.medium ||
+    attachmentLinks?.variantUrls?.small ||
+    attachmentLinks?.downloadUrl ||
+    "";
+  const imageFrameStyle = useMemo(() => {
+    const frameSize = getImageFrameSize(attachmentPayload?.width, attachmentPayload?.height);
+    if (!frameSize) {
+      return null;
+    }
+
+    const placeholderUrl = getPlaceholderDataUrl(attachmentPayload?.placeholder);
+    return {
+      width: `${frameSize.width}px`,
+      aspectRatio: `${frameSize.width} / ${frameSize.height}`,
+      backgroundImage: placeholderUrl ? `url(${placeholderUrl})` : undefined,
+    };
+  }, [attachmentPayload?.height, attachmentPayload?.placeholder, attachmentPayload?.width]);
   const attachmentSizeLabel = useMemo(
     () => formatFileSize(attachmentPayload?.size || 0),
     [attachmentPayload?.size],
   );
   const replyPreviewText = useMemo(() => {
-    const replyAttachment = parseAttachmentPayload(replyMessage?.messageContent);
+    if (replyMessage?.deletedAt) {
+      return DELETED_MESSAGE_TEXT;
+    }
+
+    const replyAttachment = getMessageAttachment(replyMessage);
     if (replyAttachment) {
       const label = replyAttachment.mimeType?.startsWith("image/") ? "Image" : "File";
       return `${label}: ${replyAttachment.name}`;
     }
 
     return getMessageTextPreview(replyMessage?.messageContent, 90);
-  }, [replyMessage?.messageContent]);
+  }, [replyMessage]);
 
   const myReaction = useMemo(() => {
     return (message.reactions || []).find((reaction) => getUserId(reaction.user) === currentUserId)?.emoji || null;
@@ -192,10 +409,21 @@ function MessageItem({ message, currentUserId, onReact, onOpenSenderProfile, onR
     clearLongPress();
   }, [clearLongPress]);
 
+  // Notices such as a timer change sit in the middle of the history and
+  // cannot be reacted to, replied to or edited.
+  if (message.messageType === "system") {
+    return (
+      <div className={`msg-system ${isHighlighted ? "highlighted" : ""}`} role="note" data-message-id={message._id}>
+        {message.messageContent}
+      </div>
+    );
+  }
+
   return (
     <article
       ref={messageRef}
-      className={`message wa-message ${isMine ? "sent" : "received"}`}
+      className={`message wa-message ${isMine ? "sent" : "received"} ${isHighlighted ? "highlighted" : ""}`}
+      data-message-id={message._id}
       onContextMenu={(event) => {
         event.preventDefault();
         setShowReactionBar(true);
@@ -238,47 +466,135 @@ function MessageItem({ message, currentUserId, onReact, onOpenSenderProfile, onR
         )}
         {attachmentPayload ? (
           <div className={`msg-attachment ${isImageAttachment ? "image" : "file"}`}>
-            {isImageAttachment && (
+            {isImageAttachment && imageFrameStyle && (
+              <a
+                className="msg-attachment-image-link msg-attachment-image-frame"
+                href={attachmentUrl || undefined}
+                target="_blank"
+                rel="noopener noreferrer"
+                style={imageFrameStyle}
+                aria-label={`Open ${attachmentPayload.name}`}
+              >
+                {imagePreviewUrl && (
+                  <img
+                    src={imagePreviewUrl}
+                    alt={attachmentPayload.name}
+                    className="msg-attachment-image"
+                    loading="lazy"
+                  />
+                )}
+              </a>
+            )}
+            {isImageAttachment && !imageFrameStyle && imagePreviewUrl && (
               <a
                 className="msg-attachment-image-link"
-                href={attachmentPayload.dataUrl}
+                href={attachmentUrl}
                 download={attachmentPayload.name}
+                target="_blank"
+                rel="noopener noreferrer"
                 aria-label={`Open ${attachmentPayload.name}`}
               >
                 <img
-                  src={attachmentPayload.dataUrl}
+                  src={imagePreviewUrl}
                   alt={attachmentPayload.name}
                   className="msg-attachment-image"
                   loading="lazy"
                 />
               </a>
             )}
+            {isImageAttachment && !imageFrameStyle && !imagePreviewUrl && (
+              <div className="msg-attachment-image-placeholder" aria-label={`Loading ${attachmentPayload.name}`} />
+            )}
 
             <div className="msg-attachment-meta">
               <span className="msg-attachment-name">{attachmentPayload.name}</span>
               {attachmentSizeLabel && (
                 <span className="msg-attachment-size">{attachmentSizeLabel}</span>
               )}
-              <a
-                className="msg-attachment-download"
-                href={attachmentPayload.dataUrl}
-                download={attachmentPayload.name}
-              >
-                Download
-              </a>
+              {attachmentUrl && (
+                <a
+                  className="msg-attachment-download"
+                  href={attachmentUrl}
+                  download={attachmentPayload.name}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
+                  Download
+                </a>
+              )}
+              {isEncryptedAttachment && !attachmentUrl && !isImageAttachment && !decryptedAttachment?.error && (
+                <button
+                  type="button"
+                  className="msg-attachment-download"
+                  onClick={() => setIsDecryptRequested(true)}
+                  disabled={isDecryptRequested}
+                >
+                  {isDecryptRequested ? "Decrypting..." : "Decrypt"}
+                </button>
+              )}
+              {decryptedAttachment?.error && (
+                <span className="msg-attachment-error">{decryptedAttachment.error}</span>
+              )}
             </div>
           </div>
+        ) : isDeleted ? (
+          <span className="msg-deleted">{DELETED_MESSAGE_TEXT}</span>
         ) : (
           message.messageContent
         )}
         <span className="msg-time">
+          {message.isEncrypted && !isDeleted && (
+            <span className="msg-lock" title="End-to-end encrypted" aria-label="End-to-end encrypted">
+              <svg viewBox="0 0 24 24" role="presentation" aria-hidden="true">
+                <rect x="5" y="11" width="14" height="10" rx="2" />
+                <path d="M8 11V7a4 4 0 0 1 8 0v4" />
+              </svg>
+            </span>
+          )}
+          {(message.expiresAt || message.disappearAfterReadSeconds) && !isDeleted && (
+            <span className="msg-timer" title="Disappearing message" aria-label="Disappearing message">
+              <svg viewBox="0 0 24 24" role="presentation" aria-hidden="true">
+                <circle cx="12" cy="13" r="8" />
+                <path d="M12 9v4l2.5 2.5M9 2h6" />
+              </svg>
+            </span>
+          )}
+          {message.editedAt && (
+            <button
+              type="button"
+              className="msg-edited"
+              onClick={() => onShowHistory?.(message)}
+              title="View edit history"
+            >
+              (edited)
+            </button>
+          )}
           {new Date(message.createdAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+          {isMine && receipt && (
+            <span
+              className={`msg-receipt ${receipt.status}`}
+              title={RECEIPT_LABELS[receipt.status]}
+              aria-label={RECEIPT_LABELS[receipt.status]}
+            >
+              {receipt.status === "sent" ? "\u2713" : "\u2713\u2713"}
+            </span>
+          )}
         </span>
+        {isMine && receipt?.seenBy?.length > 0 && (
+          <details className="msg-seen-by">
+            <summary>Seen by {receipt.seenBy.length}</summary>
+            <ul>
+              {receipt.seenBy.map((name, index) => (
+                <li key={`${name}-${index}`}>{name}</li>
+              ))}
+            </ul>
+          </details>
+        )}
       </div>
 
       <div className={`wa-message-actions ${showReactionBar ? "visible" : ""} ${isMine ? "mine" : "theirs"}`}>
-        <ReactionBar visible={showReactionBar} activeEmoji={myReaction} onSelect={onReactionSelect} />
-        {showReactionBar && (
+        <ReactionBar visible={showReactionBar && !isDeleted} activeEmoji={myReaction} onSelect={onReactionSelect} />
+        {showReactionBar && !isDeleted && (
           <button
             type="button"
             className="wa-reply-action"
@@ -295,6 +611,23 @@ function MessageItem({ message, currentUserId, onReact, onOpenSenderProfile, onR
             Reply
           </button>
         )}
+        {showReactionBar && isMine && onEdit && isEditableMessage(message) && (
+          <button
+            type="button"
+            className="wa-reply-action"
+            onMouseDown={(event) => {
+              event.preventDefault();
+            }}
+            onClick={() => {
+              onEdit(message);
+              setShowReactionBar(false);
+            }}
+            aria-label="Edit message"
+            title="Edit"
+          >
+            Edit
+          </button>
+        )}
         {showReactionBar && onDelete && (
           <button
             type="button"
@@ -303,13 +636,30 @@ function MessageItem({ message, currentUserId, onReact, onOpenSenderProfile, onR
               event.preventDefault();
             }}
             onClick={() => {
-              onDelete?.(message);
+              onDelete(message, "me");
+              setShowReactionBar(false);
+            }}
+            aria-label="Delete message for me"
+            title="Delete for me"
+          >
+            Delete for me
+          </button>
+        )}
+        {showReactionBar && onDelete && canDeleteForEveryone && (
+          <button
+            type="button"
+            className="wa-delete-action"
+            onMouseDown={(event) => {
+              event.preventDefault();
+            }}
+            onClick={() => {
+              onDelete(message, "everyone");
               setShowReactionBar(false);
             }}
-            aria-label="Delete message"
-            title="Delete message"
+            aria-label="Delete message for everyone"
+            title="Delete for everyone"
           >
-            Delete
+            Delete for everyone
           </button>
         )}
       </div>
@@ -339,9 +689,13 @@ const MemoMessageItem = memo(
   (prevProps, nextProps) =>
     prevProps.message === nextProps.message &&
     prevProps.currentUserId === nextProps.currentUserId &&
+    isSameReceipt(prevProps.receipt, nextProps.receipt) &&
     prevProps.onReact === nextProps.onReact &&
     prevProps.onOpenSenderProfile === nextProps.onOpenSenderProfile &&
     prevProps.onReply === nextProps.onReply &&
+    prevProps.onEdit === nextProps.onEdit &&
+    prevProps.onShowHistory === nextProps.onShowHistory &&
+    prevProps.canModerate === nextProps.canModerate &&
     prevProps.onDelete === nextProps.onDelete,
 );
 
@@ -0,0 +1,291 @@
+import { useState } from "react";
+import axios from "axios";
+import { searchLocalMessages } from "../../utils/localMessageIndex";
+
+const API_BASE_URL =
+  (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
+const SEARCH_PAGE_SIZE = 20;
+const SNIPPET_MAX_LENGTH = 160;
+
+function formatResultTime(value) {
+  return new Date(value).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Inline attachments carry their file name inside a JSON payload
+function getMessageText(message) {
+  if (message.messageType !== "text" && !message.attachment?.attachmentId) {
+    try {
+      const parsed = JSON.parse(message.messageContent);
+      if (parsed?.name) {
+        return String(parsed.name);
+      }
+    } catch {
+      // plain file name
+    }
+  }
+
+  return String(message.messageContent || "");
+}
+
+function toSnippet(text) {
+  const normalized = text.replace(/\s+/g, " ").trim();
+  return normalized.length > SNIPPET_MAX_LENGTH ? `${normalized.slice(0, SNIPPET_MAX_LENGTH - 3)}...` : normalized;
+}
+
+function normalizeServerResult({ message, conversation }) {
+  return {
+    messageId: String(message._id),
+    conversationId: conversation.targetId,
+    senderUserId: String(message.senderUserId?._id || message.senderUserId || ""),
+    messageType: message.messageType,
+    text: getMessageText(message),
+    createdAt: message.createdAt,
+    isLocal: false,
+  };
+}
+
+function normalizeLocalResult(entry) {
+  return {
+    messageId: entry.messageId,
+    conversationId: entry.conversationId,
+    senderUserId: entry.senderUserId,
+    messageType: entry.messageType,
+    text: entry.text,
+    createdAt: entry.createdAt,
+    isLocal: true,
+  };
+}
+
+// Date inputs give calendar days; the range covers both days in full.
+function getDateRange(from, to) {
+  return {
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+  };
+}
+
+// Searches every conversation the user is in. Plain messages are searched on
+// the server; encrypted ones through this device's local index.
+function MessageSearchModal({ currentUserId, conversations, users, initialConversationId, onJump, onClose }) {
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState({
+    conversationId: initialConversationId || "",
+    senderUserId: "",
+    type: "",
+    from: "",
+    to: "",
+  });
+  const [search, setSearch] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState("");
+
+  const conversationNames = new Map(conversations.map((conversation) => [conversation.targetId, conversation.name]));
+  const userNames = new Map(users.map((user) => [String(user._id), user.displayName || user.username]));
+
+  const fetchServerPage = async (params, before) => {
+    const response = await axios.get(`${API_BASE_URL}/api/messages/search`, {
+      params: { ...params, before, limit: SEARCH_PAGE_SIZE },
+    });
+    return {
+      results: (response.data?.results || []).map(normalizeServerResult),
+      hasMore: Boolean(response.data?.pageInfo?.hasMore),
+      endCursor: response.data?.pageInfo?.endCursor || null,
+    };
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const trimmedQuery = query.trim();
+    if (!trimmedQuery) {
+      return;
+    }
+
+    const params = {
+      q: trimmedQuery,
+      receiverUserIdOrRoomId: filters.conversationId || undefined,
+      senderUserId: filters.senderUserId || undefined,
+      type: filters.type || undefined,
+      ...getDateRange(filters.from, filters.to),
+    };
+
+    try {
+      setIsSearching(true);
+      setError("");
+      const [serverPage, localEntries] = await Promise.all([
+        fetchServerPage(params),
+        searchLocalMessages(currentUserId, {
+          query: trimmedQuery,
+          conversationId: params.receiverUserIdOrRoomId,
+          senderUserId: params.senderUserId,
+          type: params.type,
+          from: params.from,
+          to: params.to,
+        }),
+      ]);
+      setSearch({
+        params,
+        serverResults: serverPage.results,
+        localResults: localEntries.map(normalizeLocalResult),
+        hasMore: serverPage.hasMore,
+        endCursor: serverPage.endCursor,
+      });
+    } catch (err) {
+      setError(err.response?.data?.message || "Search failed");
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleLoadMore = async () => {
+    if (!search?.hasMore) {
+      return;
+    }
+
+    try {
+      setIsSearching(true);
+      const serverPage = await fetchServerPage(search.params, search.endCursor);
+      setSearch((previous) => ({
+        ...previous,
+        serverResults: [...previous.serverResults, ...serverPage.results],
+        hasMore: serverPage.hasMore,
+        endCursor: serverPage.endCursor,
+      }));
+    } catch (err) {
+      setError(err.response?.data?.message || "Search failed");
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const results = search
+    ? [...search.serverResults, ...search.localResults].sort(
+      (first, second) => new Date(second.createdAt).getTime() - new Date(first.createdAt).getTime(),
+    )
+    : [];
+
+  const updateFilter = (name) => (event) => {
+    const { value } = event.target;
+    setFilters((previous) => ({ ...previous, [name]: value }));
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal message-search-modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Search Messages</h3>
+          <button className="icon-btn profile-modal-close" onClick={onClose} aria-label="Close search">
+            <svg viewBox="0 0 24 24" role="presentation" aria-hidden="true">
+              <path d="M6 6l12 12M18 6L6 18" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <form className="message-search-form" onSubmit={handleSubmit}>
+            <input
+              type="search"
+              className="text-input"
+              value={query}
+              onChange={(event) => setQuery(event.target.value)}
+              placeholder="Search messages"
+              aria-label="Search messages"
+              autoFocus
+            />
+            <div className="message-search-filters">
+              <select
+                className="text-input"
+                value={filters.conversationId}
+                onChange={updateFilter("conversationId")}
+                aria-label="Conversation"
+              >
+                <option value="">All conversations</option>
+                {conversations.map((conversation) => (
+                  <option key={conversation.targetId} value={conversation.targetId}>
+                    {conversation.type === "room" ? `# ${conversation.name}` : conversation.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="text-input"
+                value={filters.senderUserId}
+                onChange={updateFilter("senderUserId")}
+                aria-label="Sender"
+              >
+                <option value="">Anyone</option>
+                {users.map((user) => (
+                  <option key={user._id} value={user._id}>
+                    {String(user._id) === String(currentUserId) ? "You" : user.displayName || user.username}
+                  </option>
+                ))}
+              </select>
+              <select className="text-input" value={filters.type} onChange={updateFilter("type")} aria-label="Type">
+                <option value="">Any type</option>
+                <option value="text">Text</option>
+                <option value="image">Images</option>
+                <option value="file">Files</option>
+              </select>
+              <input
+                type="date"
+                className="text-input"
+                value={filters.from}
+                onChange={updateFilter("from")}
+                aria-label="From date"
+              />
+              <input
+                type="date"
+                className="text-input"
+                value={filters.to}
+                onChange={updateFilter("to")}
+                aria-label="To date"
+              />
+            </div>
+            <button type="submit" className="primary-btn" disabled={isSearching || !query.trim()}>
+              {isSearching ? "Searching..." : "Search"}
+            </button>
+          </form>
+
+          {error && <div className="error-banner">{error}</div>}
+
+          {search && results.length === 0 && !isSearching && <div className="empty-state">No messages found.</div>}
+
+          {results.length > 0 && (
+            <ul className="message-search-results">
+              {results.map((result) => (
+                <li key={result.messageId}>
+                  <button type="button" className="message-search-result" onClick={() => onJump(result)}>
+                    <span className="message-search-result-meta">
+                      {conversationNames.get(result.conversationId) || "Unknown conversation"} ·{" "}
+                      {String(result.senderUserId) === String(currentUserId)
+                        ? "You"
+                        : userNames.get(result.senderUserId) || "Unknown"}{" "}
+                      · {formatResultTime(result.createdAt)}
+                      {result.isLocal && " · Encrypted"}
+                    </span>
+                    <span className="message-search-result-text">
+                      {result.messageType === "text" ? "" : `${result.messageType === "image" ? "Image" : "File"}: `}
+                      {toSnippet(result.text)}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {search?.hasMore && (
+            <button type="button" className="messages-load-older" onClick={handleLoadMore} disabled={isSearching}>
+              {isSearching ? "Loading..." : "Load more results"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MessageSearchModal;
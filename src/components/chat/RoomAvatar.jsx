@@ -0,0 +1,16 @@
+import useAttachmentLinks from "../../utils/useAttachmentLinks";
+
+// A room's photo as the background of `className`, or `fallback` while it has
+// none (or it is still loading)
+function RoomAvatar({ room, className, fallback = "#", variant = "small" }) {
+  const links = useAttachmentLinks(room?.avatarAttachmentId ? String(room.avatarAttachmentId) : "");
+  const avatarUrl = links?.variantUrls?.[variant] || links?.downloadUrl || "";
+
+  return (
+    <div className={className} style={avatarUrl ? { backgroundImage: `url("${avatarUrl}")` } : undefined}>
+      {!avatarUrl ? fallback : null}
+    </div>
+  );
+}
+
+export default RoomAvatar;
@@ -0,0 +1,146 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import RoomAvatar from "./RoomAvatar";
+import { getRoomVisibilityLabel } from "../../utils/roomVisibility";
+
+const API_BASE_URL =
+  (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Public and private rooms anyone can find. Public rooms are joined right
+// away; private ones get a join request for their moderators to review.
+function RoomDirectoryModal({ onJoined, onClose }) {
+  const [query, setQuery] = useState("");
+  const [rooms, setRooms] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [joiningRoomId, setJoiningRoomId] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setIsLoading(true);
+      axios
+        .get(`${API_BASE_URL}/api/chatrooms/directory`, { params: { q: query.trim() || undefined } })
+        .then((response) => {
+          setRooms(response.data?.rooms || []);
+          setError("");
+        })
+        .catch((err) => setError(err.response?.data?.message || "Failed to load rooms"))
+        .finally(() => setIsLoading(false));
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  const updateRoom = (roomId, changes) => {
+    setRooms((previous) => previous.map((room) => (room._id === roomId ? { ...room, ...changes } : room)));
+  };
+
+  const handleJoin = async (room) => {
+    try {
+      setJoiningRoomId(room._id);
+      setError("");
+      const response = await axios.post(`${API_BASE_URL}/api/chatrooms/${room._id}/join`);
+
+      if (response.data?.status === "pending") {
+        updateRoom(room._id, { hasPendingRequest: true });
+        return;
+      }
+
+      updateRoom(room._id, { isMember: true, memberCount: room.memberCount + 1 });
+      if (response.data?.room) {
+        onJoined(response.data.room);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to join room");
+    } finally {
+      setJoiningRoomId("");
+    }
+  };
+
+  const handleWithdraw = async (room) => {
+    try {
+      setJoiningRoomId(room._id);
+      setError("");
+      await axios.delete(`${API_BASE_URL}/api/chatrooms/${room._id}/join-request`);
+      updateRoom(room._id, { hasPendingRequest: false });
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to withdraw request");
+    } finally {
+      setJoiningRoomId("");
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal room-directory-modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Browse Rooms</h3>
+          <button className="icon-btn profile-modal-close" onClick={onClose} aria-label="Close room directory">
+            <svg viewBox="0 0 24 24" role="presentation" aria-hidden="true">
+              <path d="M6 6l12 12M18 6L6 18" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <input
+            type="search"
+            className="text-input"
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            placeholder="Search by name or topic"
+            aria-label="Search rooms"
+            autoFocus
+          />
+
+          {error && <div className="error-banner">{error}</div>}
+
+          {!isLoading && rooms.length === 0 && <div className="empty-state">No rooms found.</div>}
+
+          <ul className="room-directory-list">
+            {rooms.map((room) => {
+              const isJoining = joiningRoomId === room._id;
+
+              return (
+                <li key={room._id} className="room-directory-item">
+                  <RoomAvatar room={room} className="item-avatar" />
+                  <div className="room-directory-copy">
+                    <div className="item-name">{room.roomName}</div>
+                    {room.topic && <div className="room-directory-topic">{room.topic}</div>}
+                    {room.description && <p className="room-directory-description">{room.description}</p>}
+                    <div className="item-status">
+                      {room.memberCount} members · {getRoomVisibilityLabel(room.visibility)}
+                    </div>
+                  </div>
+                  {room.isMember ? (
+                    <span className="room-member-badge">Joined</span>
+                  ) : room.hasPendingRequest ? (
+                    <button
+                      className="icon-btn room-member-remove-btn"
+                      onClick={() => handleWithdraw(room)}
+                      disabled={isJoining}
+                      title="Withdraw join request"
+                    >
+                      Requested
+                    </button>
+                  ) : (
+                    <button
+                      className="primary-btn room-member-add-btn"
+                      onClick={() => handleJoin(room)}
+                      disabled={isJoining}
+                    >
+                      {room.visibility === "private" ? "Ask to join" : "Join"}
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RoomDirectoryModal;
@@ -0,0 +1,244 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { ROOM_INVITE_EXPIRY_OPTIONS, buildRoomInviteUrl, describeRoomInvite } from "../../utils/roomInvites";
+
+const API_BASE_URL =
+  (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
+const JOIN_REQUEST_POLL_INTERVAL_MS = 10000;
+
+// Invite links and pending join requests of one room, for the room info
+// panel. Admins manage links; moderators and admins review requests.
+function RoomInvitesPanel({ roomId, canManageInvites, canReviewJoinRequests, onRoomUpdated }) {
+  const [invites, setInvites] = useState([]);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [inviteForm, setInviteForm] = useState({ expiresInSeconds: 0, maxUses: "", requiresApproval: false });
+  const [pendingAction, setPendingAction] = useState("");
+  const [copiedInviteId, setCopiedInviteId] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!canManageInvites) {
+      return;
+    }
+
+    axios
+      .get(`${API_BASE_URL}/api/chatrooms/${roomId}/invites`)
+      .then((response) => setInvites(response.data?.invites || []))
+      .catch((err) => setError(err.response?.data?.message || "Failed to load invite links"));
+  }, [canManageInvites, roomId]);
+
+  useEffect(() => {
+    if (!canReviewJoinRequests) {
+      return undefined;
+    }
+
+    const loadJoinRequests = () =>
+      axios
+        .get(`${API_BASE_URL}/api/chatrooms/${roomId}/join-requests`)
+        .then((response) => setJoinRequests(response.data?.joinRequests || []))
+        .catch((err) => setError(err.response?.data?.message || "Failed to load join requests"));
+
+    loadJoinRequests();
+    const interval = setInterval(loadJoinRequests, JOIN_REQUEST_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [canReviewJoinRequests, roomId]);
+
+  const handleCreateInvite = async (event) => {
+    event.preventDefault();
+
+    try {
+      setPendingAction("create");
+      setError("");
+      const response = await axios.post(`${API_BASE_URL}/api/chatrooms/${roomId}/invites`, {
+        expiresInSeconds: inviteForm.expiresInSeconds || null,
+        maxUses: inviteForm.maxUses ? Number(inviteForm.maxUses) : null,
+        requiresApproval: inviteForm.requiresApproval,
+      });
+
+      if (response.data?.invite) {
+        setInvites((previous) => [response.data.invite, ...previous]);
+      }
+      setInviteForm({ expiresInSeconds: 0, maxUses: "", requiresApproval: false });
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to create invite link");
+    } finally {
+      setPendingAction("");
+    }
+  };
+
+  const handleCopyInvite = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(buildRoomInviteUrl(invite.token));
+      setCopiedInviteId(invite._id);
+    } catch {
+      setError("Copy failed. Copy the link from the list instead.");
+    }
+  };
+
+  const handleRevokeInvite = async (inviteId) => {
+    try {
+      setPendingAction(`revoke:${inviteId}`);
+      setError("");
+      await axios.delete(`${API_BASE_URL}/api/chatrooms/${roomId}/invites/${inviteId}`);
+      setInvites((previous) => previous.filter((invite) => invite._id !== inviteId));
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to revoke invite link");
+    } finally {
+      setPendingAction("");
+    }
+  };
+
+  const handleReviewJoinRequest = async (requestId, approve) => {
+    try {
+      setPendingAction(`review:${requestId}`);
+      setError("");
+      const url = `${API_BASE_URL}/api/chatrooms/${roomId}/join-requests/${requestId}`;
+      const response = approve ? await axios.post(`${url}/approve`) : await axios.delete(url);
+
+      setJoinRequests((previous) => previous.filter((joinRequest) => joinRequest._id !== requestId));
+      if (response.data?.room) {
+        onRoomUpdated?.(response.data.room);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to review join request");
+    } finally {
+      setPendingAction("");
+    }
+  };
+
+  if (!canManageInvites && !canReviewJoinRequests) {
+    return null;
+  }
+
+  return (
+    <>
+      {error && <p className="room-error">{error}</p>}
+
+      {canReviewJoinRequests && (
+        <div className="room-members-section">
+          <div className="room-members-head">
+            <h4>
+              Join Requests <span className="room-count-pill">{joinRequests.length}</span>
+            </h4>
+          </div>
+
+          {joinRequests.length === 0 ? (
+            <p className="empty-state room-empty-state">No pending requests.</p>
+          ) : (
+            <div className="room-members-list">
+              {joinRequests.map((joinRequest) => {
+                const requesterName = joinRequest.user?.username || "Unknown user";
+                const isReviewing = pendingAction === `review:${joinRequest._id}`;
+
+                return (
+                  <div key={joinRequest._id} className="room-member-row">
+                    <div className="room-member-meta">
+                      <div className="room-member-avatar">{requesterName.charAt(0).toUpperCase()}</div>
+                      <div className="room-member-copy">
+                        <div className="room-member-name">{requesterName}</div>
+                        <div className="room-member-status">{joinRequest.user?.email || ""}</div>
+                      </div>
+                    </div>
+                    <div className="room-member-actions">
+                      <button
+                        className="primary-btn room-member-add-btn"
+                        onClick={() => handleReviewJoinRequest(joinRequest._id, true)}
+                        disabled={isReviewing}
+                      >
+                        Approve
+                      </button>
+                      <button
+                        className="icon-btn room-member-remove-btn"
+                        onClick={() => handleReviewJoinRequest(joinRequest._id, false)}
+                        disabled={isReviewing}
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {canManageInvites && (
+        <div className="room-members-section">
+          <div className="room-members-head">
+            <h4>
+              Invite Links <span className="room-count-pill">{invites.length}</span>
+            </h4>
+          </div>
+
+          <form className="room-invite-form" onSubmit={handleCreateInvite}>
+            <select
+              className="text-input"
+              value={inviteForm.expiresInSeconds}
+              onChange={(event) =>
+                setInviteForm((previous) => ({ ...previous, expiresInSeconds: Number(event.target.value) }))
+              }
+              aria-label="Invite expiry"
+            >
+              {ROOM_INVITE_EXPIRY_OPTIONS.map((option) => (
+                <option key={option.expiresInSeconds} value={option.expiresInSeconds}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              max="1000"
+              className="text-input"
+              value={inviteForm.maxUses}
+              onChange={(event) => setInviteForm((previous) => ({ ...previous, maxUses: event.target.value }))}
+              placeholder="Unlimited uses"
+              aria-label="Maximum uses"
+            />
+            <label className="room-invite-approval">
+              <input
+                type="checkbox"
+                checked={inviteForm.requiresApproval}
+                onChange={(event) =>
+                  setInviteForm((previous) => ({ ...previous, requiresApproval: event.target.checked }))
+                }
+              />
+              Require approval
+            </label>
+            <button type="submit" className="primary-btn" disabled={pendingAction === "create"}>
+              {pendingAction === "create" ? "Creating..." : "Create link"}
+            </button>
+          </form>
+
+          {invites.length > 0 && (
+            <div className="room-members-list">
+              {invites.map((invite) => (
+                <div key={invite._id} className="room-member-row">
+                  <div className="room-member-copy room-invite-copy">
+                    <div className="room-member-name room-invite-url">{buildRoomInviteUrl(invite.token)}</div>
+                    <div className="room-member-status">{describeRoomInvite(invite)}</div>
+                  </div>
+                  <div className="room-member-actions">
+                    <button className="icon-btn room-member-transfer-btn" onClick={() => handleCopyInvite(invite)}>
+                      {copiedInviteId === invite._id ? "Copied" : "Copy"}
+                    </button>
+                    <button
+                      className="icon-btn room-member-remove-btn"
+                      onClick={() => handleRevokeInvite(invite._id)}
+                      disabled={pendingAction === `revoke:${invite._id}`}
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default RoomInvitesPanel;
@@ -0,0 +1,201 @@
+import { useRef, useState } from "react";
+import axios from "axios";
+import PhotoCropper from "../PhotoCropper";
+import { uploadAttachment } from "../../utils/attachments";
+import useAttachmentLinks from "../../utils/useAttachmentLinks";
+
+const API_BASE_URL =
+  (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
+
+// Edits a room's photo, topic, description and rules (admins only on the
+// server). Works like ProfileEditModal, except that a new photo is uploaded as
+// an attachment and the room only keeps its id.
+function RoomProfileEditModal({ room, currentUserId, onClose, onUpdate }) {
+  const [formData, setFormData] = useState({
+    topic: room.topic || "",
+    description: room.description || "",
+    rules: room.rules || "",
+  });
+  // A data URL of the newly cropped photo; "" once the photo is removed, null
+  // while the current one is kept
+  const [newAvatar, setNewAvatar] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [tempImageSrc, setTempImageSrc] = useState(null);
+  const fileInputRef = useRef(null);
+  const currentAvatarLinks = useAttachmentLinks(room.avatarAttachmentId ? String(room.avatarAttachmentId) : "");
+  const avatarPreview =
+    newAvatar ?? (currentAvatarLinks?.variantUrls?.medium || currentAvatarLinks?.downloadUrl || "");
+  const hasAvatar = newAvatar === null ? Boolean(room.avatarAttachmentId) : Boolean(newAvatar);
+
+  function handleChange(event) {
+    const { name, value } = event.target;
+    setFormData((previous) => ({ ...previous, [name]: value }));
+  }
+
+  function handleFileChange(event) {
+    const file = event.target.files[0];
+
+    if (file) {
+      const reader = new FileReader();
+      reader.onloadend = () => setTempImageSrc(reader.result);
+      reader.readAsDataURL(file);
+    }
+
+    event.target.value = null;
+  }
+
+  function handleCropComplete(croppedImage) {
+    setNewAvatar(croppedImage);
+    setTempImageSrc(null);
+  }
+
+  async function getAvatarAttachmentId() {
+    if (newAvatar === null) {
+      return undefined;
+    }
+
+    if (!newAvatar) {
+      return "";
+    }
+
+    const blob = await (await fetch(newAvatar)).blob();
+    const attachment = await uploadAttachment(new File([blob], "room-photo.jpg", { type: blob.type }));
+    return attachment.attachmentId;
+  }
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setLoading(true);
+    setError("");
+
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/chatrooms/${room._id}/profile`, {
+        ...formData,
+        avatarAttachmentId: await getAvatarAttachmentId(),
+        actorId: currentUserId,
+      });
+      onUpdate(response.data.room);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to update room");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      {tempImageSrc ? (
+        <PhotoCropper imageSrc={tempImageSrc} onCropComplete={handleCropComplete} onCancel={() => setTempImageSrc(null)} />
+      ) : (
+        <div className="modal profile-edit-modal" onClick={(event) => event.stopPropagation()}>
+          <div className="modal-header">
+            <h3>Edit Room</h3>
+            <button className="icon-btn profile-modal-close" onClick={onClose} aria-label="Close edit room modal">
+              <svg viewBox="0 0 24 24" role="presentation" aria-hidden="true">
+                <path d="M6 6l12 12M18 6L6 18" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="modal-body profile-edit-modal-body">
+            {error && <div className="error-banner">{error}</div>}
+
+            <form onSubmit={handleSubmit} className="profile-edit-form">
+              <div className="profile-edit-avatar-block">
+                <button
+                  type="button"
+                  className="profile-edit-avatar"
+                  onClick={() => fileInputRef.current?.click()}
+                  style={avatarPreview ? { backgroundImage: `url(${avatarPreview})` } : undefined}
+                  aria-label="Change room photo"
+                >
+                  {!avatarPreview && (
+                    <span className="profile-edit-avatar-fallback">
+                      {room.roomName?.charAt(0).toUpperCase() || "#"}
+                    </span>
+                  )}
+                </button>
+
+                <input
+                  type="file"
+                  ref={fileInputRef}
+                  onChange={handleFileChange}
+                  className="profile-edit-file-input"
+                  accept="image/*"
+                />
+
+                <div className="profile-edit-avatar-actions">
+                  <button
+                    type="button"
+                    className="profile-avatar-action"
+                    onClick={() => fileInputRef.current?.click()}
+                  >
+                    Change Photo
+                  </button>
+                  {hasAvatar && (
+                    <button
+                      type="button"
+                      className="profile-avatar-action profile-avatar-remove"
+                      onClick={() => setNewAvatar("")}
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="form-group profile-edit-field">
+                <label htmlFor="edit-room-topic">Topic</label>
+                <input
+                  id="edit-room-topic"
+                  name="topic"
+                  value={formData.topic}
+                  onChange={handleChange}
+                  className="text-input"
+                  maxLength={120}
+                  placeholder="What this room is about right now"
+                />
+              </div>
+
+              <div className="form-group profile-edit-field">
+                <label htmlFor="edit-room-description">Description</label>
+                <textarea
+                  id="edit-room-description"
+                  name="description"
+                  value={formData.description}
+                  onChange={handleChange}
+                  className="text-input room-profile-textarea"
+                  maxLength={1000}
+                  rows={3}
+                  placeholder="Shown in room info and the room directory"
+                />
+              </div>
+
+              <div className="form-group profile-edit-field">
+                <label htmlFor="edit-room-rules">Rules</label>
+                <textarea
+                  id="edit-room-rules"
+                  name="rules"
+                  value={formData.rules}
+                  onChange={handleChange}
+                  className="text-input room-profile-textarea"
+                  maxLength={2000}
+                  rows={4}
+                  placeholder="Pinned at the top of room info"
+                />
+              </div>
+
+              <button type="submit" className="primary-btn profile-edit-submit" disabled={loading}>
+                {loading ? "Saving..." : "Save Changes"}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RoomProfileEditModal;
@@ -2,9 +2,11 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { registerSW } from 'virtual:pwa-register';
 import App from './App.jsx';
+import { installAuthInterceptors } from './utils/authClient';
 import './index.css';
 
 registerSW({ immediate: true });
+installAuthInterceptors();
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -0,0 +1,113 @@
+import axios from "axios";
+import { decryptAttachmentFile } from "./e2ee";
+
+const API_BASE_URL =
+  (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
+// Signed links are valid for ten minutes; renew them a little early.
+const DOWNLOAD_LINK_RENEW_MARGIN_MS = 60 * 1000;
+
+const downloadLinkCache = new Map();
+
+// Streams a File/Blob to the attachment store and resolves to the attachment
+// reference ({ attachmentId, fileName, mimeType, size, checksum }).
+export async function uploadAttachment(file) {
+  const response = await axios.post(`${API_BASE_URL}/api/attachments`, file, {
+    headers: {
+      "Content-Type": "application/octet-stream",
+      "X-File-Name": encodeURIComponent(file.name || "attachment"),
+      "X-File-Type": file.type || "application/octet-stream",
+    },
+  });
+
+  if (!response.data?.attachment?.attachmentId) {
+    throw new Error("Upload response did not include an attachment");
+  }
+
+  return response.data.attachment;
+}
+
+// Resolves to short-lived URLs for the original file and its thumbnails
+// ({ downloadUrl, variantUrls }). They can be used directly as img/video src
+// or link targets, since those requests cannot carry the Authorization header.
+export function getAttachmentLinks(attachmentId) {
+  const key = String(attachmentId || "");
+  const cached = downloadLinkCache.get(key);
+  if (cached && cached.expiresAt - Date.now() > DOWNLOAD_LINK_RENEW_MARGIN_MS) {
+    return cached.promise;
+  }
+
+  const promise = axios.get(`${API_BASE_URL}/api/attachments/${key}`).then((response) => {
+    const entry = downloadLinkCache.get(key);
+    if (entry?.promise === promise) {
+      entry.expiresAt = new Date(response.data?.expiresAt).getTime() || 0;
+    }
+
+    const variantUrls = {};
+    Object.entries(response.data?.variantUrls || {}).forEach(([name, url]) => {
+      variantUrls[name] = `${API_BASE_URL}${url}`;
+    });
+
+    return { downloadUrl: `${API_BASE_URL}${response.data?.downloadUrl || ""}`, variantUrls };
+  });
+
+  downloadLinkCache.set(key, { promise, expiresAt: Number.POSITIVE_INFINITY });
+  promise.catch(() => {
+    if (downloadLinkCache.get(key)?.promise === promise) {
+      downloadLinkCache.delete(key);
+    }
+  });
+
+  return promise;
+}
+
+// Re-encodes an image through a canvas, which drops EXIF data such as GPS
+// location. Used for files in end-to-end encrypted chats, which reach the
+// server as ciphertext and so never pass through its image processing.
+export async function stripImageMetadata(file) {
+  if (!/^image\/(jpeg|png|webp)$/.test(file.type) || typeof createImageBitmap !== "function") {
+    return file;
+  }
+
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const blob = await new Promise((resolve) => {
+    canvas.toBlob(resolve, file.type, 0.92);
+  });
+
+  return blob ? new File([blob], file.name, { type: file.type }) : file;
+}
+
+// Natural size of an image file, or null when the browser cannot decode it
+export async function getImageDimensions(file) {
+  if (!String(file.type).startsWith("image/") || typeof createImageBitmap !== "function") {
+    return null;
+  }
+
+  try {
+    const bitmap = await createImageBitmap(file);
+    const dimensions = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return dimensions;
+  } catch {
+    return null;
+  }
+}
+
+// Downloads an end-to-end encrypted upload and decrypts it in the browser.
+// `attachment` is the reference from the decrypted message:
+// { attachmentId, mimeType, key, iv, digest }.
+export async function fetchDecryptedAttachment({ attachmentId, mimeType, key, iv, digest }) {
+  const { downloadUrl } = await getAttachmentLinks(attachmentId);
+  const response = await fetch(downloadUrl);
+  if (!response.ok) {
+    throw new Error("Failed to download attachment");
+  }
+
+  const plainBytes = await decryptAttachmentFile({ encryptedBytes: await response.arrayBuffer(), key, iv, digest });
+  return new Blob([plainBytes], { type: mimeType || "application/octet-stream" });
+}
@@ -0,0 +1,109 @@
+import axios from "axios";
+import { clearAuthSession, getAuthSession, updateAuthSession } from "./authSession";
+
+const API_BASE_URL =
+  (import.meta.env.VITE_API_BASE_URL || import.meta.env.VITE_API_URL || "http://localhost:5000").replace(/\/$/, "");
+const REFRESH_URL = `${API_BASE_URL}/api/users/refresh`;
+const UNAUTHENTICATED_PATHS = ["/api/users/login", "/api/users/sign-up", "/api/users/refresh"];
+
+let refreshPromise = null;
+let interceptorsInstalled = false;
+
+function isUnauthenticatedRequest(url) {
+  const requestUrl = String(url || "");
+  return UNAUTHENTICATED_PATHS.some((path) => requestUrl.includes(path));
+}
+
+// Exchanges the stored refresh token for a new access token. Concurrent
+// callers share one request so the rotated refresh token is only spent once.
+export function refreshAuthSession() {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  const { refreshToken } = getAuthSession();
+  if (!refreshToken) {
+    return Promise.reject(new Error("No refresh token available"));
+  }
+
+  refreshPromise = axios
+    .post(REFRESH_URL, { refreshToken }, { timeout: 8000, skipAuthRefresh: true })
+    .then((response) => {
+      const nextToken = response.data?.token;
+      if (!nextToken) {
+        throw new Error("Refresh response did not include a token");
+      }
+
+      // A retry inside the server's reuse grace period is not rotated, so
+      // the stored refresh token (possibly already rotated by another tab)
+      // stays in place.
+      updateAuthSession({
+        token: nextToken,
+        ...(response.data?.refreshToken ? { refreshToken: response.data.refreshToken } : {}),
+        sessionId: response.data?.sessionId || "",
+      });
+      return nextToken;
+    })
+    .catch((error) => {
+      if (error.response?.status === 401) {
+        clearAuthSession();
+      }
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+}
+
+export function installAuthInterceptors() {
+  if (interceptorsInstalled) {
+    return;
+  }
+
+  interceptorsInstalled = true;
+
+  axios.interceptors.request.use((config) => {
+    if (isUnauthenticatedRequest(config.url)) {
+      return config;
+    }
+
+    const { token } = getAuthSession();
+    if (token) {
+      config.headers = config.headers || {};
+      config.headers.Authorization = `Bearer ${token}`;
+      config.headers["x-auth-token"] = token;
+    }
+
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const originalRequest = error.config;
+      const shouldRefresh =
+        error.response?.status === 401 &&
+        originalRequest &&
+        !originalRequest.skipAuthRefresh &&
+        !originalRequest._retriedAfterRefresh &&
+        !isUnauthenticatedRequest(originalRequest.url) &&
+        Boolean(getAuthSession().refreshToken);
+
+      if (!shouldRefresh) {
+        return Promise.reject(error);
+      }
+
+      originalRequest._retriedAfterRefresh = true;
+
+      try {
+        await refreshAuthSession();
+      } catch {
+        return Promise.reject(error);
+      }
+
+      return axios(originalRequest);
+    },
+  );
+}
@@ -1,4 +1,5 @@
 const AUTH_SESSION_STORAGE_KEY = "chatapp-auth-session";
+export const AUTH_SESSION_CHANGED_EVENT = "chatapp-auth-session-changed";
 const AUTH_LEGACY_KEYS = {
   userId: "userId",
   username: "username",
@@ -21,12 +22,14 @@ function normalizeSession(raw) {
   const userId = normalizeText(raw.userId);
   const token = normalizeText(raw.token);
   const username = normalizeText(raw.username);
+  const refreshToken = normalizeText(raw.refreshToken);
+  const sessionId = normalizeText(raw.sessionId);
 
   if (!userId || !token) {
     return null;
   }
 
-  return { userId, username, token };
+  return { userId, username, token, refreshToken, sessionId };
 }
 
 function readStructuredSession(storage) {
@@ -52,7 +55,7 @@ function readLegacySession(storage) {
       return null;
     }
 
-    return { userId, username, token };
+    return { userId, username, token, refreshToken: "", sessionId: "" };
   } catch {
     return null;
   }
@@ -73,7 +76,17 @@ function clearSessionStorage(storage) {
 }
 
 function emptySession() {
-  return { userId: "", username: "", token: "" };
+  return { userId: "", username: "", token: "", refreshToken: "", sessionId: "" };
+}
+
+// The `storage` event only fires in other tabs; this lets the current tab
+// react when a token refresh or logout replaces the session.
+function notifySessionChanged() {
+  try {
+    window.dispatchEvent(new Event(AUTH_SESSION_CHANGED_EVENT));
+  } catch {
+    // no-op
+  }
 }
 
 export function getAuthSession() {
@@ -120,12 +133,17 @@ export function saveAuthSession(sessionCandidate) {
   try {
     writeSession(window.sessionStorage, session);
     writeSession(window.localStorage, session);
+    notifySessionChanged();
     return true;
   } catch {
     return false;
   }
 }
 
+export function updateAuthSession(partialSession) {
+  return saveAuthSession({ ...getAuthSession(), ...partialSession });
+}
+
 export function clearAuthSession() {
   if (typeof window === "undefined") {
     return;
@@ -137,4 +155,6 @@ export function clearAuthSession() {
   } catch {
     // no-op
   }
+
+  notifySessionChanged();
 }
@@ -0,0 +1,11 @@
+// "Chrome on Windows", "Safari on iPhone", ... from a user agent string
+export function describeUserAgent(userAgent) {
+  const normalizedUserAgent = String(userAgent || "");
+  const browser = ["Edg", "Firefox", "Chrome", "Safari"].find((name) => normalizedUserAgent.includes(name)) || "Browser";
+  const platform = ["Android", "iPhone", "iPad", "Windows", "Mac OS", "Linux"].find((name) =>
+    normalizedUserAgent.includes(name),
+  );
+  const browserName = browser === "Edg" ? "Edge" : browser;
+
+  return platform ? `${browserName} on ${platform}` : browserName;
+}
@@ -0,0 +1,18 @@
+// Timers the server accepts (backend/utils/disappearingMessages.js)
+export const DISAPPEARING_TIMER_OPTIONS = [
+  { durationSeconds: 5 * 60, label: "5 minutes", shortLabel: "5m" },
+  { durationSeconds: 60 * 60, label: "1 hour", shortLabel: "1h" },
+  { durationSeconds: 24 * 60 * 60, label: "1 day", shortLabel: "1d" },
+  { durationSeconds: 7 * 24 * 60 * 60, label: "7 days", shortLabel: "7d" },
+];
+
+// "Disappearing: 1h after reading", or "" when the timer is off
+export function formatDisappearingTimer(timer) {
+  if (!timer?.durationSeconds) {
+    return "";
+  }
+
+  const option = DISAPPEARING_TIMER_OPTIONS.find((entry) => entry.durationSeconds === timer.durationSeconds);
+  const label = option?.shortLabel || `${timer.durationSeconds}s`;
+  return `Disappearing: ${label} after ${timer.startsOn === "read" ? "reading" : "sending"}`;
+}
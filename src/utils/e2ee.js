@@ -1,11 +1,44 @@
-const PRIVATE_KEY_STORAGE_PREFIX = "chatapp-e2ee-private:";
-const PUBLIC_KEY_STORAGE_PREFIX = "chatapp-e2ee-public:";
+// Keys from before multi-device support; moved into the device identity on
+// first use
+const LEGACY_PRIVATE_KEY_STORAGE_PREFIX = "chatapp-e2ee-private:";
+const LEGACY_PUBLIC_KEY_STORAGE_PREFIX = "chatapp-e2ee-public:";
+const DEVICE_IDENTITY_STORAGE_PREFIX = "chatapp-e2ee-device:";
+const KEYRING_STORAGE_PREFIX = "chatapp-e2ee-keyring:";
+const VERIFIED_CONTACTS_STORAGE_PREFIX = "chatapp-e2ee-verified:";
+const RATCHET_SESSIONS_STORAGE_PREFIX = "chatapp-e2ee-sessions:";
 const CURVE_NAME = "P-256";
 const AES_ALGORITHM = "AES-GCM";
+const AES_KEY_LENGTH_BITS = 256;
 const E2EE_PAYLOAD_VERSION = 1;
 const IV_LENGTH_BYTES = 12;
+const DEVICE_ID_LENGTH_BYTES = 12;
+const ROOM_KEY_ID_LENGTH_BYTES = 16;
+const ROOM_SENDER_KEY_KIND = "room_sender_key_v1";
+const KEY_BACKUP_VERSION = 1;
+const KEY_BACKUP_KDF = "PBKDF2-SHA256";
+const KEY_BACKUP_ITERATIONS = 310000;
+const KEY_BACKUP_SALT_LENGTH_BYTES = 16;
+const SAFETY_NUMBER_VERSION = "chatapp-safety-number-v1";
+const SAFETY_NUMBER_CHUNK_COUNT = 6;
+const SAFETY_NUMBER_CHUNK_BYTES = 5;
+const RATCHET_MESSAGE_ID_LENGTH_BYTES = 16;
+const RATCHET_SESSION_ID_LENGTH_BYTES = 16;
+const RATCHET_KEY_LENGTH_BYTES = 32;
+// Most message keys derived ahead for one chain, and kept overall, for
+// messages that arrive out of order
+const RATCHET_MAX_SKIP = 1000;
+const RATCHET_MAX_SKIPPED_KEYS = 2000;
+const RATCHET_MAX_SESSIONS_PER_DEVICE = 3;
+const MESSAGE_CACHE_DB_NAME = "chatapp-e2ee";
+const MESSAGE_CACHE_DB_VERSION = 2;
+const MESSAGE_CACHE_STORE_NAME = "messages";
+const LEGACY_MESSAGE_CACHE_STORE_NAME = "plaintexts";
 
 export const E2EE_DM_PAYLOAD_KIND = "e2e_dm_v1";
+export const E2EE_DM_MULTI_DEVICE_PAYLOAD_KIND = "e2e_dm_v2";
+export const E2EE_DM_RATCHET_PAYLOAD_KIND = "e2e_dm_ratchet_v1";
+export const E2EE_ROOM_PAYLOAD_KIND = "e2e_room_v1";
+export const ROOM_E2EE_ENCRYPTION_METHOD = "E2EE-SENDER-KEY";
 
 function normalizeText(value) {
   if (value === undefined || value === null) {
@@ -38,6 +71,18 @@ function fromBase64(base64Value) {
   return bytes;
 }
 
+// URL-safe, so it can be used in API paths
+function generateRandomId(byteLength) {
+  return toBase64(window.crypto.getRandomValues(new Uint8Array(byteLength)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function generateDeviceId() {
+  return generateRandomId(DEVICE_ID_LENGTH_BYTES);
+}
+
 function hasWebCrypto() {
   return typeof window !== "undefined" && Boolean(window.crypto?.subtle);
 }
@@ -45,16 +90,79 @@ function hasWebCrypto() {
 function getStorageKeys(userId) {
   const normalizedUserId = normalizeText(userId);
   return {
-    privateKey: `${PRIVATE_KEY_STORAGE_PREFIX}${normalizedUserId}`,
-    publicKey: `${PUBLIC_KEY_STORAGE_PREFIX}${normalizedUserId}`,
+    legacyPrivateKey: `${LEGACY_PRIVATE_KEY_STORAGE_PREFIX}${normalizedUserId}`,
+    legacyPublicKey: `${LEGACY_PUBLIC_KEY_STORAGE_PREFIX}${normalizedUserId}`,
+    deviceIdentity: `${DEVICE_IDENTITY_STORAGE_PREFIX}${normalizedUserId}`,
+    keyring: `${KEYRING_STORAGE_PREFIX}${normalizedUserId}`,
+    verifiedContacts: `${VERIFIED_CONTACTS_STORAGE_PREFIX}${normalizedUserId}`,
+    ratchetSessions: `${RATCHET_SESSIONS_STORAGE_PREFIX}${normalizedUserId}`,
   };
 }
 
+function readStoredJson(storageKey) {
+  try {
+    return JSON.parse(window.localStorage.getItem(storageKey) || "null");
+  } catch {
+    return null;
+  }
+}
+
+function writeStoredJson(storageKey, value) {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(value));
+  } catch {
+    // no-op
+  }
+}
+
+function normalizeIdentity(identity) {
+  const deviceId = normalizeText(identity?.deviceId);
+  const privateKey = normalizeText(identity?.privateKey);
+  const publicKey = normalizeText(identity?.publicKey);
+
+  return deviceId && privateKey && publicKey ? { deviceId, privateKey, publicKey } : null;
+}
+
 async function exportKeyToBase64(key, format) {
   const exportedKey = await window.crypto.subtle.exportKey(format, key);
   return toBase64(new Uint8Array(exportedKey));
 }
 
+async function generateAesKeyBase64() {
+  const key = await window.crypto.subtle.generateKey({ name: AES_ALGORITHM, length: AES_KEY_LENGTH_BITS }, true, [
+    "encrypt",
+    "decrypt",
+  ]);
+  return exportKeyToBase64(key, "raw");
+}
+
+async function importAesKey(keyBase64) {
+  return window.crypto.subtle.importKey("raw", fromBase64(keyBase64), { name: AES_ALGORITHM }, false, [
+    "encrypt",
+    "decrypt",
+  ]);
+}
+
+async function aesEncrypt(aesKey, plaintextBytes, additionalData) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH_BYTES));
+  const cipherBuffer = await window.crypto.subtle.encrypt(
+    additionalData ? { name: AES_ALGORITHM, iv, additionalData } : { name: AES_ALGORITHM, iv },
+    aesKey,
+    plaintextBytes,
+  );
+
+  return { iv: toBase64(iv), ciphertext: toBase64(new Uint8Array(cipherBuffer)) };
+}
+
+async function aesDecrypt(aesKey, { iv, ciphertext }, additionalData) {
+  const params = { name: AES_ALGORITHM, iv: fromBase64(iv) };
+  return window.crypto.subtle.decrypt(
+    additionalData ? { ...params, additionalData } : params,
+    aesKey,
+    fromBase64(ciphertext),
+  );
+}
+
 async function importPrivateKey(privateKeyBase64) {
   return window.crypto.subtle.importKey(
     "pkcs8",
@@ -84,7 +192,23 @@ async function isIdentityValid(privateKeyBase64, publicKeyBase64) {
   }
 }
 
-async function deriveAesKey(privateKeyBase64, peerPublicKeyBase64) {
+async function generateIdentityKeys() {
+  const keyPair = await window.crypto.subtle.generateKey(
+    {
+      name: "ECDH",
+      namedCurve: CURVE_NAME,
+    },
+    true,
+    ["deriveBits"],
+  );
+
+  return {
+    privateKey: await exportKeyToBase64(keyPair.privateKey, "pkcs8"),
+    publicKey: await exportKeyToBase64(keyPair.publicKey, "raw"),
+  };
+}
+
+async function deriveSharedBits(privateKeyBase64, peerPublicKeyBase64) {
   const privateKey = await importPrivateKey(privateKeyBase64);
   const peerPublicKey = await importPublicKey(peerPublicKeyBase64);
   const sharedBits = await window.crypto.subtle.deriveBits(
@@ -96,9 +220,13 @@ async function deriveAesKey(privateKeyBase64, peerPublicKeyBase64) {
     256,
   );
 
+  return new Uint8Array(sharedBits);
+}
+
+async function deriveAesKey(privateKeyBase64, peerPublicKeyBase64) {
   return window.crypto.subtle.importKey(
     "raw",
-    sharedBits,
+    await deriveSharedBits(privateKeyBase64, peerPublicKeyBase64),
     { name: AES_ALGORITHM },
     false,
     ["encrypt", "decrypt"],
@@ -141,14 +269,57 @@ function parseE2EEPayload(payloadText) {
   }
 }
 
+// e2e_dm_v2: the text is encrypted once with a random message key, and that
+// key is wrapped for each device (ECDH between the sending device and it).
+function parseMultiDevicePayload(payloadText) {
+  try {
+    const parsed = JSON.parse(String(payloadText || ""));
+    if (!parsed || parsed.kind !== E2EE_DM_MULTI_DEVICE_PAYLOAD_KIND) {
+      return null;
+    }
+
+    if (Number(parsed.version || 0) !== E2EE_PAYLOAD_VERSION || parsed.algorithm !== AES_ALGORITHM) {
+      return null;
+    }
+
+    const iv = normalizeText(parsed.iv);
+    const ciphertext = normalizeText(parsed.ciphertext);
+    const senderPublicKey = normalizeText(parsed.senderPublicKey);
+    const devices = (Array.isArray(parsed.devices) ? parsed.devices : [])
+      .map((device) => ({
+        deviceId: normalizeText(device?.deviceId),
+        publicKey: normalizeText(device?.publicKey),
+        iv: normalizeText(device?.iv),
+        wrappedKey: normalizeText(device?.wrappedKey),
+      }))
+      .filter((device) => device.publicKey && device.iv && device.wrappedKey);
+
+    if (!iv || !ciphertext || !senderPublicKey || devices.length === 0) {
+      return null;
+    }
+
+    return { iv, ciphertext, senderPublicKey, devices };
+  } catch {
+    return null;
+  }
+}
+
+function findKeyringIdentity(keyring, publicKey) {
+  return (keyring || []).find((identity) => identity?.publicKey === publicKey) || null;
+}
+
 export function isE2EEncryptedPayload(payloadText) {
-  return Boolean(parseE2EEPayload(payloadText));
+  return Boolean(
+    parseE2EEPayload(payloadText) || parseMultiDevicePayload(payloadText) || parseRatchetPayload(payloadText),
+  );
 }
 
 export function isWebCryptoSupported() {
   return hasWebCrypto();
 }
 
+// This browser's identity: { deviceId, privateKey, publicKey }. Kept in
+// localStorage; created (or migrated from the legacy single key) on first use.
 export async function ensureLocalE2EEIdentity(userId) {
   const normalizedUserId = normalizeText(userId);
   if (!normalizedUserId) {
@@ -160,59 +331,603 @@ export async function ensureLocalE2EEIdentity(userId) {
   }
 
   const storageKeys = getStorageKeys(normalizedUserId);
-  let storedPrivateKey = "";
-  let storedPublicKey = "";
+  const storedIdentity = normalizeIdentity(readStoredJson(storageKeys.deviceIdentity));
+  if (storedIdentity && (await isIdentityValid(storedIdentity.privateKey, storedIdentity.publicKey))) {
+    return storedIdentity;
+  }
 
+  let legacyPrivateKey = "";
+  let legacyPublicKey = "";
   try {
-    storedPrivateKey = normalizeText(window.localStorage.getItem(storageKeys.privateKey));
-    storedPublicKey = normalizeText(window.localStorage.getItem(storageKeys.publicKey));
+    legacyPrivateKey = normalizeText(window.localStorage.getItem(storageKeys.legacyPrivateKey));
+    legacyPublicKey = normalizeText(window.localStorage.getItem(storageKeys.legacyPublicKey));
   } catch {
     // no-op
   }
 
-  if (storedPrivateKey && storedPublicKey) {
-    const valid = await isIdentityValid(storedPrivateKey, storedPublicKey);
-    if (valid) {
-      return {
-        privateKey: storedPrivateKey,
-        publicKey: storedPublicKey,
-      };
+  const keys =
+    legacyPrivateKey && legacyPublicKey && (await isIdentityValid(legacyPrivateKey, legacyPublicKey))
+      ? { privateKey: legacyPrivateKey, publicKey: legacyPublicKey }
+      : await generateIdentityKeys();
+  const identity = { deviceId: generateDeviceId(), ...keys };
+
+  writeStoredJson(storageKeys.deviceIdentity, identity);
+  try {
+    window.localStorage.removeItem(storageKeys.legacyPrivateKey);
+    window.localStorage.removeItem(storageKeys.legacyPublicKey);
+  } catch {
+    // no-op
+  }
+
+  return identity;
+}
+
+// Identities of other (or earlier) devices restored from a key backup. They
+// only decrypt history; new messages are sent from the device identity.
+export function loadE2EEKeyring(userId) {
+  const storedKeyring = readStoredJson(getStorageKeys(userId).keyring);
+  return (Array.isArray(storedKeyring) ? storedKeyring : []).map(normalizeIdentity).filter(Boolean);
+}
+
+export function addToE2EEKeyring(userId, identities) {
+  const storageKeys = getStorageKeys(userId);
+  const deviceIdentity = normalizeIdentity(readStoredJson(storageKeys.deviceIdentity));
+  const keyring = loadE2EEKeyring(userId);
+  const knownPublicKeys = new Set([deviceIdentity?.publicKey, ...keyring.map((identity) => identity.publicKey)]);
+
+  let addedCount = 0;
+  (identities || []).map(normalizeIdentity).forEach((identity) => {
+    if (identity && !knownPublicKeys.has(identity.publicKey)) {
+      keyring.push(identity);
+      knownPublicKeys.add(identity.publicKey);
+      addedCount += 1;
+    }
+  });
+
+  writeStoredJson(storageKeys.keyring, keyring);
+  return addedCount;
+}
+
+// `recipientDevices` is every { deviceId, publicKey } that should be able to
+// read the message: all of the peer's devices and all of the sender's own.
+export async function encryptDirectMessagePayload({ plainText, senderIdentity, recipientDevices }) {
+  const identity = normalizeIdentity(senderIdentity);
+  const devices = [];
+  const seenPublicKeys = new Set();
+  (recipientDevices || []).forEach((device) => {
+    const publicKey = normalizeText(device?.publicKey);
+    if (publicKey && !seenPublicKeys.has(publicKey)) {
+      seenPublicKeys.add(publicKey);
+      devices.push({ deviceId: normalizeText(device.deviceId), publicKey });
     }
+  });
+
+  if (!identity || devices.length === 0) {
+    throw new Error("Missing encryption keys for direct-message E2EE.");
   }
 
-  const keyPair = await window.crypto.subtle.generateKey(
-    {
-      name: "ECDH",
-      namedCurve: CURVE_NAME,
-    },
-    true,
-    ["deriveBits"],
+  if (!hasWebCrypto()) {
+    throw new Error("This browser does not support Web Crypto.");
+  }
+
+  const messageKey = await generateAesKeyBase64();
+  const encryptedText = await aesEncrypt(
+    await importAesKey(messageKey),
+    new TextEncoder().encode(String(plainText ?? "")),
+  );
+  const wrappedKeys = await Promise.all(
+    devices.map(async (device) => {
+      const wrapped = await aesEncrypt(
+        await deriveAesKey(identity.privateKey, device.publicKey),
+        fromBase64(messageKey),
+      );
+      return { ...device, iv: wrapped.iv, wrappedKey: wrapped.ciphertext };
+    }),
   );
 
-  const privateKey = await exportKeyToBase64(keyPair.privateKey, "pkcs8");
-  const publicKey = await exportKeyToBase64(keyPair.publicKey, "raw");
+  return JSON.stringify({
+    kind: E2EE_DM_MULTI_DEVICE_PAYLOAD_KIND,
+    version: E2EE_PAYLOAD_VERSION,
+    algorithm: AES_ALGORITHM,
+    iv: encryptedText.iv,
+    ciphertext: encryptedText.ciphertext,
+    senderDeviceId: identity.deviceId,
+    senderPublicKey: identity.publicKey,
+    devices: wrappedKeys,
+  });
+}
 
+// e2e_dm_ratchet_v1: like e2e_dm_v2 the text is encrypted once, but each
+// device's copy of the message key is sealed by a double ratchet session
+// between the sending device and that device instead of by their long-term
+// keys. Every reply mixes in fresh ECDH keys and every message steps a hash
+// chain, so a stolen key store cannot read earlier messages (their keys are
+// gone) and stops reading later ones after the next exchange.
+//
+// A session starts from ECDH between the two identity keys, and the
+// responder's identity key doubles as its first ratchet key; messages carry
+// `init` until the peer answers, so a device that has never seen the session
+// can create it. The sender does not encrypt to itself: its own copy, and
+// every message this device has opened, are kept in a local cache because
+// the ratchet cannot derive a used key twice.
+function parseRatchetPayload(payloadText) {
   try {
-    window.localStorage.setItem(storageKeys.privateKey, privateKey);
-    window.localStorage.setItem(storageKeys.publicKey, publicKey);
+    const parsed = JSON.parse(String(payloadText || ""));
+    if (!parsed || parsed.kind !== E2EE_DM_RATCHET_PAYLOAD_KIND) {
+      return null;
+    }
+
+    if (Number(parsed.version || 0) !== E2EE_PAYLOAD_VERSION || parsed.algorithm !== AES_ALGORITHM) {
+      return null;
+    }
+
+    const messageId = normalizeText(parsed.messageId);
+    const iv = normalizeText(parsed.iv);
+    const ciphertext = normalizeText(parsed.ciphertext);
+    const senderPublicKey = normalizeText(parsed.senderPublicKey);
+    const devices = (Array.isArray(parsed.devices) ? parsed.devices : [])
+      .map((device) => ({
+        deviceId: normalizeText(device?.deviceId),
+        publicKey: normalizeText(device?.publicKey),
+        header: {
+          sessionId: normalizeText(device?.header?.sessionId),
+          ratchetKey: normalizeText(device?.header?.ratchetKey),
+          previousCount: Number(device?.header?.previousCount),
+          count: Number(device?.header?.count),
+          init: device?.header?.init === true,
+        },
+        iv: normalizeText(device?.iv),
+        wrappedKey: normalizeText(device?.wrappedKey),
+      }))
+      .filter(
+        (device) =>
+          device.publicKey &&
+          device.header.sessionId &&
+          device.header.ratchetKey &&
+          Number.isInteger(device.header.previousCount) &&
+          Number.isInteger(device.header.count) &&
+          device.iv &&
+          device.wrappedKey,
+      );
+
+    if (!messageId || !iv || !ciphertext || !senderPublicKey) {
+      return null;
+    }
+
+    return { messageId, iv, ciphertext, senderPublicKey, devices };
   } catch {
-    // no-op
+    return null;
+  }
+}
+
+function getRatchetContentAdditionalData(messageId) {
+  return new TextEncoder().encode(`${E2EE_DM_RATCHET_PAYLOAD_KIND}:${messageId}`);
+}
+
+// Binds a device's sealed key to its message, both identities and the header
+function getRatchetEnvelopeAdditionalData({ messageId, senderPublicKey, recipientPublicKey, header }) {
+  return new TextEncoder().encode(
+    JSON.stringify([
+      E2EE_DM_RATCHET_PAYLOAD_KIND,
+      messageId,
+      senderPublicKey,
+      recipientPublicKey,
+      header.sessionId,
+      header.ratchetKey,
+      header.previousCount,
+      header.count,
+      header.init,
+    ]),
+  );
+}
+
+async function hkdf(inputBytes, saltBytes, info, byteLength) {
+  const inputKey = await window.crypto.subtle.importKey("raw", inputBytes, "HKDF", false, ["deriveBits"]);
+  const derivedBits = await window.crypto.subtle.deriveBits(
+    { name: "HKDF", hash: "SHA-256", salt: saltBytes, info: new TextEncoder().encode(info) },
+    inputKey,
+    byteLength * 8,
+  );
+
+  return new Uint8Array(derivedBits);
+}
+
+// Mixes a new ECDH output into the root key: { rootKey, chainKey }
+async function stepRootKey(rootKey, dhOutput) {
+  const derived = await hkdf(dhOutput, fromBase64(rootKey), "chatapp-ratchet-root", RATCHET_KEY_LENGTH_BYTES * 2);
+  return {
+    rootKey: toBase64(derived.slice(0, RATCHET_KEY_LENGTH_BYTES)),
+    chainKey: toBase64(derived.slice(RATCHET_KEY_LENGTH_BYTES)),
+  };
+}
+
+// One step along a sending or receiving chain: { messageKey, chainKey }
+async function stepChainKey(chainKey) {
+  const hmacKey = await window.crypto.subtle.importKey(
+    "raw",
+    fromBase64(chainKey),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  const [messageKey, nextChainKey] = await Promise.all([
+    window.crypto.subtle.sign("HMAC", hmacKey, new Uint8Array([1])),
+    window.crypto.subtle.sign("HMAC", hmacKey, new Uint8Array([2])),
+  ]);
+
+  return { messageKey: toBase64(new Uint8Array(messageKey)), chainKey: toBase64(new Uint8Array(nextChainKey)) };
+}
+
+async function deriveSessionSecret(identity, peerPublicKey, sessionId) {
+  const secret = await hkdf(
+    await deriveSharedBits(identity.privateKey, peerPublicKey),
+    new Uint8Array(RATCHET_KEY_LENGTH_BYTES),
+    `chatapp-ratchet-session:${sessionId}`,
+    RATCHET_KEY_LENGTH_BYTES,
+  );
+  return toBase64(secret);
+}
+
+function getSessionPairKey(localPublicKey, peerPublicKey) {
+  return `${localPublicKey}|${peerPublicKey}`;
+}
+
+async function createInitiatorSession(identity, peerPublicKey) {
+  const sessionId = generateRandomId(RATCHET_SESSION_ID_LENGTH_BYTES);
+  const sendingRatchetKey = await generateIdentityKeys();
+  const { rootKey, chainKey } = await stepRootKey(
+    await deriveSessionSecret(identity, peerPublicKey, sessionId),
+    await deriveSharedBits(sendingRatchetKey.privateKey, peerPublicKey),
+  );
+
+  return {
+    sessionId,
+    localPublicKey: identity.publicKey,
+    peerPublicKey,
+    rootKey,
+    sendingRatchetKey,
+    sendingChainKey: chainKey,
+    receivingRatchetKey: peerPublicKey,
+    receivingChainKey: "",
+    sendCount: 0,
+    receiveCount: 0,
+    previousSendCount: 0,
+    skippedKeys: {},
+    isConfirmed: false,
+    updatedAt: Date.now(),
+  };
+}
+
+async function createResponderSession(identity, peerPublicKey, sessionId) {
+  return {
+    sessionId,
+    localPublicKey: identity.publicKey,
+    peerPublicKey,
+    rootKey: await deriveSessionSecret(identity, peerPublicKey, sessionId),
+    sendingRatchetKey: { privateKey: identity.privateKey, publicKey: identity.publicKey },
+    sendingChainKey: "",
+    receivingRatchetKey: "",
+    receivingChainKey: "",
+    sendCount: 0,
+    receiveCount: 0,
+    previousSendCount: 0,
+    skippedKeys: {},
+    isConfirmed: true,
+    updatedAt: Date.now(),
+  };
+}
+
+// Keeps the keys of messages not received yet, up to `untilCount`
+async function skipMessageKeys(session, untilCount) {
+  if (!session.receivingChainKey) {
+    return;
+  }
+
+  if (untilCount - session.receiveCount > RATCHET_MAX_SKIP) {
+    throw new Error("Too many messages were skipped in this session.");
+  }
+
+  while (session.receiveCount < untilCount) {
+    const { messageKey, chainKey } = await stepChainKey(session.receivingChainKey);
+    session.skippedKeys[`${session.receivingRatchetKey}:${session.receiveCount}`] = messageKey;
+    session.receivingChainKey = chainKey;
+    session.receiveCount += 1;
+  }
+
+  const skippedIds = Object.keys(session.skippedKeys);
+  skippedIds.slice(0, Math.max(skippedIds.length - RATCHET_MAX_SKIPPED_KEYS, 0)).forEach((skippedId) => {
+    delete session.skippedKeys[skippedId];
+  });
+}
+
+async function ratchetEncrypt(session) {
+  const { messageKey, chainKey } = await stepChainKey(session.sendingChainKey);
+  const header = {
+    sessionId: session.sessionId,
+    ratchetKey: session.sendingRatchetKey.publicKey,
+    previousCount: session.previousSendCount,
+    count: session.sendCount,
+    init: !session.isConfirmed,
+  };
+
+  session.sendingChainKey = chainKey;
+  session.sendCount += 1;
+  session.updatedAt = Date.now();
+  return { header, messageKey };
+}
+
+async function ratchetDecrypt(session, header) {
+  const skippedId = `${header.ratchetKey}:${header.count}`;
+  const skippedKey = session.skippedKeys[skippedId];
+  if (skippedKey) {
+    delete session.skippedKeys[skippedId];
+    return skippedKey;
   }
 
-  return { privateKey, publicKey };
+  if (header.ratchetKey !== session.receivingRatchetKey) {
+    await skipMessageKeys(session, header.previousCount);
+
+    const receivingStep = await stepRootKey(
+      session.rootKey,
+      await deriveSharedBits(session.sendingRatchetKey.privateKey, header.ratchetKey),
+    );
+    const nextRatchetKey = await generateIdentityKeys();
+    const sendingStep = await stepRootKey(
+      receivingStep.rootKey,
+      await deriveSharedBits(nextRatchetKey.privateKey, header.ratchetKey),
+    );
+
+    session.previousSendCount = session.sendCount;
+    session.sendCount = 0;
+    session.receiveCount = 0;
+    session.receivingRatchetKey = header.ratchetKey;
+    session.receivingChainKey = receivingStep.chainKey;
+    session.sendingRatchetKey = nextRatchetKey;
+    session.sendingChainKey = sendingStep.chainKey;
+    session.rootKey = sendingStep.rootKey;
+  }
+
+  await skipMessageKeys(session, header.count);
+  const { messageKey, chainKey } = await stepChainKey(session.receivingChainKey);
+  session.receivingChainKey = chainKey;
+  session.receiveCount += 1;
+  return messageKey;
+}
+
+function loadRatchetSessions(userId) {
+  const stored = readStoredJson(getStorageKeys(userId).ratchetSessions);
+  return {
+    sessions: stored?.sessions && typeof stored.sessions === "object" ? stored.sessions : {},
+    active: stored?.active && typeof stored.active === "object" ? stored.active : {},
+  };
 }
 
-export async function encryptDirectMessagePayload({
+// Unlike other key storage this throws when full: a ratchet step that is
+// used but not saved would leave the two devices out of step.
+function saveRatchetSessions(userId, book) {
+  const sessionsByPair = new Map();
+  Object.values(book.sessions).forEach((session) => {
+    const pairKey = getSessionPairKey(session.localPublicKey, session.peerPublicKey);
+    sessionsByPair.set(pairKey, [...(sessionsByPair.get(pairKey) || []), session]);
+  });
+
+  const sessions = {};
+  sessionsByPair.forEach((pairSessions, pairKey) => {
+    const activeSessionId = book.active[pairKey];
+    pairSessions
+      .sort((first, second) => {
+        if (first.sessionId === activeSessionId || second.sessionId === activeSessionId) {
+          return first.sessionId === activeSessionId ? -1 : 1;
+        }
+        return second.updatedAt - first.updatedAt;
+      })
+      .slice(0, RATCHET_MAX_SESSIONS_PER_DEVICE)
+      .forEach((session) => {
+        sessions[session.sessionId] = session;
+      });
+  });
+
+  window.localStorage.setItem(getStorageKeys(userId).ratchetSessions, JSON.stringify({ sessions, active: book.active }));
+}
+
+const ratchetSessionQueues = new Map();
+
+// Runs `task` with the session store, saving it only if the task succeeds.
+// Other tabs share the store, so the Web Locks API serializes across them.
+function withRatchetSessions(userId, task) {
+  const lockName = getStorageKeys(userId).ratchetSessions;
+  const runTask = async () => {
+    const book = loadRatchetSessions(userId);
+    const result = await task(book);
+    saveRatchetSessions(userId, book);
+    return result;
+  };
+
+  if (typeof navigator !== "undefined" && navigator.locks?.request) {
+    return navigator.locks.request(lockName, runTask);
+  }
+
+  const previousTask = ratchetSessionQueues.get(lockName) || Promise.resolve();
+  const currentTask = previousTask.then(runTask, runTask);
+  ratchetSessionQueues.set(lockName, currentTask.catch(() => {}));
+  return currentTask;
+}
+
+let messageCacheDbPromise = null;
+
+function openMessageCache() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.resolve(null);
+  }
+
+  if (!messageCacheDbPromise) {
+    messageCacheDbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(MESSAGE_CACHE_DB_NAME, MESSAGE_CACHE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // Version 1 keyed plaintexts by the sender-chosen message id alone,
+        // which a forged payload could reuse; those entries are dropped.
+        if (db.objectStoreNames.contains(LEGACY_MESSAGE_CACHE_STORE_NAME)) {
+          db.deleteObjectStore(LEGACY_MESSAGE_CACHE_STORE_NAME);
+        }
+        if (!db.objectStoreNames.contains(MESSAGE_CACHE_STORE_NAME)) {
+          const store = db.createObjectStore(MESSAGE_CACHE_STORE_NAME, { keyPath: "key" });
+          store.createIndex("user", "userId");
+          store.createIndex("conversation", ["userId", "conversationId"]);
+          store.createIndex("message", ["userId", "messageId"]);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+    });
+  }
+
+  return messageCacheDbPromise;
+}
+
+// A cached plaintext is found by who sent it, from which device and in which
+// conversation, and is only returned for the exact payload it was opened
+// from: the content, plus this device's envelope (header included) when
+// there is one. A payload that reuses another message's id gets nothing.
+// `messageId` is the server's id, used to drop the entry when the message goes.
+async function getCachedPlaintextRecord({ userId, conversationId, senderUserId, payload, envelope }) {
+  const digest = await window.crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(
+      JSON.stringify([
+        payload.iv,
+        payload.ciphertext,
+        envelope ? [envelope.publicKey, envelope.header, envelope.iv, envelope.wrappedKey] : null,
+      ]),
+    ),
+  );
+
+  return {
+    key: [
+      normalizeText(userId),
+      normalizeText(conversationId),
+      normalizeText(senderUserId),
+      payload.senderPublicKey,
+      payload.messageId,
+    ],
+    digest: toBase64(new Uint8Array(digest)),
+  };
+}
+
+async function readCachedPlaintext(cacheEntry) {
+  const db = await openMessageCache();
+  if (!db) {
+    return null;
+  }
+
+  const { key, digest } = await getCachedPlaintextRecord(cacheEntry);
+  const messageId = normalizeText(cacheEntry.messageId);
+
+  return new Promise((resolve) => {
+    const store = db.transaction(MESSAGE_CACHE_STORE_NAME, "readwrite").objectStore(MESSAGE_CACHE_STORE_NAME);
+    const request = store.get(key);
+    request.onsuccess = () => {
+      const record = request.result;
+      if (!record || record.digest !== digest || typeof record.plainText !== "string") {
+        resolve(null);
+        return;
+      }
+
+      // Sent messages are cached before the server has given them an id
+      if (messageId && !record.messageId) {
+        store.put({ ...record, messageId });
+      }
+      resolve(record.plainText);
+    };
+    request.onerror = () => resolve(null);
+  });
+}
+
+async function writeCachedPlaintext(cacheEntry, plainText) {
+  const db = await openMessageCache();
+  if (!db) {
+    return;
+  }
+
+  const { key, digest } = await getCachedPlaintextRecord(cacheEntry);
+
+  await new Promise((resolve) => {
+    const transaction = db.transaction(MESSAGE_CACHE_STORE_NAME, "readwrite");
+    transaction.objectStore(MESSAGE_CACHE_STORE_NAME).put({
+      key,
+      userId: key[0],
+      conversationId: key[1],
+      messageId: normalizeText(cacheEntry.messageId),
+      digest,
+      plainText,
+    });
+    transaction.oncomplete = resolve;
+    transaction.onerror = resolve;
+    transaction.onabort = resolve;
+  });
+}
+
+async function deleteCachedPlaintexts(indexName, indexKey) {
+  const db = await openMessageCache();
+  if (!db) {
+    return;
+  }
+
+  await new Promise((resolve) => {
+    const transaction = db.transaction(MESSAGE_CACHE_STORE_NAME, "readwrite");
+    const store = transaction.objectStore(MESSAGE_CACHE_STORE_NAME);
+    const request = store.index(indexName).openKeyCursor(IDBKeyRange.only(indexKey));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+    transaction.oncomplete = resolve;
+    transaction.onerror = resolve;
+    transaction.onabort = resolve;
+  });
+}
+
+// Every cached plaintext of a message (its edits included), by server id
+export async function removeCachedPlaintext(userId, messageId) {
+  if (!normalizeText(userId) || !normalizeText(messageId)) {
+    return;
+  }
+
+  await deleteCachedPlaintexts("message", [normalizeText(userId), normalizeText(messageId)]);
+}
+
+// `conversationId` is the DM peer's id
+export async function removeCachedConversation(userId, conversationId) {
+  if (!normalizeText(userId) || !normalizeText(conversationId)) {
+    return;
+  }
+
+  await deleteCachedPlaintexts("conversation", [normalizeText(userId), normalizeText(conversationId)]);
+}
+
+export async function clearCachedPlaintexts(userId) {
+  if (!normalizeText(userId)) {
+    return;
+  }
+
+  await deleteCachedPlaintexts("user", normalizeText(userId));
+}
+
+// Same recipients as `encryptDirectMessagePayload`; `userId` selects the
+// session store and `conversationId` (the peer's id) files the sender's
+// cached copy. The sending device itself is skipped (see above).
+export async function encryptRatchetDirectMessagePayload({
   plainText,
-  senderPrivateKeyBase64,
-  senderPublicKeyBase64,
-  recipientPublicKeyBase64,
+  userId,
+  conversationId,
+  senderIdentity,
+  recipientDevices,
 }) {
-  const normalizedPrivateKey = normalizeText(senderPrivateKeyBase64);
-  const normalizedSenderPublicKey = normalizeText(senderPublicKeyBase64);
-  const normalizedRecipientPublicKey = normalizeText(recipientPublicKeyBase64);
-
-  if (!normalizedPrivateKey || !normalizedSenderPublicKey || !normalizedRecipientPublicKey) {
+  const identity = normalizeIdentity(senderIdentity);
+  if (!identity || !normalizeText(userId)) {
     throw new Error("Missing encryption keys for direct-message E2EE.");
   }
 
@@ -220,68 +935,508 @@ export async function encryptDirectMessagePayload({
     throw new Error("This browser does not support Web Crypto.");
   }
 
-  const aesKey = await deriveAesKey(normalizedPrivateKey, normalizedRecipientPublicKey);
-  const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH_BYTES));
-  const plaintextBytes = new TextEncoder().encode(String(plainText ?? ""));
-  const cipherBuffer = await window.crypto.subtle.encrypt(
+  const devices = [];
+  const seenPublicKeys = new Set([identity.publicKey]);
+  (recipientDevices || []).forEach((device) => {
+    const publicKey = normalizeText(device?.publicKey);
+    if (publicKey && !seenPublicKeys.has(publicKey)) {
+      seenPublicKeys.add(publicKey);
+      devices.push({ deviceId: normalizeText(device.deviceId), publicKey });
+    }
+  });
+
+  const messageId = generateRandomId(RATCHET_MESSAGE_ID_LENGTH_BYTES);
+  const messageKey = await generateAesKeyBase64();
+  const encryptedText = await aesEncrypt(
+    await importAesKey(messageKey),
+    new TextEncoder().encode(String(plainText ?? "")),
+    getRatchetContentAdditionalData(messageId),
+  );
+
+  const sealedKeys = await withRatchetSessions(userId, async (book) => {
+    const sealed = [];
+    for (const device of devices) {
+      const pairKey = getSessionPairKey(identity.publicKey, device.publicKey);
+      let session = book.sessions[book.active[pairKey]];
+      if (!session?.sendingChainKey) {
+        session = await createInitiatorSession(identity, device.publicKey);
+        book.sessions[session.sessionId] = session;
+        book.active[pairKey] = session.sessionId;
+      }
+
+      const { header, messageKey: sessionMessageKey } = await ratchetEncrypt(session);
+      const wrapped = await aesEncrypt(
+        await importAesKey(sessionMessageKey),
+        fromBase64(messageKey),
+        getRatchetEnvelopeAdditionalData({
+          messageId,
+          senderPublicKey: identity.publicKey,
+          recipientPublicKey: device.publicKey,
+          header,
+        }),
+      );
+      sealed.push({ ...device, header, iv: wrapped.iv, wrappedKey: wrapped.ciphertext });
+    }
+    return sealed;
+  });
+
+  await writeCachedPlaintext(
     {
-      name: AES_ALGORITHM,
-      iv,
+      userId,
+      conversationId,
+      senderUserId: userId,
+      payload: { messageId, iv: encryptedText.iv, ciphertext: encryptedText.ciphertext, senderPublicKey: identity.publicKey },
+      envelope: null,
     },
-    aesKey,
-    plaintextBytes,
+    String(plainText ?? ""),
   );
 
   return JSON.stringify({
-    kind: E2EE_DM_PAYLOAD_KIND,
+    kind: E2EE_DM_RATCHET_PAYLOAD_KIND,
     version: E2EE_PAYLOAD_VERSION,
     algorithm: AES_ALGORITHM,
-    iv: toBase64(iv),
-    ciphertext: toBase64(new Uint8Array(cipherBuffer)),
-    senderPublicKey: normalizedSenderPublicKey,
-    recipientPublicKey: normalizedRecipientPublicKey,
+    messageId,
+    iv: encryptedText.iv,
+    ciphertext: encryptedText.ciphertext,
+    senderDeviceId: identity.deviceId,
+    senderPublicKey: identity.publicKey,
+    devices: sealedKeys,
+  });
+}
+
+async function decryptRatchetPayload({ payload, userId, senderUserId, conversationId, messageId, keyring }) {
+  const envelope = payload.devices.find((device) => findKeyringIdentity(keyring, device.publicKey)) || null;
+  const cacheEntry = { userId, conversationId, senderUserId, payload, envelope, messageId };
+  const cachedPlainText = await readCachedPlaintext(cacheEntry);
+  if (cachedPlainText !== null) {
+    return cachedPlainText;
+  }
+
+  if (!envelope) {
+    throw new Error("This message was not encrypted for this device.");
+  }
+
+  const identity = findKeyringIdentity(keyring, envelope.publicKey);
+  const { header } = envelope;
+
+  return withRatchetSessions(userId, async (book) => {
+    // Another tab (or an earlier call) may have opened it while this waited
+    const openedPlainText = await readCachedPlaintext(cacheEntry);
+    if (openedPlainText !== null) {
+      return openedPlainText;
+    }
+
+    const storedSession = book.sessions[header.sessionId];
+    if (
+      storedSession &&
+      (storedSession.localPublicKey !== identity.publicKey || storedSession.peerPublicKey !== payload.senderPublicKey)
+    ) {
+      throw new Error("Invalid encrypted message payload.");
+    }
+
+    if (!storedSession && !header.init) {
+      throw new Error("This message's session is not available on this device.");
+    }
+
+    // Stepped on a copy, so a message that fails to open changes nothing
+    const session = storedSession
+      ? structuredClone(storedSession)
+      : await createResponderSession(identity, payload.senderPublicKey, header.sessionId);
+    const sessionMessageKey = await ratchetDecrypt(session, header);
+
+    let plainText;
+    try {
+      const messageKey = await aesDecrypt(
+        await importAesKey(sessionMessageKey),
+        { iv: envelope.iv, ciphertext: envelope.wrappedKey },
+        getRatchetEnvelopeAdditionalData({
+          messageId: payload.messageId,
+          senderPublicKey: payload.senderPublicKey,
+          recipientPublicKey: envelope.publicKey,
+          header,
+        }),
+      );
+      const decryptedBuffer = await aesDecrypt(
+        await importAesKey(toBase64(new Uint8Array(messageKey))),
+        payload,
+        getRatchetContentAdditionalData(payload.messageId),
+      );
+      plainText = new TextDecoder().decode(decryptedBuffer);
+    } catch {
+      throw new Error("This message could not be decrypted on this device.");
+    }
+
+    // The peer has this session now, so replies go out on it too
+    session.isConfirmed = true;
+    session.updatedAt = Date.now();
+    book.sessions[session.sessionId] = session;
+    book.active[getSessionPairKey(session.localPublicKey, session.peerPublicKey)] = session.sessionId;
+
+    await writeCachedPlaintext(cacheEntry, plainText);
+    return plainText;
   });
 }
 
+// `keyring` holds every identity this browser can decrypt with: its own
+// device identity first, then any restored from a backup. `conversationId`
+// (the DM peer's id) and `messageId` (the server's) file ratchet plaintexts.
 export async function decryptDirectMessagePayload({
   payloadText,
   currentUserId,
   senderUserId,
-  privateKeyBase64,
+  conversationId,
+  messageId,
+  keyring,
 }) {
+  if (!hasWebCrypto()) {
+    throw new Error("This browser does not support Web Crypto.");
+  }
+
+  const ratchetPayload = parseRatchetPayload(payloadText);
+  if (ratchetPayload) {
+    return decryptRatchetPayload({
+      payload: ratchetPayload,
+      userId: currentUserId,
+      senderUserId,
+      conversationId,
+      messageId,
+      keyring,
+    });
+  }
+
+  const multiDevicePayload = parseMultiDevicePayload(payloadText);
+  if (multiDevicePayload) {
+    const wrappedKey = multiDevicePayload.devices.find((device) => findKeyringIdentity(keyring, device.publicKey));
+    if (!wrappedKey) {
+      throw new Error("This message was not encrypted for this device.");
+    }
+
+    const identity = findKeyringIdentity(keyring, wrappedKey.publicKey);
+    const messageKey = await aesDecrypt(await deriveAesKey(identity.privateKey, multiDevicePayload.senderPublicKey), {
+      iv: wrappedKey.iv,
+      ciphertext: wrappedKey.wrappedKey,
+    });
+    const decryptedBuffer = await aesDecrypt(
+      await importAesKey(toBase64(new Uint8Array(messageKey))),
+      multiDevicePayload,
+    );
+
+    return new TextDecoder().decode(decryptedBuffer);
+  }
+
   const parsedPayload = parseE2EEPayload(payloadText);
   if (!parsedPayload) {
     throw new Error("Invalid encrypted message payload.");
   }
 
-  const normalizedPrivateKey = normalizeText(privateKeyBase64);
-  if (!normalizedPrivateKey) {
+  const normalizedCurrentUserId = normalizeText(currentUserId);
+  const normalizedSenderUserId = normalizeText(senderUserId);
+  const isOwnMessage = normalizedCurrentUserId && normalizedCurrentUserId === normalizedSenderUserId;
+  const peerPublicKey = isOwnMessage ? parsedPayload.recipientPublicKey : parsedPayload.senderPublicKey;
+  const identity = findKeyringIdentity(
+    keyring,
+    isOwnMessage ? parsedPayload.senderPublicKey : parsedPayload.recipientPublicKey,
+  );
+
+  if (!identity) {
     throw new Error("Missing local private key for message decryption.");
   }
 
+  const aesKey = await deriveAesKey(identity.privateKey, peerPublicKey);
+  const decryptedBuffer = await aesDecrypt(aesKey, parsedPayload);
+
+  return new TextDecoder().decode(decryptedBuffer);
+}
+
+async function deriveBackupKey(passphrase, saltBase64, iterations) {
+  const passphraseKey = await window.crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(String(passphrase)),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+
+  return window.crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromBase64(saltBase64), iterations },
+    passphraseKey,
+    { name: AES_ALGORITHM, length: AES_KEY_LENGTH_BITS },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+// Encrypts identities with a passphrase-derived key, for storing on the server
+export async function createE2EEKeyBackup({ identities, passphrase }) {
   if (!hasWebCrypto()) {
     throw new Error("This browser does not support Web Crypto.");
   }
 
-  const normalizedCurrentUserId = normalizeText(currentUserId);
-  const normalizedSenderUserId = normalizeText(senderUserId);
-  const peerPublicKey =
-    normalizedCurrentUserId && normalizedCurrentUserId === normalizedSenderUserId
-      ? parsedPayload.recipientPublicKey
-      : parsedPayload.senderPublicKey;
+  const salt = toBase64(window.crypto.getRandomValues(new Uint8Array(KEY_BACKUP_SALT_LENGTH_BYTES)));
+  const backupKey = await deriveBackupKey(passphrase, salt, KEY_BACKUP_ITERATIONS);
+  const encrypted = await aesEncrypt(
+    backupKey,
+    new TextEncoder().encode(JSON.stringify((identities || []).map(normalizeIdentity).filter(Boolean))),
+  );
+
+  return {
+    version: KEY_BACKUP_VERSION,
+    kdf: KEY_BACKUP_KDF,
+    iterations: KEY_BACKUP_ITERATIONS,
+    salt,
+    iv: encrypted.iv,
+    ciphertext: encrypted.ciphertext,
+  };
+}
 
-  if (!peerPublicKey) {
-    throw new Error("Missing peer key in encrypted payload.");
+export async function openE2EEKeyBackup({ backup, passphrase }) {
+  if (!hasWebCrypto()) {
+    throw new Error("This browser does not support Web Crypto.");
   }
 
-  const aesKey = await deriveAesKey(normalizedPrivateKey, peerPublicKey);
-  const decryptedBuffer = await window.crypto.subtle.decrypt(
-    {
-      name: AES_ALGORITHM,
-      iv: fromBase64(parsedPayload.iv),
-    },
-    aesKey,
-    fromBase64(parsedPayload.ciphertext),
+  if (backup?.version !== KEY_BACKUP_VERSION || backup?.kdf !== KEY_BACKUP_KDF) {
+    throw new Error("This key backup was made by an unsupported version.");
+  }
+
+  let decryptedBuffer;
+  try {
+    const backupKey = await deriveBackupKey(passphrase, backup.salt, backup.iterations);
+    decryptedBuffer = await aesDecrypt(backupKey, backup);
+  } catch {
+    throw new Error("Wrong passphrase, or the backup is damaged.");
+  }
+
+  const identities = JSON.parse(new TextDecoder().decode(decryptedBuffer));
+  return (Array.isArray(identities) ? identities : []).map(normalizeIdentity).filter(Boolean);
+}
+
+// Files in encrypted chats are encrypted here with a key of their own and
+// uploaded as ciphertext; the key, IV and digest travel inside the (end-to-end
+// encrypted) message. Resolves to { encryptedFile, key, iv, digest }.
+export async function encryptAttachmentFile(file) {
+  if (!hasWebCrypto()) {
+    throw new Error("This browser does not support Web Crypto.");
+  }
+
+  // Large files skip the base64 round trip of aesEncrypt/aesDecrypt
+  const key = await generateAesKeyBase64();
+  const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH_BYTES));
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: AES_ALGORITHM, iv },
+    await importAesKey(key),
+    await file.arrayBuffer(),
+  );
+  const digest = await window.crypto.subtle.digest("SHA-256", ciphertext);
+
+  return {
+    encryptedFile: new Blob([ciphertext], { type: "application/octet-stream" }),
+    key,
+    iv: toBase64(iv),
+    digest: toBase64(new Uint8Array(digest)),
+  };
+}
+
+// The digest is checked first, so a swapped or truncated upload is reported
+// as such rather than as a decryption failure.
+export async function decryptAttachmentFile({ encryptedBytes, key, iv, digest }) {
+  if (!hasWebCrypto()) {
+    throw new Error("This browser does not support Web Crypto.");
+  }
+
+  const actualDigest = toBase64(new Uint8Array(await window.crypto.subtle.digest("SHA-256", encryptedBytes)));
+  if (actualDigest !== normalizeText(digest)) {
+    throw new Error("The file does not match the one that was sent.");
+  }
+
+  return window.crypto.subtle.decrypt(
+    { name: AES_ALGORITHM, iv: fromBase64(iv) },
+    await importAesKey(key),
+    encryptedBytes,
+  );
+}
+
+// Digest of every public key a user encrypts with. Adding, removing or
+// swapping any device key changes it.
+export async function computeE2EEKeyFingerprint({ userId, publicKeys }) {
+  const sortedKeys = Array.from(new Set((publicKeys || []).map(normalizeText).filter(Boolean))).sort();
+  const digest = await window.crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode([SAFETY_NUMBER_VERSION, normalizeText(userId), ...sortedKeys].join("\n")),
+  );
+
+  return toBase64(new Uint8Array(digest));
+}
+
+// 30 digits per user: each 5-byte chunk of the fingerprint, mod 100000
+function fingerprintToDigits(fingerprint) {
+  const bytes = fromBase64(fingerprint);
+  let digits = "";
+
+  for (let chunk = 0; chunk < SAFETY_NUMBER_CHUNK_COUNT; chunk += 1) {
+    let value = 0;
+    for (let offset = 0; offset < SAFETY_NUMBER_CHUNK_BYTES; offset += 1) {
+      value = value * 256 + bytes[chunk * SAFETY_NUMBER_CHUNK_BYTES + offset];
+    }
+    digits += String(value % 100000).padStart(5, "0");
+  }
+
+  return digits;
+}
+
+// The 60-digit number both users see for their conversation. Halves are
+// ordered by user id, so it reads the same on either side.
+export async function computeSafetyNumber({ localUserId, localPublicKeys, peerUserId, peerPublicKeys }) {
+  const halves = await Promise.all(
+    [
+      { userId: normalizeText(localUserId), publicKeys: localPublicKeys },
+      { userId: normalizeText(peerUserId), publicKeys: peerPublicKeys },
+    ]
+      .sort((first, second) => (first.userId < second.userId ? -1 : 1))
+      .map(async (side) => fingerprintToDigits(await computeE2EEKeyFingerprint(side))),
+  );
+
+  return halves.join("");
+}
+
+// Contacts whose safety number was confirmed from this browser:
+// { [peerUserId]: { fingerprint, verifiedAt } }, where `fingerprint` is the
+// peer's key fingerprint at the time.
+export function loadVerifiedContacts(userId) {
+  const storedContacts = readStoredJson(getStorageKeys(userId).verifiedContacts);
+  return storedContacts && typeof storedContacts === "object" ? storedContacts : {};
+}
+
+// Pass a null fingerprint to forget the verification
+export function setContactVerification(userId, peerUserId, fingerprint) {
+  const storageKey = getStorageKeys(userId).verifiedContacts;
+  const contacts = loadVerifiedContacts(userId);
+
+  if (fingerprint) {
+    contacts[normalizeText(peerUserId)] = { fingerprint, verifiedAt: new Date().toISOString() };
+  } else {
+    delete contacts[normalizeText(peerUserId)];
+  }
+
+  writeStoredJson(storageKey, contacts);
+  return contacts;
+}
+
+// The clear header is bound to the ciphertext, so a message cannot be
+// replayed under another room, epoch or key id.
+function getRoomAdditionalData({ roomId, epoch, keyId }) {
+  return new TextEncoder().encode(`${E2EE_ROOM_PAYLOAD_KIND}:${roomId}:${epoch}:${keyId}`);
+}
+
+function parseRoomPayload(payloadText) {
+  try {
+    const parsed = JSON.parse(String(payloadText || ""));
+    if (!parsed || parsed.kind !== E2EE_ROOM_PAYLOAD_KIND) {
+      return null;
+    }
+
+    const roomId = normalizeText(parsed.roomId);
+    const keyId = normalizeText(parsed.keyId);
+    const iv = normalizeText(parsed.iv);
+    const ciphertext = normalizeText(parsed.ciphertext);
+    const epoch = Number(parsed.epoch);
+
+    if (!roomId || !keyId || !iv || !ciphertext || !Number.isInteger(epoch)) {
+      return null;
+    }
+
+    if (Number(parsed.version || 0) !== E2EE_PAYLOAD_VERSION || parsed.algorithm !== AES_ALGORITHM) {
+      return null;
+    }
+
+    return { roomId, epoch, keyId, iv, ciphertext };
+  } catch {
+    return null;
+  }
+}
+
+// { roomId, epoch, keyId } of an encrypted room message, or null
+export function getRoomPayloadHeader(payloadText) {
+  const parsedPayload = parseRoomPayload(payloadText);
+  if (!parsedPayload) {
+    return null;
+  }
+
+  return { roomId: parsedPayload.roomId, epoch: parsedPayload.epoch, keyId: parsedPayload.keyId };
+}
+
+export async function generateRoomSenderKey() {
+  if (!hasWebCrypto()) {
+    throw new Error("This browser does not support Web Crypto.");
+  }
+
+  return {
+    keyId: toBase64(window.crypto.getRandomValues(new Uint8Array(ROOM_KEY_ID_LENGTH_BYTES))),
+    key: await generateAesKeyBase64(),
+  };
+}
+
+// Sender keys travel to each member as the plaintext of a pairwise DM payload
+export function encodeRoomSenderKey({ roomId, epoch, keyId, key }) {
+  return JSON.stringify({ kind: ROOM_SENDER_KEY_KIND, roomId, epoch, keyId, key });
+}
+
+export function decodeRoomSenderKey(text) {
+  try {
+    const parsed = JSON.parse(String(text || ""));
+    if (!parsed || parsed.kind !== ROOM_SENDER_KEY_KIND || !Number.isInteger(parsed.epoch)) {
+      return null;
+    }
+
+    const roomId = normalizeText(parsed.roomId);
+    const keyId = normalizeText(parsed.keyId);
+    const key = normalizeText(parsed.key);
+    if (!roomId || !keyId || !key) {
+      return null;
+    }
+
+    return { roomId, epoch: parsed.epoch, keyId, key };
+  } catch {
+    return null;
+  }
+}
+
+export async function encryptRoomMessagePayload({ plainText, roomId, epoch, keyId, senderKeyBase64 }) {
+  if (!hasWebCrypto()) {
+    throw new Error("This browser does not support Web Crypto.");
+  }
+
+  const encrypted = await aesEncrypt(
+    await importAesKey(senderKeyBase64),
+    new TextEncoder().encode(String(plainText ?? "")),
+    getRoomAdditionalData({ roomId, epoch, keyId }),
+  );
+
+  return JSON.stringify({
+    kind: E2EE_ROOM_PAYLOAD_KIND,
+    version: E2EE_PAYLOAD_VERSION,
+    algorithm: AES_ALGORITHM,
+    roomId,
+    epoch,
+    keyId,
+    iv: encrypted.iv,
+    ciphertext: encrypted.ciphertext,
+  });
+}
+
+export async function decryptRoomMessagePayload({ payloadText, senderKeyBase64 }) {
+  const parsedPayload = parseRoomPayload(payloadText);
+  if (!parsedPayload) {
+    throw new Error("Invalid encrypted room payload.");
+  }
+
+  if (!hasWebCrypto()) {
+    throw new Error("This browser does not support Web Crypto.");
+  }
+
+  const decryptedBuffer = await aesDecrypt(
+    await importAesKey(senderKeyBase64),
+    parsedPayload,
+    getRoomAdditionalData(parsedPayload),
   );
 
   return new TextDecoder().decode(decryptedBuffer);
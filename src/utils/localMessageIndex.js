@@ -0,0 +1,138 @@
+// Decrypted text of end-to-end encrypted messages, kept on this device so
+// they can be searched; the server only ever sees their ciphertext. Entries
+// are added as messages are decrypted for display, so only messages this
+// device has shown are found.
+const LOCAL_INDEX_DB_NAME = "chatapp-search";
+const LOCAL_INDEX_STORE_NAME = "messages";
+const LOCAL_INDEX_USER_INDEX = "userId";
+const MAX_LOCAL_RESULTS = 50;
+
+let localIndexDbPromise = null;
+
+function openLocalIndex() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.resolve(null);
+  }
+
+  if (!localIndexDbPromise) {
+    localIndexDbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(LOCAL_INDEX_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(LOCAL_INDEX_STORE_NAME, { keyPath: "key" });
+        store.createIndex(LOCAL_INDEX_USER_INDEX, "userId");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+    });
+  }
+
+  return localIndexDbPromise;
+}
+
+async function runWrite(write) {
+  const db = await openLocalIndex();
+  if (!db) {
+    return;
+  }
+
+  await new Promise((resolve) => {
+    const transaction = db.transaction(LOCAL_INDEX_STORE_NAME, "readwrite");
+    write(transaction.objectStore(LOCAL_INDEX_STORE_NAME));
+    transaction.oncomplete = resolve;
+    transaction.onerror = resolve;
+    transaction.onabort = resolve;
+  });
+}
+
+async function readUserEntries(userId) {
+  const db = await openLocalIndex();
+  if (!db) {
+    return [];
+  }
+
+  return new Promise((resolve) => {
+    const request = db
+      .transaction(LOCAL_INDEX_STORE_NAME)
+      .objectStore(LOCAL_INDEX_STORE_NAME)
+      .index(LOCAL_INDEX_USER_INDEX)
+      .getAll(String(userId));
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => resolve([]);
+  });
+}
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// `entry`: { messageId, conversationId, senderUserId, messageType, text, createdAt }
+// where conversationId is the room id or the DM peer's id.
+export async function indexLocalMessage(userId, entry) {
+  if (!userId || !entry?.messageId || !String(entry.text || "").trim()) {
+    return;
+  }
+
+  await runWrite((store) => {
+    store.put({
+      key: `${userId}:${entry.messageId}`,
+      userId: String(userId),
+      messageId: String(entry.messageId),
+      conversationId: String(entry.conversationId || ""),
+      senderUserId: String(entry.senderUserId || ""),
+      messageType: entry.messageType || "text",
+      text: String(entry.text),
+      createdAt: entry.createdAt || new Date().toISOString(),
+    });
+  });
+}
+
+export async function removeLocalMessage(userId, messageId) {
+  if (!userId || !messageId) {
+    return;
+  }
+
+  await runWrite((store) => store.delete(`${userId}:${messageId}`));
+}
+
+export async function removeLocalConversation(userId, conversationId) {
+  const entries = await readUserEntries(userId);
+  const keys = entries
+    .filter((entry) => entry.conversationId === String(conversationId))
+    .map((entry) => entry.key);
+
+  if (keys.length > 0) {
+    await runWrite((store) => keys.forEach((key) => store.delete(key)));
+  }
+}
+
+// Same filters as GET /api/messages/search. Every word of `query` has to
+// appear in the text; results are newest first.
+export async function searchLocalMessages(userId, { query, senderUserId, conversationId, from, to, type } = {}) {
+  const words = tokenize(query);
+  if (!userId || words.length === 0) {
+    return [];
+  }
+
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  const entries = await readUserEntries(userId);
+
+  return entries
+    .filter((entry) => {
+      const createdTime = new Date(entry.createdAt).getTime();
+      const text = entry.text.toLowerCase();
+      return (
+        (!senderUserId || entry.senderUserId === String(senderUserId)) &&
+        (!conversationId || entry.conversationId === String(conversationId)) &&
+        (!type || entry.messageType === type) &&
+        createdTime >= fromTime &&
+        createdTime <= toTime &&
+        words.every((word) => text.includes(word))
+      );
+    })
+    .sort((first, second) => new Date(second.createdAt).getTime() - new Date(first.createdAt).getTime())
+    .slice(0, MAX_LOCAL_RESULTS);
+}
@@ -0,0 +1,31 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// "Online", "Last seen 5m ago", ... or "Offline" when the user hides their
+// last-seen time from us.
+export function formatPresence(user, now = Date.now()) {
+  if (user?.onlineStatus) {
+    return "Online";
+  }
+
+  const lastSeenTime = user?.lastSeenAt ? new Date(user.lastSeenAt).getTime() : NaN;
+  if (!Number.isFinite(lastSeenTime)) {
+    return "Offline";
+  }
+
+  const elapsed = Math.max(now - lastSeenTime, 0);
+  if (elapsed < MINUTE_MS) {
+    return "Last seen just now";
+  }
+
+  if (elapsed < HOUR_MS) {
+    return `Last seen ${Math.floor(elapsed / MINUTE_MS)}m ago`;
+  }
+
+  if (elapsed < DAY_MS) {
+    return `Last seen ${Math.floor(elapsed / HOUR_MS)}h ago`;
+  }
+
+  return `Last seen ${new Date(lastSeenTime).toLocaleDateString([], { month: "short", day: "numeric" })}`;
+}
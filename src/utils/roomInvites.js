@@ -0,0 +1,37 @@
+// Query parameter an invite link carries its token in
+export const ROOM_INVITE_QUERY_PARAM = "roomInvite";
+
+export const ROOM_INVITE_EXPIRY_OPTIONS = [
+  { expiresInSeconds: 0, label: "Never expires" },
+  { expiresInSeconds: 60 * 60, label: "Expires in 1 hour" },
+  { expiresInSeconds: 24 * 60 * 60, label: "Expires in 1 day" },
+  { expiresInSeconds: 7 * 24 * 60 * 60, label: "Expires in 7 days" },
+  { expiresInSeconds: 30 * 24 * 60 * 60, label: "Expires in 30 days" },
+];
+
+export function buildRoomInviteUrl(token) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set(ROOM_INVITE_QUERY_PARAM, token);
+  return url.toString();
+}
+
+// "3/10 uses · expires Oct 20, 14:00 · approval required"
+export function describeRoomInvite(invite) {
+  const parts = [invite.maxUses ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`];
+
+  if (invite.expiresAt) {
+    const expiresAt = new Date(invite.expiresAt);
+    const formatted = expiresAt.toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+    parts.push(expiresAt.getTime() <= Date.now() ? `expired ${formatted}` : `expires ${formatted}`);
+  }
+
+  if (invite.maxUses && invite.uses >= invite.maxUses) {
+    parts.push("used up");
+  }
+
+  if (invite.requiresApproval) {
+    parts.push("approval required");
+  }
+
+  return parts.join(" · ");
+}
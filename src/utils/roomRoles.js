@@ -0,0 +1,65 @@
+// Mirrors backend/utils/roomRoles.js so the UI only offers what the server
+// will allow.
+const ROOM_ROLES = ["member", "moderator", "admin", "owner"];
+
+const ROOM_PERMISSIONS = {
+  addMembers: "admin",
+  removeMembers: "moderator",
+  manageRoles: "admin",
+  deleteMessages: "moderator",
+  clearHistory: "admin",
+  changeEncryption: "admin",
+  changeDisappearingTimer: "admin",
+  manageInvites: "admin",
+  changeVisibility: "admin",
+  editProfile: "admin",
+  reviewJoinRequests: "moderator",
+};
+
+export const ROOM_ROLE_LABELS = {
+  owner: "Owner",
+  admin: "Admin",
+  moderator: "Moderator",
+  member: "Member",
+};
+
+function toId(value) {
+  if (!value) {
+    return "";
+  }
+
+  return String(value._id || value);
+}
+
+// "owner", "admin", "moderator" or "member"; an empty string for non-members
+export function getRoomRole(room, userId) {
+  const id = String(userId || "");
+  if (!room || !id || !(room.members || []).some((member) => toId(member) === id)) {
+    return "";
+  }
+
+  if (toId(room.createdBy) === id) {
+    return "owner";
+  }
+
+  const entry = (room.roles || []).find((roleEntry) => toId(roleEntry.user) === id);
+  return entry?.role || "member";
+}
+
+export function getRoomRoleRank(role) {
+  return ROOM_ROLES.indexOf(role);
+}
+
+export function hasRoomPermission(role, permission) {
+  const minimumRole = ROOM_PERMISSIONS[permission];
+  return Boolean(role && minimumRole) && getRoomRoleRank(role) >= getRoomRoleRank(minimumRole);
+}
+
+// Roles `actorRole` may hand out: anything below its own, except the owner
+export function getAssignableRoomRoles(actorRole) {
+  if (!hasRoomPermission(actorRole, "manageRoles")) {
+    return [];
+  }
+
+  return ["member", "moderator", "admin"].filter((role) => getRoomRoleRank(role) < getRoomRoleRank(actorRole));
+}
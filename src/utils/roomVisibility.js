@@ -0,0 +1,10 @@
+// Room visibility values the server accepts (models/ChatRoom.js)
+export const ROOM_VISIBILITY_OPTIONS = [
+  { value: "public", label: "Public", description: "Listed in the directory, anyone can join" },
+  { value: "private", label: "Private", description: "Listed in the directory, joining needs approval" },
+  { value: "invite_only", label: "Invite only", description: "Hidden, joined through members or invite links" },
+];
+
+export function getRoomVisibilityLabel(visibility) {
+  return ROOM_VISIBILITY_OPTIONS.find((option) => option.value === visibility)?.label || "Invite only";
+}
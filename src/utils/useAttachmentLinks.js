@@ -0,0 +1,32 @@
+import { useEffect, useState } from "react";
+import { getAttachmentLinks } from "./attachments";
+
+// Signed links ({ downloadUrl, variantUrls }) for an uploaded attachment, or
+// null while they load or when there is no attachment
+export default function useAttachmentLinks(attachmentId) {
+  const [resolved, setResolved] = useState({ attachmentId: "", links: null });
+
+  useEffect(() => {
+    if (!attachmentId) {
+      return undefined;
+    }
+
+    let isCancelled = false;
+
+    getAttachmentLinks(attachmentId)
+      .then((links) => {
+        if (!isCancelled) {
+          setResolved({ attachmentId, links });
+        }
+      })
+      .catch((error) => {
+        console.error("Failed to load attachment:", error);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [attachmentId]);
+
+  return resolved.attachmentId === attachmentId ? resolved.links : null;
+}